@@ -0,0 +1,37 @@
+// Deployment config for local networks. Every contract is deployed, LEOX and Nebula Odyssey as mocks.
+const { parseEther } = require('ethers');
+
+module.exports = ({ deployer }) => ({
+  leox: {
+    mock: ['Leox', 'LEOX', 18, parseEther('10000000000'), deployer, deployer, parseEther('10000000000'), true],
+  },
+  increment: parseEther('400'),
+  forwarder: { name: 'Galileo-Forwarder' },
+  permit2: { mock: [] },
+  collections: [
+    {
+      alias: 'nebula',
+      mock: [
+        'Nebula Odyssey',
+        'NEBULA',
+        'https://nebula-metadata-mainnet.s3.ap-southeast-2.amazonaws.com/nebula-odyssey-metadata/',
+        deployer,
+      ],
+      soulboundToken: {
+        name: 'NebulaSBT',
+        symbol: 'NSBT',
+        baseTokenURI: 'https://nebula-metadata-mainnet.s3.ap-southeast-2.amazonaws.com/nebula-odyssey-metadata/',
+      },
+      tokenIdsCount: 3333,
+      tiers: [
+        { maxLeox: parseEther('5000'), yieldTraitPoints: 5 },
+        { maxLeox: parseEther('4000'), yieldTraitPoints: 4 },
+      ],
+      pool: {
+        tax: parseEther('3'),
+        rewardWindows: [{ rewardRate: parseEther('1') }],
+      },
+      multipliers: [{ stakingTime: 60, stakingBoost: parseEther('1.5') }],
+    },
+  ],
+});
@@ -0,0 +1,2 @@
+// `npx hardhat node` is configured like the in-process Hardhat network.
+module.exports = require('./hardhat');
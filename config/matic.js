@@ -0,0 +1,47 @@
+// Deployment config for Polygon mainnet. Token addresses, the validator, the reward rate and the multipliers come
+// from the environment so that a mainnet deployment never falls back to testnet values. Tiers and the pool tax mirror
+// the testnet setup and must be confirmed before running it.
+const { parseEther } = require('ethers');
+const { PERMIT2_ADDRESS } = require('../utils/leox_permits.js');
+const { parseMultipliers } = require('../utils/task_types.js');
+
+module.exports = () => {
+  const { LEOX_ADDRESS, NEBULA_ADDRESS, VALIDATOR_ADDRESS, REWARD_RATE, MULTIPLIERS } = process.env;
+  if (!LEOX_ADDRESS || !NEBULA_ADDRESS || !VALIDATOR_ADDRESS) {
+    throw new Error('LEOX_ADDRESS, NEBULA_ADDRESS and VALIDATOR_ADDRESS must be set to deploy on matic');
+  }
+  // The testnet reward rate and lock durations are placeholders, e.g. REWARD_RATE=0.05 MULTIPLIERS=30d:1.5,90d:2
+  if (!REWARD_RATE || !MULTIPLIERS) {
+    throw new Error('REWARD_RATE (LEOX per second) and MULTIPLIERS (duration:boost list) must be set to deploy on matic');
+  }
+
+  return {
+    leox: {
+      address: LEOX_ADDRESS,
+    },
+    increment: parseEther('400'),
+    permit2: { address: PERMIT2_ADDRESS },
+    validators: [VALIDATOR_ADDRESS],
+    collections: [
+      {
+        alias: 'nebula',
+        address: NEBULA_ADDRESS,
+        soulboundToken: {
+          name: 'NebulaSBT',
+          symbol: 'NSBT',
+          baseTokenURI: 'https://nebula-metadata-mainnet.s3.ap-southeast-2.amazonaws.com/nebula-odyssey-metadata/',
+        },
+        tokenIdsCount: 3333,
+        tiers: [
+          { maxLeox: parseEther('5000'), yieldTraitPoints: 5 },
+          { maxLeox: parseEther('4000'), yieldTraitPoints: 4 },
+        ],
+        pool: {
+          tax: parseEther('3'),
+          rewardWindows: [{ rewardRate: parseEther(REWARD_RATE) }],
+        },
+        multipliers: parseMultipliers(MULTIPLIERS).map(([stakingTime, stakingBoost]) => ({ stakingTime, stakingBoost })),
+      },
+    ],
+  };
+};
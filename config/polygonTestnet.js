@@ -0,0 +1,35 @@
+// Deployment config for Polygon Amoy. LEOX is already deployed, Nebula Odyssey is deployed as a mock.
+const { parseEther } = require('ethers');
+const { PERMIT2_ADDRESS } = require('../utils/leox_permits.js');
+
+const OWNER = '0x30cfa2dd6b79Bc800B0b8cbF89534Aa4D02D548A';
+
+module.exports = {
+  leox: {
+    address: '0x191C907746d2FfffE0d524289bAf82e538776587',
+  },
+  increment: parseEther('400'),
+  permit2: { address: PERMIT2_ADDRESS },
+  validators: [OWNER],
+  collections: [
+    {
+      alias: 'nebula',
+      mock: ['Nebula Odysee', 'NEBULA', 'https://nebula-metadata-mainnet.s3.ap-southeast-2.amazonaws.com/nebula-odyssey-metadata/', OWNER],
+      soulboundToken: {
+        name: 'NebulaSBT',
+        symbol: 'NSBT',
+        baseTokenURI: 'https://nebula-metadata-mainnet.s3.ap-southeast-2.amazonaws.com/nebula-odyssey-metadata/',
+      },
+      tokenIdsCount: 3333,
+      tiers: [
+        { maxLeox: parseEther('5000'), yieldTraitPoints: 5 },
+        { maxLeox: parseEther('4000'), yieldTraitPoints: 4 },
+      ],
+      pool: {
+        tax: parseEther('3'),
+        rewardWindows: [{ rewardRate: parseEther('1') }],
+      },
+      multipliers: [{ stakingTime: 60, stakingBoost: parseEther('1.5') }],
+    },
+  ],
+};
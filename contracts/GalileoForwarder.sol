@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @dev ERC-2771 forwarder trusted by GalileoStaking with `setTrustedForwarder`. Relayers submit the requests signed
+ * by stakers with `execute`, paying the gas, and GalileoStaking resolves the signer as the sender of the call.
+ */
+contract GalileoForwarder is ERC2771Forwarder {
+  constructor(string memory name) ERC2771Forwarder(name) {}
+}
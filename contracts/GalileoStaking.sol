@@ -2,20 +2,18 @@
 pragma solidity 0.8.24;
 
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
-import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
 import "./interfaces/IGalileoSoulBoundToken.sol";
-import "./libraries/GalileoStakingStorage.sol";
-import "./libraries/GalileoStakingErrors.sol";
+import "./interfaces/IPermit2.sol";
+import "./GalileoStakingBase.sol";
+import "./GalileoStakingAdmin.sol";
 
-contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IERC721Receiver {
+contract GalileoStaking is GalileoStakingBase, IERC721Receiver {
   //  ██████╗  █████╗ ██╗     ██╗██╗     ███████╗  ██████╗
   // ██╔════╝ ██╔══██╗██║     ██║██║     ██╔════╝ ██╔═══██╗
   // ██║  ██╗ ███████║██║     ██║██║     █████╗   ██║   ██║
@@ -26,286 +24,227 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
   // ═══════════════════════ VARIABLES ════════════════════════
   using SafeERC20 for IERC20;
 
-  // Constant variable defining the ADMIN_ROLE using keccak256 hash
-  bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
-
-  // Constant variable defining the VALIDATOR_ROLE using keccak256 hash
-  bytes32 public constant VALIDATOR_ROLE = keccak256("VALIDATOR_ROLE");
-
-  // The domain name used for signing and verifying off-chain data, typically part of an EIP-712 structured data signature.
-  string private constant SIGNING_DOMAIN = "Galileo-Staking";
-
-  // The version of the signature schema, used in conjunction with the signing domain for EIP-712 signatures.
-  string private constant SIGNATURE_VERSION = "1";
-
-  // Importing the GalileoStakingStorage library for the State struct
-  using GalileoStakingStorage for GalileoStakingStorage.State;
-
-  // Declaring a private state variable of type GalileoStakingStorage.State
-  GalileoStakingStorage.State private state;
-
-  // Importing the GalileoStakingErrors library for all types (*)
-  using GalileoStakingErrors for *;
-
-  // Immutable variable storing the address of the LEOX token
-  address public immutable LEOX;
-
-  // Constant for INCREMENT value
-  uint256 private immutable INCREMENT; // INCREMENT indicates one point
+  // The EIP-712 type hash of the `GalileoStakeTokens` voucher.
+  bytes32 private constant STAKE_TOKENS_TYPEHASH =
+    keccak256(
+      "GalileoStakeTokens(address collectionAddress,uint256 tokenId,uint256 citizen,uint256 timelockEndTime,uint256 stakedLeox,address staker,uint256 nonce,uint256 deadline)"
+    );
 
-  /// A constant multiplier to reduce overflow in staking calculations.
-  uint256 private constant PRECISION = 1 ether;
+  // The EIP-712 type hash of the `GalileoClaimRewards` authorization.
+  bytes32 private constant CLAIM_REWARDS_TYPEHASH =
+    keccak256("GalileoClaimRewards(address owner,address collectionAddress,address recipient,uint256 nonce,uint256 deadline)");
 
-  // Define a maximum tax rate of 10%
-  uint256 private constant MAX_TAX_LIMIT = 10 ether;
+  // Immutable variable storing the address of the module running the functions restricted to ADMIN_ROLE
+  address public immutable ADMIN_MODULE;
 
-  // ═══════════════════════ EVENTS ════════════════════════
+  // ═══════════════════════ CONSTRUCTOR ════════════════════════
 
   /**
-   * @dev Event emitted when a collection is configured with its address and total number of categories.
+   * @dev Constructor to initialize the contract and deploy its admin module.
    *
-   * @param collectionAddress The address of the collection contract.
-   * @param _stakeInfo _stakeInfo An array of StakeInfo structs containing information about LEOX tokens.
+   * @param leox The address of the LEOX token contract.
+   * @param increment INCREMENT value that indicates one point
    */
-  event ConfigureCollection(address indexed collectionAddress, GalileoStakingStorage.StakeInfoInput[] _stakeInfo);
+  constructor(address leox, uint256 increment) GalileoStakingBase(leox, increment) {
+    // Deploy the module running the functions restricted to ADMIN_ROLE on the storage of this contract
+    ADMIN_MODULE = address(new GalileoStakingAdmin(leox, increment));
+  }
 
-  /**
-   * @dev Event emitted when a token is staked within a collection
-   *
-   * @param collectionAddress The address of the collection contract.
-   * @param tokenId The ID of the token to which more tokens are staked.
-   * @param citizen The citizen of the token.
-   * @param timelockEndTime End time of the timelock for the staked token.
-   * @param points Points associated with the staked token.
-   * @param stakedLEOX  Amount of LEOX tokens staked with the token.
-   */
-  event StakeTokens(
-    address indexed collectionAddress,
-    address indexed recipient,
-    uint256 indexed tokenId,
-    uint256 citizen,
-    uint256 timelockEndTime,
-    uint256 points,
-    uint256 stakedLEOX
-  );
+  // ═══════════════════════ FUNCTIONS ════════════════════════
 
   /**
-   * @dev Event emitted when more LEOX tokens are added to an existing stake.
+   * @dev Function to stake tokens into the specified collection.
    *
-   * @param collectionAddress The address of the collection contract.
-   * @param tokenId The ID of the token to which more tokens are staked.
-   * @param citizen The citizen of the token.
-   * @param newPoints The updated points after adding more tokens.
-   * @param totalLeox The total amount of LEOX tokens staked after adding more tokens.
-   */
-  event StakeLeoxTokens(
-    address indexed collectionAddress,
-    address indexed recipient,
-    uint256 indexed tokenId,
-    uint256 citizen,
-    uint256 newPoints,
-    uint256 totalLeox
-  );
-
-  /**
-   * @dev Emitted when tax percent is updated of a collection.
+   * This function handles the staking of a token along with LEOX tokens, ensuring that the token is not already
+   * staked by the caller and that all provided parameters are valid before proceeding with the staking process.
    *
-   * @param collectionAddress The address of the collection contract from which tax is withdrawn.
-   * @param newTaxPercent The new percentage of tax against the collection.
+   * @param stakeTokens The address of the NFT collection contract.
+   *- tokenId The ID of the NFT to be staked.
+   *- citizen The citizen ID associated with the token (used for yield trait points).
+   *- stakedLeox The amount of LEOX tokens to be staked alongside the NFT.
+   *- timelockEndTime The end time of the timelock for the stake (when the stake will be unlocked).
+   *- staker The address the voucher is issued to, which must be the caller.
+   *- nonce The staker's current voucher nonce.
+   *- deadline The timestamp after which the voucher expires.
    */
-  event UpdateTax(address indexed collectionAddress, uint256 indexed newTaxPercent);
+  function stake(GalileoStakingStorage.StakeTokens calldata stakeTokens) external whenNotPaused nonReentrant {
+    // Redeem the voucher and stake the token
+    _stake(stakeTokens);
 
-  /**
-   * @dev  Event emitted when multipliers are set for a collection.
-   *
-   * @param collectionAddress The address of the collection contract.
-   * @param multipliers Multipliers based on staking time period.
-   */
-  event SetMultipliers(address indexed collectionAddress, GalileoStakingStorage.Multiplier[] multipliers);
+    // Transfer the staked LEOX tokens to this contract
+    IERC20(LEOX).safeTransferFrom(_msgSender(), address(this), stakeTokens.stakedLeox);
+  }
 
   /**
-   * @dev Event emitted when a recipient withdraws rewards for a staked NFT
+   * @dev Function to stake a token like `stake`, the LEOX being pulled with a permit signed by the caller instead of
+   * a prior approval.
    *
-   * @param recipient Address of the recipient who withdraw the rewards
-   * @param collectionAddress Address of the collection the NFT belongs to.
-   * @param tokenId The ID of the token to which more tokens are staked.
-   * @param rewardAmount Amount of rewards withdrawn.
-   * @param currentTime Timestamp of the withdrawal.
+   * @param stakeTokens The signed `StakeTokens` voucher, issued to the caller.
+   * @param permit The ERC-2612 or Permit2 permit of the caller, allowing at least the staked LEOX.
    */
-  event WithdrawRewards(
-    address indexed recipient,
-    address indexed collectionAddress,
-    uint256 indexed tokenId,
-    uint256 rewardAmount,
-    uint256 currentTime
-  );
+  function stakeWithPermit(
+    GalileoStakingStorage.StakeTokens calldata stakeTokens,
+    GalileoStakingStorage.LeoxPermit calldata permit
+  ) external whenNotPaused nonReentrant {
+    // Redeem the voucher and stake the token
+    _stake(stakeTokens);
+
+    // Pull the staked LEOX tokens with the permit
+    _transferLeoxWithPermit(stakeTokens.stakedLeox, permit);
+  }
 
   /**
-   * @dev Event emitted when a recipient withdraws all rewards for all staked tokens
+   * @dev Internal function to redeem a voucher of the caller and stake its token. The caller transfers the LEOX tokens.
    *
-   * @param collectionAddress Address of the collection the NFT belongs to.
-   * @param recipient Address of the recipient who withdraw the rewards
-   * @param rewardAmount Amount of rewards of all tokens withdrawn.
-   * @param currentTime Timestamp of the withdrawal.
+   * @param stakeTokens The signed `StakeTokens` voucher, issued to the caller.
    */
-  event WithdrawAllRewards(address indexed collectionAddress, address indexed recipient, uint256 indexed rewardAmount, uint256 currentTime);
+  function _stake(GalileoStakingStorage.StakeTokens calldata stakeTokens) internal {
+    // Verify the voucher for the caller and consume its nonce so it cannot be replayed.
+    _useVoucher(stakeTokens, _msgSender());
 
-  /**
-   * @dev Event emitted when a recipient unstake Tokens and get rewards for a staked NFT
-   *
-   * @param collectionAddress Address of the collection the NFT belongs to.
-   * @param recipient Address of the recipient who withdrew the rewards
-   * @param tokenId The ID of the token to which more tokens are staked.
-   * @param points Points associated with the staked token.
-   * @param totalLeox Amount of LEOX tokens unstaked with the token.
-   */
-  event UnstakeToken(
-    address indexed collectionAddress,
-    address indexed recipient,
-    uint256 indexed tokenId,
-    uint256 points,
-    uint256 totalLeox
-  );
+    //  This ensures that the reward calculations are up-to-date before executing the stake function logic.
+    _updateRewardPerToken(stakeTokens.collectionAddress);
 
-  /**
-   * @dev Event emitted when a recipient unstake Tokens and get rewards for a staked NFT
-   *
-   * @param collectionAddress Address of the collection the NFT belongs to.
-   * @param recipient Address of the recipient who withdrew the rewards
-   * @param tokenId The ID of the token to which more tokens are staked.
-   * @param points Points associated with the staked token.
-   * @param totalLeox Amount of LEOX tokens unstaked with the token.
-   */
-  event EmergencyUnstakeToken(
-    address indexed collectionAddress,
-    address indexed recipient,
-    uint256 indexed tokenId,
-    uint256 points,
-    uint256 totalLeox
-  );
+    // Call the internal function to handle the actual staking process
+    _stakeTokens(
+      _msgSender(),
+      stakeTokens.collectionAddress,
+      stakeTokens.tokenId,
+      stakeTokens.citizen,
+      stakeTokens.timelockEndTime,
+      stakeTokens.stakedLeox
+    );
 
-  /**
-   * @dev Emitted when the emission rate is updated for a specific collection.
-   *
-   * @param collectionAddress The address of the collection contract for which the emission rate is updated.
-   * @param rewardRate The new reward rate set for the collection.
-   * @param endTimePreviousRewardWindow The end time of the previous reward window before the emission rate update.
-   */
-  event UpdateEmissionRate(address indexed collectionAddress, uint256 indexed rewardRate, uint256 endTimePreviousRewardWindow);
+    // Transfer the token to this contract
+    IERC721(stakeTokens.collectionAddress).transferFrom(_msgSender(), address(this), stakeTokens.tokenId);
+  }
 
   /**
-   * @dev Emitted when tax is withdrawn from a collection.
+   * @dev Internal function to pull LEOX tokens of the caller with a permit it signed.
    *
-   * @param collectionAddress The address of the collection contract from which tax is withdrawn.
-   * @param recipient The address of the recipient who receives the withdrawn tax amount.
-   * @param taxAmount The total amount of tax withdrawn from the collection.
-   */
-  event WithdrawTax(address indexed collectionAddress, address indexed recipient, uint256 taxAmount);
-
-  /**
-   * @dev Emitted when rewards are deposited into the reward pool for a specific NFT collection.
+   * An ERC-2612 permit of LEOX sets the allowance of this contract before the transfer. It may have been submitted
+   * by someone else already, e.g. front-run from the mempool, so a failing permit is ignored and the transfer
+   * succeeds if the allowance covers it. A Permit2 permit transfers the tokens through Permit2, which the caller
+   * approved beforehand.
    *
-   * @param collectionAddress The address of the NFT collection for which rewards are being deposited.
-   * @param leoxAmount The amount of LEOX tokens deposited as rewards.
+   * @param amount The amount of LEOX tokens to transfer to this contract.
+   * @param permit The permit of the caller.
    */
-  event DepositRewards(address indexed collectionAddress, uint256 leoxAmount);
+  function _transferLeoxWithPermit(uint256 amount, GalileoStakingStorage.LeoxPermit calldata permit) internal {
+    address owner = _msgSender();
+
+    if (permit.permit2) {
+      // Ensure a Permit2 contract is set
+      address permit2 = state.permit2;
+      if (permit2 == address(0)) revert GalileoStakingErrors.Permit2Unavailable();
+
+      // Transfer the tokens with the signature transfer of Permit2
+      IPermit2(permit2).permitTransferFrom(
+        IPermit2.PermitTransferFrom(IPermit2.TokenPermissions(LEOX, permit.value), permit.nonce, permit.deadline),
+        IPermit2.SignatureTransferDetails(address(this), amount),
+        owner,
+        permit.signature
+      );
+    } else {
+      // Ensure the signature is a 65 bytes ECDSA signature
+      if (permit.signature.length != 65) revert GalileoStakingErrors.InvalidSignature();
+
+      // Set the allowance with the permit, the transfer reverting if it does not cover the amount
+      try
+        IERC20Permit(LEOX).permit(
+          owner,
+          address(this),
+          permit.value,
+          permit.deadline,
+          uint8(permit.signature[64]),
+          bytes32(permit.signature[0:32]),
+          bytes32(permit.signature[32:64])
+        )
+      {} catch {}
 
-  /**
-   * @dev Emitted whenever the emergency status is changed.
-   *
-   * @param collectionAddress The address of the NFT collection.
-   * @param isEmergencyDeclared A boolean value indicating the current state of emergency
-   */
-  event DeclareEmergency(address collectionAddress, bool isEmergencyDeclared);
+      // Transfer the tokens to this contract
+      IERC20(LEOX).safeTransferFrom(owner, address(this), amount);
+    }
+  }
 
   /**
-   * @dev Emitted when a pool is configured or updated.
+   * @dev Function to stake several tokens in one transaction, each with its own voucher.
    *
-   * @param collectionAddress The address of the collection contract for which the pool is configured.
-   * @param tax The tax rate applied to the pool for the collection.
-   * @param rewardWindows An array of reward windows configured for the pool.
-   */
-  event ConfigurePool(address indexed collectionAddress, uint256 indexed tax, GalileoStakingStorage.RewardWindow[] rewardWindows);
-
-  // ═══════════════════════ CONSTRUCTOR ════════════════════════
-
-  /**
-   * @dev Constructor to initialize the contract.
+   * The vouchers are redeemed in order, so they carry consecutive nonces of the caller. The reward per token is
+   * updated once per collection and the LEOX of every voucher is transferred at once, a `StakeTokens` event is
+   * emitted for each token.
    *
-   * @param leox The address of the LEOX token contract.
-   * @param increment INCREMENT value that indicates one point
+   * @param stakeTokens The signed `StakeTokens` vouchers, issued to the caller.
    */
-  constructor(address leox, uint256 increment) EIP712(SIGNING_DOMAIN, SIGNATURE_VERSION) {
-    // Ensure that the LEOX token address is not zero
-    if (leox == address(0)) revert GalileoStakingErrors.InvalidAddress();
-
-    // Ensure that the INCREMENT is not zero
-    if (increment == 0) revert GalileoStakingErrors.InvalidIncrement();
+  function stakeBatch(GalileoStakingStorage.StakeTokens[] calldata stakeTokens) external whenNotPaused nonReentrant {
+    // Revert if there is nothing to stake
+    if (stakeTokens.length == 0) revert GalileoStakingErrors.InvalidInput();
+
+    // Track the collection of the previous voucher and the LEOX to transfer
+    address collectionAddress;
+    uint256 stakedLeox;
+
+    for (uint256 i = 0; i < stakeTokens.length; i++) {
+      // Verify the voucher for the caller and consume its nonce so it cannot be replayed.
+      _useVoucher(stakeTokens[i], _msgSender());
+
+      // Update the reward per token when the collection changes, it accrues nothing more within the transaction
+      if (i == 0 || stakeTokens[i].collectionAddress != collectionAddress) {
+        collectionAddress = stakeTokens[i].collectionAddress;
+        _updateRewardPerToken(collectionAddress);
+      }
 
-    // Grant the default admin role to the deploying address
-    _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+      // Call the internal function to handle the actual staking process
+      _stakeTokens(
+        _msgSender(),
+        collectionAddress,
+        stakeTokens[i].tokenId,
+        stakeTokens[i].citizen,
+        stakeTokens[i].timelockEndTime,
+        stakeTokens[i].stakedLeox
+      );
 
-    // Grant the admin role to the deploying address
-    _grantRole(ADMIN_ROLE, _msgSender());
+      // Transfer the token to this contract
+      IERC721(collectionAddress).transferFrom(_msgSender(), address(this), stakeTokens[i].tokenId);
 
-    // Set the LEOX token address
-    LEOX = leox;
+      // Accumulate the LEOX staked with the token
+      stakedLeox += stakeTokens[i].stakedLeox;
+    }
 
-    // Set the INCREMENT value that indicates one point
-    INCREMENT = increment;
-  }
-
-  // ═══════════════════════ FUNCTIONS ════════════════════════
-
-  /**
-   * @dev Function to stake tokens into the specified collection.
-   *
-   * This function handles the staking of a token along with LEOX tokens, ensuring that the token is not already
-   * staked by the caller and that all provided parameters are valid before proceeding with the staking process.
-   *
-   * @param stakeTokens The address of the NFT collection contract.
-   *- tokenId The ID of the NFT to be staked.
-   *- citizen The citizen ID associated with the token (used for yield trait points).
-   *- stakedLeox The amount of LEOX tokens to be staked alongside the NFT.
-   *- timelockEndTime The end time of the timelock for the stake (when the stake will be unlocked).
-   */
-  function stake(GalileoStakingStorage.StakeTokens calldata stakeTokens) external whenNotPaused nonReentrant {
-    // Recover and verify the voucher signature to ensure its authenticity.
-    _recover(stakeTokens);
-    // Call the internal function to handle the actual staking process
-    _stakeTokens(
-      stakeTokens.collectionAddress,
-      stakeTokens.tokenId,
-      stakeTokens.citizen,
-      stakeTokens.timelockEndTime,
-      stakeTokens.stakedLeox
-    );
+    // Transfer the staked LEOX tokens of every voucher to this contract
+    IERC20(LEOX).safeTransferFrom(_msgSender(), address(this), stakedLeox);
   }
 
   /**
    * @dev Internal function to handle the staking process for tokens.
    *
    * This function is used to stake a given token along with LEOX tokens, managing the staking position,
-   * pool points, and transferring assets from the user to the contract.
+   * pool points and the soulbound token of the staker. The caller updates the reward per token of the collection
+   * beforehand and transfers the token and the LEOX tokens.
    *
+   * @param recipient The address of the staker.
    * @param collectionAddress The address of the NFT collection being staked.
    * @param tokenId The ID of the NFT to be staked.
    * @param citizen The citizen ID associated with the token (yield trait specific).
    * @param timelockEndTime The time until which the stake is locked.
    * @param stakedLeox The amount of LEOX tokens to be staked alongside the NFT.
    */
-  function _stakeTokens(address collectionAddress, uint256 tokenId, uint256 citizen, uint256 timelockEndTime, uint256 stakedLeox) internal {
+  function _stakeTokens(
+    address recipient,
+    address collectionAddress,
+    uint256 tokenId,
+    uint256 citizen,
+    uint256 timelockEndTime,
+    uint256 stakedLeox
+  ) internal {
     // Validate that the emergency is declared yet
     if (state.isEmergencyDeclared[collectionAddress]) revert GalileoStakingErrors.EmergencyDeclared();
 
     //  This ensures that the token id must not be zero.
     if (tokenId == 0) revert GalileoStakingErrors.InvalidTokenId();
 
-    // Get the address of the user who is calling the function (msg.sender).
-    address recipient = _msgSender();
-
-    //  This ensures that the reward calculations are up-to-date before executing the stake function logic.
-    _updateReward(tokenId, collectionAddress, recipient);
+    //  This ensures that the reward calculations of the token are up-to-date before executing the stake function logic.
+    _updateTokenReward(tokenId, collectionAddress, recipient);
 
     // Check if the collection address is valid and initialized
     if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
@@ -366,12 +305,6 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
     // Increment the total staked amount for the collection
     state.erc721Staked[collectionAddress] += PRECISION;
 
-    // Transfer the token to this contract
-    IERC721(collectionAddress).transferFrom(recipient, address(this), tokenId);
-
-    // Transfer the staked LEOX tokens to this contract
-    IERC20(LEOX).safeTransferFrom(recipient, address(this), stakedLeox);
-
     // Issue Sould Bound Token to the staker
     _issueSoulBoundToken(collectionAddress, recipient, tokenId);
 
@@ -380,78 +313,55 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
   }
 
   /**
-   * @dev External function to update the share per window and set a new emission rate.
+   * @dev Stakes additional LEOX tokens for a staked NFT, updating the staker's position and points.
    *
-   * @param collectionAddress The address of the collection contract.
-   * @param rewardRate The new reward rate to be set for the upcoming reward window.
-   * @param endTime The end time of the new reward window.
+   * This function allows users to add more LEOX tokens to an existing staked NFT position.
+   * It updates the staker's points based on the new total of staked LEOX tokens and ensures
+   * the staked amount does not exceed the maximum allowed per NFT.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param tokenId The unique identifier of the staked NFT.
+   * @param stakeMoreLeox The amount of additional LEOX tokens to be staked.
    */
-  function updateEmissionRate(address collectionAddress, uint256 rewardRate, uint256 endTime) external whenNotPaused onlyRole(ADMIN_ROLE) {
-    // Revert if the reward rate is 0 (invalid for emissions).
-    if (rewardRate == 0) revert GalileoStakingErrors.InvalidRewardRate();
+  function stakeLeoxTokens(address collectionAddress, uint256 tokenId, uint256 stakeMoreLeox) external whenNotPaused nonReentrant {
+    // Add the LEOX tokens to the position
+    _stakeLeoxTokens(collectionAddress, tokenId, stakeMoreLeox);
 
-    // Update the emission rate for the collection with the provided reward rate and end time.
-    _updateEmissionRate(collectionAddress, rewardRate, endTime);
+    // Transfer the additional LEOX tokens from the staker to the contract.
+    IERC20(LEOX).safeTransferFrom(_msgSender(), address(this), stakeMoreLeox);
   }
 
   /**
-   * @dev Internal function to update the share per window and set a new emission rate.
+   * @dev Stakes additional LEOX tokens for a staked NFT like `stakeLeoxTokens`, the LEOX being pulled with a permit
+   * signed by the caller instead of a prior approval.
    *
-   * @param collectionAddress The address of the collection contract.
-   * @param rewardRate The new reward rate to be set for the upcoming reward window.
-   * @param endTime The end time of the new reward window.
+   * @param collectionAddress The address of the NFT collection.
+   * @param tokenId The unique identifier of the staked NFT.
+   * @param stakeMoreLeox The amount of additional LEOX tokens to be staked.
+   * @param permit The ERC-2612 or Permit2 permit of the caller, allowing at least `stakeMoreLeox`.
    */
-
-  function _updateEmissionRate(address collectionAddress, uint256 rewardRate, uint256 endTime) internal {
-    // Retrieve the total number of reward windows for the specified collection.
-    uint256 totalRewardWindows = state.pools[collectionAddress].rewardCount;
-
-    // Check if there are any reward windows initialized for the collection.
-    if (totalRewardWindows == 0) revert GalileoStakingErrors.CollectionUninitialized();
-
-    // Update the stored reward per token for the collection to the current value.
-    state.rewardPerTokenStored[collectionAddress] = rewardPerToken(collectionAddress);
-
-    // Set start time to current block timestamp
-    uint256 startTime = block.timestamp;
-
-    // Update the last update time for the collection to the current block timestamp.
-    state.lastUpdateTime[collectionAddress] = startTime;
-
-    // Access the pool data associated with the collection address.
-    GalileoStakingStorage.PoolData storage pool = state.pools[collectionAddress];
-
-    // Determine the index for the new reward window.
-    uint256 lastIndex = pool.rewardWindows.length - 1;
-
-    // Allow endTime to be 0 (no end time) or greater than startTime
-    if (endTime != 0 && endTime <= startTime) revert GalileoStakingErrors.InvalidEndTime();
-
-    // Close the last reward window by setting its end time
-    pool.rewardWindows[lastIndex].endTime = startTime;
-
-    // Create and add a new reward window
-    pool.rewardWindows.push(GalileoStakingStorage.RewardWindow({ rewardRate: rewardRate, startTime: startTime, endTime: endTime }));
-
-    // Update reward window count
-    pool.rewardCount = pool.rewardWindows.length;
-
-    // Emit an event indicating that emission rate is updated.
-    emit UpdateEmissionRate(collectionAddress, rewardRate, startTime);
+  function stakeLeoxTokensWithPermit(
+    address collectionAddress,
+    uint256 tokenId,
+    uint256 stakeMoreLeox,
+    GalileoStakingStorage.LeoxPermit calldata permit
+  ) external whenNotPaused nonReentrant {
+    // Add the LEOX tokens to the position
+    _stakeLeoxTokens(collectionAddress, tokenId, stakeMoreLeox);
+
+    // Pull the additional LEOX tokens with the permit
+    _transferLeoxWithPermit(stakeMoreLeox, permit);
   }
 
   /**
-   * @dev Stakes additional LEOX tokens for a staked NFT, updating the staker's position and points.
-   *
-   * This function allows users to add more LEOX tokens to an existing staked NFT position.
-   * It updates the staker's points based on the new total of staked LEOX tokens and ensures
-   * the staked amount does not exceed the maximum allowed per NFT.
+   * @dev Internal function to add LEOX tokens to a position of the caller and recompute its points. The caller
+   * transfers the LEOX tokens.
    *
    * @param collectionAddress The address of the NFT collection.
    * @param tokenId The unique identifier of the staked NFT.
    * @param stakeMoreLeox The amount of additional LEOX tokens to be staked.
    */
-  function stakeLeoxTokens(address collectionAddress, uint256 tokenId, uint256 stakeMoreLeox) external whenNotPaused nonReentrant {
+  function _stakeLeoxTokens(address collectionAddress, uint256 tokenId, uint256 stakeMoreLeox) internal {
     // Validate that the emergency is declared yet
     if (state.isEmergencyDeclared[collectionAddress]) revert GalileoStakingErrors.EmergencyDeclared();
 
@@ -489,26 +399,246 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
       revert GalileoStakingErrors.InvalidTokensCount(_stakeInfo.maxLeox);
     }
 
-    // Calculate the updated points for the staked NFT with the new LEOX amount.
-    uint256 newPoints = calculatePoints(collectionAddress, stakePerCitizen.citizen, totalLeox, stakePerCitizen.timelockEndTime);
+    // Update the staker's position with the new staked LEOX tokens and recompute its points.
+    stakePerCitizen.stakedLEOX = totalLeox;
+    uint256 newPoints = _updatePoints(recipient, collectionAddress, stakePerCitizen);
+
+    // Emit an event indicating that more LEOX tokens were added to the stake.
+    emit StakeLeoxTokens(collectionAddress, recipient, tokenId, stakePerCitizen.citizen, newPoints, totalLeox);
+  }
+
+  /**
+   * @dev Compounds the rewards of a staked token into its staked LEOX, without a transfer in or out of the contract.
+   *
+   * The rewards are taxed at the compound tax of the pool, then added to the staked LEOX up to the maximum LEOX of
+   * the citizen and the points of the token are recomputed. The rewards that do not fit are paid to the staker and
+   * taxed at the pool tax, as a withdrawal would be.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param tokenId The ID of the staked token.
+   */
+  function compound(address collectionAddress, uint256 tokenId) external whenNotPaused nonReentrant {
+    // Retrieve the position of the token staked by the sender.
+    (address recipient, GalileoStakingStorage.StakePerCitizen storage stakePerCitizen) = _getStakedPosition(collectionAddress, tokenId);
+
+    //  This ensures that the reward calculations are up-to-date before compounding.
+    _updateReward(tokenId, collectionAddress, recipient);
+
+    // Revert if the token has no rewards to compound
+    uint256 rewardAmount = state.rewards[recipient][collectionAddress][tokenId];
+    if (rewardAmount == 0) revert GalileoStakingErrors.InvalidAmount(rewardAmount);
+
+    // Revert the transaction if the reward token amount in the pool is less than reward value.
+    if (state.rewardPool[collectionAddress] < rewardAmount) revert GalileoStakingErrors.InvalidAmountRewardPoolBalance();
+
+    // LEOX the token can still stake below the maximum of its citizen
+    uint256 maxLeox = getYieldTraitPoints(collectionAddress, stakePerCitizen.citizen).maxLeox;
+    uint256 room = maxLeox - stakePerCitizen.stakedLEOX;
+
+    // Compound every reward if they fit once taxed, otherwise the largest part that fits
+    uint256 compoundTaxPercent = state.compoundTax[collectionAddress];
+    uint256 compoundedRewards = rewardAmount;
+    if (rewardAmount - (rewardAmount * compoundTaxPercent) / 100 ether > room) {
+      compoundedRewards = (room * 100 ether) / (100 ether - compoundTaxPercent);
+    }
+    uint256 compoundedLeox = _calculateTax(collectionAddress, compoundedRewards, compoundTaxPercent);
+
+    // The rewards left are withdrawn and taxed at the pool tax
+    uint256 rewardsPaid = _calculateTax(collectionAddress, rewardAmount - compoundedRewards, state.pools[collectionAddress].tax);
+
+    // Reset the reward balance of the token and take the rewards out of the pool
+    state.rewards[recipient][collectionAddress][tokenId] = 0;
+    state.rewardPool[collectionAddress] -= rewardAmount;
+    _releaseCommittedRewards(collectionAddress, rewardAmount);
+
+    // Update the staker's position with the compounded LEOX and recompute its points.
+    uint256 totalLeox = stakePerCitizen.stakedLEOX + compoundedLeox;
+    stakePerCitizen.stakedLEOX = totalLeox;
+    uint256 newPoints = _updatePoints(recipient, collectionAddress, stakePerCitizen);
+
+    // Transfer the rewards that did not fit in the stake
+    if (rewardsPaid > 0) IERC20(LEOX).safeTransfer(recipient, rewardsPaid);
+
+    // Emit an event indicating that the rewards were compounded
+    emit CompoundRewards(collectionAddress, recipient, tokenId, rewardAmount, compoundedLeox, rewardsPaid, newPoints, totalLeox);
+  }
+
+  /**
+   * @dev Unstakes part of the LEOX tokens of a staked token, which stays staked with its points recomputed.
+   *
+   * The LEOX tokens unstaked before the lock period ends are charged the unstake penalty of the collection, which is
+   * added to its tax. Rewards are accrued with the current points beforehand.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param tokenId The ID of the staked token.
+   * @param leoxAmount The amount of LEOX tokens to unstake, at most the staked amount.
+   */
+  function unstakeLeoxTokens(address collectionAddress, uint256 tokenId, uint256 leoxAmount) external whenNotPaused nonReentrant {
+    // Retrieve the position of the token staked by the sender.
+    (address recipient, GalileoStakingStorage.StakePerCitizen storage stakePerCitizen) = _getStakedPosition(collectionAddress, tokenId);
+
+    // Ensure the amount is staked
+    if (leoxAmount == 0 || leoxAmount > stakePerCitizen.stakedLEOX) revert GalileoStakingErrors.InvalidAmount(leoxAmount);
+
+    //  This ensures that the rewards are accrued with the current points before they change.
+    _updateReward(tokenId, collectionAddress, recipient);
+
+    // Update the staker's position with the remaining LEOX and recompute its points.
+    uint256 totalLeox = stakePerCitizen.stakedLEOX - leoxAmount;
+    stakePerCitizen.stakedLEOX = totalLeox;
+    uint256 newPoints = _updatePoints(recipient, collectionAddress, stakePerCitizen);
+
+    // Charge the penalty while the token is locked
+    uint256 leoxAfterPenalty = leoxAmount;
+    if (block.timestamp < _getLockEnd(recipient, collectionAddress, tokenId)) {
+      leoxAfterPenalty = _calculateTax(collectionAddress, leoxAmount, state.unstakeLeoxPenalty[collectionAddress]);
+    }
+
+    // Transfer the unstaked LEOX tokens to the staker
+    IERC20(LEOX).safeTransfer(recipient, leoxAfterPenalty);
+
+    // Emit an event indicating that LEOX tokens were unstaked
+    emit UnstakeLeoxTokens(collectionAddress, recipient, tokenId, leoxAmount, leoxAmount - leoxAfterPenalty, newPoints, totalLeox);
+  }
+
+  /**
+   * @dev Extends the lock period of a staked token, or renews it once ended, to a duration of the collection multipliers.
+   *
+   * The new lock period starts now and cannot end before the current one. The points of the token are recomputed
+   * with the staking boost of the new duration.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param tokenId The ID of the staked token.
+   * @param newDuration The new lock duration, one of the staking times set with `setMultipliers`.
+   */
+  function extendLock(address collectionAddress, uint256 tokenId, uint256 newDuration) external whenNotPaused nonReentrant {
+    // Retrieve the position of the token staked by the sender.
+    (address recipient, GalileoStakingStorage.StakePerCitizen storage stakePerCitizen) = _getStakedPosition(collectionAddress, tokenId);
+
+    // Ensure the new lock period does not end before the current one
+    uint256 lockPeriodEnd = _getLockEnd(recipient, collectionAddress, tokenId);
+    if (block.timestamp + newDuration < lockPeriodEnd) revert GalileoStakingErrors.LockNotExtended(lockPeriodEnd);
+
+    //  This ensures that the rewards are accrued with the current points before they change.
+    _updateReward(tokenId, collectionAddress, recipient);
+
+    // Start the new lock period and recompute the points, reverting if the duration has no multiplier.
+    stakePerCitizen.timelockStartTime = block.timestamp;
+    stakePerCitizen.timelockEndTime = newDuration;
+    uint256 newPoints = _updatePoints(recipient, collectionAddress, stakePerCitizen);
+
+    // Emit an event indicating that the lock was extended
+    emit ExtendLock(collectionAddress, recipient, tokenId, newDuration, block.timestamp + newDuration, newPoints);
+  }
+
+  /**
+   * @dev Turns the auto-renewal of the lock of a staked token on or off.
+   *
+   * While on, a lock period that ends rolls over to a new one of the same duration, so the token cannot be unstaked.
+   * Turning it off lets the running period end.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param tokenId The ID of the staked token.
+   * @param autoRenew Whether the lock rolls over when it ends.
+   */
+  function setAutoRenew(address collectionAddress, uint256 tokenId, bool autoRenew) external whenNotPaused {
+    // Get the address of the user who is calling the function (msg.sender).
+    address recipient = _msgSender();
+
+    // Retrieve the staker's position for the specified token within the collection.
+    GalileoStakingStorage.StakePerCitizen storage stakePerCitizen = state.stakersPosition[recipient][collectionAddress][tokenId];
+
+    // Ensure the token is already staked by the sender.
+    if (tokenId == 0 || stakePerCitizen.tokenId != tokenId) revert GalileoStakingErrors.TokenNotStaked();
+
+    // The running period, rolled over or not, becomes the stored one
+    uint256 lockPeriodEnd = _getLockEnd(recipient, collectionAddress, tokenId);
+    stakePerCitizen.timelockStartTime = lockPeriodEnd - stakePerCitizen.timelockEndTime;
+    state.stakedNFTs[recipient][collectionAddress][state.stakedNFTIndex[recipient][collectionAddress][tokenId]] = stakePerCitizen;
+
+    // Update the auto-renewal flag of the token
+    state.autoRenew[recipient][collectionAddress][tokenId] = autoRenew;
+
+    // Emit an event indicating that the auto-renewal was updated
+    emit SetAutoRenew(collectionAddress, recipient, tokenId, autoRenew, lockPeriodEnd);
+  }
+
+  /**
+   * @dev Internal function to retrieve the position of a token staked by the sender, outside of an emergency.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param tokenId The ID of the staked token.
+   * @return recipient The address of the sender, who staked the token.
+   * @return stakePerCitizen The position of the staked token.
+   */
+  function _getStakedPosition(
+    address collectionAddress,
+    uint256 tokenId
+  ) internal view returns (address recipient, GalileoStakingStorage.StakePerCitizen storage stakePerCitizen) {
+    // Validate that the emergency is declared yet
+    if (state.isEmergencyDeclared[collectionAddress]) revert GalileoStakingErrors.EmergencyDeclared();
+
+    // Input Validation: Ensure the collection address is not the zero address.
+    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+    //  This ensures that the token id must not be zero.
+    if (tokenId == 0) revert GalileoStakingErrors.InvalidTokenId();
+
+    // Get the address of the user who is calling the function (msg.sender).
+    recipient = _msgSender();
+
+    // Retrieve the staker's position for the specified token within the collection.
+    stakePerCitizen = state.stakersPosition[recipient][collectionAddress][tokenId];
+
+    // Ensure the token is already staked by the sender.
+    if (stakePerCitizen.tokenId != tokenId) revert GalileoStakingErrors.TokenNotStaked();
+  }
+
+  /**
+   * @dev Internal function to compute the end of the running lock period of a staked token.
+   * A lock with auto-renewal that has ended is rolled over by as many periods as needed to end in the future.
+   *
+   * @param recipient The address of the staker.
+   * @param collectionAddress The address of the NFT collection.
+   * @param tokenId The ID of the staked token.
+   * @return lockPeriodEnd The time the running lock period ends.
+   */
+  function _getLockEnd(address recipient, address collectionAddress, uint256 tokenId) internal view returns (uint256 lockPeriodEnd) {
+    GalileoStakingStorage.StakePerCitizen storage stakeInfo = state.stakersPosition[recipient][collectionAddress][tokenId];
+    uint256 duration = stakeInfo.timelockEndTime;
+    lockPeriodEnd = stakeInfo.timelockStartTime + duration;
+
+    // Roll an ended lock over to the period running now
+    if (state.autoRenew[recipient][collectionAddress][tokenId] && block.timestamp >= lockPeriodEnd) {
+      lockPeriodEnd += ((block.timestamp - lockPeriodEnd) / duration + 1) * duration;
+    }
+  }
+
+  /**
+   * @dev Internal function to recompute the points of a staked token after its staked LEOX or lock changed.
+   * It updates the total points of the pool and the copy of the position in the staked NFTs of the staker.
+   *
+   * @param recipient The address of the staker.
+   * @param collectionAddress The address of the NFT collection.
+   * @param stakePerCitizen The position of the staked token.
+   * @return newPoints The updated points of the staked token.
+   */
+  function _updatePoints(
+    address recipient,
+    address collectionAddress,
+    GalileoStakingStorage.StakePerCitizen storage stakePerCitizen
+  ) internal returns (uint256 newPoints) {
+    // Calculate the updated points for the staked NFT.
+    newPoints = calculatePoints(collectionAddress, stakePerCitizen.citizen, stakePerCitizen.stakedLEOX, stakePerCitizen.timelockEndTime);
 
     // Update the total points for the pool by subtracting the old points and adding the new points.
     GalileoStakingStorage.PoolData storage pool = state.pools[collectionAddress];
     pool.totalPoints = pool.totalPoints - stakePerCitizen.points + newPoints;
-
-    // Update the staker's position with the new points and staked LEOX tokens.
     stakePerCitizen.points = newPoints;
-    stakePerCitizen.stakedLEOX = totalLeox;
 
     // Update the stakedNFTs list for the user.
-    uint256 index = state.stakedNFTIndex[recipient][collectionAddress][tokenId];
+    uint256 index = state.stakedNFTIndex[recipient][collectionAddress][stakePerCitizen.tokenId];
     state.stakedNFTs[recipient][collectionAddress][index] = stakePerCitizen;
-
-    // Transfer the additional LEOX tokens from the staker to the contract.
-    IERC20(LEOX).safeTransferFrom(recipient, address(this), stakeMoreLeox);
-
-    // Emit an event indicating that more LEOX tokens were added to the stake.
-    emit StakeLeoxTokens(collectionAddress, recipient, tokenId, stakePerCitizen.citizen, newPoints, totalLeox);
   }
 
   /**
@@ -575,38 +705,17 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
   /**
    * @dev Calculates the reward per token for a specific collection based on the reward windows.
    *
+   * Every reward window overlapping the period since the last update accrues at its own rate, so the schedule is
+   * integrated correctly however many windows started or ended in between. Accrual stops once the reward pool is
+   * fully committed.
+   *
    * @param collectionAddress The address of the NFT collection for which rewards are being calculated.
    * @return The calculated reward per token, scaled to 18 decimals.
    */
 
   function rewardPerToken(address collectionAddress) public view returns (uint256) {
-    // Retrieve the pool data for the specified collection.
-    GalileoStakingStorage.PoolData storage pool = state.pools[collectionAddress];
-
-    // If no tokens are staked in the pool, return the last stored reward per token value.
-    if (pool.totalPoints == 0) return state.rewardPerTokenStored[collectionAddress];
-
-    // Start with the last stored reward per token.
-    uint256 rewardPerTokenAcc = state.rewardPerTokenStored[collectionAddress];
-
-    // Loop through the reward windows in reverse order, starting with the most recent.
-    GalileoStakingStorage.RewardWindow memory rewardWindow = pool.rewardWindows[pool.rewardWindows.length - 1];
-    // Only consider reward windows that have already started.
-    if (block.timestamp > rewardWindow.startTime) {
-      // Use the lesser of `block.timestamp` or `endTime` to calculate the reward period
-      uint256 effectiveEndTime = (rewardWindow.endTime > 0 && block.timestamp > rewardWindow.endTime)
-        ? rewardWindow.endTime
-        : block.timestamp;
-
-      // Prevent underflow by ensuring effectiveEndTime > lastUpdateTime
-      if (effectiveEndTime > state.lastUpdateTime[collectionAddress]) {
-        // Calculate the time period for which rewards are being distributed
-        uint256 timePeriod = effectiveEndTime - state.lastUpdateTime[collectionAddress];
-
-        // Calculate and accumulate the reward per token based on the time period
-        rewardPerTokenAcc += (rewardWindow.rewardRate * timePeriod * 1e18) / pool.totalPoints;
-      }
-    }
+    // Integrate the reward windows since the last update of the collection
+    (uint256 rewardPerTokenAcc, ) = _accrueRewards(collectionAddress);
 
     // Return the accumulated reward per token.
     return rewardPerTokenAcc;
@@ -660,13 +769,14 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
 
   /**
    * @dev Internal function to withdraw the accumulated rewards for a staked token.
-   * It calculates the rewards, resets the reward balance, transfers the reward, and emits an event.
+   * It calculates the rewards, resets the reward balance and emits an event, the caller transfers the reward.
    *
    * @param recipient The address of the staker withdrawing the rewards.
    * @param collectionAddress The address of the NFT collection.
    * @param tokenId The ID of the staked token.
+   * @return rewardsAfterTax The net reward amount to transfer to the recipient.
    */
-  function _withdrawRewards(address recipient, address collectionAddress, uint256 tokenId) internal {
+  function _withdrawRewards(address recipient, address collectionAddress, uint256 tokenId) internal returns (uint256 rewardsAfterTax) {
     // Calculate the rewards earned by the recipient for the given collection and token ID.
     uint256 rewardAmount = calculateRewards(recipient, collectionAddress, tokenId);
 
@@ -674,7 +784,7 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
     GalileoStakingStorage.PoolData memory pool = state.pools[collectionAddress];
 
     // Apply tax deductions to the reward amount based on the pool's tax rate.
-    uint256 rewardsAfterTax = _calculateTax(collectionAddress, rewardAmount, pool.tax);
+    rewardsAfterTax = _calculateTax(collectionAddress, rewardAmount, pool.tax);
 
     // Revert the transaction if the reward amount after tax is zero.
     if (rewardsAfterTax == 0) revert GalileoStakingErrors.InvalidAmount(rewardsAfterTax);
@@ -683,7 +793,7 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
     uint256 poolRewardTokenAmount = state.rewardPool[collectionAddress];
 
     // Revert the transaction if the reward token amount in the pool is less than reward value.
-    if (poolRewardTokenAmount <= rewardAmount) revert GalileoStakingErrors.InvalidAmountRewardPoolBalance();
+    if (poolRewardTokenAmount < rewardAmount) revert GalileoStakingErrors.InvalidAmountRewardPoolBalance();
 
     // Reset the reward balance for this token and collection to zero after withdrawal.
     state.rewards[recipient][collectionAddress][tokenId] = 0;
@@ -691,13 +801,92 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
     // Deduct the reward amount after tax from the pool
     state.rewardPool[collectionAddress] -= rewardAmount;
 
-    // Transfer the net reward amount (after tax) to the recipient.
-    IERC20(LEOX).safeTransfer(recipient, rewardsAfterTax);
+    // The rewards paid are no longer committed
+    _releaseCommittedRewards(collectionAddress, rewardAmount);
 
     // Emit an event to log the withdrawal of rewards, including timestamp for tracking.
     emit WithdrawRewards(recipient, collectionAddress, tokenId, rewardsAfterTax, block.timestamp);
   }
 
+  /**
+   * @dev Internal function to withdraw the rewards of a token staked by the recipient, without unstaking it.
+   * The reward per token of the collection must be updated first, the caller transfers the reward. A token without
+   * rewards, e.g. staked once the reward pool was used up, pays nothing.
+   *
+   * @param recipient The address of the staker withdrawing the rewards.
+   * @param collectionAddress The address of the NFT collection.
+   * @param tokenId The ID of the staked token.
+   * @return The net reward amount to transfer to the recipient.
+   */
+  function _claimRewards(address recipient, address collectionAddress, uint256 tokenId) internal returns (uint256) {
+    // Validate the token ID to ensure it is greater than zero
+    if (tokenId == 0) revert GalileoStakingErrors.InvalidTokenId();
+
+    // Ensure that the token is currently staked by the recipient
+    if (state.stakersPosition[recipient][collectionAddress][tokenId].tokenId != tokenId) revert GalileoStakingErrors.TokenNotStaked();
+
+    // Settle the rewards of the token, then withdraw them if there are any
+    _updateTokenReward(tokenId, collectionAddress, recipient);
+    if (state.rewards[recipient][collectionAddress][tokenId] == 0) return 0;
+    return _withdrawRewards(recipient, collectionAddress, tokenId);
+  }
+
+  /**
+   * @dev Withdraw the rewards of a token staked by the caller in a collection, without unstaking it.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param tokenId The ID of the staked token.
+   */
+  function withdrawRewards(address collectionAddress, uint256 tokenId) external whenNotPaused nonReentrant {
+    // Input Validation: Ensure the collection address is not the zero address.
+    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+    // Update the reward per token stored value and the last update time for the collection.
+    _updateRewardPerToken(collectionAddress);
+
+    // Revert the transaction if the token has no rewards to withdraw.
+    uint256 rewardsAfterTax = _claimRewards(_msgSender(), collectionAddress, tokenId);
+    if (rewardsAfterTax == 0) revert GalileoStakingErrors.InvalidAmount(rewardsAfterTax);
+
+    // Transfer the net reward amount (after tax) to the caller.
+    IERC20(LEOX).safeTransfer(_msgSender(), rewardsAfterTax);
+  }
+
+  /**
+   * @dev Withdraw the rewards of a list of tokens staked by the caller in a collection, without unstaking them.
+   *
+   * The reward per token is updated once and the rewards are transferred at once, a `WithdrawRewards` event is
+   * emitted for each token with rewards. It reverts only if none of the tokens has rewards.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param tokenIds The IDs of the staked tokens.
+   */
+  function withdrawRewardsBatch(address collectionAddress, uint256[] calldata tokenIds) external whenNotPaused nonReentrant {
+    // Input Validation: Ensure the collection address is not the zero address.
+    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+    // Revert if there is no token to withdraw the rewards of
+    if (tokenIds.length == 0) revert GalileoStakingErrors.InvalidInput();
+
+    // Get the address of the user who is calling the function (msg.sender).
+    address recipient = _msgSender();
+
+    // Update the reward per token stored value and the last update time for the collection.
+    _updateRewardPerToken(collectionAddress);
+
+    // Accumulate the net rewards of every token
+    uint256 rewardsAfterTax = 0;
+    for (uint256 i = 0; i < tokenIds.length; i++) {
+      rewardsAfterTax += _claimRewards(recipient, collectionAddress, tokenIds[i]);
+    }
+
+    // Revert the transaction if none of the tokens has rewards to withdraw.
+    if (rewardsAfterTax == 0) revert GalileoStakingErrors.InvalidAmount(rewardsAfterTax);
+
+    // Transfer the net reward amount (after tax) of every token to the recipient.
+    IERC20(LEOX).safeTransfer(recipient, rewardsAfterTax);
+  }
+
   /**
    * @dev Withdraw all rewards for a user for all staked token IDs in a specific collection.
    * The function ensures the caller has a valid collection address.
@@ -707,22 +896,118 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
    */
   function withdrawAllRewards(address collectionAddress) external whenNotPaused nonReentrant {
     // Call the internal function that handles the reward withdrawal logic.
-    _withdrawAllRewards(collectionAddress);
+    _withdrawAllRewards(collectionAddress, _msgSender(), _msgSender());
+  }
+
+  /**
+   * @dev Withdraw all rewards of the caller for all staked token IDs in a specific collection to another address,
+   * e.g. from a cold wallet to a hot wallet.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param to The address the rewards are paid to.
+   */
+  function withdrawAllRewardsTo(address collectionAddress, address to) external whenNotPaused nonReentrant {
+    // Ensure the rewards are not paid to the zero address
+    if (to == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+    _withdrawAllRewards(collectionAddress, _msgSender(), to);
+  }
+
+  /**
+   * @dev Withdraw all rewards of a staker for all staked token IDs in a specific collection on its behalf.
+   * The caller must be the staker or one of its claim operators, and the rewards are paid to the rewards
+   * beneficiary of the staker, or to the staker if it has none.
+   *
+   * @param owner The address of the staker.
+   * @param collectionAddress The address of the NFT collection.
+   */
+  function withdrawAllRewardsFor(address owner, address collectionAddress) external whenNotPaused nonReentrant {
+    // Ensure the caller is allowed to claim the rewards of the staker
+    address caller = _msgSender();
+    if (caller != owner && !state.claimOperators[owner][caller]) revert GalileoStakingErrors.UnauthorizedClaimOperator();
+
+    _withdrawAllRewards(collectionAddress, owner, getRewardsBeneficiary(owner));
+  }
+
+  /**
+   * @dev Withdraw all rewards of a staker for all staked token IDs in a specific collection with an authorization
+   * signed by the staker, so that anyone, e.g. a relayer, can submit it.
+   *
+   * @param claimRewards The signed authorization. A zero recipient pays the rewards beneficiary of the staker.
+   */
+  function withdrawAllRewardsWithSig(GalileoStakingStorage.ClaimRewards calldata claimRewards) external whenNotPaused nonReentrant {
+    address owner = claimRewards.owner;
+
+    // Ensure the authorization has not expired
+    if (block.timestamp > claimRewards.deadline) revert GalileoStakingErrors.SignatureExpired(claimRewards.deadline);
+
+    // Ensure the authorization carries the staker's current claim nonce
+    uint256 currentNonce = state.claimNonces[owner];
+    if (claimRewards.nonce != currentNonce) revert GalileoStakingErrors.InvalidNonce(currentNonce);
+
+    // Ensure the authorization is signed by the staker
+    bytes32 digest = _hashTypedDataV4(
+      keccak256(
+        abi.encode(
+          CLAIM_REWARDS_TYPEHASH,
+          owner,
+          claimRewards.collectionAddress,
+          claimRewards.recipient,
+          claimRewards.nonce,
+          claimRewards.deadline
+        )
+      )
+    );
+    if (ECDSA.recover(digest, claimRewards.signature) != owner) revert GalileoStakingErrors.InvalidSignature();
+
+    // Consume the nonce so the same authorization cannot be used again
+    state.claimNonces[owner] = currentNonce + 1;
+
+    address to = claimRewards.recipient == address(0) ? getRewardsBeneficiary(owner) : claimRewards.recipient;
+    _withdrawAllRewards(claimRewards.collectionAddress, owner, to);
+  }
+
+  /**
+   * @dev Allows or disallows an address to withdraw the rewards of the caller with `withdrawAllRewardsFor`.
+   *
+   * @param operator The address of the claim operator.
+   * @param approved Whether the operator can claim the rewards of the caller.
+   */
+  function setClaimOperator(address operator, bool approved) external whenNotPaused {
+    // Input Validation: Ensure the operator is not the zero address.
+    if (operator == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+    address owner = _msgSender();
+    state.claimOperators[owner][operator] = approved;
+
+    emit SetClaimOperator(owner, operator, approved);
+  }
+
+  /**
+   * @dev Sets the address the rewards of the caller are paid to when claimed by an operator or with a signed
+   * authorization that names no recipient.
+   *
+   * @param beneficiary The address the rewards are paid to, zero for the caller itself.
+   */
+  function setRewardsBeneficiary(address beneficiary) external whenNotPaused {
+    address owner = _msgSender();
+    state.rewardsBeneficiary[owner] = beneficiary;
+
+    emit SetRewardsBeneficiary(owner, beneficiary);
   }
 
   /**
    * @dev Internal function to handle the logic of withdrawing all rewards for a given collection address.
-   * This function iterates over all staked token IDs of the user and accumulates the rewards.
+   * This function iterates over all staked token IDs of the staker and accumulates the rewards.
    *
    * @param collectionAddress The address of the NFT collection.
+   * @param recipient The address of the staker whose rewards are withdrawn.
+   * @param to The address the rewards are paid to.
    */
-  function _withdrawAllRewards(address collectionAddress) internal {
+  function _withdrawAllRewards(address collectionAddress, address recipient, address to) internal {
     // Input Validation: Ensure the collection address is not the zero address.
     if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
 
-    // Get the address of the user who is calling the function (msg.sender).
-    address recipient = _msgSender();
-
     // Fetch the array of all staked NFTs for the user in the specified collection.
     GalileoStakingStorage.StakePerCitizen[] memory stakedNFTs = state.stakedNFTs[recipient][collectionAddress];
 
@@ -735,11 +1020,8 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
     // Get the current time
     uint256 currentTime = block.timestamp;
 
-    // Update the reward per token stored value for the collection to the most current value.
-    state.rewardPerTokenStored[collectionAddress] = rewardPerToken(collectionAddress);
-
-    // Update the last update time for the collection to the current block timestamp.
-    state.lastUpdateTime[collectionAddress] = currentTime;
+    // Update the reward per token stored value and the last update time for the collection.
+    _updateRewardPerToken(collectionAddress);
 
     // Loop through each staked NFT token in the collection.
     for (uint256 i = 0; i < stakedNFTs.length; i++) {
@@ -777,11 +1059,17 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
     // Deduct the full reward amount from the reward pool
     state.rewardPool[collectionAddress] -= totalRewardAmount;
 
-    // If the reward after tax is greater than zero, transfer the reward tokens to the user.
-    IERC20(LEOX).safeTransfer(recipient, rewardsAfterTax);
+    // The rewards paid are no longer committed
+    _releaseCommittedRewards(collectionAddress, totalRewardAmount);
+
+    // If the reward after tax is greater than zero, transfer the reward tokens to the payee.
+    IERC20(LEOX).safeTransfer(to, rewardsAfterTax);
 
     // Emit an event to log the reward withdrawal for the user across all token IDs in the collection.
     emit WithdrawAllRewards(collectionAddress, recipient, rewardsAfterTax, currentTime);
+
+    // Log the payee when the rewards are not paid to the staker
+    if (to != recipient) emit WithdrawAllRewardsTo(collectionAddress, recipient, to, rewardsAfterTax);
   }
 
   /**
@@ -817,8 +1105,129 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
    * @param tokenId The unique identifier of the staked token to be unstaked.
    */
   function unstake(address collectionAddress, uint256 tokenId) external whenNotPaused nonReentrant {
+    //  This ensures that the reward calculations are up-to-date before executing the unstake function logic.
+    _updateRewardPerToken(collectionAddress);
+
     // Call the internal function to handle the unstaking process
-    _unstake(collectionAddress, tokenId);
+    uint256 leoxAmount = _unstake(collectionAddress, tokenId);
+
+    // Transfer the rewards and the staked LEOX tokens back to the recipient
+    IERC20(LEOX).safeTransfer(_msgSender(), leoxAmount);
+  }
+
+  /**
+   * @dev Unstakes several tokens of a collection whose locks have ended, and claims their rewards.
+   *
+   * The reward per token is updated once and the rewards and staked LEOX of every token are transferred at once,
+   * `WithdrawRewards` and `UnstakeToken` events are emitted for each token.
+   *
+   * @param collectionAddress The address of the NFT collection contract to which the staked tokens belong.
+   * @param tokenIds The IDs of the staked tokens to be unstaked.
+   */
+  function unstakeBatch(address collectionAddress, uint256[] calldata tokenIds) external whenNotPaused nonReentrant {
+    // Revert if there is nothing to unstake
+    if (tokenIds.length == 0) revert GalileoStakingErrors.InvalidInput();
+
+    //  This ensures that the reward calculations are up-to-date before executing the unstake function logic.
+    _updateRewardPerToken(collectionAddress);
+
+    // Unstake each token and accumulate the LEOX to transfer
+    uint256 leoxAmount = 0;
+    for (uint256 i = 0; i < tokenIds.length; i++) leoxAmount += _unstake(collectionAddress, tokenIds[i]);
+
+    // Transfer the rewards and the staked LEOX tokens of every token back to the recipient
+    IERC20(LEOX).safeTransfer(_msgSender(), leoxAmount);
+  }
+
+  /**
+   * @dev Unstakes a token before its lock ends, when the collection allows it, and claims its remaining rewards.
+   *
+   * Part of the accrued rewards and of the staked LEOX tokens is forfeited, pro-rated by the lock time remaining,
+   * see `quoteEarlyUnstake`. The penalties go to the reward pool or to the tax of the collection.
+   *
+   * @param collectionAddress The address of the NFT collection contract to which the staked token belongs.
+   * @param tokenId The ID of the staked token.
+   */
+  function earlyUnstake(address collectionAddress, uint256 tokenId) external whenNotPaused nonReentrant {
+    // Retrieve the position of the token staked by the sender.
+    (address recipient, GalileoStakingStorage.StakePerCitizen storage stakePerCitizen) = _getStakedPosition(collectionAddress, tokenId);
+    GalileoStakingStorage.StakePerCitizen memory stakeInfo = stakePerCitizen;
+
+    // Ensure the collection allows unstaking before the lock ends
+    GalileoStakingStorage.EarlyUnstakeParams memory params = state.earlyUnstake[collectionAddress];
+    if (!params.enabled) revert GalileoStakingErrors.EarlyUnstakeDisabled();
+
+    //  This ensures that the reward calculations are up-to-date before executing the unstake function logic.
+    _updateReward(tokenId, collectionAddress, recipient);
+
+    // Forfeit the penalties of the rewards and the staked LEOX tokens
+    (uint256 rewardsPenalty, uint256 leoxPenalty) = quoteEarlyUnstake(recipient, collectionAddress, tokenId);
+    uint256 rewards = state.rewards[recipient][collectionAddress][tokenId] - rewardsPenalty;
+    state.rewards[recipient][collectionAddress][tokenId] = rewards;
+    _releaseCommittedRewards(collectionAddress, rewardsPenalty);
+    if (params.toRewardPool) {
+      // The forfeited rewards stay in the reward pool, funding future emissions with the forfeited LEOX tokens
+      state.rewardPool[collectionAddress] += leoxPenalty;
+    } else {
+      // Move the forfeited rewards from the reward pool to the tax, along with the forfeited LEOX tokens
+      state.rewardPool[collectionAddress] -= rewardsPenalty;
+      state.tax[collectionAddress] += rewardsPenalty + leoxPenalty;
+    }
+
+    // Withdraw the remaining rewards, if any
+    uint256 leoxAmount = stakeInfo.stakedLEOX - leoxPenalty;
+    if (rewards != 0) leoxAmount += _withdrawRewards(recipient, collectionAddress, tokenId);
+
+    // Remove the position and transfer the unstaked token back to the recipient
+    _removePosition(recipient, collectionAddress, tokenId, stakeInfo.points);
+
+    // Transfer the rewards and the remaining staked LEOX tokens back to the recipient
+    IERC20(LEOX).safeTransfer(recipient, leoxAmount);
+
+    // Emit an event to notify that the token has been unstaked early
+    emit EarlyUnstakeToken(
+      collectionAddress,
+      recipient,
+      tokenId,
+      stakeInfo.points,
+      stakeInfo.stakedLEOX - leoxPenalty,
+      rewardsPenalty,
+      leoxPenalty,
+      params.toRewardPool
+    );
+  }
+
+  /**
+   * @notice Returns the penalties of unstaking a token now with `earlyUnstake`.
+   *
+   * Each penalty is its percentage of the accrued rewards or of the staked LEOX tokens, times the share of the lock
+   * duration remaining. Both are zero once the lock has ended.
+   *
+   * @param recipient The address of the staker.
+   * @param collectionAddress The address of the collection to query.
+   * @param tokenId The ID of the staked token.
+   * @return rewardsPenalty The rewards that would be forfeited, before tax.
+   * @return leoxPenalty The staked LEOX tokens that would be forfeited.
+   */
+  function quoteEarlyUnstake(
+    address recipient,
+    address collectionAddress,
+    uint256 tokenId
+  ) public view returns (uint256 rewardsPenalty, uint256 leoxPenalty) {
+    // Ensure that the token is currently staked by the recipient
+    GalileoStakingStorage.StakePerCitizen memory stakeInfo = state.stakersPosition[recipient][collectionAddress][tokenId];
+    if (tokenId == 0 || stakeInfo.tokenId != tokenId) revert GalileoStakingErrors.TokenNotStaked();
+
+    // No penalty once the lock has ended
+    uint256 lockPeriodEnd = _getLockEnd(recipient, collectionAddress, tokenId);
+    if (block.timestamp >= lockPeriodEnd) return (0, 0);
+
+    // Pro-rate the penalties by the lock time remaining
+    GalileoStakingStorage.EarlyUnstakeParams memory params = state.earlyUnstake[collectionAddress];
+    uint256 remaining = lockPeriodEnd - block.timestamp;
+    uint256 scale = 100 ether * stakeInfo.timelockEndTime;
+    rewardsPenalty = (calculateRewards(recipient, collectionAddress, tokenId) * params.rewardsPenalty * remaining) / scale;
+    leoxPenalty = (stakeInfo.stakedLEOX * params.leoxPenalty * remaining) / scale;
   }
 
   /**
@@ -830,12 +1239,15 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
    * - Adjusting the pool's total points.
    * - Updating and cleaning up the staker's information.
    * - Burning the Soul Bound Token if applicable.
-   * - Transferring the token and staked LEOX tokens back to the recipient.
+   * - Transferring the token back to the recipient.
+   *
+   * The caller updates the reward per token of the collection beforehand and transfers the returned LEOX tokens.
    *
    * @param collectionAddress The address of the collection contract from which the token is staked.
    * @param tokenId The ID of the token that is being unstaked.
+   * @return The rewards after tax and the staked LEOX tokens to transfer to the recipient.
    */
-  function _unstake(address collectionAddress, uint256 tokenId) internal {
+  function _unstake(address collectionAddress, uint256 tokenId) internal returns (uint256) {
     // Validate the collection address to ensure it is not a zero address
     if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
 
@@ -851,61 +1263,31 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
     // Ensure that the token is currently staked by checking its ID
     if (stakeInfo.tokenId != tokenId) revert GalileoStakingErrors.TokenNotStaked();
 
-    // Calculate the total lock period.
-    uint256 lockTimePeriod = stakeInfo.timelockStartTime + stakeInfo.timelockEndTime;
+    // Calculate the end of the lock period, rolled over while auto-renewed.
+    uint256 lockTimePeriod = _getLockEnd(recipient, collectionAddress, tokenId);
 
     // Ensure that unstaking is not allowed until the lock period has passed.
     if (block.timestamp < lockTimePeriod) revert GalileoStakingErrors.UnstakeBeforeLockPeriod(lockTimePeriod);
 
-    //  This ensures that the reward calculations are up-to-date before executing the unstake function logic.
-    _updateReward(tokenId, collectionAddress, recipient);
-
-    // Withdraw any rewards associated with the staked token
-    _withdrawRewards(recipient, collectionAddress, tokenId);
-
-    // Calculate the points to be subtracted from the pool's total points
-    uint256 points = stakeInfo.points;
-
-    // Update the pool's total points by subtracting the points of the unstaked token
-    state.pools[collectionAddress].totalPoints -= points;
-
-    // Decrement the total staked amount for the collection
-    state.erc721Staked[collectionAddress] -= PRECISION;
-
-    // Remove the staker's position record for the token
-    delete state.stakersPosition[recipient][collectionAddress][tokenId];
-    delete state.lastRewardTime[recipient][collectionAddress][tokenId];
-
-    // Retrieve the index of the token in the staked NFTs array
-    uint256 index = state.stakedNFTIndex[recipient][collectionAddress][tokenId];
-    uint256 lastIndex = state.stakedNFTs[recipient][collectionAddress].length - 1;
-
-    if (index != lastIndex) {
-      // Swap the token to be removed with the last element in the array
-      GalileoStakingStorage.StakePerCitizen memory lastStakeInfo = state.stakedNFTs[recipient][collectionAddress][lastIndex];
-      state.stakedNFTs[recipient][collectionAddress][index] = lastStakeInfo;
-      state.stakedNFTIndex[recipient][collectionAddress][lastStakeInfo.tokenId] = index;
-    }
-
-    // Remove the last element from the staked NFTs array
-    state.stakedNFTs[recipient][collectionAddress].pop();
-    delete state.stakedNFTIndex[recipient][collectionAddress][tokenId];
-
-    // Burn the Soul Bound Token associated with the unstaked token
-    _burnSoulBoundToken(collectionAddress, tokenId);
+    //  This ensures that the reward calculations of the token are up-to-date before executing the unstake function logic.
+    _updateTokenReward(tokenId, collectionAddress, recipient);
 
-    // Transfer the unstaked token back to the recipient
-    IERC721(collectionAddress).transferFrom(address(this), recipient, tokenId);
+    // Withdraw any rewards associated with the staked token, there are none once the reward pool is used up
+    uint256 rewards = state.rewards[recipient][collectionAddress][tokenId];
+    uint256 rewardsAfterTax = rewards != 0 ? _withdrawRewards(recipient, collectionAddress, tokenId) : 0;
 
-    // Transfer the staked LEOX tokens back to the recipient
-    IERC20(LEOX).safeTransfer(recipient, stakeInfo.stakedLEOX);
+    // Remove the position and transfer the unstaked token back to the recipient
+    _removePosition(recipient, collectionAddress, tokenId, stakeInfo.points);
 
     // Emit an event to notify that the token has been unstaked
-    emit UnstakeToken(collectionAddress, recipient, tokenId, points, stakeInfo.stakedLEOX);
+    emit UnstakeToken(collectionAddress, recipient, tokenId, stakeInfo.points, stakeInfo.stakedLEOX);
+
+    // Return the rewards and the staked LEOX tokens to transfer
+    return rewardsAfterTax + stakeInfo.stakedLEOX;
   }
 
   /**
-   * @dev Emergency Unstake Tokens a previously staked token without claims any associated rewards.
+   * @dev Emergency Unstake Tokens a previously staked token, freezing its rewards until the emergency ends.
    *
    * This function performs the following operations:
    * - Validates the collection address and token ID.
@@ -920,13 +1302,14 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
   }
 
   /**
-   * @dev Internal function to emergency unstake tokens, does not withdraw rewards, and return staked assets.
+   * @dev Internal function to emergency unstake tokens, freezes the rewards, and return staked assets.
    *
    * This function handles the complete process of unstaking a token, which includes:
    * - Validating that the token is indeed staked.
    * - Adjusting the pool's total points.
    * - Updating and cleaning up the staker's information.
    * - Burning the Soul Bound Token if applicable.
+   * - Moving the rewards accrued until the emergency to the frozen rewards of the recipient.
    * - Transferring the token and staked LEOX tokens back to the recipient.
    *
    * @param collectionAddress The address of the collection contract from which the token is staked.
@@ -936,27 +1319,95 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
     // Validate the collection address to ensure it is not a zero address
     if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
 
-    // Validate that the emergency is not declared yet
-    if (!state.isEmergencyDeclared[collectionAddress]) revert GalileoStakingErrors.EmergencyNotDeclared();
+    // Validate that the emergency is not declared yet
+    if (!state.isEmergencyDeclared[collectionAddress]) revert GalileoStakingErrors.EmergencyNotDeclared();
+
+    // Validate the token ID to ensure it is greater than zero
+    if (tokenId == 0) revert GalileoStakingErrors.InvalidTokenId();
+
+    // Get the address of the sender, who is the recipient of the unstaked token
+    address recipient = _msgSender();
+
+    // Retrieve the staker's position for the specified token within the collection
+    GalileoStakingStorage.StakePerCitizen memory stakeInfo = state.stakersPosition[recipient][collectionAddress][tokenId];
+
+    // Ensure that the token is currently staked by checking its ID
+    if (stakeInfo.tokenId != tokenId) revert GalileoStakingErrors.TokenNotStaked();
+
+    //  This ensures that the reward calculations are up-to-date before executing the unstake function logic.
+    _updateReward(tokenId, collectionAddress, recipient);
+
+    // Freeze the rewards of the token, they stay committed in the reward pool until claimed
+    uint256 rewardAmount = state.rewards[recipient][collectionAddress][tokenId];
+    state.rewards[recipient][collectionAddress][tokenId] = 0;
+    if (rewardAmount != 0) {
+      state.frozenRewards[recipient][collectionAddress] += rewardAmount;
+      state.totalFrozenRewards[collectionAddress] += rewardAmount;
+      emit FreezeRewards(collectionAddress, recipient, tokenId, rewardAmount);
+    }
+
+    // Remove the position and transfer the unstaked token back to the recipient
+    _removePosition(recipient, collectionAddress, tokenId, stakeInfo.points);
+
+    // Transfer the staked LEOX tokens back to the recipient
+    IERC20(LEOX).safeTransfer(recipient, stakeInfo.stakedLEOX);
+
+    // Emit an event to notify that the token has been unstaked
+    emit EmergencyUnstakeToken(collectionAddress, recipient, tokenId, stakeInfo.points, stakeInfo.stakedLEOX);
+  }
+
+  /**
+   * @dev Claims the rewards frozen by the emergency unstakes of the sender in a collection.
+   *
+   * The rewards are claimable once the emergency is lifted, or once an admin releases them during the emergency. They
+   * are taxed at the pool tax, as a withdrawal would be.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   */
+  function claimFrozenRewards(address collectionAddress) external whenNotPaused nonReentrant {
+    // Ensure the emergency is lifted or the frozen rewards are released
+    if (state.isEmergencyDeclared[collectionAddress] && !state.isFrozenRewardsReleased[collectionAddress]) {
+      revert GalileoStakingErrors.FrozenRewardsLocked();
+    }
+
+    // Get the address of the sender, who is the recipient of the rewards
+    address recipient = _msgSender();
 
-    // Validate the token ID to ensure it is greater than zero
-    if (tokenId == 0) revert GalileoStakingErrors.InvalidTokenId();
+    // Apply tax deductions to the frozen rewards based on the pool's tax rate.
+    uint256 rewardAmount = state.frozenRewards[recipient][collectionAddress];
+    uint256 rewardsAfterTax = _calculateTax(collectionAddress, rewardAmount, state.pools[collectionAddress].tax);
 
-    // Get the address of the sender, who is the recipient of the unstaked token
-    address recipient = _msgSender();
+    // Revert the transaction if the reward amount after tax is zero.
+    if (rewardsAfterTax == 0) revert GalileoStakingErrors.InvalidAmount(rewardsAfterTax);
 
-    // Retrieve the staker's position for the specified token within the collection
-    GalileoStakingStorage.StakePerCitizen memory stakeInfo = state.stakersPosition[recipient][collectionAddress][tokenId];
+    // Revert the transaction if the reward token amount in the pool is less than reward value.
+    if (state.rewardPool[collectionAddress] < rewardAmount) revert GalileoStakingErrors.InvalidAmountRewardPoolBalance();
 
-    // Ensure that the token is currently staked by checking its ID
-    if (stakeInfo.tokenId != tokenId) revert GalileoStakingErrors.TokenNotStaked();
+    // Reset the frozen rewards and deduct them from the pool, where they are no longer committed
+    state.frozenRewards[recipient][collectionAddress] = 0;
+    state.totalFrozenRewards[collectionAddress] -= rewardAmount;
+    state.rewardPool[collectionAddress] -= rewardAmount;
+    _releaseCommittedRewards(collectionAddress, rewardAmount);
 
-    //  This ensures that the reward calculations are up-to-date before executing the unstake function logic.
-    _updateReward(tokenId, collectionAddress, recipient);
+    // Transfer the rewards to the recipient
+    IERC20(LEOX).safeTransfer(recipient, rewardsAfterTax);
 
-    // Calculate the points to be subtracted from the pool's total points
-    uint256 points = stakeInfo.points;
+    // Emit an event to log the claim of the frozen rewards
+    emit ClaimFrozenRewards(collectionAddress, recipient, rewardsAfterTax, rewardAmount - rewardsAfterTax);
+  }
 
+  /**
+   * @dev Internal function to remove the position of an unstaked token and transfer the token back to the staker.
+   *
+   * It subtracts the points of the token from the pool, cleans up the staker's information and burns the Soul Bound
+   * Token. Rewards and staked LEOX tokens are settled by the caller.
+   *
+   * @param recipient The address of the staker.
+   * @param collectionAddress The address of the collection contract from which the token is staked.
+   * @param tokenId The ID of the token that is being unstaked.
+   * @param points The points of the token.
+   */
+  function _removePosition(address recipient, address collectionAddress, uint256 tokenId, uint256 points) internal {
     // Update the pool's total points by subtracting the points of the unstaked token
     state.pools[collectionAddress].totalPoints -= points;
 
@@ -966,14 +1417,12 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
     // Remove the staker's position record for the token
     delete state.stakersPosition[recipient][collectionAddress][tokenId];
     delete state.lastRewardTime[recipient][collectionAddress][tokenId];
+    delete state.autoRenew[recipient][collectionAddress][tokenId];
 
     // Retrieve the index of the token in the staked NFTs array
     uint256 index = state.stakedNFTIndex[recipient][collectionAddress][tokenId];
     uint256 lastIndex = state.stakedNFTs[recipient][collectionAddress].length - 1;
 
-    // Set reward to zero
-    state.rewards[recipient][collectionAddress][tokenId] = 0;
-
     if (index != lastIndex) {
       // Swap the token to be removed with the last element in the array
       GalileoStakingStorage.StakePerCitizen memory lastStakeInfo = state.stakedNFTs[recipient][collectionAddress][lastIndex];
@@ -990,287 +1439,184 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
 
     // Transfer the unstaked token back to the recipient
     IERC721(collectionAddress).transferFrom(address(this), recipient, tokenId);
-
-    // Transfer the staked LEOX tokens back to the recipient
-    IERC20(LEOX).safeTransfer(recipient, stakeInfo.stakedLEOX);
-
-    // Emit an event to notify that the token has been unstaked
-    emit EmergencyUnstakeToken(collectionAddress, recipient, tokenId, points, stakeInfo.stakedLEOX);
   }
 
   /**
-   * @dev Function to configure a collection with stake information for LEOX tokens.
-   *
-   * @param collectionAddress The address of the collection contract.
-   * @param soulboundToken The address of the Soul Bound Token.
-   * @param stakeInfo An array of StakeInfo structs containing information about LEOX tokens.
+   * @notice Returns the nonce that the next stake voucher of a staker must carry.
+   * @param staker The address of the staker to query.
+   * @return The current voucher nonce of the staker.
    */
-  function configureNewCollection(
-    address collectionAddress,
-    address soulboundToken,
-    uint256 tokenIdsCount,
-    GalileoStakingStorage.StakeInfoInput[] calldata stakeInfo
-  ) external whenNotPaused onlyRole(ADMIN_ROLE) {
-    if (collectionAddress == address(0) || soulboundToken == address(0)) revert GalileoStakingErrors.InvalidAddress();
-
-    // Get the collection's name from the ERC721 contract
-    string memory collectionName = ERC721(collectionAddress).name();
-
-    // Check if the collection is new
-    bool isNewCollection = (state.soulboundTokenToCollection[collectionAddress] == address(0));
-
-    // If it's a new collection, associate the collection with the SBT contract
-    if (isNewCollection) {
-      state.soulboundTokenToCollection[collectionAddress] = soulboundToken;
-    }
-
-    // Loop through the provided staking details
-    for (uint256 i = 0; i < stakeInfo.length; i++) {
-      if (stakeInfo[i].maxLeox == 0 || stakeInfo[i].yieldTraitPoints == 0) revert GalileoStakingErrors.InvalidInput();
-
-      // Check that the maxLeox and yieldTraitPoints follow a consistent hierarchy
-      if (i > 0) {
-        // Ensure that maxLeox decreases (is in descending order) compared to the previous tier
-        if (stakeInfo[i].maxLeox > stakeInfo[i - 1].maxLeox) revert GalileoStakingErrors.InvalidLeoxHierarchy();
-
-        // Ensure that yieldTraitPoints do not decrease compared to the previous tier
-        if (stakeInfo[i].yieldTraitPoints > stakeInfo[i - 1].yieldTraitPoints) revert GalileoStakingErrors.InvalidTraitPointsHierarchy();
-      }
-
-      // Create a new stake info object
-      GalileoStakingStorage.StakeInfo memory newStakeInfo = GalileoStakingStorage.StakeInfo(
-        stakeInfo[i].maxLeox, // Maximum LEOX reward for this tier
-        stakeInfo[i].yieldTraitPoints, // Yield trait points associated with this tier
-        collectionName // Name of the collection (fetched earlier)
-      );
-
-      // Append the new staking info to the existing array for this collection
-      state.stakeTokensInfo[collectionAddress].push(newStakeInfo);
-    }
-
-    // set the total number of nebula tokens as the total supply
-    uint256 totalSupply = tokenIdsCount;
-
-    // Store the updated total supply of the collection (converted to 18 decimals)
-    state.erc721Supply[collectionAddress] = totalSupply * PRECISION;
-
-    // Emit an event to record the collection configuration
-    emit ConfigureCollection(collectionAddress, stakeInfo);
+  function getNonce(address staker) external view returns (uint256) {
+    // Return the current voucher nonce of the staker
+    return state.nonces[staker];
   }
 
   /**
-   * @dev Function to configure pools with reward windows and tax information.
-   *
-   * This function updates the configuration of multiple pools based on the input array of PoolConfigurationInput structs.
-   * Each pool is configured with a tax rate and a list of reward windows.
-   *
-   * @param poolConfigurationsInput An array of PoolConfigurationInput structs containing pool configuration information.
+   * @notice Returns the nonce that the next claim authorization of a staker must carry.
+   * @param owner The address of the staker to query.
+   * @return The current claim nonce of the staker.
    */
-  function configurePool(
-    GalileoStakingStorage.PoolConfigurationInput[] memory poolConfigurationsInput
-  ) external whenNotPaused onlyRole(ADMIN_ROLE) {
-    // Iterate through each input in the array
-    for (uint256 i; i < poolConfigurationsInput.length; ) {
-      // Get the collection address
-      address collectionAddress = poolConfigurationsInput[i].collectionAddress;
-
-      // Ensure the collection address is valid
-      if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
-
-      // Ensure the pool is not already initialized
-      if (state.pools[collectionAddress].rewardCount > 0) revert GalileoStakingErrors.PoolAlreadyInitialized();
-
-      // Ensure that only one reward window is provided in the configuration
-      if (poolConfigurationsInput[i].rewardWindows.length != 1) revert GalileoStakingErrors.MultipleRewardWindowsNotAllowed();
-
-      // Validate and set the tax rate for the pool
-      if (poolConfigurationsInput[i].tax > MAX_TAX_LIMIT) revert GalileoStakingErrors.InvalidTaxRate();
-      state.pools[collectionAddress].tax = poolConfigurationsInput[i].tax;
-
-      // Initialize reward count to 1
-      state.pools[collectionAddress].rewardCount = 1;
-
-      // Add the first reward window to the pool
-      state.pools[collectionAddress].rewardWindows.push(poolConfigurationsInput[i].rewardWindows[0]);
-
-      // Emit an event to log the pool configuration
-      emit ConfigurePool(collectionAddress, poolConfigurationsInput[i].tax, poolConfigurationsInput[i].rewardWindows);
-
-      // Increment the index for the next input
-      unchecked {
-        i++;
-      }
-    }
+  function getClaimNonce(address owner) external view returns (uint256) {
+    return state.claimNonces[owner];
   }
 
   /**
-   * @dev Updates the tax percentage for the specified NFT collection.
-   *
-   * @param collectionAddress The address of the NFT collection for which the tax is being updated.
-   * @param newTaxPercent The new tax percentage to be applied (must be non-zero and within the max limit).
+   * @notice Returns whether an address can claim the rewards of a staker with `withdrawAllRewardsFor`.
+   * @param owner The address of the staker.
+   * @param operator The address of the claim operator.
+   * @return Whether the operator is approved by the staker.
    */
-  function updateTax(address collectionAddress, uint256 newTaxPercent) external whenNotPaused onlyRole(ADMIN_ROLE) {
-    // Check if the collection address is valid
-    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
-
-    // Ensure the new tax percentage is non-zero
-    if (newTaxPercent == 0) revert GalileoStakingErrors.InvalidAmount(newTaxPercent);
-
-    // Ensure the new tax percentage does not exceed the maximum allowed tax limit
-    if (newTaxPercent > MAX_TAX_LIMIT) revert GalileoStakingErrors.InvalidTaxRate();
+  function isClaimOperator(address owner, address operator) external view returns (bool) {
+    return state.claimOperators[owner][operator];
+  }
 
-    // Retrieve the pool data for the specified collection.
-    GalileoStakingStorage.PoolData storage pool = state.pools[collectionAddress];
+  /**
+   * @notice Returns the address the rewards of a staker are paid to when claimed on its behalf.
+   * @param owner The address of the staker.
+   * @return The rewards beneficiary of the staker, or the staker if it has none.
+   */
+  function getRewardsBeneficiary(address owner) public view returns (address) {
+    address beneficiary = state.rewardsBeneficiary[owner];
+    return beneficiary == address(0) ? owner : beneficiary;
+  }
 
-    // Ensure the pool is already configured against collection address
-    if (pool.rewardCount == 0) revert GalileoStakingErrors.PoolUninitialized(collectionAddress);
+  /**
+   * @notice Returns the ERC-2771 forwarder relaying meta-transactions.
+   * @return The address of the trusted forwarder, zero if meta-transactions are disabled.
+   */
+  function getTrustedForwarder() external view returns (address) {
+    return state.trustedForwarder;
+  }
 
-    // Update the tax percentage for the specified collection
-    pool.tax = newTaxPercent;
+  /**
+   * @notice Returns the Permit2 contract pulling LEOX with signatures.
+   * @return The address of Permit2, zero if Permit2 permits are disabled.
+   */
+  function getPermit2() external view returns (address) {
+    return state.permit2;
+  }
 
-    // Emit an event to signal that the tax has been updated
-    emit UpdateTax(collectionAddress, newTaxPercent);
+  /**
+   * @notice Returns the current reward pool balance for a specific collection.
+   * @param collectionAddress The address of the collection to query.
+   * @return The amount of LEOX tokens available in the reward pool for the specified collection.
+   */
+  function getRewardPoolBalance(address collectionAddress) external view returns (uint256) {
+    // Return the reward pool balance for the given collection
+    return state.rewardPool[collectionAddress];
   }
 
   /**
-   * @dev Function to set staking multipliers for a collection.
-   *
-   * This function updates the staking multipliers for a specific collection address.
-   * The multipliers are stored as an array of Multiplier structs.
-   *
-   * @param collectionAddress The address of the collection contract.
-   * @param multipliers An array of Multiplier structs containing staking time and boost information.
+   * @notice Returns the end of the running lock period of a staked token and whether it rolls over when it ends.
+   * @param recipient The address of the staker.
+   * @param collectionAddress The address of the collection to query.
+   * @param tokenId The ID of the staked token.
+   * @return lockPeriodEnd The time the token can be unstaked from, if auto-renewal is turned off before.
+   * @return autoRenew Whether the lock rolls over when it ends.
    */
-  function setMultipliers(
+  function getLock(
+    address recipient,
     address collectionAddress,
-    GalileoStakingStorage.Multiplier[] calldata multipliers
-  ) external whenNotPaused onlyRole(ADMIN_ROLE) {
-    // Check if the collection address is valid
-    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
-
-    // Retrieve existing multipliers for the collection
-    GalileoStakingStorage.Multiplier[] storage existingMultipliers = state.stakingBoostPerCollection[collectionAddress];
-
-    // Clear existing multipliers if they exist
-    if (existingMultipliers.length > 0) delete state.stakingBoostPerCollection[collectionAddress];
-
-    // Add the new multipliers to the collection's multipliers list
-    for (uint16 i = 0; i < multipliers.length; i++) state.stakingBoostPerCollection[collectionAddress].push(multipliers[i]);
-
-    // Emit an event to signify the successful setting of multipliers for the collection
-    emit SetMultipliers(collectionAddress, multipliers);
+    uint256 tokenId
+  ) external view returns (uint256 lockPeriodEnd, bool autoRenew) {
+    // Ensure that the token is currently staked by the recipient
+    if (tokenId == 0 || state.stakersPosition[recipient][collectionAddress][tokenId].tokenId != tokenId) {
+      revert GalileoStakingErrors.TokenNotStaked();
+    }
+    return (_getLockEnd(recipient, collectionAddress, tokenId), state.autoRenew[recipient][collectionAddress][tokenId]);
   }
 
   /**
-   * @dev Withdraws accumulated tax for a specific collection and transfers it to the caller.
-   *
-   * @param collectionAddress The address of the NFT collection whose tax is being withdrawn.
+   * @notice Returns the tax percentage on the rewards compounded of a collection.
+   * @param collectionAddress The address of the collection to query.
+   * @return The compound tax percentage, scaled by 1e18.
    */
-  function withdrawTax(address collectionAddress) external nonReentrant whenNotPaused onlyRole(ADMIN_ROLE) {
-    // Validate the collection address to ensure it is not a zero address
-    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
-
-    // Retrieve the total tax amount accumulated for the specified collection
-    uint256 taxAmount = state.tax[collectionAddress];
-
-    // Check if there is any tax to withdraw; revert if the tax amount is zero
-    if (taxAmount == 0) revert GalileoStakingErrors.InvalidAmount(taxAmount);
-
-    // Reset the tax amount for the collection to zero after withdrawal
-    state.tax[collectionAddress] = 0;
-
-    // The recipient of the tax withdrawal is the caller of this function
-    address recipient = _msgSender();
-
-    // Transfer the accumulated tax amount in LEOX tokens to the recipient
-    IERC20(LEOX).safeTransfer(recipient, taxAmount);
-
-    // Emit an event to log the tax withdrawal operation
-    emit WithdrawTax(collectionAddress, recipient, taxAmount);
+  function getCompoundTax(address collectionAddress) external view returns (uint256) {
+    return state.compoundTax[collectionAddress];
   }
 
   /**
-   * @dev Allows ADMIN_ROLE to deposit LEOX tokens into the reward pool for a specific collection.
-   *
-   * @param collectionAddress The address of the collection whose reward pool will be credited.
-   * @param leoxAmount The amount of LEOX tokens to deposit into the reward pool.
+   * @notice Returns the penalty percentage on the LEOX tokens unstaked before the lock ends of a collection.
+   * @param collectionAddress The address of the collection to query.
+   * @return The penalty percentage, scaled by 1e18.
    */
-  function depositRewards(address collectionAddress, uint256 leoxAmount) external onlyRole(ADMIN_ROLE) {
-    // Revert the transaction if the leox token is zero.
-    if (leoxAmount <= 0) revert GalileoStakingErrors.InvalidAmount(leoxAmount);
-
-    // Revert the transaction if the input collectionAddress is zero address.
-    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
-
-    // Transfer LEOX tokens to the reward pool
-    IERC20(LEOX).safeTransferFrom(_msgSender(), address(this), leoxAmount);
-
-    // Add transferred amount to the collection's reward pool
-    state.rewardPool[collectionAddress] += leoxAmount;
+  function getUnstakeLeoxPenalty(address collectionAddress) external view returns (uint256) {
+    return state.unstakeLeoxPenalty[collectionAddress];
+  }
 
-    // Emit an event for the reward deposit
-    emit DepositRewards(collectionAddress, leoxAmount);
+  /**
+   * @notice Returns the rewards frozen by the emergency unstakes of a staker in a collection.
+   * @param staker The address of the staker.
+   * @param collectionAddress The address of the collection to query.
+   * @return rewardAmount The frozen rewards, before tax.
+   * @return claimable Whether they can be claimed now with `claimFrozenRewards`.
+   */
+  function getFrozenRewards(address staker, address collectionAddress) external view returns (uint256 rewardAmount, bool claimable) {
+    rewardAmount = state.frozenRewards[staker][collectionAddress];
+    claimable = !state.isEmergencyDeclared[collectionAddress] || state.isFrozenRewardsReleased[collectionAddress];
   }
 
   /**
-   * @dev External function to declare an emergency for a given collection.
-   *
-   * @param collectionAddress The address of the NFT collection for which the emergency is being declared.
+   * @notice Returns the rewards frozen by emergency unstakes and not claimed yet in a collection.
+   * @param collectionAddress The address of the collection to query.
+   * @return The frozen rewards, before tax, still committed in the reward pool.
    */
-  function declareEmergency(address collectionAddress) external onlyRole(ADMIN_ROLE) {
-    // Call internal function to update emergency status and set reward rate to zero.
-    _emergencyStatus(collectionAddress, true, 0);
+  function getTotalFrozenRewards(address collectionAddress) external view returns (uint256) {
+    return state.totalFrozenRewards[collectionAddress];
   }
 
   /**
-   * @dev External function to lift an emergency for a given collection.
-   *
-   * @param collectionAddress The address of the NFT collection for which the emergency is being lifted.
-   * @param rewardRate The new reward rate to be applied after lifting the emergency.
+   * @notice Returns the penalties of unstaking a token before its lock ends of a collection.
+   * @param collectionAddress The address of the collection to query.
+   * @return The early unstake parameters of the collection.
    */
-  function liftEmergency(address collectionAddress, uint256 rewardRate) external onlyRole(ADMIN_ROLE) {
-    // Revert if the reward rate is 0 (invalid for emissions).
-    if (rewardRate == 0) revert GalileoStakingErrors.InvalidRewardRate();
+  function getEarlyUnstakeParams(address collectionAddress) external view returns (GalileoStakingStorage.EarlyUnstakeParams memory) {
+    return state.earlyUnstake[collectionAddress];
+  }
 
-    // Call internal function to lift the emergency and update the reward rate.
-    _emergencyStatus(collectionAddress, false, rewardRate);
+  /**
+   * @notice Returns the rewards of a collection accrued and not withdrawn yet, which its reward pool has to keep.
+   * @param collectionAddress The address of the collection to query.
+   * @return The amount of LEOX tokens committed to the stakers of the collection.
+   */
+  function getCommittedRewards(address collectionAddress) public view returns (uint256) {
+    // Add the rewards accrued since the last update to those committed
+    (, uint256 accruedRewards) = _accrueRewards(collectionAddress);
+    return state.committedRewards[collectionAddress] + accruedRewards;
   }
 
   /**
-   * @dev Internal function to declare or revoke emergency status for a specific collection.
+   * @notice Returns how long the uncommitted LEOX of a reward pool funds the reward windows of its collection.
    *
-   * @param collectionAddress The address of the NFT collection being updated.
-   * @param emergencyStatus A boolean value indicating the desired emergency status.
-   * @param rewardRate The reward rate associated with the collection. This value is set to zero when emergency status is declared.
+   * Emissions are assumed to accrue every second, which holds as long as tokens are staked.
+   *
+   * @param collectionAddress The address of the collection to query.
+   * @return The funded runway in seconds, `type(uint256).max` when every reward window is funded until it ends.
    */
-  function _emergencyStatus(address collectionAddress, bool emergencyStatus, uint256 rewardRate) internal {
-    // Validate the collection address to ensure it is not a zero address
-    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
+  function getRewardRunway(address collectionAddress) external view returns (uint256) {
+    // LEOX of the reward pool left for future emissions
+    uint256 fundedRewards = state.rewardPool[collectionAddress] - getCommittedRewards(collectionAddress);
 
-    // Ensure the collection is already configured
-    if (state.pools[collectionAddress].rewardCount == 0) revert GalileoStakingErrors.CollectionUninitialized();
+    // Follow the reward windows that have not ended yet
+    GalileoStakingStorage.RewardWindow[] storage rewardWindows = state.pools[collectionAddress].rewardWindows;
+    for (uint256 i = state.firstOpenRewardWindow[collectionAddress]; i < rewardWindows.length; i++) {
+      GalileoStakingStorage.RewardWindow memory rewardWindow = rewardWindows[i];
 
-    // Check if the current emergency state matches the input value
-    if (state.isEmergencyDeclared[collectionAddress] == emergencyStatus) revert GalileoStakingErrors.StateAlreadyDeclared();
+      // Emissions start at the later of the window start and now
+      uint256 startTime = rewardWindow.startTime > block.timestamp ? rewardWindow.startTime : block.timestamp;
 
-    // Update the emergency state to the new input value.
-    state.isEmergencyDeclared[collectionAddress] = emergencyStatus;
+      // Skip the windows that have ended or emit nothing
+      if (rewardWindow.rewardRate == 0 || (rewardWindow.endTime != 0 && rewardWindow.endTime <= startTime)) continue;
 
-    // Update the emission rate for the collection to zero
-    _updateEmissionRate(collectionAddress, rewardRate, 0);
-
-    // Emit an event to log the emergency status change.
-    emit DeclareEmergency(collectionAddress, emergencyStatus);
-  }
+      // The pool runs out within this window if it is open-ended or emits more than what is left
+      if (rewardWindow.endTime == 0 || rewardWindow.rewardRate * (rewardWindow.endTime - startTime) > fundedRewards) {
+        return startTime + fundedRewards / rewardWindow.rewardRate - block.timestamp;
+      }
+      fundedRewards -= rewardWindow.rewardRate * (rewardWindow.endTime - startTime);
+    }
 
-  /**
-   * @notice Returns the current reward pool balance for a specific collection.
-   * @param collectionAddress The address of the collection to query.
-   * @return The amount of LEOX tokens available in the reward pool for the specified collection.
-   */
-  function getRewardPoolBalance(address collectionAddress) external view returns (uint256) {
-    // Return the reward pool balance for the given collection
-    return state.rewardPool[collectionAddress];
+    // Every reward window is funded until it ends
+    return type(uint256).max;
   }
 
   /**
@@ -1448,6 +1794,20 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
     return (paginatedStakes, pageNumber, totalPages);
   }
 
+  /**
+   * @dev Internal function to release rewards that are paid or forfeited from the commitments of a collection.
+   *
+   * Rewards are rounded down per token, so the commitments can exceed what remains claimable by a few wei.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param rewardAmount The amount of LEOX tokens released.
+   */
+  function _releaseCommittedRewards(address collectionAddress, uint256 rewardAmount) internal {
+    // Never release more than what is committed
+    uint256 committedRewards = state.committedRewards[collectionAddress];
+    state.committedRewards[collectionAddress] = committedRewards > rewardAmount ? committedRewards - rewardAmount : 0;
+  }
+
   /**
    * @dev Internal function to update the reward information for a specific token ID, collection address, and recipient.
    * This function calculates the latest reward per token and updates the reward and related state variables.
@@ -1457,12 +1817,22 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
    * @param recipient The address of the user who owns the token and is eligible for the reward.
    */
   function _updateReward(uint256 tokenId, address collectionAddress, address recipient) internal {
-    // Update the stored reward per token for the given collection
-    state.rewardPerTokenStored[collectionAddress] = rewardPerToken(collectionAddress);
+    // Update the stored reward per token and the last update time for the given collection
+    _updateRewardPerToken(collectionAddress);
 
-    // Update the last time the reward was calculated for the collection
-    state.lastUpdateTime[collectionAddress] = block.timestamp;
+    // Update the rewards of the token
+    _updateTokenReward(tokenId, collectionAddress, recipient);
+  }
 
+  /**
+   * @dev Internal function to settle the rewards of a token at the stored reward per token of its collection, which the
+   * caller updates beforehand.
+   *
+   * @param tokenId The unique identifier of the token for which the reward is being updated.
+   * @param collectionAddress The address of the NFT collection that the token belongs to.
+   * @param recipient The address of the user who owns the token and is eligible for the reward.
+   */
+  function _updateTokenReward(uint256 tokenId, address collectionAddress, address recipient) internal {
     // Calculate and update the user's rewards for the specific token ID in the collection
     state.rewards[recipient][collectionAddress][tokenId] = calculateRewards(recipient, collectionAddress, tokenId);
 
@@ -1494,27 +1864,55 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
     IGALILEOSOULBOUNDTOKEN(soulboundToken).burn(tokenId);
   }
 
+  /**
+   * @dev Validates a `StakeTokens` voucher for the given staker and consumes the staker's nonce.
+   *
+   * @param stakeTokens The voucher being redeemed.
+   * @param staker The address redeeming the voucher.
+   */
+  function _useVoucher(GalileoStakingStorage.StakeTokens memory stakeTokens, address staker) internal {
+    // Ensure the voucher was issued to the address redeeming it
+    if (stakeTokens.staker != staker) revert GalileoStakingErrors.InvalidStaker();
+
+    // Ensure the voucher has not expired
+    if (block.timestamp > stakeTokens.deadline) revert GalileoStakingErrors.SignatureExpired(stakeTokens.deadline);
+
+    // Ensure the voucher carries the staker's current nonce
+    uint256 currentNonce = state.nonces[staker];
+    if (stakeTokens.nonce != currentNonce) revert GalileoStakingErrors.InvalidNonce(currentNonce);
+
+    // Recover and verify the voucher signature to ensure its authenticity.
+    _recover(stakeTokens);
+
+    // Consume the nonce so the same voucher cannot be used again
+    state.nonces[staker] = currentNonce + 1;
+  }
+
   /**
    * @dev Recovers the signer's address and verifies the authenticity of the provided `StakeTokens` voucher by hashing its data
    *        and comparing the result with the provided signature.
    *      - It uses EIP-712 typed data hashing to ensure the integrity of the data structure.
+   *      - The chain id is bound through the EIP-712 domain separator.
    *      - Additionally, the function checks if the recovered signer has the `VALIDATOR_ROLE` to ensure
    *        only authorized addresses can sign vouchers.
    * @param stakeTokens A struct containing details of the NFT staking voucher. It includes:
    *        - `collectionAddress`: The address of the NFT collection to which the voucher refers.
    *        - `tokenId`: The specific NFT token being staked.
    *        - `citizen`: The ID or address of the citizen participating in the staking.
+   *        - `timelockEndTime`: The lock duration of the stake.
+   *        - `stakedLeox`: The amount of LEOX tokens staked along with the NFT.
+   *        - `staker`: The address the voucher is issued to.
+   *        - `nonce`: The staker's voucher nonce.
+   *        - `deadline`: The timestamp after which the voucher expires.
    *        - `signature`: The signature that verifies the authenticity of the voucher.
    */
-  function _recover(GalileoStakingStorage.StakeTokens calldata stakeTokens) internal view {
+  function _recover(GalileoStakingStorage.StakeTokens memory stakeTokens) internal view {
     // EIP-712 provides a standardized way to hash typed data, ensuring consistent
     bytes32 digest = _hashTypedDataV4(
       keccak256(
         abi.encode(
-          keccak256(
-            // Define the structure of the typed data for the voucher in EIP-712 format.
-            "GalileoStakeTokens(address collectionAddress,uint256 tokenId,uint256 citizen,uint256 chainId)"
-          ),
+          // The structure of the typed data for the voucher in EIP-712 format.
+          STAKE_TOKENS_TYPEHASH,
           // Encode the actual data from the `StakeTokens` struct into the hash.
           // Address of the NFT collection.
           stakeTokens.collectionAddress,
@@ -1522,8 +1920,16 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
           stakeTokens.tokenId,
           // ID or address of the citizen in the staking process.
           stakeTokens.citizen,
-          // Chainid of the network where the transaction is being executed
-          block.chainid
+          // Lock duration of the stake.
+          stakeTokens.timelockEndTime,
+          // Amount of LEOX tokens staked with the NFT.
+          stakeTokens.stakedLeox,
+          // Address of the staker the voucher is issued to.
+          stakeTokens.staker,
+          // Nonce of the staker.
+          stakeTokens.nonce,
+          // Expiry of the voucher.
+          stakeTokens.deadline
         )
       )
     );
@@ -1536,35 +1942,192 @@ contract GalileoStaking is EIP712, Pausable, AccessControl, ReentrancyGuard, IER
     if (!hasRole(VALIDATOR_ROLE, signer)) revert GalileoStakingErrors.InvalidSignature();
   }
 
+  // ═══════════════════════ ADMIN FUNCTIONS ════════════════════════
+
+  /**
+   * @dev Internal function to run the called function of the admin module on the storage of this contract.
+   * Its revert reasons are bubbled up.
+   */
+  function _delegateToAdmin() internal {
+    Address.functionDelegateCall(ADMIN_MODULE, msg.data);
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-configureNewCollection}.
+   */
+  function configureNewCollection(address, address, uint256, GalileoStakingStorage.StakeInfoInput[] calldata) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-configurePool}.
+   */
+  function configurePool(GalileoStakingStorage.PoolConfigurationInput[] calldata) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-scheduleRewardWindow}.
+   */
+  function scheduleRewardWindow(address, uint256, uint256, uint256) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-cancelRewardWindow}.
+   */
+  function cancelRewardWindow(address, uint256) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-updateEmissionRate}.
+   */
+  function updateEmissionRate(address, uint256, uint256) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-updateTax}.
+   */
+  function updateTax(address, uint256) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-updateCompoundTax}.
+   */
+  function updateCompoundTax(address, uint256) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-updateUnstakeLeoxPenalty}.
+   */
+  function updateUnstakeLeoxPenalty(address, uint256) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-setEarlyUnstakeParams}.
+   */
+  function setEarlyUnstakeParams(address, GalileoStakingStorage.EarlyUnstakeParams calldata) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-setMultipliers}.
+   */
+  function setMultipliers(address, GalileoStakingStorage.Multiplier[] calldata) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-withdrawTax}.
+   */
+  function withdrawTax(address) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-depositRewards}.
+   */
+  function depositRewards(address, uint256) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-declareEmergency}.
+   */
+  function declareEmergency(address) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-liftEmergency}.
+   */
+  function liftEmergency(address, uint256) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-releaseFrozenRewards}.
+   */
+  function releaseFrozenRewards(address) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-setTrustedForwarder}.
+   */
+  function setTrustedForwarder(address) external {
+    _delegateToAdmin();
+  }
+
+  /**
+   * @dev See {GalileoStakingAdmin-setPermit2}.
+   */
+  function setPermit2(address) external {
+    _delegateToAdmin();
+  }
+
   /**
-   * @dev Function to pause the contract
-   * @notice Only callable by an address with the ADMIN_ROLE
+   * @dev See {GalileoStakingAdmin-pause}.
    */
-  function pause() external onlyRole(ADMIN_ROLE) {
-    // Internal function that triggers the paused state
-    _pause();
+  function pause() external {
+    _delegateToAdmin();
   }
 
   /**
-   * @dev Function to unpause the contract
-   * @notice Only callable by an address with the ADMIN_ROLE
+   * @dev See {GalileoStakingAdmin-unpause}.
    */
-  function unpause() external onlyRole(ADMIN_ROLE) {
-    // Internal function that lifts the paused state
-    _unpause();
+  function unpause() external {
+    _delegateToAdmin();
   }
 
   /**
-   * @dev Handles the receipt of ERC721 tokens.
-   * This function is called by the ERC721 token contract when tokens are transferred to this contract.
-   * It ensures that the contract accepts the transfer by returning the function selector.
-   * @param operator : Address of the caller, which is typically the address of the ERC721 token contract.
-   * @param from : Address from which the token is being transferred.
+   * @dev Handles the receipt of ERC721 tokens, staking them in the same transaction.
+   * This function is called by the ERC721 token contract when a token is transferred to this contract with
+   * `safeTransferFrom`. The data must be an ABI encoded `StakeTokens` voucher of the token, issued to its previous
+   * owner: the voucher is verified, the LEOX tokens are pulled from the owner and the soulbound token is issued as
+   * `stake` does. Transfers without a valid voucher revert, so that tokens cannot get stuck in this contract.
+   * The owner must send the token itself: an approved operator cannot stake it and pull the owner's LEOX.
+   * @param operator : Address which called `safeTransferFrom`.
+   * @param from : Address from which the token is being transferred, the staker.
    * @param tokenId : ID of the token being transferred.
-   * @param data : Additional data with no specified format, sent by the ERC721 contract.
+   * @param data : The ABI encoded `StakeTokens` voucher.
    * @return bytes4 : Function selector indicating that the transfer is accepted.
    */
-  function onERC721Received(address operator, address from, uint256 tokenId, bytes calldata data) public override returns (bytes4) {
+  function onERC721Received(
+    address operator,
+    address from,
+    uint256 tokenId,
+    bytes calldata data
+  ) external override whenNotPaused nonReentrant returns (bytes4) {
+    // Revert on transfers sent by an operator of the owner
+    if (operator != from) revert GalileoStakingErrors.InvalidStaker();
+
+    // Revert on transfers without a voucher
+    if (data.length == 0) revert GalileoStakingErrors.InvalidInput();
+
+    // Decode the voucher, which reverts if the data is not an encoded `StakeTokens`
+    GalileoStakingStorage.StakeTokens memory stakeTokens = abi.decode(data, (GalileoStakingStorage.StakeTokens));
+
+    // Ensure the voucher is for the received token, the caller being its collection
+    if (stakeTokens.collectionAddress != msg.sender || stakeTokens.tokenId != tokenId) revert GalileoStakingErrors.InvalidInput();
+
+    // Verify the voucher for the previous owner and consume its nonce so it cannot be replayed.
+    _useVoucher(stakeTokens, from);
+
+    //  This ensures that the reward calculations are up-to-date before executing the stake function logic.
+    _updateRewardPerToken(msg.sender);
+
+    // Call the internal function to handle the actual staking process, the token being already transferred
+    _stakeTokens(from, msg.sender, tokenId, stakeTokens.citizen, stakeTokens.timelockEndTime, stakeTokens.stakedLeox);
+
+    // Transfer the staked LEOX tokens to this contract
+    IERC20(LEOX).safeTransferFrom(from, address(this), stakeTokens.stakedLeox);
+
     // Return the function selector to indicate acceptance of the ERC721 token transfer
     return this.onERC721Received.selector;
   }
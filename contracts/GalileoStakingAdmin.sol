@@ -0,0 +1,612 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./GalileoStakingBase.sol";
+
+/**
+ * @dev Functions of GalileoStaking restricted to ADMIN_ROLE.
+ *
+ * GalileoStaking deploys this module in its constructor and delegates the calls of these functions to it, so that they
+ * run on its storage and emit its events while keeping GalileoStaking below the contract size limit. Called directly,
+ * the module runs on its own storage, where GalileoStaking is the only admin.
+ */
+contract GalileoStakingAdmin is GalileoStakingBase {
+  using SafeERC20 for IERC20;
+
+  // ═══════════════════════ CONSTRUCTOR ════════════════════════
+
+  /**
+   * @dev Constructor to initialize the module with the same immutables as GalileoStaking.
+   *
+   * @param leox The address of the LEOX token contract.
+   * @param increment INCREMENT value that indicates one point
+   */
+  constructor(address leox, uint256 increment) GalileoStakingBase(leox, increment) {}
+
+  // ═══════════════════════ FUNCTIONS ════════════════════════
+
+  /**
+   * @dev Function to configure a collection with stake information for LEOX tokens.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param soulboundToken The address of the Soul Bound Token.
+   * @param stakeInfo An array of StakeInfo structs containing information about LEOX tokens.
+   */
+  function configureNewCollection(
+    address collectionAddress,
+    address soulboundToken,
+    uint256 tokenIdsCount,
+    GalileoStakingStorage.StakeInfoInput[] calldata stakeInfo
+  ) external whenNotPaused onlyRole(ADMIN_ROLE) {
+    if (collectionAddress == address(0) || soulboundToken == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+    // Get the collection's name from the ERC721 contract
+    string memory collectionName = ERC721(collectionAddress).name();
+
+    // Check if the collection is new
+    bool isNewCollection = (state.soulboundTokenToCollection[collectionAddress] == address(0));
+
+    // If it's a new collection, associate the collection with the SBT contract
+    if (isNewCollection) {
+      state.soulboundTokenToCollection[collectionAddress] = soulboundToken;
+    }
+
+    // Loop through the provided staking details
+    for (uint256 i = 0; i < stakeInfo.length; i++) {
+      if (stakeInfo[i].maxLeox == 0 || stakeInfo[i].yieldTraitPoints == 0) revert GalileoStakingErrors.InvalidInput();
+
+      // Check that the maxLeox and yieldTraitPoints follow a consistent hierarchy
+      if (i > 0) {
+        // Ensure that maxLeox decreases (is in descending order) compared to the previous tier
+        if (stakeInfo[i].maxLeox > stakeInfo[i - 1].maxLeox) revert GalileoStakingErrors.InvalidLeoxHierarchy();
+
+        // Ensure that yieldTraitPoints do not decrease compared to the previous tier
+        if (stakeInfo[i].yieldTraitPoints > stakeInfo[i - 1].yieldTraitPoints) revert GalileoStakingErrors.InvalidTraitPointsHierarchy();
+      }
+
+      // Create a new stake info object
+      GalileoStakingStorage.StakeInfo memory newStakeInfo = GalileoStakingStorage.StakeInfo(
+        stakeInfo[i].maxLeox, // Maximum LEOX reward for this tier
+        stakeInfo[i].yieldTraitPoints, // Yield trait points associated with this tier
+        collectionName // Name of the collection (fetched earlier)
+      );
+
+      // Append the new staking info to the existing array for this collection
+      state.stakeTokensInfo[collectionAddress].push(newStakeInfo);
+    }
+
+    // set the total number of nebula tokens as the total supply
+    uint256 totalSupply = tokenIdsCount;
+
+    // Store the updated total supply of the collection (converted to 18 decimals)
+    state.erc721Supply[collectionAddress] = totalSupply * PRECISION;
+
+    // Emit an event to record the collection configuration
+    emit ConfigureCollection(collectionAddress, stakeInfo);
+  }
+
+  /**
+   * @dev Function to configure pools with reward windows and tax information.
+   *
+   * This function updates the configuration of multiple pools based on the input array of PoolConfigurationInput structs.
+   * Each pool is configured with a tax rate and a list of reward windows.
+   *
+   * @param poolConfigurationsInput An array of PoolConfigurationInput structs containing pool configuration information.
+   */
+  function configurePool(
+    GalileoStakingStorage.PoolConfigurationInput[] memory poolConfigurationsInput
+  ) external whenNotPaused onlyRole(ADMIN_ROLE) {
+    // Iterate through each input in the array
+    for (uint256 i; i < poolConfigurationsInput.length; ) {
+      // Get the collection address
+      address collectionAddress = poolConfigurationsInput[i].collectionAddress;
+
+      // Ensure the collection address is valid
+      if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+      // Ensure the pool is not already initialized
+      if (state.pools[collectionAddress].rewardCount > 0) revert GalileoStakingErrors.PoolAlreadyInitialized();
+
+      // Ensure that at least one reward window is provided in the configuration
+      GalileoStakingStorage.RewardWindow[] memory rewardWindows = poolConfigurationsInput[i].rewardWindows;
+      if (rewardWindows.length == 0) revert GalileoStakingErrors.InvalidInput();
+
+      // Validate and set the tax rate for the pool
+      if (poolConfigurationsInput[i].tax > MAX_TAX_LIMIT) revert GalileoStakingErrors.InvalidTaxRate();
+      state.pools[collectionAddress].tax = poolConfigurationsInput[i].tax;
+
+      // Add the schedule of reward windows to the pool, each one after the end of the previous one
+      for (uint256 j; j < rewardWindows.length; j++) {
+        if (j > 0) _validateRewardWindowStart(rewardWindows[j - 1], rewardWindows[j].startTime, j);
+        if (rewardWindows[j].endTime != 0 && rewardWindows[j].endTime <= rewardWindows[j].startTime) {
+          revert GalileoStakingErrors.InvalidEndTime();
+        }
+        state.pools[collectionAddress].rewardWindows.push(rewardWindows[j]);
+      }
+
+      // Update reward window count
+      state.pools[collectionAddress].rewardCount = rewardWindows.length;
+
+      // Emit an event to log the pool configuration
+      emit ConfigurePool(collectionAddress, poolConfigurationsInput[i].tax, poolConfigurationsInput[i].rewardWindows);
+
+      // Increment the index for the next input
+      unchecked {
+        i++;
+      }
+    }
+  }
+
+  /**
+   * @dev Appends a reward window to the schedule of a pool.
+   *
+   * The window must start after the end of the last scheduled window. A last window without end time is closed at the
+   * start of the new one.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param rewardRate The reward rate of the new reward window.
+   * @param startTime The start time of the new reward window, now or later.
+   * @param endTime The end time of the new reward window, 0 for no end time.
+   */
+  function scheduleRewardWindow(
+    address collectionAddress,
+    uint256 rewardRate,
+    uint256 startTime,
+    uint256 endTime
+  ) external whenNotPaused onlyRole(ADMIN_ROLE) {
+    // Revert if the reward rate is 0 (invalid for emissions).
+    if (rewardRate == 0) revert GalileoStakingErrors.InvalidRewardRate();
+
+    // Access the pool data associated with the collection address.
+    GalileoStakingStorage.PoolData storage pool = state.pools[collectionAddress];
+
+    // Ensure the pool is configured and not in emergency, during which nothing is emitted
+    if (pool.rewardCount == 0) revert GalileoStakingErrors.PoolUninitialized(collectionAddress);
+    if (state.isEmergencyDeclared[collectionAddress]) revert GalileoStakingErrors.EmergencyDeclared();
+
+    // Rewards already accrued cannot be changed, the window can only start now or later
+    if (startTime < block.timestamp) revert GalileoStakingErrors.InvalidTime();
+    if (endTime != 0 && endTime <= startTime) revert GalileoStakingErrors.InvalidEndTime();
+
+    // Close the last reward window at the start of the new one if it has no end time
+    uint256 index = pool.rewardWindows.length;
+    GalileoStakingStorage.RewardWindow storage lastWindow = pool.rewardWindows[index - 1];
+    if (lastWindow.endTime == 0 && lastWindow.startTime < startTime) lastWindow.endTime = startTime;
+    _validateRewardWindowStart(lastWindow, startTime, index);
+
+    // Add the new reward window and update reward window count
+    pool.rewardWindows.push(GalileoStakingStorage.RewardWindow({ rewardRate: rewardRate, startTime: startTime, endTime: endTime }));
+    pool.rewardCount = pool.rewardWindows.length;
+
+    // Emit an event to log the scheduled reward window
+    emit ScheduleRewardWindow(collectionAddress, index, rewardRate, startTime, endTime);
+  }
+
+  /**
+   * @dev Removes a reward window that has not started yet from the schedule of a pool.
+   *
+   * The following windows are shifted down by one, and nothing is emitted between the previous and the next window.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param index The index of the reward window, as returned by `getPoolConfiguration`.
+   */
+  function cancelRewardWindow(address collectionAddress, uint256 index) external whenNotPaused onlyRole(ADMIN_ROLE) {
+    // Access the reward windows associated with the collection address.
+    GalileoStakingStorage.RewardWindow[] storage rewardWindows = state.pools[collectionAddress].rewardWindows;
+
+    // Ensure the window exists and is not the only one, so that the pool stays initialized
+    if (index >= rewardWindows.length || rewardWindows.length == 1) revert GalileoStakingErrors.InvalidInput();
+
+    // Rewards of a started window may already be accrued
+    if (rewardWindows[index].startTime <= block.timestamp) revert GalileoStakingErrors.RewardWindowStarted(index);
+
+    // Shift the following reward windows and remove the last slot
+    for (uint256 i = index; i < rewardWindows.length - 1; i++) rewardWindows[i] = rewardWindows[i + 1];
+    rewardWindows.pop();
+
+    // Update reward window count
+    state.pools[collectionAddress].rewardCount = rewardWindows.length;
+
+    // Emit an event to log the cancelled reward window
+    emit CancelRewardWindow(collectionAddress, index);
+  }
+
+  /**
+   * @dev External function to update the share per window and set a new emission rate.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param rewardRate The new reward rate to be set for the upcoming reward window.
+   * @param endTime The end time of the new reward window.
+   */
+  function updateEmissionRate(address collectionAddress, uint256 rewardRate, uint256 endTime) external whenNotPaused onlyRole(ADMIN_ROLE) {
+    // Revert if the reward rate is 0 (invalid for emissions).
+    if (rewardRate == 0) revert GalileoStakingErrors.InvalidRewardRate();
+
+    // Update the emission rate for the collection with the provided reward rate and end time.
+    _updateEmissionRate(collectionAddress, rewardRate, endTime);
+  }
+
+  /**
+   * @dev Internal function to update the share per window and set a new emission rate.
+   *
+   * The running reward window is closed now. The windows that have not started yet are kept, the new one being
+   * inserted before them and ending at the start of the next one when it has no end time.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param rewardRate The new reward rate to be set for the upcoming reward window.
+   * @param endTime The end time of the new reward window.
+   */
+
+  function _updateEmissionRate(address collectionAddress, uint256 rewardRate, uint256 endTime) internal {
+    // Retrieve the total number of reward windows for the specified collection.
+    uint256 totalRewardWindows = state.pools[collectionAddress].rewardCount;
+
+    // Check if there are any reward windows initialized for the collection.
+    if (totalRewardWindows == 0) revert GalileoStakingErrors.CollectionUninitialized();
+
+    // Set start time to current block timestamp
+    uint256 startTime = block.timestamp;
+
+    // Allow endTime to be 0 (no end time) or greater than startTime
+    if (endTime != 0 && endTime <= startTime) revert GalileoStakingErrors.InvalidEndTime();
+
+    // Accrue the rewards of the current schedule up to now.
+    _updateRewardPerToken(collectionAddress);
+
+    // Access the pool data associated with the collection address.
+    GalileoStakingStorage.PoolData storage pool = state.pools[collectionAddress];
+    GalileoStakingStorage.RewardWindow[] storage rewardWindows = pool.rewardWindows;
+
+    // Find the first reward window that has not started yet, where the new one is inserted
+    uint256 index = rewardWindows.length;
+    while (index > 0 && rewardWindows[index - 1].startTime > startTime) index--;
+
+    // The new reward window ends at the start of the next scheduled one at the latest
+    if (index < rewardWindows.length) {
+      uint256 nextStartTime = rewardWindows[index].startTime;
+      if (endTime == 0) endTime = nextStartTime;
+      else if (endTime > nextStartTime) revert GalileoStakingErrors.RewardWindowsOverlap(index);
+    }
+
+    // Close the running reward window by setting its end time
+    if (index > 0) {
+      GalileoStakingStorage.RewardWindow storage lastWindow = rewardWindows[index - 1];
+      if (lastWindow.endTime == 0 || lastWindow.endTime > startTime) lastWindow.endTime = startTime;
+    }
+
+    // Insert the new reward window, shifting the scheduled ones by one
+    rewardWindows.push();
+    for (uint256 i = rewardWindows.length - 1; i > index; i--) rewardWindows[i] = rewardWindows[i - 1];
+    rewardWindows[index] = GalileoStakingStorage.RewardWindow({ rewardRate: rewardRate, startTime: startTime, endTime: endTime });
+
+    // Update reward window count
+    pool.rewardCount = rewardWindows.length;
+
+    // Emit an event indicating that emission rate is updated.
+    emit UpdateEmissionRate(collectionAddress, rewardRate, startTime);
+  }
+
+  /**
+   * @dev Updates the tax percentage for the specified NFT collection.
+   *
+   * @param collectionAddress The address of the NFT collection for which the tax is being updated.
+   * @param newTaxPercent The new tax percentage to be applied (must be non-zero and within the max limit).
+   */
+  function updateTax(address collectionAddress, uint256 newTaxPercent) external whenNotPaused onlyRole(ADMIN_ROLE) {
+    // Check if the collection address is valid
+    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+    // Ensure the new tax percentage is non-zero
+    if (newTaxPercent == 0) revert GalileoStakingErrors.InvalidAmount(newTaxPercent);
+
+    // Ensure the new tax percentage does not exceed the maximum allowed tax limit
+    if (newTaxPercent > MAX_TAX_LIMIT) revert GalileoStakingErrors.InvalidTaxRate();
+
+    // Retrieve the pool data for the specified collection.
+    GalileoStakingStorage.PoolData storage pool = state.pools[collectionAddress];
+
+    // Ensure the pool is already configured against collection address
+    if (pool.rewardCount == 0) revert GalileoStakingErrors.PoolUninitialized(collectionAddress);
+
+    // Update the tax percentage for the specified collection
+    pool.tax = newTaxPercent;
+
+    // Emit an event to signal that the tax has been updated
+    emit UpdateTax(collectionAddress, newTaxPercent);
+  }
+
+  /**
+   * @dev Updates the tax percentage on the rewards compounded for the specified NFT collection.
+   *
+   * @param collectionAddress The address of the NFT collection for which the compound tax is being updated.
+   * @param newCompoundTaxPercent The new tax percentage to be applied, 0 to compound without tax.
+   */
+  function updateCompoundTax(address collectionAddress, uint256 newCompoundTaxPercent) external whenNotPaused onlyRole(ADMIN_ROLE) {
+    // Validate the collection and the new tax percentage
+    _validateTaxRate(collectionAddress, newCompoundTaxPercent);
+
+    // Update the compound tax percentage for the specified collection
+    state.compoundTax[collectionAddress] = newCompoundTaxPercent;
+
+    // Emit an event to signal that the compound tax has been updated
+    emit UpdateCompoundTax(collectionAddress, newCompoundTaxPercent);
+  }
+
+  /**
+   * @dev Updates the penalty percentage on the LEOX tokens unstaked before the lock ends for the specified NFT collection.
+   *
+   * @param collectionAddress The address of the NFT collection for which the penalty is being updated.
+   * @param newPenaltyPercent The new penalty percentage to be applied, 0 to unstake LEOX early without penalty.
+   */
+  function updateUnstakeLeoxPenalty(address collectionAddress, uint256 newPenaltyPercent) external whenNotPaused onlyRole(ADMIN_ROLE) {
+    // Validate the collection and the new penalty percentage
+    _validateTaxRate(collectionAddress, newPenaltyPercent);
+
+    // Update the penalty percentage for the specified collection
+    state.unstakeLeoxPenalty[collectionAddress] = newPenaltyPercent;
+
+    // Emit an event to signal that the penalty has been updated
+    emit UpdateUnstakeLeoxPenalty(collectionAddress, newPenaltyPercent);
+  }
+
+  /**
+   * @dev Sets the penalties of unstaking a token before its lock ends for the specified NFT collection.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param params The early unstake parameters, whose penalties are at most 100 percent, scaled by 1e18.
+   */
+  function setEarlyUnstakeParams(
+    address collectionAddress,
+    GalileoStakingStorage.EarlyUnstakeParams calldata params
+  ) external whenNotPaused onlyRole(ADMIN_ROLE) {
+    // Validate the collection and the penalty percentages
+    _validateTaxRate(collectionAddress, 0);
+    if (params.rewardsPenalty > 100 ether || params.leoxPenalty > 100 ether) revert GalileoStakingErrors.InvalidTaxRate();
+
+    // Update the early unstake parameters for the specified collection
+    state.earlyUnstake[collectionAddress] = params;
+
+    // Emit an event to signal that the early unstake parameters have been set
+    emit SetEarlyUnstakeParams(collectionAddress, params);
+  }
+
+  /**
+   * @dev Internal function to validate a rate charged to the tax of a configured pool.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param taxPercent The percentage, scaled by 1e18.
+   */
+  function _validateTaxRate(address collectionAddress, uint256 taxPercent) internal view {
+    // Check if the collection address is valid
+    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+    // Ensure the new tax percentage does not exceed the maximum allowed tax limit
+    if (taxPercent > MAX_TAX_LIMIT) revert GalileoStakingErrors.InvalidTaxRate();
+
+    // Ensure the pool is already configured against collection address
+    if (state.pools[collectionAddress].rewardCount == 0) revert GalileoStakingErrors.PoolUninitialized(collectionAddress);
+  }
+
+  /**
+   * @dev Function to set staking multipliers for a collection.
+   *
+   * This function updates the staking multipliers for a specific collection address.
+   * The multipliers are stored as an array of Multiplier structs.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param multipliers An array of Multiplier structs containing staking time and boost information.
+   */
+  function setMultipliers(
+    address collectionAddress,
+    GalileoStakingStorage.Multiplier[] calldata multipliers
+  ) external whenNotPaused onlyRole(ADMIN_ROLE) {
+    // Check if the collection address is valid
+    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+    // Retrieve existing multipliers for the collection
+    GalileoStakingStorage.Multiplier[] storage existingMultipliers = state.stakingBoostPerCollection[collectionAddress];
+
+    // Clear existing multipliers if they exist
+    if (existingMultipliers.length > 0) delete state.stakingBoostPerCollection[collectionAddress];
+
+    // Add the new multipliers to the collection's multipliers list
+    for (uint16 i = 0; i < multipliers.length; i++) state.stakingBoostPerCollection[collectionAddress].push(multipliers[i]);
+
+    // Emit an event to signify the successful setting of multipliers for the collection
+    emit SetMultipliers(collectionAddress, multipliers);
+  }
+
+  /**
+   * @dev Withdraws accumulated tax for a specific collection and transfers it to the caller.
+   *
+   * @param collectionAddress The address of the NFT collection whose tax is being withdrawn.
+   */
+  function withdrawTax(address collectionAddress) external nonReentrant whenNotPaused onlyRole(ADMIN_ROLE) {
+    // Validate the collection address to ensure it is not a zero address
+    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+    // Retrieve the total tax amount accumulated for the specified collection
+    uint256 taxAmount = state.tax[collectionAddress];
+
+    // Check if there is any tax to withdraw; revert if the tax amount is zero
+    if (taxAmount == 0) revert GalileoStakingErrors.InvalidAmount(taxAmount);
+
+    // Reset the tax amount for the collection to zero after withdrawal
+    state.tax[collectionAddress] = 0;
+
+    // The recipient of the tax withdrawal is the caller of this function
+    address recipient = _msgSender();
+
+    // Transfer the accumulated tax amount in LEOX tokens to the recipient
+    IERC20(LEOX).safeTransfer(recipient, taxAmount);
+
+    // Emit an event to log the tax withdrawal operation
+    emit WithdrawTax(collectionAddress, recipient, taxAmount);
+  }
+
+  /**
+   * @dev Allows ADMIN_ROLE to deposit LEOX tokens into the reward pool for a specific collection.
+   *
+   * @param collectionAddress The address of the collection whose reward pool will be credited.
+   * @param leoxAmount The amount of LEOX tokens to deposit into the reward pool.
+   */
+  function depositRewards(address collectionAddress, uint256 leoxAmount) external onlyRole(ADMIN_ROLE) {
+    // Revert the transaction if the leox token is zero.
+    if (leoxAmount <= 0) revert GalileoStakingErrors.InvalidAmount(leoxAmount);
+
+    // Revert the transaction if the input collectionAddress is zero address.
+    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+    // Accrue the rewards funded so far, the deposit only funds emissions from now on
+    _updateRewardPerToken(collectionAddress);
+
+    // Transfer LEOX tokens to the reward pool
+    IERC20(LEOX).safeTransferFrom(_msgSender(), address(this), leoxAmount);
+
+    // Add transferred amount to the collection's reward pool
+    state.rewardPool[collectionAddress] += leoxAmount;
+
+    // Emit an event for the reward deposit
+    emit DepositRewards(collectionAddress, leoxAmount);
+  }
+
+  /**
+   * @dev External function to declare an emergency for a given collection.
+   *
+   * @param collectionAddress The address of the NFT collection for which the emergency is being declared.
+   */
+  function declareEmergency(address collectionAddress) external onlyRole(ADMIN_ROLE) {
+    // Call internal function to update emergency status and set reward rate to zero.
+    _emergencyStatus(collectionAddress, true, 0);
+  }
+
+  /**
+   * @dev External function to lift an emergency for a given collection.
+   *
+   * @param collectionAddress The address of the NFT collection for which the emergency is being lifted.
+   * @param rewardRate The new reward rate to be applied after lifting the emergency.
+   */
+  function liftEmergency(address collectionAddress, uint256 rewardRate) external onlyRole(ADMIN_ROLE) {
+    // Revert if the reward rate is 0 (invalid for emissions).
+    if (rewardRate == 0) revert GalileoStakingErrors.InvalidRewardRate();
+
+    // Call internal function to lift the emergency and update the reward rate.
+    _emergencyStatus(collectionAddress, false, rewardRate);
+  }
+
+  /**
+   * @dev External function to let stakers claim the rewards frozen by their emergency unstakes before the emergency
+   * of a collection is lifted. The release ends with the emergency, a later emergency locks them again.
+   *
+   * @param collectionAddress The address of the NFT collection in emergency.
+   */
+  function releaseFrozenRewards(address collectionAddress) external onlyRole(ADMIN_ROLE) {
+    // Ensure the collection is in emergency and its frozen rewards are still locked
+    if (!state.isEmergencyDeclared[collectionAddress]) revert GalileoStakingErrors.EmergencyNotDeclared();
+    if (state.isFrozenRewardsReleased[collectionAddress]) revert GalileoStakingErrors.StateAlreadyDeclared();
+
+    // Release the frozen rewards of the collection
+    state.isFrozenRewardsReleased[collectionAddress] = true;
+
+    // Emit an event to log the release of the frozen rewards
+    emit ReleaseFrozenRewards(collectionAddress);
+  }
+
+  /**
+   * @dev Internal function to declare or revoke emergency status for a specific collection.
+   *
+   * @param collectionAddress The address of the NFT collection being updated.
+   * @param emergencyStatus A boolean value indicating the desired emergency status.
+   * @param rewardRate The reward rate associated with the collection. This value is set to zero when emergency status is declared.
+   */
+  function _emergencyStatus(address collectionAddress, bool emergencyStatus, uint256 rewardRate) internal {
+    // Validate the collection address to ensure it is not a zero address
+    if (collectionAddress == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+    // Ensure the collection is already configured
+    if (state.pools[collectionAddress].rewardCount == 0) revert GalileoStakingErrors.CollectionUninitialized();
+
+    // Check if the current emergency state matches the input value
+    if (state.isEmergencyDeclared[collectionAddress] == emergencyStatus) revert GalileoStakingErrors.StateAlreadyDeclared();
+
+    // Accrue the rewards up to now, nothing accrues while the emergency is declared
+    _updateRewardPerToken(collectionAddress);
+
+    // Update the emergency state to the new input value.
+    state.isEmergencyDeclared[collectionAddress] = emergencyStatus;
+
+    // A release only lasts for the emergency it was made in
+    state.isFrozenRewardsReleased[collectionAddress] = false;
+
+    // Update the emission rate for the collection to zero
+    _updateEmissionRate(collectionAddress, rewardRate, 0);
+
+    // Emit an event to log the emergency status change.
+    emit DeclareEmergency(collectionAddress, emergencyStatus);
+  }
+
+  /**
+   * @dev Internal function to ensure a reward window starts once the previous one has ended.
+   *
+   * @param previousWindow The reward window scheduled before.
+   * @param startTime The start time of the next reward window.
+   * @param index The index of the next reward window.
+   */
+  function _validateRewardWindowStart(
+    GalileoStakingStorage.RewardWindow memory previousWindow,
+    uint256 startTime,
+    uint256 index
+  ) internal pure {
+    // A window without end time runs forever, and windows cannot overlap
+    if (previousWindow.endTime == 0 || startTime < previousWindow.endTime) revert GalileoStakingErrors.RewardWindowsOverlap(index);
+  }
+
+  /**
+   * @dev External function to set the ERC-2771 forwarder relaying meta-transactions, so that stakers without gas can
+   * have their signed requests submitted by a relayer.
+   *
+   * @param forwarder The address of the forwarder, zero to disable meta-transactions.
+   */
+  function setTrustedForwarder(address forwarder) external onlyRole(ADMIN_ROLE) {
+    // Update the trusted forwarder
+    state.trustedForwarder = forwarder;
+
+    // Emit an event to log the new trusted forwarder
+    emit SetTrustedForwarder(forwarder);
+  }
+
+  /**
+   * @dev External function to set the Permit2 contract, through which `stakeWithPermit` and
+   * `stakeLeoxTokensWithPermit` pull LEOX with a signature when LEOX has no ERC-2612 permit.
+   *
+   * @param permit2 The address of Permit2, zero to disable Permit2 permits.
+   */
+  function setPermit2(address permit2) external onlyRole(ADMIN_ROLE) {
+    // Update the Permit2 contract
+    state.permit2 = permit2;
+
+    // Emit an event to log the new Permit2 contract
+    emit SetPermit2(permit2);
+  }
+
+  /**
+   * @dev Function to pause the contract
+   * @notice Only callable by an address with the ADMIN_ROLE
+   */
+  function pause() external onlyRole(ADMIN_ROLE) {
+    // Internal function that triggers the paused state
+    _pause();
+  }
+
+  /**
+   * @dev Function to unpause the contract
+   * @notice Only callable by an address with the ADMIN_ROLE
+   */
+  function unpause() external onlyRole(ADMIN_ROLE) {
+    // Internal function that lifts the paused state
+    _unpause();
+  }
+}
@@ -0,0 +1,591 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "./libraries/GalileoStakingStorage.sol";
+import "./libraries/GalileoStakingErrors.sol";
+
+/**
+ * @dev Storage, events and reward accrual shared by GalileoStaking and GalileoStakingAdmin.
+ *
+ * GalileoStakingAdmin runs with delegatecall on the storage of GalileoStaking, so both contracts must keep the same
+ * storage layout: neither declares state variables of its own.
+ */
+abstract contract GalileoStakingBase is EIP712, Pausable, AccessControl, ReentrancyGuard, GalileoStakingErrors {
+  // ═══════════════════════ VARIABLES ════════════════════════
+
+  // Constant variable defining the ADMIN_ROLE using keccak256 hash
+  bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+  // Constant variable defining the VALIDATOR_ROLE using keccak256 hash
+  bytes32 public constant VALIDATOR_ROLE = keccak256("VALIDATOR_ROLE");
+
+  // The domain name used for signing and verifying off-chain data, typically part of an EIP-712 structured data signature.
+  string private constant SIGNING_DOMAIN = "Galileo-Staking";
+
+  // The version of the signature schema, used in conjunction with the signing domain for EIP-712 signatures.
+  string private constant SIGNATURE_VERSION = "1";
+
+  // Importing the GalileoStakingStorage library for the State struct
+  using GalileoStakingStorage for GalileoStakingStorage.State;
+
+  // Declaring an internal state variable of type GalileoStakingStorage.State, shared with the admin module
+  GalileoStakingStorage.State internal state;
+
+  // Immutable variable storing the address of the LEOX token
+  address public immutable LEOX;
+
+  // Constant for INCREMENT value
+  uint256 internal immutable INCREMENT; // INCREMENT indicates one point
+
+  /// A constant multiplier to reduce overflow in staking calculations.
+  uint256 internal constant PRECISION = 1 ether;
+
+  // Define a maximum tax rate of 10%
+  uint256 internal constant MAX_TAX_LIMIT = 10 ether;
+
+  // ═══════════════════════ EVENTS ════════════════════════
+
+  /**
+   * @dev Event emitted when a collection is configured with its address and total number of categories.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param _stakeInfo _stakeInfo An array of StakeInfo structs containing information about LEOX tokens.
+   */
+  event ConfigureCollection(address indexed collectionAddress, GalileoStakingStorage.StakeInfoInput[] _stakeInfo);
+
+  /**
+   * @dev Event emitted when a token is staked within a collection
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param tokenId The ID of the token to which more tokens are staked.
+   * @param citizen The citizen of the token.
+   * @param timelockEndTime End time of the timelock for the staked token.
+   * @param points Points associated with the staked token.
+   * @param stakedLEOX  Amount of LEOX tokens staked with the token.
+   */
+  event StakeTokens(
+    address indexed collectionAddress,
+    address indexed recipient,
+    uint256 indexed tokenId,
+    uint256 citizen,
+    uint256 timelockEndTime,
+    uint256 points,
+    uint256 stakedLEOX
+  );
+
+  /**
+   * @dev Event emitted when more LEOX tokens are added to an existing stake.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param tokenId The ID of the token to which more tokens are staked.
+   * @param citizen The citizen of the token.
+   * @param newPoints The updated points after adding more tokens.
+   * @param totalLeox The total amount of LEOX tokens staked after adding more tokens.
+   */
+  event StakeLeoxTokens(
+    address indexed collectionAddress,
+    address indexed recipient,
+    uint256 indexed tokenId,
+    uint256 citizen,
+    uint256 newPoints,
+    uint256 totalLeox
+  );
+
+  /**
+   * @dev Event emitted when the rewards of a staked token are compounded into its staked LEOX.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param recipient Address of the staker who compounded the rewards.
+   * @param tokenId The ID of the staked token.
+   * @param rewardAmount The rewards of the token before tax.
+   * @param compoundedLeox The LEOX added to the stake, after the compound tax.
+   * @param rewardsPaid The rewards exceeding the maximum LEOX of the token paid to the staker, after tax.
+   * @param newPoints The updated points of the staked token.
+   * @param totalLeox The total amount of LEOX tokens staked after compounding.
+   */
+  event CompoundRewards(
+    address indexed collectionAddress,
+    address indexed recipient,
+    uint256 indexed tokenId,
+    uint256 rewardAmount,
+    uint256 compoundedLeox,
+    uint256 rewardsPaid,
+    uint256 newPoints,
+    uint256 totalLeox
+  );
+
+  /**
+   * @dev Event emitted when LEOX tokens are unstaked from a staked token.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param recipient Address of the staker who unstaked the LEOX tokens.
+   * @param tokenId The ID of the staked token.
+   * @param leoxAmount The amount of LEOX tokens unstaked, before penalty.
+   * @param penalty The penalty taken to the tax of the collection when unstaking before the lock ends.
+   * @param newPoints The updated points of the staked token.
+   * @param totalLeox The total amount of LEOX tokens staked after unstaking.
+   */
+  event UnstakeLeoxTokens(
+    address indexed collectionAddress,
+    address indexed recipient,
+    uint256 indexed tokenId,
+    uint256 leoxAmount,
+    uint256 penalty,
+    uint256 newPoints,
+    uint256 totalLeox
+  );
+
+  /**
+   * @dev Event emitted when the lock period of a staked token is extended or renewed.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param recipient Address of the staker who extended the lock.
+   * @param tokenId The ID of the staked token.
+   * @param timelockEndTime The new lock duration, starting at the time of the extension.
+   * @param lockPeriodEnd The time the new lock period ends.
+   * @param newPoints The updated points of the staked token.
+   */
+  event ExtendLock(
+    address indexed collectionAddress,
+    address indexed recipient,
+    uint256 indexed tokenId,
+    uint256 timelockEndTime,
+    uint256 lockPeriodEnd,
+    uint256 newPoints
+  );
+
+  /**
+   * @dev Event emitted when the auto-renewal of the lock of a staked token is turned on or off.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param recipient Address of the staker.
+   * @param tokenId The ID of the staked token.
+   * @param autoRenew Whether the lock rolls over when it ends.
+   * @param lockPeriodEnd The time the running lock period ends.
+   */
+  event SetAutoRenew(
+    address indexed collectionAddress,
+    address indexed recipient,
+    uint256 indexed tokenId,
+    bool autoRenew,
+    uint256 lockPeriodEnd
+  );
+
+  /**
+   * @dev Emitted when tax percent is updated of a collection.
+   *
+   * @param collectionAddress The address of the collection contract from which tax is withdrawn.
+   * @param newTaxPercent The new percentage of tax against the collection.
+   */
+  event UpdateTax(address indexed collectionAddress, uint256 indexed newTaxPercent);
+
+  /**
+   * @dev Emitted when the tax on compounded rewards is updated of a collection.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param newCompoundTaxPercent The new percentage of tax on the rewards compounded against the collection.
+   */
+  event UpdateCompoundTax(address indexed collectionAddress, uint256 indexed newCompoundTaxPercent);
+
+  /**
+   * @dev Emitted when the penalty on the LEOX unstaked before the lock ends is updated of a collection.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param newPenaltyPercent The new percentage of penalty on the LEOX unstaked early against the collection.
+   */
+  event UpdateUnstakeLeoxPenalty(address indexed collectionAddress, uint256 indexed newPenaltyPercent);
+
+  /**
+   * @dev Emitted when the penalties of unstaking before the lock ends are set of a collection.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param params The new early unstake parameters of the collection.
+   */
+  event SetEarlyUnstakeParams(address indexed collectionAddress, GalileoStakingStorage.EarlyUnstakeParams params);
+
+  /**
+   * @dev Emitted when the rewards of a token unstaked in emergency are frozen until the emergency ends.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param recipient The address of the staker.
+   * @param tokenId The ID of the unstaked token.
+   * @param rewardAmount The rewards frozen, before tax.
+   */
+  event FreezeRewards(address indexed collectionAddress, address indexed recipient, uint256 indexed tokenId, uint256 rewardAmount);
+
+  /**
+   * @dev Emitted when a staker claims the frozen rewards of a collection.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param recipient The address of the staker.
+   * @param rewardAmount The rewards paid, after tax.
+   * @param taxAmount The tax taken on the rewards.
+   */
+  event ClaimFrozenRewards(address indexed collectionAddress, address indexed recipient, uint256 rewardAmount, uint256 taxAmount);
+
+  /**
+   * @dev Emitted when the frozen rewards of a collection are released during its emergency.
+   *
+   * @param collectionAddress The address of the collection contract.
+   */
+  event ReleaseFrozenRewards(address indexed collectionAddress);
+
+  /**
+   * @dev  Event emitted when multipliers are set for a collection.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param multipliers Multipliers based on staking time period.
+   */
+  event SetMultipliers(address indexed collectionAddress, GalileoStakingStorage.Multiplier[] multipliers);
+
+  /**
+   * @dev Event emitted when a recipient withdraws rewards for a staked NFT
+   *
+   * @param recipient Address of the recipient who withdraw the rewards
+   * @param collectionAddress Address of the collection the NFT belongs to.
+   * @param tokenId The ID of the token to which more tokens are staked.
+   * @param rewardAmount Amount of rewards withdrawn.
+   * @param currentTime Timestamp of the withdrawal.
+   */
+  event WithdrawRewards(
+    address indexed recipient,
+    address indexed collectionAddress,
+    uint256 indexed tokenId,
+    uint256 rewardAmount,
+    uint256 currentTime
+  );
+
+  /**
+   * @dev Event emitted when a recipient withdraws all rewards for all staked tokens
+   *
+   * @param collectionAddress Address of the collection the NFT belongs to.
+   * @param recipient Address of the recipient who withdraw the rewards
+   * @param rewardAmount Amount of rewards of all tokens withdrawn.
+   * @param currentTime Timestamp of the withdrawal.
+   */
+  event WithdrawAllRewards(address indexed collectionAddress, address indexed recipient, uint256 indexed rewardAmount, uint256 currentTime);
+
+  /**
+   * @dev Event emitted when the rewards of all staked tokens withdrawn for a staker are paid to another address.
+   *
+   * @param collectionAddress Address of the collection the NFT belongs to.
+   * @param owner Address of the staker the rewards were withdrawn for.
+   * @param recipient Address the rewards were paid to.
+   * @param rewardAmount Amount of rewards paid, after tax.
+   */
+  event WithdrawAllRewardsTo(address indexed collectionAddress, address indexed owner, address indexed recipient, uint256 rewardAmount);
+
+  /**
+   * @dev Event emitted when a staker allows or disallows an address to claim its rewards.
+   *
+   * @param owner Address of the staker.
+   * @param operator Address of the claim operator.
+   * @param approved Whether the operator can claim the rewards of the staker.
+   */
+  event SetClaimOperator(address indexed owner, address indexed operator, bool approved);
+
+  /**
+   * @dev Event emitted when a staker sets the address its rewards claimed by operators are paid to.
+   *
+   * @param owner Address of the staker.
+   * @param beneficiary Address the rewards are paid to, zero for the staker itself.
+   */
+  event SetRewardsBeneficiary(address indexed owner, address indexed beneficiary);
+
+  /**
+   * @dev Event emitted when a recipient unstake Tokens and get rewards for a staked NFT
+   *
+   * @param collectionAddress Address of the collection the NFT belongs to.
+   * @param recipient Address of the recipient who withdrew the rewards
+   * @param tokenId The ID of the token to which more tokens are staked.
+   * @param points Points associated with the staked token.
+   * @param totalLeox Amount of LEOX tokens unstaked with the token.
+   */
+  event UnstakeToken(
+    address indexed collectionAddress,
+    address indexed recipient,
+    uint256 indexed tokenId,
+    uint256 points,
+    uint256 totalLeox
+  );
+
+  /**
+   * @dev Event emitted when a recipient unstake Tokens and get rewards for a staked NFT
+   *
+   * @param collectionAddress Address of the collection the NFT belongs to.
+   * @param recipient Address of the recipient who withdrew the rewards
+   * @param tokenId The ID of the token to which more tokens are staked.
+   * @param points Points associated with the staked token.
+   * @param totalLeox Amount of LEOX tokens unstaked with the token.
+   */
+  event EmergencyUnstakeToken(
+    address indexed collectionAddress,
+    address indexed recipient,
+    uint256 indexed tokenId,
+    uint256 points,
+    uint256 totalLeox
+  );
+
+  /**
+   * @dev Event emitted when a recipient unstakes a token before its lock ends, forfeiting part of its rewards and LEOX.
+   *
+   * @param collectionAddress Address of the collection the NFT belongs to.
+   * @param recipient Address of the recipient who unstaked the token.
+   * @param tokenId The ID of the unstaked token.
+   * @param points Points associated with the staked token.
+   * @param totalLeox Amount of LEOX tokens unstaked with the token, after penalty.
+   * @param rewardsPenalty The rewards forfeited.
+   * @param leoxPenalty The staked LEOX tokens forfeited.
+   * @param toRewardPool Whether the penalties went to the reward pool, or to the tax otherwise.
+   */
+  event EarlyUnstakeToken(
+    address indexed collectionAddress,
+    address indexed recipient,
+    uint256 indexed tokenId,
+    uint256 points,
+    uint256 totalLeox,
+    uint256 rewardsPenalty,
+    uint256 leoxPenalty,
+    bool toRewardPool
+  );
+
+  /**
+   * @dev Emitted when the emission rate is updated for a specific collection.
+   *
+   * @param collectionAddress The address of the collection contract for which the emission rate is updated.
+   * @param rewardRate The new reward rate set for the collection.
+   * @param endTimePreviousRewardWindow The end time of the previous reward window before the emission rate update.
+   */
+  event UpdateEmissionRate(address indexed collectionAddress, uint256 indexed rewardRate, uint256 endTimePreviousRewardWindow);
+
+  /**
+   * @dev Emitted when tax is withdrawn from a collection.
+   *
+   * @param collectionAddress The address of the collection contract from which tax is withdrawn.
+   * @param recipient The address of the recipient who receives the withdrawn tax amount.
+   * @param taxAmount The total amount of tax withdrawn from the collection.
+   */
+  event WithdrawTax(address indexed collectionAddress, address indexed recipient, uint256 taxAmount);
+
+  /**
+   * @dev Emitted when rewards are deposited into the reward pool for a specific NFT collection.
+   *
+   * @param collectionAddress The address of the NFT collection for which rewards are being deposited.
+   * @param leoxAmount The amount of LEOX tokens deposited as rewards.
+   */
+  event DepositRewards(address indexed collectionAddress, uint256 leoxAmount);
+
+  /**
+   * @dev Emitted whenever the emergency status is changed.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @param isEmergencyDeclared A boolean value indicating the current state of emergency
+   */
+  event DeclareEmergency(address collectionAddress, bool isEmergencyDeclared);
+
+  /**
+   * @dev Emitted when a pool is configured or updated.
+   *
+   * @param collectionAddress The address of the collection contract for which the pool is configured.
+   * @param tax The tax rate applied to the pool for the collection.
+   * @param rewardWindows An array of reward windows configured for the pool.
+   */
+  event ConfigurePool(address indexed collectionAddress, uint256 indexed tax, GalileoStakingStorage.RewardWindow[] rewardWindows);
+
+  /**
+   * @dev Emitted when a reward window is appended to the schedule of a pool.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param index The index of the new reward window.
+   * @param rewardRate The reward rate of the new reward window.
+   * @param startTime The start time of the new reward window.
+   * @param endTime The end time of the new reward window, 0 if it has no end.
+   */
+  event ScheduleRewardWindow(
+    address indexed collectionAddress,
+    uint256 indexed index,
+    uint256 rewardRate,
+    uint256 startTime,
+    uint256 endTime
+  );
+
+  /**
+   * @dev Emitted when a reward window that has not started yet is removed from the schedule of a pool.
+   *
+   * @param collectionAddress The address of the collection contract.
+   * @param index The index the reward window had, the following windows are shifted down by one.
+   */
+  event CancelRewardWindow(address indexed collectionAddress, uint256 indexed index);
+
+  /**
+   * @dev Emitted when the trusted ERC-2771 forwarder is set.
+   *
+   * @param forwarder The address of the forwarder, zero if meta-transactions are disabled.
+   */
+  event SetTrustedForwarder(address indexed forwarder);
+
+  /**
+   * @dev Emitted when the Permit2 contract is set.
+   *
+   * @param permit2 The address of Permit2, zero if Permit2 permits are disabled.
+   */
+  event SetPermit2(address indexed permit2);
+
+  // ═══════════════════════ CONSTRUCTOR ════════════════════════
+
+  /**
+   * @dev Constructor to initialize the contract.
+   *
+   * @param leox The address of the LEOX token contract.
+   * @param increment INCREMENT value that indicates one point
+   */
+  constructor(address leox, uint256 increment) EIP712(SIGNING_DOMAIN, SIGNATURE_VERSION) {
+    // Ensure that the LEOX token address is not zero
+    if (leox == address(0)) revert GalileoStakingErrors.InvalidAddress();
+
+    // Ensure that the INCREMENT is not zero
+    if (increment == 0) revert GalileoStakingErrors.InvalidIncrement();
+
+    // Grant the default admin role to the deploying address
+    _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+
+    // Grant the admin role to the deploying address
+    _grantRole(ADMIN_ROLE, _msgSender());
+
+    // Set the LEOX token address
+    LEOX = leox;
+
+    // Set the INCREMENT value that indicates one point
+    INCREMENT = increment;
+  }
+
+  // ═══════════════════════ FUNCTIONS ════════════════════════
+
+  /**
+   * @notice Returns whether an address is the ERC-2771 forwarder trusted to call on behalf of the signers of its requests.
+   * @param forwarder The address to check.
+   * @return Whether the address is the trusted forwarder.
+   */
+  function isTrustedForwarder(address forwarder) public view returns (bool) {
+    return forwarder != address(0) && forwarder == state.trustedForwarder;
+  }
+
+  // ═══════════════════════ INTERNAL FUNCTIONS ════════════════════════
+
+  /**
+   * @dev Override of {Context-_msgSender} resolving the sender of the calls made by the trusted forwarder, as in
+   * {ERC2771Context}, from the last 20 bytes of the calldata. The forwarder is set in storage so that it can be
+   * rotated, and so that the admin module running on this storage resolves the same sender.
+   */
+  function _msgSender() internal view override returns (address) {
+    uint256 calldataLength = msg.data.length;
+    if (isTrustedForwarder(msg.sender) && calldataLength >= 20) {
+      return address(bytes20(msg.data[calldataLength - 20:]));
+    }
+    return msg.sender;
+  }
+
+  /**
+   * @dev Override of {Context-_msgData} stripping the sender appended by the trusted forwarder.
+   */
+  function _msgData() internal view override returns (bytes calldata) {
+    uint256 calldataLength = msg.data.length;
+    if (isTrustedForwarder(msg.sender) && calldataLength >= 20) return msg.data[:calldataLength - 20];
+    return msg.data;
+  }
+
+  /**
+   * @dev ERC-2771 appends the sender as a single address (20 bytes).
+   */
+  function _contextSuffixLength() internal pure override returns (uint256) {
+    return 20;
+  }
+
+  /**
+   * @dev Internal function to store the reward per token of a collection and set its last update time to now.
+   * Reward windows that have ended are skipped by the next calculations.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   */
+  function _updateRewardPerToken(address collectionAddress) internal {
+    // Integrate the reward windows since the last update
+    (uint256 rewardPerTokenAcc, uint256 accruedRewards) = _accrueRewards(collectionAddress);
+
+    // Update the stored reward per token for the given collection
+    state.rewardPerTokenStored[collectionAddress] = rewardPerTokenAcc;
+
+    // Commit the accrued rewards from the reward pool
+    state.committedRewards[collectionAddress] += accruedRewards;
+
+    // Update the last time the reward was calculated for the collection
+    state.lastUpdateTime[collectionAddress] = block.timestamp;
+
+    // Move past the reward windows that have ended, they accrue nothing anymore
+    GalileoStakingStorage.RewardWindow[] storage rewardWindows = state.pools[collectionAddress].rewardWindows;
+    uint256 index = state.firstOpenRewardWindow[collectionAddress];
+    while (index < rewardWindows.length && rewardWindows[index].endTime != 0 && rewardWindows[index].endTime <= block.timestamp) index++;
+    state.firstOpenRewardWindow[collectionAddress] = index;
+  }
+
+  /**
+   * @dev Internal function to integrate the reward windows of a collection since its last update.
+   *
+   * The LEOX emitted over the period is capped at the part of the reward pool that is not committed to stakers yet,
+   * so the rewards accrued can always be withdrawn. Nothing accrues during an emergency, including in the reward
+   * windows scheduled to start during it.
+   *
+   * @param collectionAddress The address of the NFT collection.
+   * @return rewardPerTokenAcc The reward per token, scaled to 18 decimals.
+   * @return accruedRewards The LEOX accrued since the last update, to be committed from the reward pool.
+   */
+  function _accrueRewards(address collectionAddress) internal view returns (uint256 rewardPerTokenAcc, uint256 accruedRewards) {
+    // Retrieve the pool data for the specified collection.
+    GalileoStakingStorage.PoolData storage pool = state.pools[collectionAddress];
+
+    // Start with the last stored reward per token.
+    rewardPerTokenAcc = state.rewardPerTokenStored[collectionAddress];
+
+    // If no tokens are staked in the pool, or during an emergency, nothing accrues.
+    if (pool.totalPoints == 0 || state.isEmergencyDeclared[collectionAddress]) return (rewardPerTokenAcc, 0);
+
+    // Rewards accrue from the last update time of the collection.
+    uint256 lastUpdateTime = state.lastUpdateTime[collectionAddress];
+
+    // LEOX of the reward pool that is not committed to stakers yet
+    uint256 fundedRewards = state.rewardPool[collectionAddress] - state.committedRewards[collectionAddress];
+
+    // Loop through the reward windows in chronological order, skipping those that ended before the last update.
+    for (uint256 i = state.firstOpenRewardWindow[collectionAddress]; i < pool.rewardWindows.length; i++) {
+      GalileoStakingStorage.RewardWindow memory rewardWindow = pool.rewardWindows[i];
+
+      // Windows are sorted by start time, the following ones have not started either.
+      if (block.timestamp <= rewardWindow.startTime) break;
+
+      // Accrue from the later of the window start and the last update
+      uint256 effectiveStartTime = rewardWindow.startTime > lastUpdateTime ? rewardWindow.startTime : lastUpdateTime;
+
+      // Use the lesser of `block.timestamp` or `endTime` to calculate the reward period
+      uint256 effectiveEndTime = (rewardWindow.endTime > 0 && block.timestamp > rewardWindow.endTime)
+        ? rewardWindow.endTime
+        : block.timestamp;
+
+      // Prevent underflow by ensuring effectiveEndTime > effectiveStartTime
+      if (effectiveEndTime > effectiveStartTime) {
+        // Calculate the LEOX emitted by the window over the period
+        uint256 emittedRewards = rewardWindow.rewardRate * (effectiveEndTime - effectiveStartTime);
+
+        // Emission stops once the reward pool is exhausted
+        if (emittedRewards > fundedRewards) emittedRewards = fundedRewards;
+        fundedRewards -= emittedRewards;
+        accruedRewards += emittedRewards;
+
+        // Accumulate the reward per token based on the LEOX emitted
+        rewardPerTokenAcc += (emittedRewards * 1e18) / pool.totalPoints;
+      }
+    }
+  }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/**
+ * @dev ERC721 collection with `safeTransferFrom`, which QRC721 lacks, to test staking on safe transfers.
+ */
+contract ERC721Mock is ERC721 {
+  constructor(string memory name, string memory symbol) ERC721(name, symbol) {}
+
+  function mint(address to, uint256 tokenId) external {
+    _mint(to, tokenId);
+  }
+}
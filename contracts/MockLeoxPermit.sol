@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @dev LEOX with ERC-2612 permit, to test the permit flows of GalileoStaking. The supply is minted to the deployer.
+ */
+contract LeoxPermit is ERC20Permit {
+  constructor(uint256 supply) ERC20("Leox", "LEOX") ERC20Permit("Leox") {
+    _mint(msg.sender, supply);
+  }
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+/**
+ * @dev `aggregate3` of Multicall3 (https://github.com/mds1/multicall), for local networks where the canonical
+ * deployment at 0xcA11bde05977b3631167028862bE2a173976CA11 does not exist.
+ */
+contract Multicall3 {
+  struct Call3 {
+    // The contract to call
+    address target;
+    // Whether a revert of this call is returned instead of reverting the whole batch
+    bool allowFailure;
+    // The calldata
+    bytes callData;
+  }
+
+  struct Result {
+    bool success;
+    bytes returnData;
+  }
+
+  /**
+   * @dev Calls each target in order and returns the result of every call.
+   *
+   * @param calls The calls to make.
+   * @return returnData The result of each call, in call order.
+   */
+  function aggregate3(Call3[] calldata calls) external payable returns (Result[] memory returnData) {
+    returnData = new Result[](calls.length);
+
+    for (uint256 i = 0; i < calls.length; i++) {
+      (bool success, bytes memory data) = calls[i].target.call(calls[i].callData);
+
+      // Bubble up a failing call unless the caller accepts it
+      if (!success && !calls[i].allowFailure) revert("Multicall3: call failed");
+
+      returnData[i] = Result(success, data);
+    }
+  }
+}
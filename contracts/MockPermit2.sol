@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./interfaces/IPermit2.sol";
+
+/**
+ * @dev The signature transfers of Permit2 (https://github.com/Uniswap/permit2), for local networks where the canonical
+ * deployment at 0x000000000022D473030F116dDEE9F6B43aC78BA3 does not exist. Signatures are the 65 bytes ECDSA ones
+ * only, and the EIP-712 domain and the nonce bitmaps match the canonical contract.
+ */
+contract Permit2 is IPermit2 {
+  using SafeERC20 for IERC20;
+
+  bytes32 private constant _DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)");
+
+  bytes32 private constant _TOKEN_PERMISSIONS_TYPEHASH = keccak256("TokenPermissions(address token,uint256 amount)");
+
+  bytes32 private constant _PERMIT_TRANSFER_FROM_TYPEHASH =
+    keccak256(
+      "PermitTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline)TokenPermissions(address token,uint256 amount)"
+    );
+
+  // Bitmaps of the used nonces, by owner and word of 256 nonces
+  mapping(address => mapping(uint256 => uint256)) public nonceBitmap;
+
+  error SignatureExpired(uint256 signatureDeadline);
+  error InvalidAmount(uint256 maxAmount);
+  error InvalidNonce();
+  error InvalidSigner();
+
+  /**
+   * @dev Returns the EIP-712 domain separator, without version as in the canonical contract.
+   */
+  function DOMAIN_SEPARATOR() public view returns (bytes32) {
+    return keccak256(abi.encode(_DOMAIN_TYPEHASH, keccak256("Permit2"), block.chainid, address(this)));
+  }
+
+  /**
+   * @dev See {IPermit2-permitTransferFrom}.
+   */
+  function permitTransferFrom(
+    PermitTransferFrom calldata permit,
+    SignatureTransferDetails calldata transferDetails,
+    address owner,
+    bytes calldata signature
+  ) external {
+    if (block.timestamp > permit.deadline) revert SignatureExpired(permit.deadline);
+    if (transferDetails.requestedAmount > permit.permitted.amount) revert InvalidAmount(permit.permitted.amount);
+
+    // Consume the nonce, so that the signature cannot be replayed
+    uint256 bit = 1 << uint8(permit.nonce);
+    uint256 flipped = nonceBitmap[owner][permit.nonce >> 8] ^= bit;
+    if (flipped & bit == 0) revert InvalidNonce();
+
+    bytes32 structHash = keccak256(
+      abi.encode(
+        _PERMIT_TRANSFER_FROM_TYPEHASH,
+        keccak256(abi.encode(_TOKEN_PERMISSIONS_TYPEHASH, permit.permitted)),
+        msg.sender,
+        permit.nonce,
+        permit.deadline
+      )
+    );
+    if (ECDSA.recover(MessageHashUtils.toTypedDataHash(DOMAIN_SEPARATOR(), structHash), signature) != owner) revert InvalidSigner();
+
+    IERC20(permit.permitted.token).safeTransferFrom(owner, transferDetails.to, transferDetails.requestedAmount);
+  }
+
+  /**
+   * @dev Invalidates the nonces of the caller set in `mask`, in the word `wordPos` of its bitmap.
+   *
+   * @param wordPos The index of the word of 256 nonces.
+   * @param mask The nonces to invalidate.
+   */
+  function invalidateUnorderedNonces(uint256 wordPos, uint256 mask) external {
+    nonceBitmap[msg.sender][wordPos] |= mask;
+  }
+}
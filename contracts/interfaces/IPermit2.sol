@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+/**
+ * @dev The signature transfers of Permit2 (https://github.com/Uniswap/permit2), which let tokens without ERC-2612
+ * permit be pulled with a signature once the owner has approved Permit2.
+ */
+interface IPermit2 {
+  struct TokenPermissions {
+    // The token to transfer
+    address token;
+    // The maximum amount that can be transferred
+    uint256 amount;
+  }
+
+  struct PermitTransferFrom {
+    // The token and the maximum amount the signature allows
+    TokenPermissions permitted;
+    // Unordered nonce of the owner, each usable once
+    uint256 nonce;
+    // The timestamp after which the signature expires
+    uint256 deadline;
+  }
+
+  struct SignatureTransferDetails {
+    // The recipient of the tokens
+    address to;
+    // The amount to transfer, at most the permitted amount
+    uint256 requestedAmount;
+  }
+
+  /**
+   * @dev Transfers tokens of `owner` to `transferDetails.to` with a `PermitTransferFrom` signature of `owner`, the
+   * caller being the spender it names.
+   *
+   * @param permit The signed permit.
+   * @param transferDetails The recipient and the amount to transfer.
+   * @param owner The owner of the tokens and signer of the permit.
+   * @param signature The signature of the owner.
+   */
+  function permitTransferFrom(
+    PermitTransferFrom calldata permit,
+    SignatureTransferDetails calldata transferDetails,
+    address owner,
+    bytes calldata signature
+  ) external;
+}
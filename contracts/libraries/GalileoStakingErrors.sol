@@ -1,7 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.24;
 
-library GalileoStakingErrors {
+// Inherited by the staking contracts, so that their ABIs include every error, including those of the admin module
+interface GalileoStakingErrors {
   // ═══════════════════════ ERORRS ════════════════════════
 
   // Error indicating an invalid address for a collection
@@ -22,8 +23,11 @@ library GalileoStakingErrors {
   // Error indicating that a pool associated with a collection has been already initialized
   error PoolAlreadyInitialized();
 
-  // Error indicating that multiple reward windows detected at pool config input
-  error MultipleRewardWindowsNotAllowed();
+  // Error indicating that a reward window starts before the end of the previous one
+  error RewardWindowsOverlap(uint256 index);
+
+  // Error indicating that a reward window can no longer be cancelled as it has started
+  error RewardWindowStarted(uint256 index);
 
   // Error indicating an invalid count of tokens
   error InvalidTokensCount(uint256 maxLeox);
@@ -69,6 +73,15 @@ library GalileoStakingErrors {
   // Error indicating that signature is invalid
   error InvalidSignature();
 
+  // Error indicating that the voucher was issued to a different staker
+  error InvalidStaker();
+
+  // Error indicating that the voucher nonce does not match the staker's current nonce
+  error InvalidNonce(uint256 expectedNonce);
+
+  // Error indicating that the voucher deadline has passed
+  error SignatureExpired(uint256 deadline);
+
   // Error indicating that tax input value is more than
   error InvalidTaxRate();
 
@@ -86,4 +99,19 @@ library GalileoStakingErrors {
 
   // Error indicating that the emergency state is the same as the current state
   error StateAlreadyDeclared();
+
+  // Error indicating that the new lock period would end before the current one
+  error LockNotExtended(uint256 lockPeriodEnd);
+
+  // Error indicating that early unstaking is not enabled for the collection
+  error EarlyUnstakeDisabled();
+
+  // Error indicating that the frozen rewards cannot be claimed before the emergency is lifted or they are released
+  error FrozenRewardsLocked();
+
+  // Error indicating that the caller is neither the staker nor one of its claim operators
+  error UnauthorizedClaimOperator();
+
+  // Error indicating that a Permit2 permit is used while no Permit2 contract is set
+  error Permit2Unavailable();
 }
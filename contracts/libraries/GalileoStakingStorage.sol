@@ -30,6 +30,34 @@ library GalileoStakingStorage {
     string collectionName;
   }
 
+  struct ClaimRewards {
+    // Address of the staker the rewards are claimed for
+    address owner;
+    // Address of the NFT collection
+    address collectionAddress;
+    // Address the rewards are paid to, the rewards beneficiary of the staker if zero
+    address recipient;
+    // Per-staker nonce that prevents the authorization from being replayed
+    uint256 nonce;
+    // Timestamp after which the authorization can no longer be used
+    uint256 deadline;
+    // The signature of the staker over the authorization.
+    bytes signature;
+  }
+
+  struct LeoxPermit {
+    // The amount of LEOX the permit allows, at least the LEOX pulled
+    uint256 value;
+    // The timestamp after which the permit can no longer be used
+    uint256 deadline;
+    // The unordered Permit2 nonce of the staker, unused by ERC-2612 permits
+    uint256 nonce;
+    // Whether the permit is a Permit2 signature transfer rather than an ERC-2612 permit of LEOX
+    bool permit2;
+    // The signature of the staker over the permit.
+    bytes signature;
+  }
+
   struct StakeTokens {
     // Address of the NFT collection
     address collectionAddress;
@@ -41,6 +69,12 @@ library GalileoStakingStorage {
     uint256 timelockEndTime;
     // The amount of LEOX tokens staked along with the NFT.
     uint256 stakedLeox;
+    // Address of the staker the voucher is issued to
+    address staker;
+    // Per-staker nonce that prevents the voucher from being replayed
+    uint256 nonce;
+    // The timestamp after which the voucher can no longer be used
+    uint256 deadline;
     // A cryptographic signature to verify the validity of the staked data, ensuring security and authenticity.
     bytes signature;
   }
@@ -71,6 +105,18 @@ library GalileoStakingStorage {
     uint256 endTime;
   }
 
+  // Struct to store the penalties of unstaking a token before its lock ends
+  struct EarlyUnstakeParams {
+    // Whether tokens can be unstaked before their lock ends
+    bool enabled;
+    // Whether the penalties go to the reward pool, or to the tax otherwise
+    bool toRewardPool;
+    // Percentage of the accrued rewards forfeited over a full lock, scaled by 1e18
+    uint256 rewardsPenalty;
+    // Percentage of the staked LEOX tokens forfeited over a full lock, scaled by 1e18
+    uint256 leoxPenalty;
+  }
+
   // Struct to store data of a staking pool
   struct PoolData {
     // Total points accumulated in the pool
@@ -131,5 +177,35 @@ library GalileoStakingStorage {
     mapping(address => uint256) rewardPool;
     // Mapping to store emergency status against collection
     mapping(address => bool) isEmergencyDeclared;
+    // Mapping to store the next voucher nonce of each staker
+    mapping(address => uint256) nonces;
+    // Mapping to store the index of the first reward window that has not ended by the last update of a collection
+    mapping(address => uint256) firstOpenRewardWindow;
+    // Mapping to store the rewards accrued and not withdrawn yet per collection, reserved in its reward pool
+    mapping(address => uint256) committedRewards;
+    // Mapping to store the tax rate applied to the rewards compounded into staked LEOX per collection
+    mapping(address => uint256) compoundTax;
+    // Mapping to store whether the lock of a staked token rolls over when it ends, by staker, collection and token ID
+    mapping(address => mapping(address => mapping(uint256 => bool))) autoRenew;
+    // Mapping to store the penalty rate on the LEOX unstaked from a token before its lock ends per collection
+    mapping(address => uint256) unstakeLeoxPenalty;
+    // Mapping to store the penalties of unstaking a token before its lock ends per collection
+    mapping(address => EarlyUnstakeParams) earlyUnstake;
+    // Mapping to store the rewards of the tokens unstaked in emergency, by staker and collection
+    mapping(address => mapping(address => uint256)) frozenRewards;
+    // Mapping to store the total frozen rewards per collection, still committed in its reward pool
+    mapping(address => uint256) totalFrozenRewards;
+    // Mapping to store whether the frozen rewards can be claimed before the emergency of a collection is lifted
+    mapping(address => bool) isFrozenRewardsReleased;
+    // Mapping to store the addresses a staker allows to claim its rewards, by staker and operator
+    mapping(address => mapping(address => bool)) claimOperators;
+    // Mapping to store the address the rewards claimed by the operators of a staker are paid to, the staker if unset
+    mapping(address => address) rewardsBeneficiary;
+    // Mapping to store the next claim authorization nonce of each staker
+    mapping(address => uint256) claimNonces;
+    // Address of the ERC-2771 forwarder whose calls are made on behalf of the signer of the forwarded request
+    address trustedForwarder;
+    // Address of the Permit2 contract pulling LEOX with signatures when LEOX has no ERC-2612 permit
+    address permit2;
   }
 }
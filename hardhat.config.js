@@ -1,4 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/citizen_tiers");
+require("./tasks/admin");
+require("./tasks/safe_batch");
 
 require("dotenv").config();
 const { POLYGON_KEY, MNEMONIC } = process.env;
@@ -35,12 +38,24 @@ module.exports = {
             enabled: true,
             runs: 200,
           },
+          // Keeps GalileoStaking below the contract size limit
+          viaIR: true,
+          // Lets the tests check that GalileoStakingAdmin has the storage layout of GalileoStaking
+          outputSelection: {
+            "*": { "*": ["storageLayout"] },
+          },
         },
       },
     ],
   },
 
   // },
+  typechain: {
+    outDir: "typechain-types",
+    target: "ethers-v6",
+    // Generate the types on compile, the SDK declarations import them
+    dontOverrideCompile: false,
+  },
   paths: {
     artifacts: "./artifacts",
     sources: "./contracts",
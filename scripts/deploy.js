@@ -5,44 +5,13 @@
 // will compile your contracts, add the Hardhat Runtime Environment's members to the
 // global scope, and execute the script.
 const hre = require('hardhat');
+const { loadDeployConfig, runDeployment } = require('../utils/deployment.js');
 
 async function main() {
-  // const MockLeox = await hre.ethers.deployContract('QRC20', [
-  //   'Leox',
-  //   'LEOX',
-  //   18,
-  //   hre.ethers.parseEther('10000000000'),
-  //   '0x30cfa2dd6b79Bc800B0b8cbF89534Aa4D02D548A',
-  //   '0x30cfa2dd6b79Bc800B0b8cbF89534Aa4D02D548A',
-  //   hre.ethers.parseEther('10000000000'),
-  //   true,
-  // ]);
-  // await MockLeox.waitForDeployment();
-  // console.log(`Deployed to ${MockLeox.target}`);
-
-  const MockNebula = await hre.ethers.deployContract('QRC721', [
-    'Nebula Odysee',
-    'NEBULA',
-    'https://nebula-metadata-mainnet.s3.ap-southeast-2.amazonaws.com/nebula-odyssey-metadata/',
-    '0x30cfa2dd6b79Bc800B0b8cbF89534Aa4D02D548A',
-  ]);
-  await MockNebula.waitForDeployment();
-  console.log(`Nebula Deployed to ${MockNebula.target}`);
-
-  const GalileoSoulBoundToken = await hre.ethers.deployContract('GalileoSoulBoundToken', [
-    'NebulaSBT',
-    'NSBT',
-    'https://nebula-metadata-mainnet.s3.ap-southeast-2.amazonaws.com/nebula-odyssey-metadata/',
-  ]);
-  await GalileoSoulBoundToken.waitForDeployment();
-  console.log(`Soul Bound Tokem Deployed to ${GalileoSoulBoundToken.target}`);
-
-  const GalileoStaking = await hre.ethers.deployContract('GalileoStaking', [
-    '0x191C907746d2FfffE0d524289bAf82e538776587',
-    hre.ethers.parseEther('400'),
-  ]);
-  await GalileoStaking.waitForDeployment();
-  console.log(`Staking Contract Deployed to ${GalileoStaking.target}`);
+  // Deploy and configure everything described in config/<network>.js, skipping the steps already done on-chain.
+  // Addresses, transactions and constructor args are recorded in deployments/<network>.json.
+  const manifest = await runDeployment(hre, loadDeployConfig(hre.network.name));
+  console.log(`Staking Contract Deployed to ${manifest.contracts.GalileoStaking.address}`);
 }
 
 // We recommend this pattern to be able to use async/await everywhere
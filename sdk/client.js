@@ -0,0 +1,725 @@
+const { Contract, MaxUint256, ZeroAddress, getAddress } = require('ethers');
+const { abi } = require('../artifacts/contracts/GalileoStaking.sol/GalileoStaking.json');
+const { encodeStakeVoucher, getSigningDomain, signClaimRewards } = require('../utils/eip712_staking.js');
+const { signPermit, signPermit2, supportsPermit } = require('../utils/leox_permits.js');
+const { toStakingError } = require('./errors.js');
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+];
+
+const ERC721_ABI = [
+  'function getApproved(uint256 tokenId) view returns (address)',
+  'function isApprovedForAll(address owner, address operator) view returns (bool)',
+  'function approve(address to, uint256 tokenId)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+];
+
+function toDate(seconds) {
+  return new Date(Number(seconds) * 1000);
+}
+
+/**
+ * Converts a `StakePerCitizen` struct into a position with its unlock time.
+ *
+ * The contract stores the lock duration in `timelockEndTime`, the position unlocks at `timelockStartTime + timelockEndTime`.
+ * An auto-renewed lock rolls over once this time passes, `getLock` returns the end of the running period.
+ *
+ * @param position The struct as returned by `getStakersPosition` or `getStakedInfoPagination`.
+ * @returns The normalized position.
+ */
+function normalizePosition(position) {
+  const stakedAt = position.timelockStartTime;
+  const unlockTime = stakedAt + position.timelockEndTime;
+  return {
+    collectionAddress: position.collectionAddress,
+    tokenId: position.tokenId,
+    citizen: position.citizen,
+    points: position.points,
+    stakedLeox: position.stakedLEOX,
+    lockDuration: position.timelockEndTime,
+    stakedAt,
+    unlockTime,
+    stakedAtDate: toDate(stakedAt),
+    unlockDate: toDate(unlockTime),
+  };
+}
+
+/**
+ * Client of a GalileoStaking deployment.
+ *
+ * Transactions approve the NFT and the LEOX they pull beforehand, wait for their receipt, and throw a
+ * `GalileoStakingError` when the contract reverts with one of its custom errors.
+ */
+class GalileoStakingClient {
+  /**
+   * @param options.runner A signer to send transactions, or a provider for the views only.
+   * @param options.stakingAddress The address of the GalileoStaking contract.
+   * @param options.leoxAddress The address of LEOX, read from the contract when omitted.
+   */
+  constructor({ runner, stakingAddress, leoxAddress }) {
+    this.runner = runner;
+    this.stakingAddress = getAddress(stakingAddress);
+    this.contract = new Contract(this.stakingAddress, abi, runner);
+    this.leoxAddress = leoxAddress && getAddress(leoxAddress);
+  }
+
+  /**
+   * Creates a client for the GalileoStaking of a deployment manifest.
+   *
+   * @param runner A signer or a provider.
+   * @param manifest A manifest as returned by `readManifest` or `loadDeploymentManifest`.
+   * @returns The client.
+   */
+  static fromManifest(runner, manifest) {
+    const staking = manifest.contracts && manifest.contracts.GalileoStaking;
+    if (!staking || !staking.address) throw new Error(`GalileoStaking is not deployed on ${manifest.network}`);
+    return new GalileoStakingClient({ runner, stakingAddress: staking.address, leoxAddress: staking.args && staking.args[0] });
+  }
+
+  // Runs a contract call, turning custom errors into GalileoStakingError
+  async _call(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      throw toStakingError(this.contract.interface, error);
+    }
+  }
+
+  async _send(method, ...args) {
+    return this._call(async () => (await this.contract[method](...args)).wait());
+  }
+
+  /**
+   * Sends `method` over consecutive chunks of `items`, each chunk as large as fits the gas budget of a transaction.
+   *
+   * The gas of the remaining items is estimated before each transaction and the chunk is halved until it fits, so
+   * a chunk is only estimated once the previous ones are mined. A chunk whose estimate fails, as it does above the
+   * block gas limit, is halved as well, the error being thrown once a single item fails.
+   *
+   * @param method The batch method of the contract.
+   * @param items The items to send.
+   * @param toArgs Maps a chunk of items to the arguments of the method.
+   * @param options.maxGas The gas a transaction may use, half the gas limit of the latest block by default.
+   * @returns The receipt of each transaction.
+   */
+  async _sendBatches(method, items, toArgs, { maxGas } = {}) {
+    if (items.length === 0) return [];
+    if (maxGas === undefined) {
+      const { gasLimit } = await this.runner.provider.getBlock('latest');
+      maxGas = gasLimit / 2n;
+    }
+
+    const receipts = [];
+    let start = 0;
+    let size = items.length;
+    while (start < items.length) {
+      const chunk = items.slice(start, start + size);
+      let gas;
+      try {
+        gas = await this._call(() => this.contract[method].estimateGas(...toArgs(chunk)));
+      } catch (error) {
+        if (chunk.length === 1) throw error;
+      }
+      if ((gas === undefined || gas > BigInt(maxGas)) && chunk.length > 1) {
+        size = Math.ceil(chunk.length / 2);
+        continue;
+      }
+      // Sent with the estimated gas, as a default gas limit may not fit in the block either
+      receipts.push(await this._send(method, ...toArgs(chunk), { gasLimit: gas }));
+      start += chunk.length;
+    }
+    return receipts;
+  }
+
+  async _getSignerAddress() {
+    if (typeof this.runner.getAddress !== 'function') throw new Error('Sending a transaction requires a signer');
+    return this.runner.getAddress();
+  }
+
+  async _getLeoxAddress() {
+    if (!this.leoxAddress) this.leoxAddress = await this.contract.LEOX();
+    return this.leoxAddress;
+  }
+
+  /**
+   * Approves the staking contract to pull `amount` LEOX from the signer, unless the allowance already covers it.
+   *
+   * @param amount The amount of LEOX.
+   * @returns The approval receipt, or null when no approval was needed.
+   */
+  async approveLeox(amount) {
+    if (BigInt(amount) === 0n) return null;
+
+    const owner = await this._getSignerAddress();
+    const leox = new Contract(await this._getLeoxAddress(), ERC20_ABI, this.runner);
+    if ((await leox.allowance(owner, this.stakingAddress)) >= BigInt(amount)) return null;
+    return (await leox.approve(this.stakingAddress, amount)).wait();
+  }
+
+  /**
+   * Signs a permit for the staking contract to pull `amount` LEOX from the signer, as taken by `stakeWithPermit` and
+   * `stakeLeoxTokensWithPermit`.
+   *
+   * An ERC-2612 permit is signed if LEOX supports it, a Permit2 signature transfer otherwise. Permit2 pulls the LEOX
+   * with an allowance of the signer, approved once for all permits.
+   *
+   * @param amount The amount of LEOX.
+   * @param options.deadline The timestamp after which the permit expires, an hour after the latest block by default.
+   * @param options.approve Whether to approve Permit2 if its allowance does not cover the amount, true by default.
+   * @returns The signed permit.
+   */
+  async signLeoxPermit(amount, { deadline, approve = true } = {}) {
+    const owner = await this._getSignerAddress();
+    const leoxAddress = await this._getLeoxAddress();
+    if (deadline === undefined) deadline = (await this.runner.provider.getBlock('latest')).timestamp + 3600;
+
+    if (await supportsPermit(this.runner, leoxAddress)) {
+      return signPermit(this.runner, leoxAddress, { spender: this.stakingAddress, value: amount, deadline });
+    }
+
+    const permit2 = await this.getPermit2();
+    if (permit2 === ZeroAddress) throw new Error('LEOX has no ERC-2612 permit and GalileoStaking has no Permit2');
+    const leox = new Contract(leoxAddress, ERC20_ABI, this.runner);
+    if (approve && (await leox.allowance(owner, permit2)) < BigInt(amount)) await (await leox.approve(permit2, MaxUint256)).wait();
+    return signPermit2(this.runner, permit2, { token: leoxAddress, spender: this.stakingAddress, value: amount, deadline });
+  }
+
+  /**
+   * Approves the staking contract to pull a token of the signer, unless it is already approved.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the token.
+   * @returns The approval receipt, or null when no approval was needed.
+   */
+  async approveToken(collectionAddress, tokenId) {
+    const owner = await this._getSignerAddress();
+    const collection = new Contract(collectionAddress, ERC721_ABI, this.runner);
+    if ((await collection.getApproved(tokenId)) === this.stakingAddress) return null;
+
+    try {
+      if (await collection.isApprovedForAll(owner, this.stakingAddress)) return null;
+    } catch (error) {
+      // Some collections, such as QRC721, only support single token approvals
+    }
+    return (await collection.approve(this.stakingAddress, tokenId)).wait();
+  }
+
+  /**
+   * Stakes a token with a voucher signed by a validator, approving the token and the LEOX first.
+   *
+   * @param voucher The signed `StakeTokens` voucher, issued to the signer.
+   * @param options.approve Whether to send the missing approvals, true by default.
+   * @returns The receipt of the stake.
+   */
+  async stake(voucher, { approve = true } = {}) {
+    if (approve) {
+      await this.approveToken(voucher.collectionAddress, voucher.tokenId);
+      await this.approveLeox(voucher.stakedLeox);
+    }
+    return this._send('stake', voucher);
+  }
+
+  /**
+   * Stakes a token with a voucher signed by a validator, pulling the LEOX with a permit instead of an approval.
+   *
+   * @param voucher The signed `StakeTokens` voucher, issued to the signer.
+   * @param options.deadline The timestamp after which the permit expires, an hour after the latest block by default.
+   * @param options.approve Whether to send the missing approvals of the token and of Permit2, true by default.
+   * @returns The receipt of the stake.
+   */
+  async stakeWithPermit(voucher, { deadline, approve = true } = {}) {
+    if (approve) await this.approveToken(voucher.collectionAddress, voucher.tokenId);
+    const permit = await this.signLeoxPermit(voucher.stakedLeox, { deadline, approve });
+    return this._send('stakeWithPermit', voucher, permit);
+  }
+
+  /**
+   * Stakes a token by sending it to the staking contract with `safeTransferFrom`, the voucher as data, so that the
+   * token needs no approval. The collection must implement `safeTransferFrom`, which QRC721 does not.
+   *
+   * @param voucher The signed `StakeTokens` voucher, issued to the signer.
+   * @param options.approve Whether to send the missing LEOX approval, true by default.
+   * @returns The receipt of the transfer.
+   */
+  async stakeViaSafeTransfer(voucher, { approve = true } = {}) {
+    if (approve) await this.approveLeox(voucher.stakedLeox);
+    const owner = await this._getSignerAddress();
+    const collection = new Contract(voucher.collectionAddress, ERC721_ABI, this.runner);
+    return this._call(async () =>
+      (await collection.safeTransferFrom(owner, this.stakingAddress, voucher.tokenId, encodeStakeVoucher(voucher))).wait()
+    );
+  }
+
+  /**
+   * Stakes several tokens, in as many transactions as the gas limit requires, approving the tokens and the LEOX first.
+   *
+   * @param vouchers The signed `StakeTokens` vouchers, issued to the signer with consecutive nonces.
+   * @param options.approve Whether to send the missing approvals, true by default.
+   * @param options.maxGas The gas a transaction may use, half the gas limit of the latest block by default.
+   * @returns The receipt of each transaction.
+   */
+  async stakeBatch(vouchers, { approve = true, maxGas } = {}) {
+    if (approve) {
+      for (const voucher of vouchers) await this.approveToken(voucher.collectionAddress, voucher.tokenId);
+      await this.approveLeox(vouchers.reduce((total, voucher) => total + BigInt(voucher.stakedLeox), 0n));
+    }
+    return this._sendBatches('stakeBatch', vouchers, (chunk) => [chunk], { maxGas });
+  }
+
+  /**
+   * Adds LEOX to a staked token, approving the LEOX first.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @param amount The amount of LEOX to add.
+   * @param options.approve Whether to send the missing approval, true by default.
+   * @returns The receipt.
+   */
+  async stakeLeoxTokens(collectionAddress, tokenId, amount, { approve = true } = {}) {
+    if (approve) await this.approveLeox(amount);
+    return this._send('stakeLeoxTokens', collectionAddress, tokenId, amount);
+  }
+
+  /**
+   * Adds LEOX to a staked token, pulling the LEOX with a permit instead of an approval.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @param amount The amount of LEOX to add.
+   * @param options.deadline The timestamp after which the permit expires, an hour after the latest block by default.
+   * @param options.approve Whether to send the missing approval of Permit2, true by default.
+   * @returns The receipt.
+   */
+  async stakeLeoxTokensWithPermit(collectionAddress, tokenId, amount, { deadline, approve = true } = {}) {
+    const permit = await this.signLeoxPermit(amount, { deadline, approve });
+    return this._send('stakeLeoxTokensWithPermit', collectionAddress, tokenId, amount, permit);
+  }
+
+  /**
+   * Unstakes part of the LEOX of a staked token, charged the penalty of the collection while the token is locked.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @param amount The amount of LEOX to unstake.
+   * @returns The receipt.
+   */
+  async unstakeLeoxTokens(collectionAddress, tokenId, amount) {
+    return this._send('unstakeLeoxTokens', collectionAddress, tokenId, amount);
+  }
+
+  /**
+   * Compounds the rewards of a staked token into its staked LEOX, the rewards above the maximum LEOX being paid out.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @returns The receipt.
+   */
+  async compound(collectionAddress, tokenId) {
+    return this._send('compound', collectionAddress, tokenId);
+  }
+
+  /**
+   * Starts a new lock period of a staked token, which must not end before the running one.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @param newDuration The new lock duration in seconds, one of the multipliers of the collection.
+   * @returns The receipt.
+   */
+  async extendLock(collectionAddress, tokenId, newDuration) {
+    return this._send('extendLock', collectionAddress, tokenId, newDuration);
+  }
+
+  /**
+   * Turns on or off the rollover of the lock of a staked token when it ends.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @param autoRenew Whether the lock rolls over.
+   * @returns The receipt.
+   */
+  async setAutoRenew(collectionAddress, tokenId, autoRenew) {
+    return this._send('setAutoRenew', collectionAddress, tokenId, autoRenew);
+  }
+
+  /**
+   * Unstakes a token once its lock ended, withdrawing its rewards.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @returns The receipt.
+   */
+  async unstake(collectionAddress, tokenId) {
+    return this._send('unstake', collectionAddress, tokenId);
+  }
+
+  /**
+   * Unstakes several tokens whose locks ended, in as many transactions as the gas limit requires.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param tokenIds The IDs of the staked tokens.
+   * @param options.maxGas The gas a transaction may use, half the gas limit of the latest block by default.
+   * @returns The receipt of each transaction.
+   */
+  async unstakeBatch(collectionAddress, tokenIds, { maxGas } = {}) {
+    return this._sendBatches('unstakeBatch', tokenIds, (chunk) => [collectionAddress, chunk], { maxGas });
+  }
+
+  /**
+   * Unstakes a token of a collection in emergency, its rewards being frozen until `claimFrozenRewards`.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @returns The receipt.
+   */
+  async emergencyUnstake(collectionAddress, tokenId) {
+    return this._send('emergencyUnstake', collectionAddress, tokenId);
+  }
+
+  /**
+   * Claims the rewards frozen by the emergency unstakes of the signer, once the emergency is lifted or they are released.
+   *
+   * @param collectionAddress The address of the collection.
+   * @returns The receipt.
+   */
+  async claimFrozenRewards(collectionAddress) {
+    return this._send('claimFrozenRewards', collectionAddress);
+  }
+
+  /**
+   * Unstakes a token before its lock ends, forfeiting the early unstake penalties of the collection.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @returns The receipt.
+   */
+  async earlyUnstake(collectionAddress, tokenId) {
+    return this._send('earlyUnstake', collectionAddress, tokenId);
+  }
+
+  /**
+   * Withdraws the rewards of every token the signer staked in a collection.
+   *
+   * @param collectionAddress The address of the collection.
+   * @returns The receipt.
+   */
+  async withdrawAllRewards(collectionAddress) {
+    return this._send('withdrawAllRewards', collectionAddress);
+  }
+
+  /**
+   * Withdraws the rewards of every token the signer staked in a collection to another address.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param to The address the rewards are paid to.
+   * @returns The receipt.
+   */
+  async withdrawAllRewardsTo(collectionAddress, to) {
+    return this._send('withdrawAllRewardsTo', collectionAddress, to);
+  }
+
+  /**
+   * Withdraws the rewards of every token a staker staked in a collection, as the staker or one of its claim operators.
+   * The rewards are paid to the rewards beneficiary of the staker, or to the staker.
+   *
+   * @param owner The address of the staker.
+   * @param collectionAddress The address of the collection.
+   * @returns The receipt.
+   */
+  async withdrawAllRewardsFor(owner, collectionAddress) {
+    return this._send('withdrawAllRewardsFor', owner, collectionAddress);
+  }
+
+  /**
+   * Signs an authorization to withdraw the rewards of the signer in a collection, for anyone to submit with
+   * `withdrawAllRewardsWithSig`.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param options.deadline The timestamp after which the authorization expires.
+   * @param options.recipient The address the rewards are paid to, the rewards beneficiary of the signer by default.
+   * @param options.nonce The claim nonce to sign, the current one by default.
+   * @returns The signed authorization.
+   */
+  async signClaimRewards(collectionAddress, { deadline, recipient = ZeroAddress, nonce } = {}) {
+    if (deadline === undefined) throw new Error('Claim authorization requires a deadline');
+    const owner = await this._getSignerAddress();
+    const domain = await getSigningDomain(this.runner, this.stakingAddress);
+    return signClaimRewards(this.runner, domain, {
+      owner,
+      collectionAddress,
+      recipient,
+      nonce: nonce === undefined ? await this.getClaimNonce(owner) : nonce,
+      deadline,
+    });
+  }
+
+  /**
+   * Submits an authorization signed by a staker to withdraw its rewards, e.g. from a relayer.
+   *
+   * @param claim The authorization as returned by `signClaimRewards`.
+   * @returns The receipt.
+   */
+  async withdrawAllRewardsWithSig(claim) {
+    return this._send('withdrawAllRewardsWithSig', claim);
+  }
+
+  /**
+   * Allows or disallows an address to withdraw the rewards of the signer with `withdrawAllRewardsFor`.
+   *
+   * @param operator The address of the claim operator.
+   * @param approved Whether the operator can claim the rewards of the signer.
+   * @returns The receipt.
+   */
+  async setClaimOperator(operator, approved) {
+    return this._send('setClaimOperator', operator, approved);
+  }
+
+  /**
+   * Sets the address the rewards of the signer are paid to when claimed on its behalf, the zero address for the signer.
+   *
+   * @param beneficiary The address of the beneficiary.
+   * @returns The receipt.
+   */
+  async setRewardsBeneficiary(beneficiary) {
+    return this._send('setRewardsBeneficiary', beneficiary);
+  }
+
+  /**
+   * Withdraws the rewards of a staked token without unstaking it.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @returns The receipt.
+   */
+  async withdrawRewards(collectionAddress, tokenId) {
+    return this._send('withdrawRewards', collectionAddress, tokenId);
+  }
+
+  /**
+   * Withdraws the rewards of several staked tokens, in as many transactions as the gas limit requires.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param tokenIds The IDs of the staked tokens.
+   * @param options.maxGas The gas a transaction may use, half the gas limit of the latest block by default.
+   * @returns The receipt of each transaction.
+   */
+  async withdrawRewardsBatch(collectionAddress, tokenIds, { maxGas } = {}) {
+    return this._sendBatches('withdrawRewardsBatch', tokenIds, (chunk) => [collectionAddress, chunk], { maxGas });
+  }
+
+  /**
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the token.
+   * @param staker The address of the staker, the signer by default.
+   * @returns The normalized position, or null if the token is not staked by the staker.
+   */
+  async getPosition(collectionAddress, tokenId, staker) {
+    const owner = staker || (await this._getSignerAddress());
+    try {
+      return normalizePosition(await this._call(() => this.contract.getStakersPosition(owner, collectionAddress, tokenId)));
+    } catch (error) {
+      if (error.errorName === 'TokenNotStaked') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the token.
+   * @param staker The address of the staker, the signer by default.
+   * @returns The end of the running lock period as `{ unlockTime, unlockDate, autoRenew }`, or null if the token is not
+   * staked by the staker.
+   */
+  async getLock(collectionAddress, tokenId, staker) {
+    const owner = staker || (await this._getSignerAddress());
+    try {
+      const [unlockTime, autoRenew] = await this._call(() => this.contract.getLock(owner, collectionAddress, tokenId));
+      return { unlockTime, unlockDate: toDate(unlockTime), autoRenew };
+    } catch (error) {
+      if (error.errorName === 'TokenNotStaked') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * @param collectionAddress The address of the collection.
+   * @param staker The address of the staker, the signer by default.
+   * @param options.pageSize Positions fetched per call.
+   * @returns Every normalized position of the staker in the collection.
+   */
+  async getPositions(collectionAddress, staker, { pageSize = 100 } = {}) {
+    const owner = staker || (await this._getSignerAddress());
+    const positions = [];
+    for (let page = 1, totalPages = 1; page <= totalPages; page++) {
+      const [items, , pages] = await this._call(() => this.contract.getStakedInfoPagination(owner, collectionAddress, page, pageSize));
+      positions.push(...items.map(normalizePosition));
+      totalPages = Number(pages);
+    }
+    return positions;
+  }
+
+  /**
+   * @param collectionAddress The address of the collection.
+   * @returns The pool as `{ totalPoints, rewardCount, tax, rewardWindows }`, reward windows as `{ rewardRate, startTime, endTime }`.
+   */
+  async getPoolConfiguration(collectionAddress) {
+    const [totalPoints, rewardCount, tax, rewardWindows] = await this._call(() => this.contract.getPoolConfiguration(collectionAddress));
+    return {
+      totalPoints,
+      rewardCount,
+      tax,
+      rewardWindows: rewardWindows.map(({ rewardRate, startTime, endTime }) => ({ rewardRate, startTime, endTime })),
+    };
+  }
+
+  /**
+   * @param collectionAddress The address of the collection.
+   * @returns The multipliers as `{ stakingTime, stakingBoost }`.
+   */
+  async getMultipliers(collectionAddress) {
+    const multipliers = await this._call(() => this.contract.getMultipliers(collectionAddress));
+    return multipliers.map(({ stakingTime, stakingBoost }) => ({ stakingTime, stakingBoost }));
+  }
+
+  /**
+   * @param collectionAddress The address of the collection.
+   * @param citizen The citizen tier.
+   * @returns The tier as `{ maxLeox, yieldTraitPoints, collectionName }`.
+   */
+  async getYieldTraitPoints(collectionAddress, citizen) {
+    const { maxLeox, yieldTraitPoints, collectionName } = await this._call(() =>
+      this.contract.getYieldTraitPoints(collectionAddress, citizen)
+    );
+    return { maxLeox, yieldTraitPoints, collectionName };
+  }
+
+  /**
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @param staker The address of the staker, the signer by default.
+   * @returns The pending rewards of the token, before tax.
+   */
+  async calculateRewards(collectionAddress, tokenId, staker) {
+    const owner = staker || (await this._getSignerAddress());
+    return this._call(() => this.contract.calculateRewards(owner, collectionAddress, tokenId));
+  }
+
+  /**
+   * @param collectionAddress The address of the collection.
+   * @param staker The address of the staker, the signer by default.
+   * @returns The pending rewards of every token of the staker in the collection, before tax.
+   */
+  async calculateRewardsAllRewards(collectionAddress, staker) {
+    const owner = staker || (await this._getSignerAddress());
+    return this._call(() => this.contract.calculateRewardsAllRewards(owner, collectionAddress));
+  }
+
+  /**
+   * @param collectionAddress The address of the collection.
+   * @param citizen The citizen tier.
+   * @param stakedLeox The amount of LEOX staked.
+   * @param lockDuration The lock duration in seconds.
+   * @returns The points the stake would earn.
+   */
+  async calculatePoints(collectionAddress, citizen, stakedLeox, lockDuration) {
+    return this._call(() => this.contract.calculatePoints(collectionAddress, citizen, stakedLeox, lockDuration));
+  }
+
+  async rewardPerToken(collectionAddress) {
+    return this._call(() => this.contract.rewardPerToken(collectionAddress));
+  }
+
+  async getRewardPoolBalance(collectionAddress) {
+    return this._call(() => this.contract.getRewardPoolBalance(collectionAddress));
+  }
+
+  async getCompoundTax(collectionAddress) {
+    return this._call(() => this.contract.getCompoundTax(collectionAddress));
+  }
+
+  async getUnstakeLeoxPenalty(collectionAddress) {
+    return this._call(() => this.contract.getUnstakeLeoxPenalty(collectionAddress));
+  }
+
+  /**
+   * @param collectionAddress The address of the collection.
+   * @param staker The address of the staker, the signer by default.
+   * @returns The frozen rewards before tax, and whether they can be claimed now, as `{ rewardAmount, claimable }`.
+   */
+  async getFrozenRewards(collectionAddress, staker) {
+    const owner = staker || (await this._getSignerAddress());
+    const [rewardAmount, claimable] = await this._call(() => this.contract.getFrozenRewards(owner, collectionAddress));
+    return { rewardAmount, claimable };
+  }
+
+  async getTotalFrozenRewards(collectionAddress) {
+    return this._call(() => this.contract.getTotalFrozenRewards(collectionAddress));
+  }
+
+  async getEarlyUnstakeParams(collectionAddress) {
+    const { enabled, toRewardPool, rewardsPenalty, leoxPenalty } = await this._call(() =>
+      this.contract.getEarlyUnstakeParams(collectionAddress)
+    );
+    return { enabled, toRewardPool, rewardsPenalty, leoxPenalty };
+  }
+
+  /**
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @param staker The address of the staker, the signer by default.
+   * @returns The penalties of unstaking the token now as `{ rewardsPenalty, leoxPenalty }`, both 0 once the lock ended.
+   */
+  async quoteEarlyUnstake(collectionAddress, tokenId, staker) {
+    const owner = staker || (await this._getSignerAddress());
+    const [rewardsPenalty, leoxPenalty] = await this._call(() => this.contract.quoteEarlyUnstake(owner, collectionAddress, tokenId));
+    return { rewardsPenalty, leoxPenalty };
+  }
+
+  async getCommittedRewards(collectionAddress) {
+    return this._call(() => this.contract.getCommittedRewards(collectionAddress));
+  }
+
+  /**
+   * @param collectionAddress The address of the collection.
+   * @returns The seconds the reward pool funds the reward windows for, `MaxUint256` when they are funded until they end.
+   */
+  async getRewardRunway(collectionAddress) {
+    return this._call(() => this.contract.getRewardRunway(collectionAddress));
+  }
+
+  async getStakedPercentage(collectionAddress) {
+    return this._call(() => this.contract.getStakedPercentage(collectionAddress));
+  }
+
+  async getNonce(staker) {
+    return this._call(async () => this.contract.getNonce(staker || (await this._getSignerAddress())));
+  }
+
+  async getClaimNonce(owner) {
+    return this._call(async () => this.contract.getClaimNonce(owner || (await this._getSignerAddress())));
+  }
+
+  async isClaimOperator(operator, owner) {
+    return this._call(async () => this.contract.isClaimOperator(owner || (await this._getSignerAddress()), operator));
+  }
+
+  async getRewardsBeneficiary(owner) {
+    return this._call(async () => this.contract.getRewardsBeneficiary(owner || (await this._getSignerAddress())));
+  }
+
+  async getPermit2() {
+    return this._call(() => this.contract.getPermit2());
+  }
+
+  async paused() {
+    return this._call(() => this.contract.paused());
+  }
+
+  async hasRole(role, account) {
+    return this._call(() => this.contract.hasRole(role, account));
+  }
+}
+
+module.exports = { GalileoStakingClient, normalizePosition };
@@ -0,0 +1,42 @@
+const { decodeStakingError } = require('../utils/staking_errors.js');
+
+/**
+ * A revert of GalileoStaking with one of its custom errors, e.g. `UnstakeBeforeLockPeriod(lockPeriodEnd)`.
+ *
+ * `errorName` is the name of the custom error and `args` holds its arguments by parameter name.
+ */
+class GalileoStakingError extends Error {
+  constructor(errorName, args, cause) {
+    super(`${errorName}(${Object.values(args).join(', ')})`, { cause });
+    this.name = 'GalileoStakingError';
+    this.errorName = errorName;
+    this.args = args;
+  }
+}
+
+/**
+ * Converts the error of a reverted GalileoStaking call into a `GalileoStakingError`.
+ *
+ * @param contractInterface The interface of GalileoStaking.
+ * @param error The error thrown by the call.
+ * @returns The `GalileoStakingError`, or the error itself if it is not a custom error of the contract.
+ */
+function toStakingError(contractInterface, error) {
+  const decoded = decodeStakingError(contractInterface, error);
+  if (!decoded) return error;
+
+  const { inputs } = contractInterface.getError(decoded.name);
+  const args = Object.fromEntries(inputs.map((input, index) => [input.name || String(index), decoded.args[index]]));
+  return new GalileoStakingError(decoded.name, args, error);
+}
+
+/**
+ * @param error Any error.
+ * @param errorName Optional name of the custom error to match.
+ * @returns Whether the error is a `GalileoStakingError`, with the given name if any.
+ */
+function isStakingError(error, errorName) {
+  return error instanceof GalileoStakingError && (errorName === undefined || error.errorName === errorName);
+}
+
+module.exports = { GalileoStakingError, toStakingError, isStakingError };
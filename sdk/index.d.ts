@@ -0,0 +1,217 @@
+// Declarations of the GalileoStaking client, built on the typechain types generated by `npx hardhat compile`.
+import type { AddressLike, BigNumberish, BytesLike, ContractRunner, TransactionReceipt } from 'ethers';
+import type { GalileoStaking, GalileoStakingStorage } from '../typechain-types/contracts/GalileoStaking';
+
+/** Arguments of each custom error GalileoStaking reverts with, by parameter name. */
+export interface GalileoStakingErrorArgs {
+  AccessControlBadConfirmation: {};
+  AccessControlUnauthorizedAccount: { account: string; neededRole: string };
+  AddressEmptyCode: { target: string };
+  AddressInsufficientBalance: { account: string };
+  CollectionUninitialized: {};
+  ECDSAInvalidSignature: {};
+  ECDSAInvalidSignatureLength: { length: bigint };
+  ECDSAInvalidSignatureS: { s: string };
+  EmergencyDeclared: {};
+  EmergencyNotDeclared: {};
+  EnforcedPause: {};
+  ExpectedPause: {};
+  FailedInnerCall: {};
+  InvalidAddress: {};
+  InvalidAmount: { amount: bigint };
+  InvalidAmountRewardPoolBalance: {};
+  InvalidCitizenIndex: {};
+  InvalidEndTime: {};
+  InvalidIncrement: {};
+  InvalidInput: {};
+  InvalidLeoxHierarchy: {};
+  InvalidNonce: { expectedNonce: bigint };
+  InvalidRewardRate: {};
+  InvalidShortString: {};
+  InvalidSignature: {};
+  InvalidStaker: {};
+  InvalidTaxRate: {};
+  InvalidTime: {};
+  InvalidTokenId: {};
+  InvalidTokensCount: { maxLeox: bigint };
+  InvalidTraitPointsHierarchy: {};
+  PoolAlreadyInitialized: {};
+  PoolUninitialized: { collectionAddress: string };
+  Permit2Unavailable: {};
+  ReentrancyGuardReentrantCall: {};
+  RewardWindowStarted: { index: bigint };
+  RewardWindowsOverlap: { index: bigint };
+  SafeERC20FailedOperation: { token: string };
+  SignatureExpired: { deadline: bigint };
+  StateAlreadyDeclared: {};
+  StringTooLong: { str: string };
+  TokenAlreadyStaked: {};
+  TokenNotStaked: {};
+  UnstakeBeforeLockPeriod: { lockPeriodEnd: bigint };
+}
+
+export type GalileoStakingErrorName = keyof GalileoStakingErrorArgs;
+
+export class GalileoStakingError<N extends GalileoStakingErrorName = GalileoStakingErrorName> extends Error {
+  constructor(errorName: N, args: GalileoStakingErrorArgs[N], cause?: unknown);
+  readonly name: 'GalileoStakingError';
+  readonly errorName: N;
+  readonly args: GalileoStakingErrorArgs[N];
+}
+
+export function isStakingError<N extends GalileoStakingErrorName>(error: unknown, errorName?: N): error is GalileoStakingError<N>;
+
+export function toStakingError(contractInterface: GalileoStaking['interface'], error: unknown): GalileoStakingError | unknown;
+
+export interface Position {
+  collectionAddress: string;
+  tokenId: bigint;
+  citizen: bigint;
+  points: bigint;
+  stakedLeox: bigint;
+  /** Lock duration in seconds. */
+  lockDuration: bigint;
+  /** Unix timestamp of the stake. */
+  stakedAt: bigint;
+  /** Unix timestamp from which the token can be unstaked. */
+  unlockTime: bigint;
+  stakedAtDate: Date;
+  unlockDate: Date;
+}
+
+export interface Lock {
+  /** Unix timestamp the running lock period ends, rolled over when auto-renewed. */
+  unlockTime: bigint;
+  unlockDate: Date;
+  autoRenew: boolean;
+}
+
+export interface EarlyUnstakeParams {
+  enabled: boolean;
+  /** Whether the penalties stay in the reward pool, instead of going to the tax. */
+  toRewardPool: boolean;
+  /** Percentages scaled by 1e18, pro-rated by the share of the lock remaining. */
+  rewardsPenalty: bigint;
+  leoxPenalty: bigint;
+}
+
+export function normalizePosition(position: GalileoStakingStorage.StakePerCitizenStructOutput): Position;
+
+export interface PoolConfiguration {
+  totalPoints: bigint;
+  rewardCount: bigint;
+  tax: bigint;
+  rewardWindows: { rewardRate: bigint; startTime: bigint; endTime: bigint }[];
+}
+
+export interface ApproveOptions {
+  /** Whether to send the missing approvals, true by default. */
+  approve?: boolean;
+}
+
+export interface PermitOptions extends ApproveOptions {
+  /** The timestamp after which the permit expires, an hour after the latest block by default. */
+  deadline?: BigNumberish;
+}
+
+export interface BatchOptions {
+  /** The gas a transaction may use, half the gas limit of the latest block by default. */
+  maxGas?: BigNumberish;
+}
+
+export interface DeploymentManifest {
+  network: string;
+  contracts: { GalileoStaking?: { address: string; args?: unknown[] } };
+}
+
+export class GalileoStakingClient {
+  constructor(options: { runner: ContractRunner; stakingAddress: string; leoxAddress?: string });
+  static fromManifest(runner: ContractRunner, manifest: DeploymentManifest): GalileoStakingClient;
+
+  readonly runner: ContractRunner;
+  readonly stakingAddress: string;
+  readonly contract: GalileoStaking;
+  leoxAddress?: string;
+
+  approveLeox(amount: BigNumberish): Promise<TransactionReceipt | null>;
+  approveToken(collectionAddress: AddressLike, tokenId: BigNumberish): Promise<TransactionReceipt | null>;
+  signLeoxPermit(amount: BigNumberish, options?: PermitOptions): Promise<GalileoStakingStorage.LeoxPermitStruct>;
+
+  stake(voucher: GalileoStakingStorage.StakeTokensStruct, options?: ApproveOptions): Promise<TransactionReceipt>;
+  stakeViaSafeTransfer(voucher: GalileoStakingStorage.StakeTokensStruct, options?: ApproveOptions): Promise<TransactionReceipt>;
+  stakeWithPermit(voucher: GalileoStakingStorage.StakeTokensStruct, options?: PermitOptions): Promise<TransactionReceipt>;
+  stakeBatch(vouchers: GalileoStakingStorage.StakeTokensStruct[], options?: ApproveOptions & BatchOptions): Promise<TransactionReceipt[]>;
+  stakeLeoxTokens(
+    collectionAddress: AddressLike,
+    tokenId: BigNumberish,
+    amount: BigNumberish,
+    options?: ApproveOptions
+  ): Promise<TransactionReceipt>;
+  stakeLeoxTokensWithPermit(
+    collectionAddress: AddressLike,
+    tokenId: BigNumberish,
+    amount: BigNumberish,
+    options?: PermitOptions
+  ): Promise<TransactionReceipt>;
+  unstakeLeoxTokens(collectionAddress: AddressLike, tokenId: BigNumberish, amount: BigNumberish): Promise<TransactionReceipt>;
+  compound(collectionAddress: AddressLike, tokenId: BigNumberish): Promise<TransactionReceipt>;
+  extendLock(collectionAddress: AddressLike, tokenId: BigNumberish, newDuration: BigNumberish): Promise<TransactionReceipt>;
+  setAutoRenew(collectionAddress: AddressLike, tokenId: BigNumberish, autoRenew: boolean): Promise<TransactionReceipt>;
+  unstake(collectionAddress: AddressLike, tokenId: BigNumberish): Promise<TransactionReceipt>;
+  unstakeBatch(collectionAddress: AddressLike, tokenIds: BigNumberish[], options?: BatchOptions): Promise<TransactionReceipt[]>;
+  emergencyUnstake(collectionAddress: AddressLike, tokenId: BigNumberish): Promise<TransactionReceipt>;
+  claimFrozenRewards(collectionAddress: AddressLike): Promise<TransactionReceipt>;
+  earlyUnstake(collectionAddress: AddressLike, tokenId: BigNumberish): Promise<TransactionReceipt>;
+  withdrawAllRewards(collectionAddress: AddressLike): Promise<TransactionReceipt>;
+  withdrawAllRewardsTo(collectionAddress: AddressLike, to: AddressLike): Promise<TransactionReceipt>;
+  withdrawAllRewardsFor(owner: AddressLike, collectionAddress: AddressLike): Promise<TransactionReceipt>;
+  signClaimRewards(
+    collectionAddress: AddressLike,
+    options: { deadline: BigNumberish; recipient?: AddressLike; nonce?: BigNumberish }
+  ): Promise<GalileoStakingStorage.ClaimRewardsStruct>;
+  withdrawAllRewardsWithSig(claim: GalileoStakingStorage.ClaimRewardsStruct): Promise<TransactionReceipt>;
+  setClaimOperator(operator: AddressLike, approved: boolean): Promise<TransactionReceipt>;
+  setRewardsBeneficiary(beneficiary: AddressLike): Promise<TransactionReceipt>;
+  withdrawRewards(collectionAddress: AddressLike, tokenId: BigNumberish): Promise<TransactionReceipt>;
+  withdrawRewardsBatch(collectionAddress: AddressLike, tokenIds: BigNumberish[], options?: BatchOptions): Promise<TransactionReceipt[]>;
+
+  getPosition(collectionAddress: AddressLike, tokenId: BigNumberish, staker?: AddressLike): Promise<Position | null>;
+  getLock(collectionAddress: AddressLike, tokenId: BigNumberish, staker?: AddressLike): Promise<Lock | null>;
+  getPositions(collectionAddress: AddressLike, staker?: AddressLike, options?: { pageSize?: number }): Promise<Position[]>;
+  getPoolConfiguration(collectionAddress: AddressLike): Promise<PoolConfiguration>;
+  getMultipliers(collectionAddress: AddressLike): Promise<{ stakingTime: bigint; stakingBoost: bigint }[]>;
+  getYieldTraitPoints(
+    collectionAddress: AddressLike,
+    citizen: BigNumberish
+  ): Promise<{ maxLeox: bigint; yieldTraitPoints: bigint; collectionName: string }>;
+  calculateRewards(collectionAddress: AddressLike, tokenId: BigNumberish, staker?: AddressLike): Promise<bigint>;
+  calculateRewardsAllRewards(collectionAddress: AddressLike, staker?: AddressLike): Promise<bigint>;
+  calculatePoints(
+    collectionAddress: AddressLike,
+    citizen: BigNumberish,
+    stakedLeox: BigNumberish,
+    lockDuration: BigNumberish
+  ): Promise<bigint>;
+  rewardPerToken(collectionAddress: AddressLike): Promise<bigint>;
+  getRewardPoolBalance(collectionAddress: AddressLike): Promise<bigint>;
+  getCompoundTax(collectionAddress: AddressLike): Promise<bigint>;
+  getUnstakeLeoxPenalty(collectionAddress: AddressLike): Promise<bigint>;
+  getFrozenRewards(collectionAddress: AddressLike, staker?: AddressLike): Promise<{ rewardAmount: bigint; claimable: boolean }>;
+  getTotalFrozenRewards(collectionAddress: AddressLike): Promise<bigint>;
+  getEarlyUnstakeParams(collectionAddress: AddressLike): Promise<EarlyUnstakeParams>;
+  quoteEarlyUnstake(
+    collectionAddress: AddressLike,
+    tokenId: BigNumberish,
+    staker?: AddressLike
+  ): Promise<{ rewardsPenalty: bigint; leoxPenalty: bigint }>;
+  getCommittedRewards(collectionAddress: AddressLike): Promise<bigint>;
+  getRewardRunway(collectionAddress: AddressLike): Promise<bigint>;
+  getStakedPercentage(collectionAddress: AddressLike): Promise<bigint>;
+  getNonce(staker?: AddressLike): Promise<bigint>;
+  getClaimNonce(owner?: AddressLike): Promise<bigint>;
+  isClaimOperator(operator: AddressLike, owner?: AddressLike): Promise<boolean>;
+  getRewardsBeneficiary(owner?: AddressLike): Promise<string>;
+  getPermit2(): Promise<string>;
+  paused(): Promise<boolean>;
+  hasRole(role: BytesLike, account: AddressLike): Promise<boolean>;
+}
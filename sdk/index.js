@@ -0,0 +1,6 @@
+// JavaScript client of GalileoStaking. Requires the compiled artifacts, `npx hardhat compile` also generates the
+// typechain types its TypeScript declarations build on.
+const { GalileoStakingClient, normalizePosition } = require('./client.js');
+const { GalileoStakingError, isStakingError, toStakingError } = require('./errors.js');
+
+module.exports = { GalileoStakingClient, GalileoStakingError, isStakingError, normalizePosition, toStakingError };
@@ -0,0 +1,296 @@
+// Read-only REST API over the staking data indexed by `services/indexer.js`.
+//
+// Run it next to the indexer, on the same database:
+//
+//   DATABASE=./galileo.sqlite node services/api.js
+//
+// Indexed data answers the queries the contract cannot, live values such as pending rewards are read from the
+// contract in one Multicall3 `aggregate3` call per page:
+//
+//   GET /collections
+//   GET /collections/:collection
+//   GET /collections/:collection/positions?status=&staker=&citizen=
+//   GET /collections/:collection/top-stakers
+//   GET /collections/:collection/tax?interval=day&from=&to=
+//   GET /positions/unlocking?days=7&collection=
+//   GET /wallets/:wallet/positions?collection=&status=
+//   GET /wallets/:wallet/rewards?collection=&from=&to=
+//
+// Lists take `limit` (at most 100) and `offset`, and answer `{ items, limit, offset, next }` where `next` is the
+// offset of the next page, or null on the last one.
+const http = require('http');
+const { Contract, Interface, JsonRpcProvider, getAddress, isAddress } = require('ethers');
+const { loadDeploymentManifest } = require('../utils/eip712_staking.js');
+const { HttpError, sendJson } = require('./http_utils.js');
+const { StakingStore } = require('./staking_store.js');
+
+// Canonical Multicall3 deployment, present on most chains
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+];
+
+const STAKING_ABI = ['function calculateRewards(address recipient, address collectionAddress, uint256 tokenId) view returns (uint256)'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const INTERVALS = { hour: 3600, day: 86400, week: 604800 };
+
+const POSITION_STATUSES = ['staked', 'unstaked', 'emergency_unstaked', 'early_unstaked'];
+
+function parseAddress(value, name) {
+  if (!isAddress(value)) throw new HttpError(400, `Invalid ${name}`);
+  return getAddress(value);
+}
+
+function parseInteger(value, name, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) throw new HttpError(400, `Invalid ${name}`);
+  return Number(value);
+}
+
+// Reads an optional query parameter with its parser
+function optional(query, name, parse, ...args) {
+  const value = query.get(name);
+  return value === null || value === '' ? undefined : parse(value, name, ...args);
+}
+
+function parsePage(query) {
+  return {
+    limit: optional(query, 'limit', parseInteger, { min: 1, max: MAX_LIMIT }) || DEFAULT_LIMIT,
+    offset: optional(query, 'offset', parseInteger) || 0,
+  };
+}
+
+function parseStatus(value) {
+  if (!POSITION_STATUSES.includes(value)) throw new HttpError(400, `Invalid status, expected one of ${POSITION_STATUSES.join(', ')}`);
+  return value;
+}
+
+function parseInterval(value) {
+  if (INTERVALS[value]) return INTERVALS[value];
+  return parseInteger(value, 'interval', { min: 1 });
+}
+
+// Fetches one row more than the page to know whether another page follows
+function paginate(fetch, { limit, offset }) {
+  const rows = fetch({ limit: limit + 1, offset });
+  return { items: rows.slice(0, limit), limit, offset, next: rows.length > limit ? offset + limit : null };
+}
+
+function formatPool(row) {
+  return {
+    collection: row.collection,
+    tax: row.tax,
+    rewardRate: row.reward_rate,
+    rewardWindowStart: row.reward_window_start,
+    totalPoints: row.total_points,
+    stakedCount: row.staked_count,
+    totalDeposited: row.total_deposited,
+    totalRewardsPaid: row.total_rewards_paid,
+    totalTaxCollected: row.total_tax_collected,
+    totalTaxWithdrawn: row.total_tax_withdrawn,
+    totalFrozenRewards: row.total_frozen_rewards,
+    isEmergencyDeclared: row.is_emergency_declared === 1,
+  };
+}
+
+function formatPosition(row) {
+  return {
+    collection: row.collection,
+    tokenId: row.token_id,
+    staker: row.staker,
+    citizen: row.citizen,
+    points: row.points,
+    stakedLeox: row.staked_leox,
+    stakedAt: row.staked_at,
+    unlockTime: row.unlock_time,
+    autoRenew: Boolean(row.auto_renew),
+    status: row.status,
+    unstakedAt: row.unstaked_at,
+  };
+}
+
+function formatReward(row) {
+  return {
+    collection: row.collection,
+    tokenId: row.token_id,
+    amount: row.amount,
+    taxAmount: row.tax_amount,
+    paidTo: row.paid_to || null,
+    timestamp: row.timestamp,
+    blockNumber: row.block_number,
+    transactionHash: row.transaction_hash,
+  };
+}
+
+/**
+ * Creates the API HTTP server.
+ *
+ * @param options.store The `StakingStore` filled by the indexer.
+ * @param options.provider The provider used for live values.
+ * @param options.stakingAddress The address of the GalileoStaking contract.
+ * @param options.multicallAddress The address of Multicall3, defaults to its canonical deployment.
+ * @returns An http.Server that is not listening yet.
+ */
+function createApiServer({ store, provider, stakingAddress, multicallAddress = MULTICALL3_ADDRESS }) {
+  const multicall = new Contract(multicallAddress, MULTICALL3_ABI, provider);
+  const staking = new Interface(STAKING_ABI);
+
+  // Adds the pending rewards of the staked positions of a page, null for the others
+  async function withPendingRewards(page) {
+    const staked = page.items.filter((row) => row.status === 'staked');
+    const rewards = new Map();
+
+    if (staked.length > 0) {
+      const calls = staked.map((row) => ({
+        target: stakingAddress,
+        allowFailure: true,
+        callData: staking.encodeFunctionData('calculateRewards', [row.staker, row.collection, row.token_id]),
+      }));
+      const results = await multicall.aggregate3.staticCall(calls);
+      staked.forEach((row, index) => {
+        const { success, returnData } = results[index];
+        if (success) rewards.set(row.id, staking.decodeFunctionResult('calculateRewards', returnData)[0].toString());
+      });
+    }
+
+    return {
+      ...page,
+      items: page.items.map((row) => ({ ...formatPosition(row), pendingRewards: rewards.has(row.id) ? rewards.get(row.id) : null })),
+    };
+  }
+
+  function getPool(collection) {
+    const pool = store.getPool(collection);
+    if (!pool) throw new HttpError(404, `Collection ${collection} is not indexed`);
+    return pool;
+  }
+
+  const routes = [
+    [/^\/collections$/, () => store.getPools().map(formatPool)],
+    [/^\/collections\/([^/]+)$/, (query, collection) => formatPool(getPool(parseAddress(collection, 'collection')))],
+    [
+      /^\/collections\/([^/]+)\/positions$/,
+      (query, collection) => {
+        const filter = {
+          collection: parseAddress(collection, 'collection'),
+          staker: optional(query, 'staker', parseAddress),
+          status: optional(query, 'status', parseStatus),
+          citizen: optional(query, 'citizen', parseInteger),
+        };
+        return withPendingRewards(paginate((page) => store.getPositions({ ...filter, ...page }), parsePage(query)));
+      },
+    ],
+    [
+      /^\/collections\/([^/]+)\/top-stakers$/,
+      (query, collection) => {
+        const address = parseAddress(collection, 'collection');
+        const page = paginate((options) => store.getTopStakers(address, options), parsePage(query));
+        return {
+          ...page,
+          items: page.items.map((row) => ({
+            staker: row.staker,
+            points: row.points,
+            stakedLeox: row.staked_leox,
+            positions: row.positions,
+          })),
+        };
+      },
+    ],
+    [
+      /^\/collections\/([^/]+)\/tax$/,
+      (query, collection) => {
+        const address = parseAddress(collection, 'collection');
+        getPool(address);
+        return store.getTaxHistory(address, {
+          interval: optional(query, 'interval', parseInterval) || INTERVALS.day,
+          from: optional(query, 'from', parseInteger),
+          to: optional(query, 'to', parseInteger),
+        });
+      },
+    ],
+    [
+      /^\/positions\/unlocking$/,
+      async (query) => {
+        // Measured against the chain clock, which is the one the timelocks are checked against
+        const { timestamp } = await provider.getBlock('latest');
+        const days = optional(query, 'days', parseInteger, { min: 1, max: 365 }) || 7;
+        const filter = {
+          collection: optional(query, 'collection', parseAddress),
+          status: 'staked',
+          // Auto-renewed locks roll over instead of unlocking
+          autoRenew: 0,
+          unlockFrom: timestamp,
+          unlockTo: timestamp + days * INTERVALS.day,
+        };
+        return withPendingRewards(paginate((page) => store.getPositions({ ...filter, ...page }), parsePage(query)));
+      },
+    ],
+    [
+      /^\/wallets\/([^/]+)\/positions$/,
+      (query, wallet) => {
+        const filter = {
+          staker: parseAddress(wallet, 'wallet'),
+          collection: optional(query, 'collection', parseAddress),
+          status: optional(query, 'status', parseStatus),
+        };
+        return withPendingRewards(paginate((page) => store.getPositions({ ...filter, ...page }), parsePage(query)));
+      },
+    ],
+    [
+      /^\/wallets\/([^/]+)\/rewards$/,
+      (query, wallet) => {
+        const staker = parseAddress(wallet, 'wallet');
+        const filter = {
+          collection: optional(query, 'collection', parseAddress),
+          from: optional(query, 'from', parseInteger),
+          to: optional(query, 'to', parseInteger),
+        };
+        const page = paginate((options) => store.getRewardHistory(staker, { ...filter, ...options }), parsePage(query));
+        return { ...page, items: page.items.map(formatReward) };
+      },
+    ],
+  ];
+
+  return http.createServer(async (request, response) => {
+    try {
+      if (request.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+
+      const url = new URL(request.url, 'http://localhost');
+      for (const [pattern, handler] of routes) {
+        const match = url.pathname.match(pattern);
+        if (match) return sendJson(response, 200, await handler(url.searchParams, ...match.slice(1)));
+      }
+      throw new HttpError(404, 'Not found');
+    } catch (error) {
+      if (error instanceof HttpError) return sendJson(response, error.status, { error: error.message });
+      console.error(error);
+      sendJson(response, 500, { error: 'Internal error' });
+    }
+  });
+}
+
+async function main() {
+  const { RPC_URL, STAKING_ADDRESS, DEPLOYMENT_NETWORK, DATABASE, MULTICALL_ADDRESS, PORT } = process.env;
+
+  const stakingAddress = STAKING_ADDRESS || loadDeploymentManifest(DEPLOYMENT_NETWORK || 'localhost').contracts.GalileoStaking.address;
+  const server = createApiServer({
+    store: new StakingStore(DATABASE || 'galileo.sqlite'),
+    provider: new JsonRpcProvider(RPC_URL || 'http://127.0.0.1:8545'),
+    stakingAddress,
+    multicallAddress: MULTICALL_ADDRESS,
+  });
+  const port = PORT || 8081;
+  server.listen(port, () => console.log(`Serving staking data of ${stakingAddress} on port ${port}`));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createApiServer, MULTICALL3_ADDRESS };
@@ -0,0 +1,61 @@
+// Helpers shared by the HTTP services.
+
+// Error carrying the HTTP status it should be answered with
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Requests of the services are small JSON objects
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Reads a JSON request body, refusing bodies over `maxBytes` with 413 without buffering them
+function readJson(request, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    if (Number(request.headers['content-length']) > maxBytes) {
+      request.resume();
+      return reject(new HttpError(413, 'Request body is too large'));
+    }
+
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= maxBytes) return chunks.push(chunk);
+      // Drain the rest of the body so that the 413 response still reaches the client
+      request.removeAllListeners('data');
+      request.resume();
+      reject(new HttpError(413, 'Request body is too large'));
+    });
+    request.on('end', () => {
+      if (size > maxBytes) return;
+      const body = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+// Parses an unsigned integer field of a request, answering 400 if it is not one
+function parseUint(value, name) {
+  try {
+    const parsed = BigInt(value);
+    if (parsed < 0n) throw new Error();
+    return parsed;
+  } catch (error) {
+    throw new HttpError(400, `Invalid ${name}`);
+  }
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+}
+
+module.exports = { MAX_BODY_BYTES, HttpError, parseUint, readJson, sendJson };
@@ -0,0 +1,208 @@
+// Indexer that follows GalileoStaking events into a SQLite database.
+//
+// Start a node and deploy the contracts, then run the indexer against it:
+//
+//   npx hardhat node
+//   DATABASE=./galileo.sqlite node services/indexer.js
+//
+// Blocks are only indexed once they have CONFIRMATIONS confirmations. Reorgs deeper than that are detected from the
+// stored block hashes and rolled back, and a restarted indexer resumes after its last checkpoint.
+const { Interface, JsonRpcProvider } = require('ethers');
+const { loadDeploymentManifest } = require('../utils/eip712_staking.js');
+const { StakingStore } = require('./staking_store.js');
+
+const STAKING_EVENTS_ABI = [
+  'event StakeTokens(address indexed collectionAddress, address indexed recipient, uint256 indexed tokenId, uint256 citizen, uint256 timelockEndTime, uint256 points, uint256 stakedLEOX)',
+  'event StakeLeoxTokens(address indexed collectionAddress, address indexed recipient, uint256 indexed tokenId, uint256 citizen, uint256 newPoints, uint256 totalLeox)',
+  'event UnstakeToken(address indexed collectionAddress, address indexed recipient, uint256 indexed tokenId, uint256 points, uint256 totalLeox)',
+  'event EmergencyUnstakeToken(address indexed collectionAddress, address indexed recipient, uint256 indexed tokenId, uint256 points, uint256 totalLeox)',
+  'event CompoundRewards(address indexed collectionAddress, address indexed recipient, uint256 indexed tokenId, uint256 rewardAmount, uint256 compoundedLeox, uint256 rewardsPaid, uint256 newPoints, uint256 totalLeox)',
+  'event EarlyUnstakeToken(address indexed collectionAddress, address indexed recipient, uint256 indexed tokenId, uint256 points, uint256 totalLeox, uint256 rewardsPenalty, uint256 leoxPenalty, bool toRewardPool)',
+  'event UnstakeLeoxTokens(address indexed collectionAddress, address indexed recipient, uint256 indexed tokenId, uint256 leoxAmount, uint256 penalty, uint256 newPoints, uint256 totalLeox)',
+  'event ExtendLock(address indexed collectionAddress, address indexed recipient, uint256 indexed tokenId, uint256 timelockEndTime, uint256 lockPeriodEnd, uint256 newPoints)',
+  'event SetAutoRenew(address indexed collectionAddress, address indexed recipient, uint256 indexed tokenId, bool autoRenew, uint256 lockPeriodEnd)',
+  'event FreezeRewards(address indexed collectionAddress, address indexed recipient, uint256 indexed tokenId, uint256 rewardAmount)',
+  'event ClaimFrozenRewards(address indexed collectionAddress, address indexed recipient, uint256 rewardAmount, uint256 taxAmount)',
+  'event WithdrawRewards(address indexed recipient, address indexed collectionAddress, uint256 indexed tokenId, uint256 rewardAmount, uint256 currentTime)',
+  'event WithdrawAllRewards(address indexed collectionAddress, address indexed recipient, uint256 indexed rewardAmount, uint256 currentTime)',
+  'event WithdrawAllRewardsTo(address indexed collectionAddress, address indexed owner, address indexed recipient, uint256 rewardAmount)',
+  'event SetClaimOperator(address indexed owner, address indexed operator, bool approved)',
+  'event SetRewardsBeneficiary(address indexed owner, address indexed beneficiary)',
+  'event DepositRewards(address indexed collectionAddress, uint256 leoxAmount)',
+  'event WithdrawTax(address indexed collectionAddress, address indexed recipient, uint256 taxAmount)',
+  'event UpdateEmissionRate(address indexed collectionAddress, uint256 indexed rewardRate, uint256 endTimePreviousRewardWindow)',
+  'event UpdateTax(address indexed collectionAddress, uint256 indexed newTaxPercent)',
+  'event UpdateCompoundTax(address indexed collectionAddress, uint256 indexed newCompoundTaxPercent)',
+  'event UpdateUnstakeLeoxPenalty(address indexed collectionAddress, uint256 indexed newPenaltyPercent)',
+  'event SetEarlyUnstakeParams(address indexed collectionAddress, tuple(bool enabled, bool toRewardPool, uint256 rewardsPenalty, uint256 leoxPenalty) params)',
+  'event ConfigurePool(address indexed collectionAddress, uint256 indexed tax, tuple(uint256 rewardRate, uint256 startTime, uint256 endTime)[] rewardWindows)',
+  'event DeclareEmergency(address collectionAddress, bool isEmergencyDeclared)',
+  'event ReleaseFrozenRewards(address indexed collectionAddress)',
+  'event ScheduleRewardWindow(address indexed collectionAddress, uint256 indexed index, uint256 rewardRate, uint256 startTime, uint256 endTime)',
+  'event CancelRewardWindow(address indexed collectionAddress, uint256 indexed index)',
+];
+
+const stakingEvents = new Interface(STAKING_EVENTS_ABI);
+
+// Converts decoded event values to JSON, uint256 becoming decimal strings
+function toPlain(value, type) {
+  if (type.baseType === 'array') return value.map((item) => toPlain(item, type.arrayChildren));
+  if (type.baseType === 'tuple') {
+    return Object.fromEntries(type.components.map((component, index) => [component.name, toPlain(value[index], component)]));
+  }
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Follows the events of a GalileoStaking contract into a `StakingStore`.
+ */
+class StakingIndexer {
+  /**
+   * @param options.provider The provider of the chain to index.
+   * @param options.stakingAddress The address of the GalileoStaking contract.
+   * @param options.store The `StakingStore` to write to.
+   * @param options.startBlock The block to start from when the store has no checkpoint, usually the deployment block.
+   * @param options.confirmations Blocks a block must be buried under before it is indexed.
+   * @param options.batchSize Blocks fetched per `eth_getLogs` call.
+   * @param options.log Called with progress messages.
+   */
+  constructor({ provider, stakingAddress, store, startBlock = 0, confirmations = 12, batchSize = 2000, log = () => {} }) {
+    this.provider = provider;
+    this.stakingAddress = stakingAddress;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.log = log;
+    this.topics = [stakingEvents.fragments.map((fragment) => fragment.topicHash)];
+  }
+
+  /**
+   * Indexes every confirmed block after the checkpoint, rolling back first if the checkpoint was reorged out.
+   *
+   * @returns The last indexed block number, or undefined if nothing is confirmed yet.
+   */
+  async sync() {
+    await this._handleReorg();
+
+    const head = await this.provider.getBlockNumber();
+    const target = head - this.confirmations;
+    const checkpoint = this.store.getCheckpoint();
+    let from = checkpoint ? checkpoint.blockNumber + 1 : this.startBlock;
+
+    while (from <= target) {
+      const to = Math.min(from + this.batchSize - 1, target);
+      const events = await this._fetchEvents(from, to);
+      const block = await this.provider.getBlock(to);
+      this.store.commitBatch(events, { blockNumber: to, blockHash: block.hash });
+      this.log(`Indexed blocks ${from} to ${to}, ${events.length} event(s)`);
+      from = to + 1;
+    }
+
+    const indexed = this.store.getCheckpoint();
+    return indexed && indexed.blockNumber;
+  }
+
+  /**
+   * Syncs every `interval` milliseconds until `stop()` is called.
+   *
+   * @param options.interval Milliseconds between two syncs.
+   */
+  async run({ interval = 5000 } = {}) {
+    this.running = true;
+    while (this.running) {
+      try {
+        await this.sync();
+      } catch (error) {
+        // A flaky RPC must not stop the indexer, the next sync retries from the checkpoint
+        this.log(`Sync failed: ${error.message}`);
+      }
+      if (this.running) await new Promise((resolve) => (this.timer = setTimeout(resolve, interval)));
+    }
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  // Rolls the store back to the newest stored block still on the canonical chain
+  async _handleReorg() {
+    const checkpoint = this.store.getCheckpoint();
+    if (!checkpoint) return;
+
+    const latest = await this.provider.getBlock(checkpoint.blockNumber);
+    if (latest && latest.hash === checkpoint.blockHash) return;
+
+    let ancestor;
+    for (const block of this.store.getIndexedBlocks()) {
+      const canonical = await this.provider.getBlock(block.number);
+      if (canonical && canonical.hash === block.hash) {
+        ancestor = block;
+        break;
+      }
+    }
+
+    // Past the stored hashes the reorg is deeper than we can follow, reindex from the start block
+    this.log(`Reorg detected at block ${checkpoint.blockNumber}, rolling back to ${ancestor ? ancestor.number : 'the start block'}`);
+    this.store.rollback(ancestor);
+  }
+
+  async _fetchEvents(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({ address: this.stakingAddress, topics: this.topics, fromBlock, toBlock });
+    const timestamps = new Map();
+    const events = [];
+
+    for (const log of logs) {
+      if (!timestamps.has(log.blockNumber)) timestamps.set(log.blockNumber, (await this.provider.getBlock(log.blockNumber)).timestamp);
+      const parsed = stakingEvents.parseLog(log);
+
+      events.push({
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        timestamp: timestamps.get(log.blockNumber),
+        name: parsed.name,
+        args: Object.fromEntries(parsed.fragment.inputs.map((input, index) => [input.name, toPlain(parsed.args[index], input)])),
+      });
+    }
+    return events;
+  }
+}
+
+async function main() {
+  const { RPC_URL, STAKING_ADDRESS, DEPLOYMENT_NETWORK, DATABASE, START_BLOCK, CONFIRMATIONS, POLL_INTERVAL } = process.env;
+
+  let stakingAddress = STAKING_ADDRESS;
+  let startBlock = START_BLOCK ? Number(START_BLOCK) : undefined;
+  if (!stakingAddress) {
+    const deployment = loadDeploymentManifest(DEPLOYMENT_NETWORK || 'localhost').contracts.GalileoStaking;
+    stakingAddress = deployment.address;
+    if (startBlock === undefined) startBlock = deployment.blockNumber;
+  }
+
+  const store = new StakingStore(DATABASE || 'galileo.sqlite');
+  const indexer = new StakingIndexer({
+    provider: new JsonRpcProvider(RPC_URL || 'http://127.0.0.1:8545'),
+    stakingAddress,
+    store,
+    startBlock,
+    confirmations: CONFIRMATIONS ? Number(CONFIRMATIONS) : undefined,
+    log: console.log,
+  });
+
+  for (const signal of ['SIGINT', 'SIGTERM']) process.on(signal, () => indexer.stop());
+  console.log(`Indexing ${stakingAddress} into ${DATABASE || 'galileo.sqlite'}`);
+  await indexer.run({ interval: POLL_INTERVAL ? Number(POLL_INTERVAL) : undefined });
+  store.close();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { StakingIndexer, STAKING_EVENTS_ABI };
@@ -0,0 +1,129 @@
+// Local relayer that submits the ERC-2771 forward requests of stakers without gas to the trusted forwarder.
+//
+// Start a node and deploy the contracts with a forwarder, then run the relayer against it:
+//
+//   npx hardhat node
+//   RELAYER_KEY=<private key> node services/relayer.js
+//
+// POST /relay with a forward request signed by the staker, as returned by `signForwardRequest` in
+// utils/forward_requests.js, executes it and returns `{ transactionHash, blockNumber }`. Only the calls of
+// RELAYED_FUNCTIONS to GalileoStaking are relayed, and each request is simulated first so that the relayer does not
+// pay for calls that revert.
+//
+// Only unstaking, claiming and LEOX top-ups with permits are gasless. Staking an NFT is relayed too, but the staker
+// first approves GalileoStaking to transfer the NFT in a transaction of their own, the collection not accepting
+// forward requests.
+const http = require('http');
+const { Interface, JsonRpcProvider, Wallet, getAddress, isAddress, isHexString } = require('ethers');
+const { abi } = require('../artifacts/contracts/GalileoStaking.sol/GalileoStaking.json');
+const { loadDeploymentManifest } = require('../utils/eip712_staking.js');
+const { getForwarder, getForwardedData } = require('../utils/forward_requests.js');
+const { decodeStakingError, formatStakingError } = require('../utils/staking_errors.js');
+const { HttpError, parseUint, readJson, sendJson } = require('./http_utils.js');
+
+// Functions of GalileoStaking the relayer pays the gas of
+const RELAYED_FUNCTIONS = ['stake', 'stakeWithPermit', 'stakeLeoxTokens', 'stakeLeoxTokensWithPermit', 'unstake', 'withdrawAllRewards'];
+
+const stakingInterface = new Interface(abi);
+
+/**
+ * Creates the relayer HTTP server.
+ *
+ * @param options.signer The relayer signer paying the gas, connected to a provider.
+ * @param options.stakingAddress The address of the GalileoStaking contract.
+ * @param options.forwarderAddress The address of the forwarder trusted by GalileoStaking.
+ * @param options.functions The names of the GalileoStaking functions to relay.
+ * @param options.maxGas The most gas a request may forward to its call.
+ * @returns An http.Server that is not listening yet.
+ */
+function createRelayerServer({ signer, stakingAddress, forwarderAddress, functions = RELAYED_FUNCTIONS, maxGas = 1000000n }) {
+  const forwarder = getForwarder(forwarderAddress, signer);
+  let queue = Promise.resolve();
+
+  function parseRequest(body) {
+    if (!isAddress(body.from)) throw new HttpError(400, 'Invalid from');
+    if (!isAddress(body.to) || getAddress(body.to) !== getAddress(stakingAddress)) {
+      throw new HttpError(400, 'Only calls to GalileoStaking are relayed');
+    }
+    if (!isHexString(body.data) || !isHexString(body.signature)) throw new HttpError(400, 'Invalid data or signature');
+
+    const request = {
+      from: getAddress(body.from),
+      to: getAddress(body.to),
+      value: parseUint(body.value || 0, 'value'),
+      gas: parseUint(body.gas, 'gas'),
+      deadline: parseUint(body.deadline, 'deadline'),
+      data: body.data,
+      signature: body.signature,
+    };
+    if (request.value !== 0n) throw new HttpError(400, 'Relayed calls cannot carry value');
+    if (request.gas > maxGas) throw new HttpError(400, `Requests may forward at most ${maxGas} gas`);
+
+    const call = stakingInterface.parseTransaction({ data: request.data });
+    if (!call || !functions.includes(call.name)) throw new HttpError(400, `${call ? call.name : 'Unknown function'} is not relayed`);
+
+    return request;
+  }
+
+  async function relay(request) {
+    // The signature, nonce, deadline and trust of the target are checked by the forwarder itself
+    if (!(await forwarder.verify(request))) throw new HttpError(400, 'Invalid signature, nonce or deadline');
+
+    // Simulate the call as the forwarder makes it, to answer with the error of GalileoStaking
+    try {
+      await signer.provider.call({ from: forwarderAddress, to: request.to, data: getForwardedData(request), gasLimit: request.gas });
+    } catch (error) {
+      const decoded = decodeStakingError(stakingInterface, error);
+      if (!decoded) throw error;
+      throw new HttpError(400, `Call reverts with ${formatStakingError(decoded)}`);
+    }
+
+    const receipt = await (await forwarder.execute(request)).wait();
+    return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  return http.createServer(async (request, response) => {
+    try {
+      if (request.url !== '/relay') throw new HttpError(404, 'Not found');
+      if (request.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+
+      const forwardRequest = parseRequest(await readJson(request));
+
+      // Requests are submitted one at a time, so that the transactions of the relayer get consecutive nonces
+      const result = queue.then(() => relay(forwardRequest));
+      queue = result.catch(() => {});
+      sendJson(response, 200, await result);
+    } catch (error) {
+      if (error instanceof HttpError) return sendJson(response, error.status, { error: error.message });
+      console.error(error);
+      sendJson(response, 500, { error: 'Internal error' });
+    }
+  });
+}
+
+async function main() {
+  const { RELAYER_KEY, RPC_URL, STAKING_ADDRESS, FORWARDER_ADDRESS, PORT, DEPLOYMENT_NETWORK, MAX_GAS } = process.env;
+  if (!RELAYER_KEY) throw new Error('RELAYER_KEY is not set');
+
+  const provider = new JsonRpcProvider(RPC_URL || 'http://127.0.0.1:8545');
+  const signer = new Wallet(RELAYER_KEY, provider);
+  const manifest = STAKING_ADDRESS && FORWARDER_ADDRESS ? undefined : loadDeploymentManifest(DEPLOYMENT_NETWORK || 'localhost');
+  const stakingAddress = STAKING_ADDRESS || manifest.contracts.GalileoStaking.address;
+  const forwarderAddress = FORWARDER_ADDRESS || (manifest.contracts.GalileoForwarder && manifest.contracts.GalileoForwarder.address);
+  if (!forwarderAddress) throw new Error('FORWARDER_ADDRESS is not set and no GalileoForwarder is deployed');
+
+  const server = createRelayerServer({ signer, stakingAddress, forwarderAddress, maxGas: MAX_GAS ? BigInt(MAX_GAS) : undefined });
+  const port = PORT || 8082;
+  server.listen(port, () =>
+    console.log(`Relaying requests to ${stakingAddress} through ${forwarderAddress} as ${signer.address} on port ${port}`)
+  );
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { RELAYED_FUNCTIONS, createRelayerServer };
@@ -0,0 +1,634 @@
+// SQLite store of GalileoStaking events and of the staking state rebuilt from them.
+//
+// Raw events are the source of truth. Positions, pools, reward windows and reward history are derived from them in
+// log order, so rolling back a reorg deletes the orphaned events and replays the rest.
+const Database = require('better-sqlite3');
+
+// uint256 values are stored as decimal TEXT, padded with `uint_pad` to order them
+const UINT_DIGITS = 78;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS checkpoint (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    collection TEXT,
+    account TEXT,
+    token_id TEXT,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_name ON events (name, collection);
+  CREATE INDEX IF NOT EXISTS events_account ON events (account);
+
+  CREATE TABLE IF NOT EXISTS pools (
+    collection TEXT PRIMARY KEY,
+    tax TEXT NOT NULL DEFAULT '0',
+    reward_rate TEXT NOT NULL DEFAULT '0',
+    reward_window_start INTEGER,
+    total_points TEXT NOT NULL DEFAULT '0',
+    staked_count INTEGER NOT NULL DEFAULT 0,
+    total_deposited TEXT NOT NULL DEFAULT '0',
+    total_rewards_paid TEXT NOT NULL DEFAULT '0',
+    total_tax_collected TEXT NOT NULL DEFAULT '0',
+    total_tax_withdrawn TEXT NOT NULL DEFAULT '0',
+    total_frozen_rewards TEXT NOT NULL DEFAULT '0',
+    is_emergency_declared INTEGER NOT NULL DEFAULT 0,
+    updated_block INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS reward_windows (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection TEXT NOT NULL,
+    reward_rate TEXT NOT NULL,
+    start_time INTEGER NOT NULL,
+    end_time INTEGER,
+    block_number INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS positions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection TEXT NOT NULL,
+    token_id TEXT NOT NULL,
+    staker TEXT NOT NULL,
+    citizen INTEGER NOT NULL,
+    points TEXT NOT NULL,
+    staked_leox TEXT NOT NULL,
+    staked_at INTEGER NOT NULL,
+    unlock_time INTEGER NOT NULL,
+    auto_renew INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL,
+    unstaked_at INTEGER,
+    staked_block INTEGER NOT NULL
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS positions_active ON positions (collection, token_id) WHERE status = 'staked';
+  CREATE INDEX IF NOT EXISTS positions_staker ON positions (staker, collection);
+
+  CREATE TABLE IF NOT EXISTS reward_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection TEXT NOT NULL,
+    staker TEXT NOT NULL,
+    token_id TEXT,
+    amount TEXT NOT NULL,
+    tax_amount TEXT NOT NULL,
+    paid_to TEXT,
+    timestamp INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS reward_history_staker ON reward_history (staker, collection);
+  CREATE INDEX IF NOT EXISTS reward_history_collection ON reward_history (collection, timestamp);
+`;
+
+const DERIVED_TABLES = ['pools', 'reward_windows', 'positions', 'reward_history'];
+
+// Number of checkpoint hashes kept to find the common ancestor of a reorg
+const KEPT_BLOCKS = 512;
+
+function add(a, b) {
+  return (BigInt(a) + BigInt(b)).toString();
+}
+
+function sub(a, b) {
+  return (BigInt(a) - BigInt(b)).toString();
+}
+
+// Tax is a percent scaled by 1e18, as in `_calculateTax`
+const TAX_DENOMINATOR = 100n * 10n ** 18n;
+
+/**
+ * Recovers the tax taken from a reward withdrawal from the amount paid out.
+ *
+ * Withdrawal events only carry the amount after tax. When several gross amounts round to the same payout, the smallest
+ * one is used, so the result may be a wei below the tax actually collected.
+ *
+ * @param rewardsAfterTax The amount paid out.
+ * @param taxPercent The tax of the pool at the time of the withdrawal.
+ * @returns The tax amount.
+ */
+function getTaxAmount(rewardsAfterTax, taxPercent) {
+  const net = BigInt(rewardsAfterTax);
+  const tax = BigInt(taxPercent);
+  const afterTax = (gross) => gross - (gross * tax) / TAX_DENOMINATOR;
+
+  let gross = (net * TAX_DENOMINATOR + TAX_DENOMINATOR - tax - 1n) / (TAX_DENOMINATOR - tax);
+  while (gross > 0n && afterTax(gross - 1n) >= net) gross--;
+  while (afterTax(gross) < net) gross++;
+  return gross - net;
+}
+
+// Builds a WHERE clause from the conditions whose parameter is set
+function where(conditions, params) {
+  const active = Object.entries(conditions)
+    .filter(([name]) => params[name] !== undefined && params[name] !== null)
+    .map(([, condition]) => condition);
+  return active.length ? `WHERE ${active.join(' AND ')}` : '';
+}
+
+/**
+ * Persists GalileoStaking events and the positions, pools and reward history derived from them.
+ */
+class StakingStore {
+  /**
+   * @param filename Path of the SQLite database, or `:memory:`.
+   */
+  constructor(filename) {
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.db.function('uint_pad', { deterministic: true }, (value) => (value === null ? null : String(value).padStart(UINT_DIGITS, '0')));
+    this.db.aggregate('uint_sum', {
+      start: () => 0n,
+      step: (total, value) => (value === null ? total : total + BigInt(value)),
+      result: (total) => total.toString(),
+    });
+
+    this.handlers = {
+      ConfigurePool: (event) => this._configurePool(event),
+      UpdateTax: (event) => this._updatePool(event.collection, { tax: event.args.newTaxPercent }, event),
+      UpdateEmissionRate: (event) => this._updateEmissionRate(event),
+      ScheduleRewardWindow: (event) => this._scheduleRewardWindow(event),
+      CancelRewardWindow: (event) => this._cancelRewardWindow(event),
+      DeclareEmergency: (event) =>
+        this._updatePool(event.collection, { is_emergency_declared: event.args.isEmergencyDeclared ? 1 : 0 }, event),
+      DepositRewards: (event) => this._addToPool(event.collection, 'total_deposited', event.args.leoxAmount, event),
+      WithdrawTax: (event) => this._addToPool(event.collection, 'total_tax_withdrawn', event.args.taxAmount, event),
+      StakeTokens: (event) => this._stake(event),
+      StakeLeoxTokens: (event) => this._stakeLeox(event),
+      CompoundRewards: (event) => this._compoundRewards(event),
+      UnstakeLeoxTokens: (event) => this._unstakeLeox(event),
+      ExtendLock: (event) => this._extendLock(event),
+      SetAutoRenew: (event) => this._setAutoRenew(event),
+      UnstakeToken: (event) => this._unstake(event, 'unstaked'),
+      EmergencyUnstakeToken: (event) => this._unstake(event, 'emergency_unstaked'),
+      EarlyUnstakeToken: (event) => this._earlyUnstake(event),
+      WithdrawRewards: (event) => this._withdrawRewards(event, event.args.tokenId, event.args.rewardAmount),
+      WithdrawAllRewards: (event) => this._withdrawRewards(event, null, event.args.rewardAmount),
+      FreezeRewards: (event) => this._addToPool(event.collection, 'total_frozen_rewards', event.args.rewardAmount, event),
+      ClaimFrozenRewards: (event) => this._claimFrozenRewards(event),
+      WithdrawAllRewardsTo: (event) => this._withdrawAllRewardsTo(event),
+    };
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * @returns The last indexed block as `{ blockNumber, blockHash }`, or undefined before the first batch.
+   */
+  getCheckpoint() {
+    const row = this.db.prepare('SELECT block_number, block_hash FROM checkpoint WHERE id = 1').get();
+    return row && { blockNumber: row.block_number, blockHash: row.block_hash };
+  }
+
+  /**
+   * @returns The hashes of recently indexed blocks, newest first, as `{ number, hash }`.
+   */
+  getIndexedBlocks() {
+    return this.db.prepare('SELECT number, hash FROM blocks ORDER BY number DESC').all();
+  }
+
+  /**
+   * Stores a batch of decoded events and the block it was indexed up to, in one transaction.
+   *
+   * @param events Events as `{ blockNumber, logIndex, blockHash, transactionHash, timestamp, name, args }`, in log order.
+   * @param checkpoint The last block of the batch as `{ blockNumber, blockHash }`.
+   */
+  commitBatch(events, checkpoint) {
+    const insertEvent = this.db.prepare(`
+      INSERT INTO events (block_number, log_index, block_hash, transaction_hash, timestamp, name, collection, account, token_id, args)
+      VALUES (@blockNumber, @logIndex, @blockHash, @transactionHash, @timestamp, @name, @collection, @account, @tokenId, @json)
+    `);
+    const insertBlock = this.db.prepare('INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)');
+
+    this.db.transaction(() => {
+      for (const event of events) {
+        const row = {
+          ...event,
+          collection: event.args.collectionAddress || null,
+          account: event.args.recipient || event.args.owner || null,
+          tokenId: event.args.tokenId === undefined ? null : event.args.tokenId,
+          json: JSON.stringify(event.args),
+        };
+        insertEvent.run(row);
+        insertBlock.run(event.blockNumber, event.blockHash);
+        this._apply({ ...row, args: event.args });
+      }
+
+      insertBlock.run(checkpoint.blockNumber, checkpoint.blockHash);
+      this.db.prepare('DELETE FROM blocks WHERE number <= ?').run(checkpoint.blockNumber - KEPT_BLOCKS);
+      this.db
+        .prepare('INSERT OR REPLACE INTO checkpoint (id, block_number, block_hash) VALUES (1, ?, ?)')
+        .run(checkpoint.blockNumber, checkpoint.blockHash);
+    })();
+  }
+
+  /**
+   * Drops everything indexed after a block and rebuilds the derived state from the remaining events.
+   *
+   * @param block The last block to keep as `{ number, hash }`, or undefined to drop everything.
+   */
+  rollback(block) {
+    this.db.transaction(() => {
+      const number = block ? block.number : -1;
+      this.db.prepare('DELETE FROM events WHERE block_number > ?').run(number);
+      this.db.prepare('DELETE FROM blocks WHERE number > ?').run(number);
+      if (block) {
+        this.db.prepare('INSERT OR REPLACE INTO checkpoint (id, block_number, block_hash) VALUES (1, ?, ?)').run(block.number, block.hash);
+      } else {
+        this.db.prepare('DELETE FROM checkpoint').run();
+      }
+      this._rebuild();
+    })();
+  }
+
+  // Replays every stored event into emptied derived tables
+  _rebuild() {
+    for (const table of DERIVED_TABLES) this.db.prepare(`DELETE FROM ${table}`).run();
+    const rows = this.db.prepare('SELECT * FROM events ORDER BY block_number, log_index').all();
+    for (const row of rows) {
+      this._apply({
+        blockNumber: row.block_number,
+        transactionHash: row.transaction_hash,
+        timestamp: row.timestamp,
+        name: row.name,
+        collection: row.collection,
+        args: JSON.parse(row.args),
+      });
+    }
+  }
+
+  _apply(event) {
+    const handler = this.handlers[event.name];
+    if (handler) handler(event);
+  }
+
+  _ensurePool(collection) {
+    this.db.prepare('INSERT OR IGNORE INTO pools (collection) VALUES (?)').run(collection);
+    return this.db.prepare('SELECT * FROM pools WHERE collection = ?').get(collection);
+  }
+
+  _updatePool(collection, values, event) {
+    this._ensurePool(collection);
+    const columns = Object.keys(values);
+    const assignments = columns.map((column) => `${column} = @${column}`).join(', ');
+    this.db
+      .prepare(`UPDATE pools SET ${assignments}, updated_block = @block WHERE collection = @collection`)
+      .run({ ...values, block: event.blockNumber, collection });
+  }
+
+  _addToPool(collection, column, amount, event) {
+    const pool = this._ensurePool(collection);
+    this._updatePool(collection, { [column]: add(pool[column], amount) }, event);
+  }
+
+  _configurePool(event) {
+    const windows = event.args.rewardWindows;
+    const last = windows[windows.length - 1];
+    this._updatePool(
+      event.collection,
+      { tax: event.args.tax, reward_rate: last.rewardRate, reward_window_start: Number(last.startTime) },
+      event
+    );
+
+    const insert = this.db.prepare(
+      'INSERT INTO reward_windows (collection, reward_rate, start_time, end_time, block_number) VALUES (?, ?, ?, ?, ?)'
+    );
+    for (const window of windows) {
+      insert.run(event.collection, window.rewardRate, Number(window.startTime), Number(window.endTime) || null, event.blockNumber);
+    }
+  }
+
+  // Closes the last reward window of a collection at `endTime` unless it ends earlier, as the contract does
+  _closeLastRewardWindow(collection, endTime) {
+    this.db
+      .prepare(
+        `UPDATE reward_windows SET end_time = @endTime
+         WHERE id = (SELECT MAX(id) FROM reward_windows WHERE collection = @collection) AND (end_time IS NULL OR end_time > @endTime)`
+      )
+      .run({ collection, endTime });
+  }
+
+  // Reward windows are stored in the order of the contract array, the pool shows the last one
+  _insertRewardWindow(event, rewardRate, startTime, endTime) {
+    this.db
+      .prepare('INSERT INTO reward_windows (collection, reward_rate, start_time, end_time, block_number) VALUES (?, ?, ?, ?, ?)')
+      .run(event.collection, rewardRate, startTime, endTime || null, event.blockNumber);
+    this._updatePool(event.collection, { reward_rate: rewardRate, reward_window_start: startTime }, event);
+  }
+
+  _updateEmissionRate(event) {
+    // The running window closes now, the new one is inserted before the scheduled windows and ends when they start
+    const startTime = Number(event.args.endTimePreviousRewardWindow);
+    const scheduled = this.db
+      .prepare('SELECT * FROM reward_windows WHERE collection = ? AND start_time > ? ORDER BY id')
+      .all(event.collection, startTime);
+    this.db.prepare('DELETE FROM reward_windows WHERE collection = ? AND start_time > ?').run(event.collection, startTime);
+
+    this._closeLastRewardWindow(event.collection, startTime);
+    this._insertRewardWindow(event, event.args.rewardRate, startTime, scheduled.length > 0 ? scheduled[0].start_time : null);
+    if (scheduled.length === 0) return;
+
+    // Move the scheduled windows back after the new one, the pool still shows the last of them
+    const insert = this.db.prepare(
+      'INSERT INTO reward_windows (collection, reward_rate, start_time, end_time, block_number) VALUES (?, ?, ?, ?, ?)'
+    );
+    for (const window of scheduled) {
+      insert.run(event.collection, window.reward_rate, window.start_time, window.end_time, window.block_number);
+    }
+    const last = scheduled[scheduled.length - 1];
+    this._updatePool(event.collection, { reward_rate: last.reward_rate, reward_window_start: last.start_time }, event);
+  }
+
+  _scheduleRewardWindow(event) {
+    const startTime = Number(event.args.startTime);
+    this._closeLastRewardWindow(event.collection, startTime);
+    this._insertRewardWindow(event, event.args.rewardRate, startTime, Number(event.args.endTime));
+  }
+
+  _cancelRewardWindow(event) {
+    const window = this.db
+      .prepare('SELECT id FROM reward_windows WHERE collection = ? ORDER BY id LIMIT 1 OFFSET ?')
+      .get(event.collection, Number(event.args.index));
+    this.db.prepare('DELETE FROM reward_windows WHERE id = ?').run(window.id);
+
+    const last = this.db.prepare('SELECT * FROM reward_windows WHERE collection = ? ORDER BY id DESC LIMIT 1').get(event.collection);
+    this._updatePool(
+      event.collection,
+      { reward_rate: last ? last.reward_rate : '0', reward_window_start: last ? last.start_time : null },
+      event
+    );
+  }
+
+  _stake(event) {
+    const { collectionAddress, recipient, tokenId, citizen, timelockEndTime, points, stakedLEOX } = event.args;
+    this.db
+      .prepare(
+        `INSERT INTO positions (collection, token_id, staker, citizen, points, staked_leox, staked_at, unlock_time, status, staked_block)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'staked', ?)`
+      )
+      .run(
+        collectionAddress,
+        tokenId,
+        recipient,
+        Number(citizen),
+        points,
+        stakedLEOX,
+        event.timestamp,
+        Number(timelockEndTime),
+        event.blockNumber
+      );
+
+    const pool = this._ensurePool(collectionAddress);
+    this._updatePool(collectionAddress, { total_points: add(pool.total_points, points), staked_count: pool.staked_count + 1 }, event);
+  }
+
+  _getActivePosition(collection, tokenId) {
+    return this.db.prepare("SELECT * FROM positions WHERE collection = ? AND token_id = ? AND status = 'staked'").get(collection, tokenId);
+  }
+
+  // Updates columns of the staked position of an event, and the total points of its pool when they change
+  _updatePosition(event, values) {
+    const { collectionAddress, tokenId } = event.args;
+    const position = this._getActivePosition(collectionAddress, tokenId);
+    if (!position) throw new Error(`${event.name} for unknown position ${collectionAddress}/${tokenId} in block ${event.blockNumber}`);
+
+    const assignments = Object.keys(values).map((column) => `${column} = @${column}`);
+    this.db.prepare(`UPDATE positions SET ${assignments.join(', ')} WHERE id = @id`).run({ ...values, id: position.id });
+    if (values.points !== undefined) {
+      const pool = this._ensurePool(collectionAddress);
+      this._updatePool(collectionAddress, { total_points: add(sub(pool.total_points, position.points), values.points) }, event);
+    }
+  }
+
+  _stakeLeox(event) {
+    this._updatePosition(event, { points: event.args.newPoints, staked_leox: event.args.totalLeox });
+  }
+
+  // The penalty of LEOX unstaked before the lock ends is added to the tax of the collection
+  _unstakeLeox(event) {
+    const { collectionAddress, newPoints, totalLeox, penalty } = event.args;
+    this._updatePosition(event, { points: newPoints, staked_leox: totalLeox });
+    this._addToPool(collectionAddress, 'total_tax_collected', penalty, event);
+  }
+
+  _extendLock(event) {
+    this._updatePosition(event, { points: event.args.newPoints, unlock_time: Number(event.args.lockPeriodEnd) });
+  }
+
+  // An auto-renewed position keeps the end of the period running when it was set, later periods are not tracked
+  _setAutoRenew(event) {
+    this._updatePosition(event, { auto_renew: event.args.autoRenew ? 1 : 0, unlock_time: Number(event.args.lockPeriodEnd) });
+  }
+
+  _unstake(event, status) {
+    const { collectionAddress, tokenId, points } = event.args;
+    const position = this._getActivePosition(collectionAddress, tokenId);
+    if (!position) throw new Error(`${event.name} for unknown position ${collectionAddress}/${tokenId} in block ${event.blockNumber}`);
+
+    this.db.prepare('UPDATE positions SET status = ?, unstaked_at = ? WHERE id = ?').run(status, event.timestamp, position.id);
+    const pool = this._ensurePool(collectionAddress);
+    this._updatePool(collectionAddress, { total_points: sub(pool.total_points, points), staked_count: pool.staked_count - 1 }, event);
+  }
+
+  // The remaining rewards are withdrawn with their own event, the penalties are only tax when not kept in the reward pool
+  _earlyUnstake(event) {
+    const { collectionAddress, rewardsPenalty, leoxPenalty, toRewardPool } = event.args;
+    this._unstake(event, 'early_unstaked');
+    if (!toRewardPool) this._addToPool(collectionAddress, 'total_tax_collected', add(rewardsPenalty, leoxPenalty), event);
+  }
+
+  // Compounded rewards count as paid, and the event carries the exact tax of both parts
+  _compoundRewards(event) {
+    const { tokenId, rewardAmount, compoundedLeox, rewardsPaid } = event.args;
+    this._stakeLeox(event);
+    const amount = add(compoundedLeox, rewardsPaid);
+    this._withdrawRewards(event, tokenId, amount, sub(rewardAmount, amount));
+  }
+
+  // Frozen rewards are paid as a withdrawal of all rewards, the event carries their exact tax
+  _claimFrozenRewards(event) {
+    const { collectionAddress, rewardAmount, taxAmount } = event.args;
+    const pool = this._ensurePool(collectionAddress);
+    this._updatePool(collectionAddress, { total_frozen_rewards: sub(pool.total_frozen_rewards, add(rewardAmount, taxAmount)) }, event);
+    this._withdrawRewards(event, null, rewardAmount, taxAmount);
+  }
+
+  // Follows the WithdrawAllRewards of the same transaction when the rewards are paid to another address than the staker
+  _withdrawAllRewardsTo(event) {
+    const { collectionAddress, owner, recipient } = event.args;
+    this.db
+      .prepare(
+        `UPDATE reward_history SET paid_to = ?
+         WHERE id = (SELECT MAX(id) FROM reward_history WHERE transaction_hash = ? AND collection = ? AND staker = ?)`
+      )
+      .run(recipient, event.transactionHash, collectionAddress, owner);
+  }
+
+  _withdrawRewards(event, tokenId, amount, taxAmount) {
+    const { collectionAddress, recipient } = event.args;
+    const pool = this._ensurePool(collectionAddress);
+    if (taxAmount === undefined) taxAmount = getTaxAmount(amount, pool.tax).toString();
+    this.db
+      .prepare(
+        `INSERT INTO reward_history (collection, staker, token_id, amount, tax_amount, timestamp, block_number, transaction_hash)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(collectionAddress, recipient, tokenId, amount, taxAmount, event.timestamp, event.blockNumber, event.transactionHash);
+    this._updatePool(
+      collectionAddress,
+      { total_rewards_paid: add(pool.total_rewards_paid, amount), total_tax_collected: add(pool.total_tax_collected, taxAmount) },
+      event
+    );
+  }
+
+  /**
+   * @returns Every pool, by collection address.
+   */
+  getPools() {
+    return this.db.prepare('SELECT * FROM pools ORDER BY collection').all();
+  }
+
+  /**
+   * @param collection The address of the collection.
+   * @returns The pool of the collection, or undefined.
+   */
+  getPool(collection) {
+    return this.db.prepare('SELECT * FROM pools WHERE collection = ?').get(collection);
+  }
+
+  /**
+   * @param collection The address of the collection.
+   * @returns The reward windows of the collection, in the order of `getPoolConfiguration`.
+   */
+  getRewardWindows(collection) {
+    return this.db.prepare('SELECT * FROM reward_windows WHERE collection = ? ORDER BY id').all(collection);
+  }
+
+  /**
+   * @param filter.collection Only positions in this collection.
+   * @param filter.staker Only positions of this staker.
+   * @param filter.status Only positions with this status: `staked`, `unstaked`, `emergency_unstaked` or `early_unstaked`.
+   * @param filter.citizen Only positions of this citizen tier.
+   * @param filter.autoRenew Only positions whose lock is auto-renewed (1) or not (0).
+   * @param filter.unlockFrom Only positions unlocking at or after this timestamp.
+   * @param filter.unlockTo Only positions unlocking at or before this timestamp.
+   * @param filter.limit Maximum number of positions returned.
+   * @param filter.offset Number of positions skipped.
+   * @returns The positions, oldest first, or by unlock time when filtering on it.
+   */
+  getPositions(filter = {}) {
+    const params = { limit: -1, offset: 0, ...filter };
+    const conditions = where(
+      {
+        collection: 'collection = @collection',
+        staker: 'staker = @staker',
+        status: 'status = @status',
+        citizen: 'citizen = @citizen',
+        autoRenew: 'auto_renew = @autoRenew',
+        unlockFrom: 'unlock_time >= @unlockFrom',
+        unlockTo: 'unlock_time <= @unlockTo',
+      },
+      params
+    );
+    const order = params.unlockFrom !== undefined || params.unlockTo !== undefined ? 'unlock_time, id' : 'id';
+    return this.db.prepare(`SELECT * FROM positions ${conditions} ORDER BY ${order} LIMIT @limit OFFSET @offset`).all(params);
+  }
+
+  /**
+   * @param collection The address of the collection.
+   * @param options.limit Maximum number of stakers returned.
+   * @param options.offset Number of stakers skipped.
+   * @returns The stakers with staked tokens in the collection as `{ staker, points, staked_leox, positions }`, most points first.
+   */
+  getTopStakers(collection, { limit = -1, offset = 0 } = {}) {
+    return this.db
+      .prepare(
+        `SELECT staker, uint_sum(points) AS points, uint_sum(staked_leox) AS staked_leox, COUNT(*) AS positions
+         FROM positions WHERE collection = @collection AND status = 'staked'
+         GROUP BY staker ORDER BY uint_pad(uint_sum(points)) DESC, staker LIMIT @limit OFFSET @offset`
+      )
+      .all({ collection, limit, offset });
+  }
+
+  /**
+   * @param staker The address of the staker.
+   * @param filter.collection Only rewards of this collection.
+   * @param filter.from Only rewards withdrawn at or after this timestamp.
+   * @param filter.to Only rewards withdrawn at or before this timestamp.
+   * @param filter.limit Maximum number of withdrawals returned.
+   * @param filter.offset Number of withdrawals skipped.
+   * @returns The rewards withdrawn by the staker, oldest first.
+   */
+  getRewardHistory(staker, filter = {}) {
+    const params = { limit: -1, offset: 0, ...filter, staker };
+    const conditions = where(
+      {
+        staker: 'staker = @staker',
+        collection: 'collection = @collection',
+        from: 'timestamp >= @from',
+        to: 'timestamp <= @to',
+      },
+      params
+    );
+    return this.db.prepare(`SELECT * FROM reward_history ${conditions} ORDER BY id LIMIT @limit OFFSET @offset`).all(params);
+  }
+
+  /**
+   * Sums the tax collected from reward withdrawals, LEOX unstake penalties and early unstake penalties, and the tax
+   * withdrawn by admins, per time bucket.
+   *
+   * @param collection The address of the collection.
+   * @param options.interval Length of a bucket in seconds.
+   * @param options.from Only buckets starting at or after this timestamp.
+   * @param options.to Only buckets starting at or before this timestamp.
+   * @returns The non-empty buckets as `{ start, collected, withdrawn }`, oldest first.
+   */
+  getTaxHistory(collection, { interval, from, to }) {
+    const params = { collection, interval, from, to };
+    const range = (column) => where({ collection: 'collection = @collection', from: `${column} >= @from`, to: `${column} <= @to` }, params);
+    const collected = this.db
+      .prepare(
+        `SELECT timestamp - timestamp % @interval AS start, uint_sum(tax_amount) AS amount
+         FROM (
+           SELECT collection, timestamp, tax_amount FROM reward_history
+           UNION ALL SELECT collection, timestamp, json_extract(args, '$.penalty') FROM events WHERE name = 'UnstakeLeoxTokens'
+           UNION ALL SELECT collection, timestamp, json_extract(args, '$.rewardsPenalty') FROM events
+             WHERE name = 'EarlyUnstakeToken' AND NOT json_extract(args, '$.toRewardPool')
+           UNION ALL SELECT collection, timestamp, json_extract(args, '$.leoxPenalty') FROM events
+             WHERE name = 'EarlyUnstakeToken' AND NOT json_extract(args, '$.toRewardPool')
+         ) ${range('timestamp - timestamp % @interval')} GROUP BY start`
+      )
+      .all(params);
+    const withdrawn = this.db
+      .prepare(
+        `SELECT timestamp - timestamp % @interval AS start, uint_sum(json_extract(args, '$.taxAmount')) AS amount
+         FROM events ${range('timestamp - timestamp % @interval')} AND name = 'WithdrawTax' GROUP BY start`
+      )
+      .all(params);
+
+    const buckets = new Map();
+    const bucket = (start) => buckets.get(start) || buckets.set(start, { start, collected: '0', withdrawn: '0' }).get(start);
+    for (const row of collected) bucket(row.start).collected = row.amount;
+    for (const row of withdrawn) bucket(row.start).withdrawn = row.amount;
+    return [...buckets.values()].sort((a, b) => a.start - b.start);
+  }
+}
+
+module.exports = { StakingStore, getTaxAmount };
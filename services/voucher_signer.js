@@ -0,0 +1,161 @@
+// Local validator service that signs stake vouchers over HTTP.
+//
+// Start a node and deploy the contracts, then run the service against it:
+//
+//   npx hardhat node
+//   VALIDATOR_KEY=<private key> TIER_FILE=./tiers.json node services/voucher_signer.js
+//
+// POST /vouchers with { collectionAddress, tokenId, staker, timelockEndTime, stakedLeox } returns a signed voucher
+// that can be passed to `stake()` as is. An optional `nonceOffset` signs the voucher for the nth next nonce of the
+// staker, so that consecutive vouchers can be staked together with `stakeBatch()`.
+const fs = require('fs');
+const http = require('http');
+const { Contract, JsonRpcProvider, Wallet, getAddress, id, isAddress } = require('ethers');
+const { getSigningDomain, loadDeploymentManifest, signStakeVoucher } = require('../utils/eip712_staking.js');
+const { getTierCount, validateCitizenTiers } = require('../utils/citizen_tiers.js');
+const { getRevertData } = require('../utils/staking_errors.js');
+const { HttpError, parseUint, readJson, sendJson } = require('./http_utils.js');
+
+const VALIDATOR_ROLE = id('VALIDATOR_ROLE');
+
+const STAKING_ABI = [
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+  'function getNonce(address staker) view returns (uint256)',
+  'function getYieldTraitPoints(address collectionAddress, uint256 citizen) view returns (tuple(uint256 maxLeox, uint256 yieldTraitPoints, string collectionName))',
+  'error CollectionUninitialized()',
+  'error InvalidCitizenIndex()',
+];
+
+const ERC721_ABI = ['function ownerOf(uint256 tokenId) view returns (address)'];
+
+/**
+ * Loads a tier file mapping each collection to the citizen tier of its tokens:
+ * `{ "<collectionAddress>": { "<tokenId>": <citizen> } }`.
+ *
+ * @param tierFile Path of the JSON tier file.
+ * @returns The tiers keyed by checksummed collection address.
+ */
+function loadTierFile(tierFile) {
+  const raw = JSON.parse(fs.readFileSync(tierFile, 'utf8'));
+  const tiers = {};
+  for (const [collectionAddress, tokens] of Object.entries(raw)) tiers[getAddress(collectionAddress)] = tokens;
+  return tiers;
+}
+
+/**
+ * Looks up the citizen tier of a token.
+ *
+ * @param tiers The tiers as returned by `loadTierFile`.
+ * @param collectionAddress The address of the collection.
+ * @param tokenId The ID of the token.
+ * @returns The citizen tier, or undefined if the token is unknown.
+ */
+function getCitizen(tiers, collectionAddress, tokenId) {
+  const tokens = tiers[getAddress(collectionAddress)];
+  if (!tokens || tokens[tokenId.toString()] === undefined) return undefined;
+  return Number(tokens[tokenId.toString()]);
+}
+
+/**
+ * Creates the voucher HTTP server.
+ *
+ * @param options.signer The VALIDATOR_ROLE signer, connected to a provider.
+ * @param options.stakingAddress The address of the GalileoStaking contract.
+ * @param options.tiers The tiers as returned by `loadTierFile`.
+ * @param options.voucherValidity Seconds a voucher stays valid for.
+ * @returns An http.Server that is not listening yet.
+ */
+function createVoucherServer({ signer, stakingAddress, tiers, voucherValidity = 900 }) {
+  const staking = new Contract(stakingAddress, STAKING_ABI, signer);
+  let domain;
+
+  async function issueVoucher(body) {
+    const { collectionAddress, staker } = body;
+    if (!isAddress(collectionAddress)) throw new HttpError(400, 'Invalid collectionAddress');
+    if (!isAddress(staker)) throw new HttpError(400, 'Invalid staker');
+    const tokenId = parseUint(body.tokenId, 'tokenId');
+    const timelockEndTime = parseUint(body.timelockEndTime, 'timelockEndTime');
+    const stakedLeox = parseUint(body.stakedLeox, 'stakedLeox');
+    const nonceOffset = body.nonceOffset === undefined ? 0n : parseUint(body.nonceOffset, 'nonceOffset');
+
+    const citizen = getCitizen(tiers, collectionAddress, tokenId);
+    if (citizen === undefined) throw new HttpError(404, `No citizen tier for token ${tokenId} of ${getAddress(collectionAddress)}`);
+
+    // Refuse to sign once this key has lost its role, vouchers would be rejected on-chain anyway
+    if (!(await staking.hasRole(VALIDATOR_ROLE, await signer.getAddress()))) {
+      throw new HttpError(503, 'Validator key is not authorized');
+    }
+
+    // ownerOf reverts for tokens that were never minted or were burned
+    let owner;
+    try {
+      owner = await new Contract(collectionAddress, ERC721_ABI, signer).ownerOf(tokenId);
+    } catch (error) {
+      if (error.code !== 'CALL_EXCEPTION' && getRevertData(error) === undefined) throw error;
+      throw new HttpError(404, `Token ${tokenId} of ${getAddress(collectionAddress)} does not exist`);
+    }
+    if (owner !== getAddress(staker)) throw new HttpError(400, `Token ${tokenId} is not owned by ${getAddress(staker)}`);
+
+    if (!domain) domain = await getSigningDomain(signer, stakingAddress);
+    const latestBlock = await signer.provider.getBlock('latest');
+
+    return signStakeVoucher(signer, domain, {
+      collectionAddress: getAddress(collectionAddress),
+      tokenId,
+      citizen: BigInt(citizen),
+      timelockEndTime,
+      stakedLeox,
+      staker: getAddress(staker),
+      nonce: (await staking.getNonce(staker)) + nonceOffset,
+      deadline: latestBlock.timestamp + voucherValidity,
+    });
+  }
+
+  return http.createServer(async (request, response) => {
+    try {
+      if (request.url !== '/vouchers') throw new HttpError(404, 'Not found');
+      if (request.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+
+      sendJson(response, 200, await issueVoucher(await readJson(request)));
+    } catch (error) {
+      if (error instanceof HttpError) return sendJson(response, error.status, { error: error.message });
+      console.error(error);
+      sendJson(response, 500, { error: 'Internal error' });
+    }
+  });
+}
+
+async function main() {
+  const { VALIDATOR_KEY, RPC_URL, STAKING_ADDRESS, TIER_FILE, PORT, DEPLOYMENT_NETWORK, VOUCHER_VALIDITY } = process.env;
+  if (!VALIDATOR_KEY) throw new Error('VALIDATOR_KEY is not set');
+  if (!TIER_FILE) throw new Error('TIER_FILE is not set');
+
+  const provider = new JsonRpcProvider(RPC_URL || 'http://127.0.0.1:8545');
+  const signer = new Wallet(VALIDATOR_KEY, provider);
+  const stakingAddress = STAKING_ADDRESS || loadDeploymentManifest(DEPLOYMENT_NETWORK || 'localhost').contracts.GalileoStaking.address;
+
+  // Refuse to start with tiers the contract would reject
+  const tiers = loadTierFile(TIER_FILE);
+  const staking = new Contract(stakingAddress, STAKING_ABI, provider);
+  for (const [collectionAddress, tokens] of Object.entries(tiers)) {
+    validateCitizenTiers(tokens, await getTierCount(staking, collectionAddress));
+  }
+
+  const server = createVoucherServer({
+    signer,
+    stakingAddress,
+    tiers,
+    voucherValidity: VOUCHER_VALIDITY ? Number(VOUCHER_VALIDITY) : undefined,
+  });
+  const port = PORT || 8080;
+  server.listen(port, () => console.log(`Signing vouchers for ${stakingAddress} as ${signer.address} on port ${port}`));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createVoucherServer, loadTierFile, getCitizen };
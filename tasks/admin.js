@@ -0,0 +1,318 @@
+const { task, types: hardhatTypes } = require('hardhat/config');
+const { HardhatPluginError } = require('hardhat/plugins');
+const { formatEther, isHexString } = require('ethers');
+const { readManifest } = require('../utils/deployment.js');
+const { getRewardRunway } = require('../utils/reward_runway.js');
+const { planRewardFunding } = require('../utils/reward_schedule.js');
+const { decodeStakingError, formatStakingError } = require('../utils/staking_errors.js');
+const { resolveCollection, types } = require('../utils/task_types.js');
+
+const ROLES = ['DEFAULT_ADMIN_ROLE', 'ADMIN_ROLE', 'VALIDATOR_ROLE'];
+
+// Declares a `galileo:*` admin task with the options every admin task shares
+function adminTask(name, description) {
+  return task(`galileo:${name}`, description)
+    .addOptionalParam('staking', 'Address of GalileoStaking, defaults to the deployment manifest')
+    .addFlag('dryRun', 'Simulate the call with staticCall instead of sending it');
+}
+
+// Connects to GalileoStaking and resolves the collection alias of the task arguments, if any
+async function getContext(args, hre) {
+  const manifest = readManifest(hre.network.name);
+  const stakingAddress = args.staking || (manifest.contracts.GalileoStaking && manifest.contracts.GalileoStaking.address);
+  if (!stakingAddress) throw new HardhatPluginError('galileo', `GalileoStaking is not deployed on ${hre.network.name}, pass --staking`);
+
+  const [signer] = await hre.ethers.getSigners();
+  const staking = await hre.ethers.getContractAt('GalileoStaking', stakingAddress, signer);
+
+  let collectionAddress;
+  if (args.collection !== undefined) {
+    try {
+      collectionAddress = resolveCollection(manifest, args.collection);
+    } catch (error) {
+      throw new HardhatPluginError('galileo', error.message);
+    }
+  }
+
+  return { staking, signer, collectionAddress, manifest };
+}
+
+/**
+ * Sends an admin call to GalileoStaking, or only simulates it with `staticCall` on a dry run.
+ *
+ * Reverts are rethrown with the decoded custom error, e.g. `updateTax reverted with InvalidTaxRate()`.
+ *
+ * @param contract The contract to call.
+ * @param method The name of the function.
+ * @param args The arguments of the function.
+ * @param dryRun Whether to only simulate the call.
+ * @returns The transaction receipt, or the simulated return value on a dry run.
+ */
+async function callAdmin(contract, method, args, dryRun) {
+  try {
+    if (dryRun) {
+      const result = await contract[method].staticCall(...args);
+      console.log(`Dry run: ${method} would succeed`);
+      return result;
+    }
+
+    const receipt = await (await contract[method](...args)).wait();
+    console.log(`${method} done in ${receipt.hash}`);
+    return receipt;
+  } catch (error) {
+    const decoded = decodeStakingError(contract.interface, error);
+    if (!decoded) throw error;
+    throw new HardhatPluginError('galileo', `${method} ${dryRun ? 'would revert' : 'reverted'} with ${formatStakingError(decoded)}`);
+  }
+}
+
+adminTask('update-emission-rate', 'Closes the current reward window of a collection and opens one with a new reward rate')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .addParam('rate', 'LEOX emitted per second, in ether', undefined, types.etherAmount)
+  .addOptionalParam('duration', 'Duration of the new reward window, e.g. 30d, open-ended if omitted', undefined, types.duration)
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress } = await getContext(args, hre);
+    const { timestamp } = await hre.ethers.provider.getBlock('latest');
+    const endTime = args.duration === undefined ? 0n : BigInt(timestamp) + args.duration;
+
+    return callAdmin(staking, 'updateEmissionRate', [collectionAddress, args.rate, endTime], args.dryRun);
+  });
+
+adminTask('schedule-reward-window', 'Appends a reward window to the schedule of a collection')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .addParam('rate', 'LEOX emitted per second, in ether', undefined, types.etherAmount)
+  .addParam('start', 'Start of the window, in unix seconds or ISO 8601', undefined, types.timestamp)
+  .addOptionalParam('duration', 'Duration of the window, e.g. 30d, open-ended if omitted', undefined, types.duration)
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress } = await getContext(args, hre);
+    const endTime = args.duration === undefined ? 0n : args.start + args.duration;
+
+    return callAdmin(staking, 'scheduleRewardWindow', [collectionAddress, args.rate, args.start, endTime], args.dryRun);
+  });
+
+adminTask('cancel-reward-window', 'Removes a reward window that has not started from the schedule of a collection')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .addParam('index', 'Index of the window in getPoolConfiguration', undefined, hardhatTypes.int)
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress } = await getContext(args, hre);
+    return callAdmin(staking, 'cancelRewardWindow', [collectionAddress, args.index], args.dryRun);
+  });
+
+task('galileo:reward-schedule', 'Prints the reward windows of a collection and the LEOX needed to fund them')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .addOptionalParam('staking', 'Address of GalileoStaking, defaults to the deployment manifest')
+  .addOptionalParam('horizon', 'How far ahead open-ended windows are funded, e.g. 90d', undefined, types.duration)
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress } = await getContext(args, hre);
+    const { timestamp } = await hre.ethers.provider.getBlock('latest');
+    const until = args.horizon === undefined ? undefined : BigInt(timestamp) + args.horizon;
+
+    const plan = await planRewardFunding(staking, collectionAddress, { from: timestamp, until }).catch((error) => {
+      throw new HardhatPluginError('galileo', args.horizon === undefined ? `${error.message}, pass --horizon` : error.message);
+    });
+
+    for (const window of plan.windows) {
+      const end = window.endTime === 0n ? 'open-ended' : window.endTime;
+      console.log(
+        `#${window.index} ${formatEther(window.rewardRate)} LEOX/s from ${window.startTime} to ${end}: ${formatEther(window.leox)} LEOX`
+      );
+    }
+    console.log(`Needed: ${formatEther(plan.total)} LEOX, reward pool: ${formatEther(plan.balance)} LEOX`);
+    console.log(plan.shortfall === 0n ? 'The schedule is funded' : `Deposit ${formatEther(plan.shortfall)} LEOX to fund the schedule`);
+    return plan;
+  });
+
+// Formats a duration in seconds as days and hours, e.g. 12d 6h
+function formatDuration(seconds) {
+  const days = seconds / 86400n;
+  const hours = (seconds % 86400n) / 3600n;
+  return days > 0n ? `${days}d ${hours}h` : `${hours}h ${(seconds % 3600n) / 60n}m`;
+}
+
+task('galileo:runway', 'Projects when the reward pools run out under their reward schedule, failing below a threshold')
+  .addOptionalParam('collection', 'Address or manifest alias of the collection, every collection of the manifest if omitted')
+  .addOptionalParam('staking', 'Address of GalileoStaking, defaults to the deployment manifest')
+  .addOptionalParam('threshold', 'Fail when a runway is shorter, e.g. 7d', undefined, types.duration)
+  .addOptionalParam('target', 'Runway the recommendations aim for', 2592000n, types.duration)
+  .addOptionalParam('fromBlock', 'First block scanned for staked positions, defaults to the deployment block', undefined, hardhatTypes.int)
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress, manifest } = await getContext(args, hre);
+    const deployment = manifest.contracts.GalileoStaking;
+    const fromBlock = args.fromBlock !== undefined ? args.fromBlock : (deployment && deployment.blockNumber) || 0;
+
+    let collections = { [args.collection]: collectionAddress };
+    if (collectionAddress === undefined) {
+      const entries = Object.entries(manifest.collections || {});
+      if (entries.length === 0) throw new HardhatPluginError('galileo', 'The deployment manifest has no collection, pass --collection');
+      collections = Object.fromEntries(entries.map(([alias, entry]) => [alias, entry.collectionAddress]));
+    }
+
+    const reports = {};
+    const short = [];
+    for (const [label, address] of Object.entries(collections)) {
+      const report = await getRewardRunway(staking, address, { target: args.target, fromBlock });
+      reports[label] = report;
+
+      console.log(
+        `${label}: ${formatEther(report.balance)} LEOX in the pool, ${formatEther(report.outstanding)} LEOX accrued and unclaimed`
+      );
+      if (report.runway === null) {
+        console.log('  The reward schedule is funded to its end');
+        continue;
+      }
+      const date = new Date(Number(report.insolventAt) * 1000).toISOString();
+      console.log(`  Runway ${formatDuration(report.runway)} at ${formatEther(report.rewardRate)} LEOX/s, insolvent at ${date}`);
+      if (report.recommendedRate !== null) {
+        console.log(
+          `  Deposit ${formatEther(report.recommendedDeposit)} LEOX, or set the rate to ${formatEther(report.recommendedRate)} LEOX/s, ` +
+            `to last ${formatDuration(report.target)}`
+        );
+      }
+      if (args.threshold !== undefined && report.runway < args.threshold) short.push(label);
+    }
+
+    if (short.length > 0) {
+      throw new HardhatPluginError('galileo', `Runway below ${formatDuration(args.threshold)} for ${short.join(', ')}`);
+    }
+    return reports;
+  });
+
+adminTask('update-tax', 'Updates the tax taken on the rewards of a collection')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .addParam('tax', 'Tax percentage, e.g. 3.5', undefined, types.etherAmount)
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress } = await getContext(args, hre);
+    return callAdmin(staking, 'updateTax', [collectionAddress, args.tax], args.dryRun);
+  });
+
+adminTask('update-compound-tax', 'Updates the tax taken on the rewards compounded into staked LEOX of a collection')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .addParam('tax', 'Tax percentage, e.g. 1.5, 0 to compound without tax', undefined, types.etherAmount)
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress } = await getContext(args, hre);
+    return callAdmin(staking, 'updateCompoundTax', [collectionAddress, args.tax], args.dryRun);
+  });
+
+adminTask('update-unstake-leox-penalty', 'Updates the penalty taken on the LEOX unstaked before the lock ends of a collection')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .addParam('penalty', 'Penalty percentage, e.g. 2.5, 0 to unstake LEOX early without penalty', undefined, types.etherAmount)
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress } = await getContext(args, hre);
+    return callAdmin(staking, 'updateUnstakeLeoxPenalty', [collectionAddress, args.penalty], args.dryRun);
+  });
+
+adminTask('set-early-unstake-params', 'Sets the penalties of unstaking the tokens of a collection before their lock ends')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .addOptionalParam('rewardsPenalty', 'Penalty percentage of the accrued rewards, e.g. 50', 0n, types.etherAmount)
+  .addOptionalParam('leoxPenalty', 'Penalty percentage of the staked LEOX, e.g. 10', 0n, types.etherAmount)
+  .addFlag('toRewardPool', 'Keep the penalties in the reward pool instead of the tax')
+  .addFlag('disable', 'Disable early unstaking')
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress } = await getContext(args, hre);
+    const params = [!args.disable, args.toRewardPool, args.rewardsPenalty, args.leoxPenalty];
+    return callAdmin(staking, 'setEarlyUnstakeParams', [collectionAddress, params], args.dryRun);
+  });
+
+adminTask('deposit-rewards', 'Deposits LEOX into the reward pool of a collection, approving it first if needed')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .addParam('amount', 'Amount of LEOX, in ether', undefined, types.etherAmount)
+  .setAction(async (args, hre) => {
+    const { staking, signer, collectionAddress } = await getContext(args, hre);
+    const leox = await hre.ethers.getContractAt('IERC20', await staking.LEOX(), signer);
+    const stakingAddress = await staking.getAddress();
+
+    const allowance = await leox.allowance(signer.address, stakingAddress);
+    if (allowance < args.amount) {
+      // depositRewards cannot be simulated before the approval is mined
+      if (args.dryRun) {
+        console.log(`Dry run: would approve ${formatEther(args.amount)} LEOX, allowance is ${formatEther(allowance)}`);
+        return callAdmin(leox, 'approve', [stakingAddress, args.amount], true);
+      }
+      await callAdmin(leox, 'approve', [stakingAddress, args.amount], false);
+    }
+
+    return callAdmin(staking, 'depositRewards', [collectionAddress, args.amount], args.dryRun);
+  });
+
+adminTask('declare-emergency', 'Declares an emergency for a collection, stopping its emissions')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress } = await getContext(args, hre);
+    return callAdmin(staking, 'declareEmergency', [collectionAddress], args.dryRun);
+  });
+
+adminTask('lift-emergency', 'Lifts the emergency of a collection and restarts its emissions')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .addParam('rate', 'LEOX emitted per second once lifted, in ether', undefined, types.etherAmount)
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress } = await getContext(args, hre);
+    return callAdmin(staking, 'liftEmergency', [collectionAddress, args.rate], args.dryRun);
+  });
+
+adminTask('release-frozen-rewards', 'Lets stakers claim the rewards frozen by their emergency unstakes before the emergency is lifted')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress } = await getContext(args, hre);
+    return callAdmin(staking, 'releaseFrozenRewards', [collectionAddress], args.dryRun);
+  });
+
+adminTask('withdraw-tax', 'Withdraws the tax collected on a collection to the caller')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress } = await getContext(args, hre);
+    return callAdmin(staking, 'withdrawTax', [collectionAddress], args.dryRun);
+  });
+
+adminTask('set-multipliers', 'Sets the staking time multipliers of a collection')
+  .addParam('collection', 'Address or manifest alias of the collection')
+  .addParam('multipliers', 'Comma separated duration:boost pairs, e.g. 30d:1.5,90d:2', undefined, types.multipliers)
+  .setAction(async (args, hre) => {
+    const { staking, collectionAddress } = await getContext(args, hre);
+    return callAdmin(staking, 'setMultipliers', [collectionAddress, args.multipliers], args.dryRun);
+  });
+
+adminTask('pause', 'Pauses GalileoStaking').setAction(async (args, hre) => {
+  const { staking } = await getContext(args, hre);
+  return callAdmin(staking, 'pause', [], args.dryRun);
+});
+
+adminTask('unpause', 'Unpauses GalileoStaking').setAction(async (args, hre) => {
+  const { staking } = await getContext(args, hre);
+  return callAdmin(staking, 'unpause', [], args.dryRun);
+});
+
+adminTask('set-trusted-forwarder', 'Sets the ERC-2771 forwarder trusted by GalileoStaking, the zero address to disable it')
+  .addParam('forwarder', 'Address of the forwarder', undefined, hardhatTypes.string)
+  .setAction(async (args, hre) => {
+    const { staking } = await getContext(args, hre);
+    return callAdmin(staking, 'setTrustedForwarder', [args.forwarder], args.dryRun);
+  });
+
+adminTask('set-permit2', 'Sets the Permit2 contract pulling LEOX with signatures, the zero address to disable it')
+  .addParam('permit2', 'Address of Permit2', undefined, hardhatTypes.string)
+  .setAction(async (args, hre) => {
+    const { staking } = await getContext(args, hre);
+    return callAdmin(staking, 'setPermit2', [args.permit2], args.dryRun);
+  });
+
+// Resolves a role name such as VALIDATOR_ROLE, or a raw bytes32 role
+async function getRole(staking, role) {
+  if (isHexString(role, 32)) return role;
+  if (!ROLES.includes(role)) throw new HardhatPluginError('galileo', `Unknown role ${role}, use one of ${ROLES.join(', ')} or a bytes32`);
+  return staking[role]();
+}
+
+for (const [name, method, description] of [
+  ['grant-role', 'grantRole', 'Grants a role of GalileoStaking to an account'],
+  ['revoke-role', 'revokeRole', 'Revokes a role of GalileoStaking from an account'],
+]) {
+  adminTask(name, description)
+    .addParam('role', `${ROLES.join(', ')} or a bytes32 role`)
+    .addParam('account', 'Address of the account', undefined, hardhatTypes.string)
+    .setAction(async (args, hre) => {
+      const { staking } = await getContext(args, hre);
+      return callAdmin(staking, method, [await getRole(staking, args.role), args.account], args.dryRun);
+    });
+}
+
+module.exports = { callAdmin };
@@ -0,0 +1,38 @@
+const path = require('path');
+const { task } = require('hardhat/config');
+const { loadDeploymentManifest } = require('../utils/eip712_staking.js');
+const {
+  buildCitizenTiers,
+  getTierCount,
+  readTokenMetadata,
+  validateCitizenTiers,
+  writeCitizenTiers,
+} = require('../utils/citizen_tiers.js');
+
+task('galileo:citizen-tiers', 'Builds the tokenId to citizen tier lookup file consumed by the voucher signer')
+  .addParam('collection', 'Address of the NFT collection')
+  .addParam('metadata', 'CSV or JSON file of token metadata')
+  .addOptionalParam('trait', 'Field or metadata attribute holding the citizen tier', 'citizen')
+  .addOptionalParam('tierNames', 'Comma separated tier names, in citizen index order, when the trait holds names')
+  .addOptionalParam('staking', 'Address of GalileoStaking, defaults to the deployment manifest')
+  .addOptionalParam('out', 'Lookup file to write, defaults to tiers/<network>.json')
+  .addFlag('dryRun', 'Validate the mapping without writing the lookup file')
+  .setAction(async (args, hre) => {
+    const stakingAddress = args.staking || loadDeploymentManifest(hre.network.name).contracts.GalileoStaking.address;
+    const staking = await hre.ethers.getContractAt('GalileoStaking', stakingAddress);
+
+    const tierNames = args.tierNames && args.tierNames.split(',').map((name) => name.trim());
+    const tiers = buildCitizenTiers(readTokenMetadata(args.metadata), { trait: args.trait, tierNames });
+
+    const tierCount = await getTierCount(staking, args.collection);
+    validateCitizenTiers(tiers, tierCount);
+
+    const tokenCount = Object.keys(tiers).length;
+    console.log(`Mapped ${tokenCount} token(s) to ${tierCount} configured tier(s)`);
+    if (args.dryRun) return tiers;
+
+    const out = args.out || path.join(hre.config.paths.root, 'tiers', `${hre.network.name}.json`);
+    writeCitizenTiers(out, args.collection, tiers);
+    console.log(`Wrote ${out}`);
+    return tiers;
+  });
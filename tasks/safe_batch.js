@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const { task } = require('hardhat/config');
+const { HardhatPluginError } = require('hardhat/plugins');
+const { readManifest } = require('../utils/deployment.js');
+const { buildSafeBatch, simulateSafeBatch } = require('../utils/safe_batch.js');
+
+task('galileo:safe-batch', 'Exports admin actions as a Safe Transaction Builder batch and simulates it as the Safe')
+  .addParam('actions', 'JSON file holding the list of admin actions')
+  .addParam('safe', 'Address of the Safe holding ADMIN_ROLE')
+  .addOptionalParam('deployment', 'Network whose deployment manifest to use, defaults to the connected network')
+  .addOptionalParam('staking', 'Address of GalileoStaking, defaults to the deployment manifest')
+  .addOptionalParam('leox', 'Address of LEOX, defaults to the deployment manifest')
+  .addOptionalParam('out', 'Batch file to write, defaults to safe-batches/<deployment>-<timestamp>.json')
+  .addOptionalParam('name', 'Name of the batch shown in the Transaction Builder')
+  .addFlag('skipSimulation', 'Do not simulate the batch on the connected network')
+  .setAction(async (args, hre) => {
+    const deployment = args.deployment || hre.network.name;
+    const manifest = readManifest(deployment);
+    const stakingDeployment = manifest.contracts.GalileoStaking;
+
+    const stakingAddress = args.staking || (stakingDeployment && stakingDeployment.address);
+    if (!stakingAddress) throw new HardhatPluginError('galileo', `GalileoStaking is not deployed on ${deployment}, pass --staking`);
+    const leoxAddress = args.leox || (stakingDeployment && stakingDeployment.args[0]);
+    if (!leoxAddress) throw new HardhatPluginError('galileo', `LEOX is unknown on ${deployment}, pass --leox`);
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const staking = await hre.ethers.getContractAt('GalileoStaking', stakingAddress);
+
+    let batch;
+    try {
+      batch = buildSafeBatch(JSON.parse(fs.readFileSync(args.actions, 'utf8')), {
+        // A fork keeps the chain ID of the local network, the batch must target the chain of the manifest
+        chainId: manifest.chainId || chainId,
+        safeAddress: args.safe,
+        stakingInterface: staking.interface,
+        stakingAddress,
+        leoxAddress,
+        manifest,
+        name: args.name,
+      });
+    } catch (error) {
+      throw new HardhatPluginError('galileo', error.message);
+    }
+    console.log(`${batch.meta.name}\n${batch.meta.description}`);
+
+    if (!args.skipSimulation) {
+      const results = await simulateSafeBatch(hre.ethers.provider, batch, [staking.interface]);
+      for (const result of results) {
+        const status = result.success ? `ok, ${result.gasUsed} gas` : `reverted with ${result.error}`;
+        console.log(`Transaction ${result.index + 1} to ${result.to}: ${status}`);
+      }
+
+      const failure = results.find((result) => !result.success);
+      if (failure) throw new HardhatPluginError('galileo', `Simulation failed at transaction ${failure.index + 1}: ${failure.error}`);
+      console.log(`Simulated ${results.length} transaction(s) on ${hre.network.name}`);
+    }
+
+    const out = args.out || path.join(hre.config.paths.root, 'safe-batches', `${deployment}-${batch.createdAt}.json`);
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, `${JSON.stringify(batch, null, 2)}\n`);
+    console.log(`Wrote ${out}`);
+    return batch;
+  });
@@ -1,7 +1,10 @@
 const { expect } = require('chai');
 const { parseEther, formatEther } = require('ethers');
 const { ethers } = require('hardhat');
-const { sign } = require('../utils/eip712_staking.js');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { sign, getSigningDomain, signClaimRewards, encodeStakeVoucher } = require('../utils/eip712_staking.js');
+const { signForwardRequest } = require('../utils/forward_requests.js');
+const { signPermit, signPermit2 } = require('../utils/leox_permits.js');
 
 let stakeTime = 60;
 
@@ -14,6 +17,8 @@ let yieldTraitPointC2 = 4;
 
 let INCREMENT = parseEther('400');
 
+let voucherValidity = 86400;
+
 const ADMIN_ROLE = ethers.id('ADMIN_ROLE');
 const VALIDATOR_ROLE = ethers.id('VALIDATOR_ROLE');
 
@@ -23,10 +28,14 @@ describe('GalileoStaking', async function () {
   let ERC721Token, erc721Token;
   let SoulBounToken, soulBounToken;
   let leoxAddress, nebulaAddress, galileoStakingAddress, sbtAddress;
+  let deadline;
 
   beforeEach(async function () {
     [admin, staker1, staker2, staker3] = await ethers.getSigners();
 
+    // Vouchers signed in a test stay valid for the voucher validity period
+    deadline = (await ethers.provider.getBlock('latest')).timestamp + voucherValidity;
+
     // Deploy mock ERC20 token
     ERC20Token = await ethers.getContractFactory('QRC20');
     erc20Token = await ERC20Token.deploy(
@@ -106,16 +115,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -133,16 +143,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      let signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       let voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -154,16 +165,17 @@ describe('GalileoStaking', async function () {
 
       await erc721Token.connect(staker2).approve(galileoStakingAddress, tokenId);
       await erc20Token.connect(staker2).approve(galileoStakingAddress, stakeLeoxAmount);
-      signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker2.address,
+        nonce: await galileoStaking.getNonce(staker2.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker2).stake(voucher);
@@ -184,16 +196,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      let signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       let voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -224,16 +237,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await expect(galileoStaking.connect(staker1).stake(voucher)).to.be.revertedWithCustomError(galileoStaking, 'EmergencyDeclared');
@@ -244,16 +258,17 @@ describe('GalileoStaking', async function () {
       const tokenId = 0;
       const citizen = 1;
 
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await expect(galileoStaking.connect(staker1).stake(voucher)).to.be.revertedWithCustomError(galileoStaking, 'InvalidTokenId');
@@ -264,16 +279,17 @@ describe('GalileoStaking', async function () {
       const tokenId = 1;
       const citizen = 0;
 
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await expect(galileoStaking.connect(staker1).stake(voucher)).to.be.revertedWithCustomError(galileoStaking, 'InvalidCitizenIndex');
@@ -284,16 +300,17 @@ describe('GalileoStaking', async function () {
       const tokenId = 1;
       const citizen = 1;
 
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: 0,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await expect(galileoStaking.connect(staker1).stake(voucher)).to.be.revertedWithCustomError(galileoStaking, 'InvalidTime');
@@ -307,16 +324,17 @@ describe('GalileoStaking', async function () {
       await galileoStaking.connect(admin).grantRole(VALIDATOR_ROLE, admin.address);
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
-      let signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       let voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await expect(galileoStaking.connect(staker1).stake(voucher)).to.be.revertedWithCustomError;
@@ -331,16 +349,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      let signature = await sign(admin, galileoStakingAddress, ethers.ZeroAddress, tokenId, citizen, stakeTime, stakeLeoxAmount);
-
       let voucher = {
         collectionAddress: ethers.ZeroAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await expect(galileoStaking.connect(staker1).stake(voucher)).to.be.revertedWithCustomError(galileoStaking, 'InvalidAddress');
@@ -355,16 +374,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen, 0, stakeLeoxAmount);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: 0,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await expect(galileoStaking.connect(staker1).stake(voucher)).to.be.revertedWithCustomError(galileoStaking, 'InvalidTime');
@@ -394,16 +414,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress1, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress1, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress1, nebulaAddress, tokenId, citizen, stakeTime, stakeLeoxAmount);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking1.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress1, voucher);
 
       await expect(galileoStaking1.connect(staker1).stake(voucher)).to.be.revertedWithCustomError(galileoStaking1, 'PoolUninitialized');
     });
@@ -430,16 +451,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress1, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress1, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress1, nebulaAddress, tokenId, citizen, stakeTime, stakeLeoxAmount);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking1.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress1, voucher);
 
       await expect(galileoStaking1.connect(staker1).stake(voucher)).to.be.revertedWithCustomError(
         galileoStaking1,
@@ -455,16 +477,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await expect(galileoStaking.connect(staker1).stake(voucher)).to.be.revertedWithCustomError(galileoStaking, 'InvalidTokensCount');
@@ -478,16 +501,18 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
-        citizen: 2,
+        citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+      voucher.citizen = 2;
 
       // Stake NFT and LEOX
       await expect(galileoStaking.connect(staker1).stake(voucher)).to.be.revertedWithCustomError(galileoStaking, 'InvalidSignature');
@@ -501,16 +526,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker2.address,
+        nonce: await galileoStaking.getNonce(staker2.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
 
@@ -528,16 +554,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker2).approve(galileoStakingAddress, tokenId);
       await erc20Token.connect(staker2).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker2.address,
+        nonce: await galileoStaking.getNonce(staker2.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
 
@@ -552,23 +579,167 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
 
+      // Sign a fresh voucher for the same token
+      voucher.nonce = await galileoStaking.getNonce(staker1.address);
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+
       await expect(galileoStaking.connect(staker1).stake(voucher)).to.be.revertedWithCustomError(galileoStaking, 'TokenAlreadyStaked');
     });
 
+    it('Should revert if a voucher is replayed', async function () {
+      const stakeLeoxAmount = parseEther('100');
+      const tokenId = 1;
+      const citizen = 1;
+
+      // Approve tokens for transfer
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: tokenId,
+        citizen: citizen,
+        timelockEndTime: stakeTime,
+        stakedLeox: stakeLeoxAmount,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+
+      // Stake NFT and LEOX
+      await galileoStaking.connect(staker1).stake(voucher);
+      expect(await galileoStaking.getNonce(staker1.address)).to.equal(1);
+
+      await expect(galileoStaking.connect(staker1).stake(voucher))
+        .to.be.revertedWithCustomError(galileoStaking, 'InvalidNonce')
+        .withArgs(1);
+    });
+
+    it('Should revert if the voucher nonce is not the current nonce', async function () {
+      const stakeLeoxAmount = parseEther('100');
+      const tokenId = 1;
+      const citizen = 1;
+
+      // Approve tokens for transfer
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: tokenId,
+        citizen: citizen,
+        timelockEndTime: stakeTime,
+        stakedLeox: stakeLeoxAmount,
+        staker: staker1.address,
+        nonce: 5,
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+
+      await expect(galileoStaking.connect(staker1).stake(voucher))
+        .to.be.revertedWithCustomError(galileoStaking, 'InvalidNonce')
+        .withArgs(0);
+    });
+
+    it('Should revert if the voucher has expired', async function () {
+      const stakeLeoxAmount = parseEther('100');
+      const tokenId = 1;
+      const citizen = 1;
+
+      // Approve tokens for transfer
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: tokenId,
+        citizen: citizen,
+        timelockEndTime: stakeTime,
+        stakedLeox: stakeLeoxAmount,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+
+      await ethers.provider.send('evm_increaseTime', [voucherValidity + 1]);
+      await ethers.provider.send('evm_mine');
+
+      await expect(galileoStaking.connect(staker1).stake(voucher))
+        .to.be.revertedWithCustomError(galileoStaking, 'SignatureExpired')
+        .withArgs(deadline);
+    });
+
+    it('Should revert if the voucher is used by a different sender', async function () {
+      const stakeLeoxAmount = parseEther('100');
+      const tokenId = 1;
+      const citizen = 1;
+
+      await erc20Token.transfer(staker2.address, parseEther('1000'));
+      await erc20Token.connect(staker2).approve(galileoStakingAddress, stakeLeoxAmount);
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: tokenId,
+        citizen: citizen,
+        timelockEndTime: stakeTime,
+        stakedLeox: stakeLeoxAmount,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+
+      await expect(galileoStaking.connect(staker2).stake(voucher)).to.be.revertedWithCustomError(galileoStaking, 'InvalidStaker');
+
+      // Rewriting the staker invalidates the signature
+      voucher.staker = staker2.address;
+      await expect(galileoStaking.connect(staker2).stake(voucher)).to.be.revertedWithCustomError(galileoStaking, 'InvalidSignature');
+    });
+
+    it('Should revert if the voucher lock duration or LEOX amount is altered', async function () {
+      const stakeLeoxAmount = parseEther('100');
+      const tokenId = 1;
+      const citizen = 1;
+
+      // Approve tokens for transfer
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, parseEther('1000'));
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: tokenId,
+        citizen: citizen,
+        timelockEndTime: stakeTime,
+        stakedLeox: stakeLeoxAmount,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+
+      await expect(galileoStaking.connect(staker1).stake({ ...voucher, timelockEndTime: stakeTime * 2 })).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidSignature'
+      );
+
+      await expect(galileoStaking.connect(staker1).stake({ ...voucher, stakedLeox: parseEther('1000') })).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidSignature'
+      );
+    });
+
     it('Should revert if staking contract is paused', async function () {
       await galileoStaking.connect(admin).pause();
 
@@ -579,16 +750,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
 
@@ -605,16 +777,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -679,16 +852,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -708,16 +882,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -781,6 +956,184 @@ describe('GalileoStaking', async function () {
     });
   });
 
+  describe('Reward Window Schedule', function () {
+    // Stakes token 1 of staker1 with 100 LEOX, for 5 * 1.5 + 100 / 400 = 7.75 points
+    async function stakeToken() {
+      const stakeLeoxAmount = parseEther('100');
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: 1,
+        citizen: 1,
+        timelockEndTime: stakeTime,
+        stakedLeox: stakeLeoxAmount,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+      const receipt = await (await galileoStaking.connect(staker1).stake(voucher)).wait();
+      return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+    }
+
+    async function latestTimestamp() {
+      return (await ethers.provider.getBlock('latest')).timestamp;
+    }
+
+    it('Should append a reward window and close the open-ended one at its start', async function () {
+      const startTime = (await latestTimestamp()) + 100;
+
+      await expect(galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), startTime, startTime + 100))
+        .to.emit(galileoStaking, 'ScheduleRewardWindow')
+        .withArgs(nebulaAddress, 1, parseEther('2'), startTime, startTime + 100);
+      await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('3'), startTime + 200, 0);
+
+      const poolData = await galileoStaking.getPoolConfiguration(nebulaAddress);
+      expect(poolData.rewardCount).to.equal(3);
+      expect(poolData.rewardWindows[0].endTime).to.equal(startTime);
+      expect(poolData.rewardWindows[1].endTime).to.equal(startTime + 100);
+      expect(poolData.rewardWindows[2].startTime).to.equal(startTime + 200);
+    });
+
+    it('Should accrue every reward window crossed since the last update', async function () {
+      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
+      await galileoStaking.connect(admin).depositRewards(nebulaAddress, parseEther('1000'));
+      const stakedAt = await stakeToken();
+      await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), stakedAt + 100, stakedAt + 200);
+      await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('3'), stakedAt + 300, 0);
+
+      await ethers.provider.send('evm_setNextBlockTimestamp', [stakedAt + 400]);
+      await ethers.provider.send('evm_mine');
+
+      // Nothing accrues between the windows, each window rounds down on its own
+      const points = parseEther('7.75');
+      const accrued = (rate, seconds) => (parseEther(rate) * BigInt(seconds) * parseEther('1')) / points;
+      const expected = accrued('1', 100) + accrued('2', 100) + accrued('3', 100);
+      expect(await galileoStaking.rewardPerToken(nebulaAddress)).to.equal(expected);
+      expect(await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 1)).to.equal((points * expected) / parseEther('1'));
+    });
+
+    it('Should cancel a reward window that has not started', async function () {
+      const startTime = (await latestTimestamp()) + 100;
+      await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), startTime, startTime + 100);
+      await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('3'), startTime + 200, 0);
+
+      await expect(galileoStaking.cancelRewardWindow(nebulaAddress, 1))
+        .to.emit(galileoStaking, 'CancelRewardWindow')
+        .withArgs(nebulaAddress, 1);
+
+      const poolData = await galileoStaking.getPoolConfiguration(nebulaAddress);
+      expect(poolData.rewardCount).to.equal(2);
+      expect(poolData.rewardWindows[1].rewardRate).to.equal(parseEther('3'));
+    });
+
+    it('Should revert cancelling a started reward window or the only one', async function () {
+      await expect(galileoStaking.cancelRewardWindow(nebulaAddress, 0)).to.be.revertedWithCustomError(galileoStaking, 'InvalidInput');
+
+      const startTime = (await latestTimestamp()) + 100;
+      await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), startTime, 0);
+      await expect(galileoStaking.cancelRewardWindow(nebulaAddress, 0))
+        .to.be.revertedWithCustomError(galileoStaking, 'RewardWindowStarted')
+        .withArgs(0);
+      await expect(galileoStaking.cancelRewardWindow(nebulaAddress, 2)).to.be.revertedWithCustomError(galileoStaking, 'InvalidInput');
+      await expect(galileoStaking.connect(staker1).cancelRewardWindow(nebulaAddress, 1)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'AccessControlUnauthorizedAccount'
+      );
+    });
+
+    it('Should revert scheduling a reward window in the past or overlapping the schedule', async function () {
+      const now = await latestTimestamp();
+      await expect(galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), now - 10, 0)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidTime'
+      );
+      await expect(galileoStaking.scheduleRewardWindow(nebulaAddress, 0, now + 100, 0)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidRewardRate'
+      );
+      await expect(galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), now + 100, now + 100)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidEndTime'
+      );
+      await expect(galileoStaking.scheduleRewardWindow(leoxAddress, parseEther('2'), now + 100, 0))
+        .to.be.revertedWithCustomError(galileoStaking, 'PoolUninitialized')
+        .withArgs(leoxAddress);
+
+      await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), now + 100, now + 200);
+      await expect(galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), now + 150, 0))
+        .to.be.revertedWithCustomError(galileoStaking, 'RewardWindowsOverlap')
+        .withArgs(2);
+
+      await galileoStaking.declareEmergency(nebulaAddress);
+      await expect(galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), now + 300, 0)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'EmergencyDeclared'
+      );
+    });
+
+    it('Should keep the scheduled reward windows when the emission rate is updated', async function () {
+      const startTime = (await latestTimestamp()) + 100;
+      await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), startTime, startTime + 100);
+      await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('3'), startTime + 200, 0);
+
+      await expect(galileoStaking.updateEmissionRate(nebulaAddress, parseEther('10'), startTime + 1))
+        .to.be.revertedWithCustomError(galileoStaking, 'RewardWindowsOverlap')
+        .withArgs(1);
+      await expect(galileoStaking.updateEmissionRate(nebulaAddress, parseEther('10'), 0)).not.to.emit(galileoStaking, 'CancelRewardWindow');
+
+      // The new rate runs until the first scheduled window
+      const { timestamp } = await ethers.provider.getBlock('latest');
+      const poolData = await galileoStaking.getPoolConfiguration(nebulaAddress);
+      expect(poolData.rewardCount).to.equal(4);
+      expect(poolData.rewardWindows[0].endTime).to.equal(timestamp);
+      expect(poolData.rewardWindows[1].toArray()).to.deep.equal([parseEther('10'), BigInt(timestamp), BigInt(startTime)]);
+      expect(poolData.rewardWindows[2].toArray()).to.deep.equal([parseEther('2'), BigInt(startTime), BigInt(startTime + 100)]);
+      expect(poolData.rewardWindows[3].toArray()).to.deep.equal([parseEther('3'), BigInt(startTime + 200), 0n]);
+    });
+
+    it('Should keep the scheduled reward windows through an emergency', async function () {
+      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
+      await galileoStaking.connect(admin).depositRewards(nebulaAddress, parseEther('1000'));
+      const stakedAt = await stakeToken();
+      await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), stakedAt + 100, stakedAt + 200);
+
+      await ethers.provider.send('evm_setNextBlockTimestamp', [stakedAt + 10]);
+      await galileoStaking.declareEmergency(nebulaAddress);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [stakedAt + 50]);
+      await galileoStaking.liftEmergency(nebulaAddress, parseEther('1'));
+
+      const poolData = await galileoStaking.getPoolConfiguration(nebulaAddress);
+      expect(poolData.rewardCount).to.equal(4);
+      expect(poolData.rewardWindows[1].toArray()).to.deep.equal([0n, BigInt(stakedAt + 10), BigInt(stakedAt + 50)]);
+      expect(poolData.rewardWindows[2].toArray()).to.deep.equal([parseEther('1'), BigInt(stakedAt + 50), BigInt(stakedAt + 100)]);
+      expect(poolData.rewardWindows[3].toArray()).to.deep.equal([parseEther('2'), BigInt(stakedAt + 100), BigInt(stakedAt + 200)]);
+
+      await ethers.provider.send('evm_setNextBlockTimestamp', [stakedAt + 300]);
+      await ethers.provider.send('evm_mine');
+
+      const points = parseEther('7.75');
+      const accrued = (rate, seconds) => (parseEther(rate) * BigInt(seconds) * parseEther('1')) / points;
+      expect(await galileoStaking.rewardPerToken(nebulaAddress)).to.equal(accrued('1', 10) + accrued('1', 50) + accrued('2', 100));
+    });
+
+    it('Should not accrue the reward windows starting during an emergency', async function () {
+      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
+      await galileoStaking.connect(admin).depositRewards(nebulaAddress, parseEther('1000'));
+      const stakedAt = await stakeToken();
+      await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), stakedAt + 100, stakedAt + 200);
+
+      await ethers.provider.send('evm_setNextBlockTimestamp', [stakedAt + 10]);
+      await galileoStaking.declareEmergency(nebulaAddress);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [stakedAt + 150]);
+      await ethers.provider.send('evm_mine');
+
+      const accruedBefore = (parseEther('10') * parseEther('1')) / parseEther('7.75');
+      expect(await galileoStaking.rewardPerToken(nebulaAddress)).to.equal(accruedBefore);
+    });
+  });
+
   describe('Calculate the Points', async function () {
     it('Should calculate the collect points', async function () {
       const stakeTokens = 5000;
@@ -817,16 +1170,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      let signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       let voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -843,16 +1197,17 @@ describe('GalileoStaking', async function () {
       await erc20Token.connect(staker2).approve(galileoStakingAddress, stakeLeoxAmount);
 
       // Stake NFT and LEOX
-      signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker2.address,
+        nonce: await galileoStaking.getNonce(staker2.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker2).stake(voucher);
@@ -1081,16 +1436,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -1143,7 +1499,23 @@ describe('GalileoStaking', async function () {
       await GalileoStakings.connect(admin).configurePool(poolInfo);
     });
 
-    it('Should revert configure pool with multiple reward windows', async function () {
+    it('Should configure pool with a schedule of reward windows', async function () {
+      let GalileoStakings = await ethers.getContractFactory('GalileoStaking');
+      GalileoStakings = await GalileoStakings.deploy(leoxAddress, INCREMENT);
+
+      let currentTime = Math.floor(Date.now() / 1000);
+      const rewardWindows = [
+        [rewardRate, currentTime, currentTime + 100],
+        [parseEther('2'), currentTime + 200, 0],
+      ];
+      await GalileoStakings.connect(admin).configurePool([[nebulaAddress, parseEther('3'), rewardWindows]]);
+
+      const poolData = await GalileoStakings.getPoolConfiguration(nebulaAddress);
+      expect(poolData.rewardCount).to.equal(2);
+      expect(poolData.rewardWindows.map((window) => window.toArray())).to.deep.equal(rewardWindows.map((window) => window.map(BigInt)));
+    });
+
+    it('Should revert configure pool with overlapping reward windows', async function () {
       let GalileoStakings = await ethers.getContractFactory('GalileoStaking');
       GalileoStakings = await GalileoStakings.deploy(leoxAddress, INCREMENT);
 
@@ -1159,9 +1531,12 @@ describe('GalileoStaking', async function () {
         ],
       ];
 
-      await expect(GalileoStakings.connect(admin).configurePool(poolInfo)).to.be.revertedWithCustomError(
+      await expect(GalileoStakings.connect(admin).configurePool(poolInfo))
+        .to.be.revertedWithCustomError(galileoStaking, 'RewardWindowsOverlap')
+        .withArgs(1);
+      await expect(GalileoStakings.connect(admin).configurePool([[nebulaAddress, parseEther('3'), []]])).to.be.revertedWithCustomError(
         galileoStaking,
-        'MultipleRewardWindowsNotAllowed'
+        'InvalidInput'
       );
     });
 
@@ -1273,6 +1648,12 @@ describe('GalileoStaking', async function () {
   });
 
   describe('Calculate Rewards', async function () {
+    beforeEach(async function () {
+      // Rewards only accrue as far as the reward pool is funded
+      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
+      await galileoStaking.connect(admin).depositRewards(nebulaAddress, parseEther('1000'));
+    });
+
     it('Should return the expected rewards if there is only one staker', async function () {
       const stakeLeoxAmount = parseEther('100');
       const tokenId = 1;
@@ -1281,16 +1662,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -1312,16 +1694,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      let signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       let voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -1334,16 +1717,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker2).approve(galileoStakingAddress, tokenId);
       await erc20Token.connect(staker2).approve(galileoStakingAddress, stakeLeoxAmount);
-      signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker2.address,
+        nonce: await galileoStaking.getNonce(staker2.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker2).stake(voucher);
@@ -1389,16 +1773,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: timeStake,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -1435,16 +1820,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: timeStake,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -1452,10 +1838,10 @@ describe('GalileoStaking', async function () {
       await ethers.provider.send('evm_increaseTime', [timeStake]);
       await ethers.provider.send('evm_mine');
 
-      await expect(galileoStaking.connect(staker1).withdrawAllRewards(nebulaAddress)).to.be.revertedWithCustomError(
-        galileoStaking,
-        'InvalidAmountRewardPoolBalance'
-      );
+      // Nothing accrues without rewards in the pool
+      await expect(galileoStaking.connect(staker1).withdrawAllRewards(nebulaAddress))
+        .to.be.revertedWithCustomError(galileoStaking, 'InvalidTokensCount')
+        .withArgs(0);
     });
 
     it('Should revert if collection address is invalid', async function () {
@@ -1484,74 +1870,209 @@ describe('GalileoStaking', async function () {
     });
   });
 
-  describe('Withdrawing Tax', function () {
-    it('Should allow Admin to withdraw tax', async function () {
-      const stakeLeoxAmount = parseEther('100');
-      const tokenId = 1;
-      const citizen = 1;
-
+  describe('Delegated Rewards Claims', function () {
+    beforeEach(async function () {
       await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
       await galileoStaking.connect(admin).depositRewards(nebulaAddress, parseEther('1000'));
 
-      // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
-      await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
-        tokenId: tokenId,
-        citizen: citizen,
+        tokenId: 1,
+        citizen: 1,
         timelockEndTime: stakeTime,
-        stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        stakedLeox: 0,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
-
-      // Stake NFT and LEOX
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
       await galileoStaking.connect(staker1).stake(voucher);
 
       await ethers.provider.send('evm_increaseTime', [stakeTime]);
       await ethers.provider.send('evm_mine');
+    });
 
-      // Mock reward setup and accumulation
-      // await galileoStaking.updateEmissionRate(nebulaAddress, parseEther('10'), 0);
-      const rewards = await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 1);
-      let withdrawRewards = await (await galileoStaking.connect(staker1).withdrawAllRewards(nebulaAddress)).wait();
-
-      withdrawRewards = Number(formatEther(withdrawRewards.logs[1].args[2])).toFixed(2);
-
-      const rewardsInEther = parseFloat(formatEther(rewards)) + 1; // Convert to number
+    // Returns the rewards paid by the withdrawal of a transaction, after tax
+    async function paid(transaction) {
+      const receipt = await (await transaction).wait();
+      return receipt.logs.map((log) => galileoStaking.interface.parseLog(log)).find((log) => log?.name === 'WithdrawAllRewards').args
+        .rewardAmount;
+    }
 
-      const adjustedRewards = rewardsInEther - rewardsInEther * 0.03;
+    async function signClaim(signer, claim) {
+      const domain = await getSigningDomain(signer, galileoStakingAddress);
+      return signClaimRewards(signer, domain, {
+        owner: staker1.address,
+        collectionAddress: nebulaAddress,
+        recipient: ethers.ZeroAddress,
+        nonce: await galileoStaking.getClaimNonce(staker1.address),
+        deadline: deadline,
+        ...claim,
+      });
+    }
+
+    it('Should pay the rewards of the caller to another address', async function () {
+      await expect(galileoStaking.connect(staker1).withdrawAllRewardsTo(nebulaAddress, ethers.ZeroAddress)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidAddress'
+      );
 
-      let taxAmount = rewardsInEther - adjustedRewards;
-      taxAmount = Number(taxAmount.toFixed(2));
+      const withdrawal = galileoStaking.connect(staker1).withdrawAllRewardsTo(nebulaAddress, staker2.address);
+      const rewardAmount = await paid(withdrawal);
+      await expect(withdrawal)
+        .to.emit(galileoStaking, 'WithdrawAllRewardsTo')
+        .withArgs(nebulaAddress, staker1.address, staker2.address, rewardAmount);
 
-      let withdrawTax = await (await galileoStaking.connect(admin).withdrawTax(nebulaAddress)).wait();
-      withdrawTax = parseFloat(formatEther(withdrawTax.logs[1].args[2]));
-      expect(withdrawTax).to.be.equal(taxAmount);
+      expect(await erc20Token.balanceOf(staker1.address)).to.equal(parseEther('1000'));
+      expect(await erc20Token.balanceOf(staker2.address)).to.equal(rewardAmount);
+      expect(await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 1)).to.equal(0n);
     });
 
-    it('Should revert Admin to withdraw tax and the smart contract does not have amount', async function () {
-      const stakeLeoxAmount = parseEther('100');
-      const tokenId = 1;
-      const citizen = 1;
+    it('Should let an approved operator claim the rewards for the staker or its beneficiary', async function () {
+      await expect(galileoStaking.connect(staker2).withdrawAllRewardsFor(staker1.address, nebulaAddress)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'UnauthorizedClaimOperator'
+      );
 
-      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
+      await expect(galileoStaking.connect(staker1).setClaimOperator(staker2.address, true))
+        .to.emit(galileoStaking, 'SetClaimOperator')
+        .withArgs(staker1.address, staker2.address, true);
+      expect(await galileoStaking.isClaimOperator(staker1.address, staker2.address)).to.equal(true);
+      expect(await galileoStaking.getRewardsBeneficiary(staker1.address)).to.equal(staker1.address);
+
+      // Without a beneficiary the staker is paid
+      const withdrawal = galileoStaking.connect(staker2).withdrawAllRewardsFor(staker1.address, nebulaAddress);
+      const rewardAmount = await paid(withdrawal);
+      await expect(withdrawal).to.not.emit(galileoStaking, 'WithdrawAllRewardsTo');
+      expect(await erc20Token.balanceOf(staker1.address)).to.equal(parseEther('1000') + rewardAmount);
+      expect(await erc20Token.balanceOf(staker2.address)).to.equal(0n);
+
+      await expect(galileoStaking.connect(staker1).setRewardsBeneficiary(staker3.address))
+        .to.emit(galileoStaking, 'SetRewardsBeneficiary')
+        .withArgs(staker1.address, staker3.address);
+      await ethers.provider.send('evm_increaseTime', [stakeTime]);
+      await expect(galileoStaking.connect(staker2).withdrawAllRewardsFor(staker1.address, nebulaAddress))
+        .to.emit(galileoStaking, 'WithdrawAllRewardsTo')
+        .withArgs(nebulaAddress, staker1.address, staker3.address, anyValue);
+      expect(await erc20Token.balanceOf(staker3.address)).to.be.greaterThan(0n);
+
+      await galileoStaking.connect(staker1).setClaimOperator(staker2.address, false);
+      await expect(galileoStaking.connect(staker2).withdrawAllRewardsFor(staker1.address, nebulaAddress)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'UnauthorizedClaimOperator'
+      );
+    });
+
+    it('Should let a relayer submit a claim authorization signed by the staker', async function () {
+      const claim = await signClaim(staker1, { recipient: staker3.address });
+
+      await expect(
+        galileoStaking.connect(staker2).withdrawAllRewardsWithSig({ ...claim, recipient: staker2.address })
+      ).to.be.revertedWithCustomError(galileoStaking, 'InvalidSignature');
+      await expect(galileoStaking.connect(staker2).withdrawAllRewardsWithSig(await signClaim(staker2))).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidSignature'
+      );
+
+      const withdrawal = galileoStaking.connect(staker2).withdrawAllRewardsWithSig(claim);
+      const rewardAmount = await paid(withdrawal);
+      await expect(withdrawal)
+        .to.emit(galileoStaking, 'WithdrawAllRewardsTo')
+        .withArgs(nebulaAddress, staker1.address, staker3.address, rewardAmount);
+      expect(await erc20Token.balanceOf(staker3.address)).to.equal(rewardAmount);
+      expect(await galileoStaking.getClaimNonce(staker1.address)).to.equal(1n);
+
+      // The authorization cannot be replayed
+      await expect(galileoStaking.connect(staker2).withdrawAllRewardsWithSig(claim))
+        .to.be.revertedWithCustomError(galileoStaking, 'InvalidNonce')
+        .withArgs(1n);
+    });
+
+    it('Should pay the beneficiary of an authorization without recipient and reject expired ones', async function () {
+      const { timestamp } = await ethers.provider.getBlock('latest');
+      const expired = await signClaim(staker1, { deadline: timestamp });
+      await expect(galileoStaking.connect(staker2).withdrawAllRewardsWithSig(expired))
+        .to.be.revertedWithCustomError(galileoStaking, 'SignatureExpired')
+        .withArgs(timestamp);
+
+      await galileoStaking.connect(staker1).setRewardsBeneficiary(staker3.address);
+      await expect(galileoStaking.connect(staker2).withdrawAllRewardsWithSig(await signClaim(staker1)))
+        .to.emit(galileoStaking, 'WithdrawAllRewardsTo')
+        .withArgs(nebulaAddress, staker1.address, staker3.address, anyValue);
+    });
+  });
+
+  describe('Withdrawing Tax', function () {
+    it('Should allow Admin to withdraw tax', async function () {
+      const stakeLeoxAmount = parseEther('100');
+      const tokenId = 1;
+      const citizen = 1;
+
+      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
+      await galileoStaking.connect(admin).depositRewards(nebulaAddress, parseEther('1000'));
 
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: tokenId,
+        citizen: citizen,
+        timelockEndTime: stakeTime,
+        stakedLeox: stakeLeoxAmount,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+
+      // Stake NFT and LEOX
+      await galileoStaking.connect(staker1).stake(voucher);
+
+      await ethers.provider.send('evm_increaseTime', [stakeTime]);
+      await ethers.provider.send('evm_mine');
+
+      // Mock reward setup and accumulation
+      // await galileoStaking.updateEmissionRate(nebulaAddress, parseEther('10'), 0);
+      const rewards = await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 1);
+      let withdrawRewards = await (await galileoStaking.connect(staker1).withdrawAllRewards(nebulaAddress)).wait();
+
+      withdrawRewards = Number(formatEther(withdrawRewards.logs[1].args[2])).toFixed(2);
+
+      const rewardsInEther = parseFloat(formatEther(rewards)) + 1; // Convert to number
+
+      const adjustedRewards = rewardsInEther - rewardsInEther * 0.03;
+
+      let taxAmount = rewardsInEther - adjustedRewards;
+      taxAmount = Number(taxAmount.toFixed(2));
+
+      let withdrawTax = await (await galileoStaking.connect(admin).withdrawTax(nebulaAddress)).wait();
+      withdrawTax = parseFloat(formatEther(withdrawTax.logs[1].args[2]));
+      expect(withdrawTax).to.be.equal(taxAmount);
+    });
+
+    it('Should revert Admin to withdraw tax and the smart contract does not have amount', async function () {
+      const stakeLeoxAmount = parseEther('100');
+      const tokenId = 1;
+      const citizen = 1;
+
+      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
 
+      // Approve tokens for transfer
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -1642,6 +2163,136 @@ describe('GalileoStaking', async function () {
     });
   });
 
+  describe('Reward Solvency', function () {
+    // Stakes a token of staker1 without LEOX, for 5 * 1.5 = 7.5 points
+    async function stakeToken(tokenId = 1) {
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, tokenId);
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: tokenId,
+        citizen: 1,
+        timelockEndTime: stakeTime,
+        stakedLeox: 0,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+      const receipt = await (await galileoStaking.connect(staker1).stake(voucher)).wait();
+      return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+    }
+
+    async function depositRewards(amount) {
+      await erc20Token.connect(admin).approve(galileoStakingAddress, amount);
+      const receipt = await (await galileoStaking.connect(admin).depositRewards(nebulaAddress, amount)).wait();
+      return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+    }
+
+    async function mineAt(timestamp) {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [timestamp]);
+      await ethers.provider.send('evm_mine');
+    }
+
+    it('Should stop accruing rewards once the reward pool is committed', async function () {
+      await depositRewards(parseEther('150'));
+      const stakedAt = await stakeToken();
+
+      await mineAt(stakedAt + 100);
+      expect(await galileoStaking.getCommittedRewards(nebulaAddress)).to.equal(parseEther('100'));
+      expect(await galileoStaking.getRewardRunway(nebulaAddress)).to.equal(50);
+
+      await mineAt(stakedAt + 300);
+      expect(await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 1)).to.equal(parseEther('150'));
+      expect(await galileoStaking.getRewardRunway(nebulaAddress)).to.equal(0);
+    });
+
+    it('Should pay rewards equal to the whole reward pool', async function () {
+      await depositRewards(parseEther('150'));
+      const stakedAt = await stakeToken();
+      await mineAt(stakedAt + 300);
+
+      // 150 LEOX minus the 3% tax
+      const balance = await erc20Token.balanceOf(staker1.address);
+      await galileoStaking.connect(staker1).unstake(nebulaAddress, 1);
+      expect((await erc20Token.balanceOf(staker1.address)) - balance).to.equal(parseEther('145.5'));
+      expect(await galileoStaking.getRewardPoolBalance(nebulaAddress)).to.equal(0);
+      expect(await galileoStaking.getCommittedRewards(nebulaAddress)).to.equal(0);
+    });
+
+    it('Should unstake and claim tokens without rewards once the reward pool is used up', async function () {
+      await depositRewards(parseEther('150'));
+      const stakedAt = await stakeToken();
+
+      // The pool is exhausted at stakedAt + 150, token 2 never accrues anything
+      await erc721Token.mint(staker1.address, 2, '0x');
+      await mineAt(stakedAt + 300);
+      await stakeToken(2);
+      await mineAt(stakedAt + 400);
+      expect(await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 2)).to.equal(0);
+
+      // The batch pays token 1 and skips token 2
+      const withdrawRewardsBatch = galileoStaking.connect(staker1).withdrawRewardsBatch(nebulaAddress, [1, 2]);
+      await expect(withdrawRewardsBatch).to.changeTokenBalance(erc20Token, staker1, parseEther('145.5'));
+      await expect(withdrawRewardsBatch)
+        .to.emit(galileoStaking, 'WithdrawRewards')
+        .withArgs(staker1.address, nebulaAddress, 1, parseEther('145.5'), anyValue);
+      await expect(galileoStaking.connect(staker1).withdrawRewardsBatch(nebulaAddress, [1, 2]))
+        .to.be.revertedWithCustomError(galileoStaking, 'InvalidAmount')
+        .withArgs(0);
+
+      await expect(galileoStaking.connect(staker1).unstake(nebulaAddress, 2)).not.to.emit(galileoStaking, 'WithdrawRewards');
+      expect(await erc721Token.ownerOf(2)).to.equal(staker1.address);
+      await galileoStaking.connect(staker1).unstake(nebulaAddress, 1);
+      expect(await erc721Token.ownerOf(1)).to.equal(staker1.address);
+    });
+
+    it('Should fund the emissions from the time of a deposit', async function () {
+      await depositRewards(parseEther('150'));
+      const stakedAt = await stakeToken();
+
+      // The pool is exhausted at stakedAt + 150, nothing accrues until the next deposit
+      await mineAt(stakedAt + 400);
+      const depositedAt = await depositRewards(parseEther('75'));
+      expect(await galileoStaking.getRewardRunway(nebulaAddress)).to.equal(75);
+
+      await mineAt(depositedAt + 100);
+      expect(await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 1)).to.equal(parseEther('225'));
+      expect(await galileoStaking.getCommittedRewards(nebulaAddress)).to.equal(parseEther('225'));
+    });
+
+    it('Should keep the rewards frozen by an emergency unstake committed until claimed', async function () {
+      await depositRewards(parseEther('1000'));
+      const stakedAt = await stakeToken();
+      await mineAt(stakedAt + 74);
+
+      // The emission rate is set to zero at stakedAt + 75
+      await galileoStaking.connect(admin).declareEmergency(nebulaAddress);
+      expect(await galileoStaking.getCommittedRewards(nebulaAddress)).to.equal(parseEther('75'));
+
+      await galileoStaking.connect(staker1).emergencyUnstake(nebulaAddress, 1);
+      expect(await galileoStaking.getCommittedRewards(nebulaAddress)).to.equal(parseEther('75'));
+
+      await galileoStaking.connect(admin).liftEmergency(nebulaAddress, parseEther('1'));
+      await galileoStaking.connect(staker1).claimFrozenRewards(nebulaAddress);
+      expect(await galileoStaking.getCommittedRewards(nebulaAddress)).to.equal(0);
+      expect(await galileoStaking.getRewardPoolBalance(nebulaAddress)).to.equal(parseEther('925'));
+    });
+
+    it('Should return the runway across the reward windows', async function () {
+      const startTime = (await ethers.provider.getBlock('latest')).timestamp + 100;
+      await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), startTime, startTime + 100);
+      const depositedAt = await depositRewards(parseEther('250'));
+
+      // 1 LEOX per second until startTime, then 2 LEOX per second
+      const remaining = parseEther('250') - parseEther('1') * BigInt(startTime - depositedAt);
+      expect(await galileoStaking.getRewardRunway(nebulaAddress)).to.equal(BigInt(startTime - depositedAt) + remaining / parseEther('2'));
+
+      // Both windows are funded until they end
+      await depositRewards(parseEther('1000'));
+      expect(await galileoStaking.getRewardRunway(nebulaAddress)).to.equal(ethers.MaxUint256);
+    });
+  });
+
   describe('Unstake Tokens and get rewards', function () {
     it('Should allow user to unstake tokens get rewards', async function () {
       const stakeLeoxAmount = parseEther('100');
@@ -1653,16 +2304,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      let signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       let voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -1677,16 +2329,17 @@ describe('GalileoStaking', async function () {
 
       await erc721Token.connect(staker1).approve(galileoStakingAddress, tokenId);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -1697,7 +2350,8 @@ describe('GalileoStaking', async function () {
       const rewards = await galileoStaking.calculateRewardsAllRewards(staker1.address, nebulaAddress);
       let unstake = await (await galileoStaking.connect(staker1).unstake(nebulaAddress, 1)).wait();
 
-      unstake = Number(formatEther(unstake.logs[1].args[3])).toFixed(2);
+      const { args } = unstake.logs.find((log) => log.fragment && log.fragment.name === 'WithdrawRewards');
+      unstake = Number(formatEther(args[3])).toFixed(2);
 
       const rewardsInEther = parseFloat(formatEther(rewards)); // Convert to number
 
@@ -1714,16 +2368,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      let signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       let voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -1734,7 +2389,7 @@ describe('GalileoStaking', async function () {
       );
     });
 
-    it('Should revert if smart contract does not have reward tokens', async function () {
+    it('Should unstake without rewards if smart contract does not have reward tokens', async function () {
       // Approve tokens for transfer
       const stakeLeoxAmount = parseEther('100');
       const tokenId = 1;
@@ -1743,16 +2398,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -1760,10 +2416,11 @@ describe('GalileoStaking', async function () {
       await ethers.provider.send('evm_increaseTime', [stakeTime]);
       await ethers.provider.send('evm_mine');
 
-      await expect(galileoStaking.connect(staker1).unstake(nebulaAddress, 1)).to.be.revertedWithCustomError(
-        galileoStaking,
-        'InvalidAmountRewardPoolBalance'
-      );
+      // Nothing accrues without rewards in the pool, the staked LEOX is returned alone
+      const unstake = galileoStaking.connect(staker1).unstake(nebulaAddress, 1);
+      await expect(unstake).to.changeTokenBalance(erc20Token, staker1, stakeLeoxAmount);
+      await expect(unstake).not.to.emit(galileoStaking, 'WithdrawRewards');
+      expect(await erc721Token.ownerOf(1)).to.equal(staker1.address);
     });
 
     it('Should revert if collection address is invalid', async function () {
@@ -1797,6 +2454,728 @@ describe('GalileoStaking', async function () {
     });
   });
 
+  describe('Batch Staking', function () {
+    const stakeLeoxAmount = parseEther('100');
+
+    beforeEach(async function () {
+      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
+      await galileoStaking.connect(admin).depositRewards(nebulaAddress, parseEther('1000'));
+      await erc721Token.mint(staker1.address, 2, '0x');
+      await erc721Token.mint(staker1.address, 3, '0x');
+    });
+
+    // Signs a voucher of staker1 for each token, with consecutive nonces
+    async function signVouchers(tokenIds) {
+      const nonce = await galileoStaking.getNonce(staker1.address);
+      return Promise.all(
+        tokenIds.map(async (tokenId, i) => {
+          await erc721Token.connect(staker1).approve(galileoStakingAddress, tokenId);
+          const voucher = {
+            collectionAddress: nebulaAddress,
+            tokenId,
+            citizen: 1,
+            timelockEndTime: stakeTime,
+            stakedLeox: stakeLeoxAmount,
+            staker: staker1.address,
+            nonce: nonce + BigInt(i),
+            deadline: deadline,
+          };
+          voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+          return voucher;
+        })
+      );
+    }
+
+    // Returns the LEOX transfers of a receipt
+    function leoxTransfers(receipt) {
+      const { topicHash } = erc20Token.interface.getEvent('Transfer');
+      return receipt.logs.filter((log) => log.address === leoxAddress && log.topics[0] === topicHash);
+    }
+
+    it('Should stake several tokens with one LEOX transfer', async function () {
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount * 3n);
+      const vouchers = await signVouchers([1, 2, 3]);
+
+      const tx = galileoStaking.connect(staker1).stakeBatch(vouchers);
+      await expect(tx)
+        .to.emit(galileoStaking, 'StakeTokens')
+        .withArgs(nebulaAddress, staker1.address, 3, 1, anyValue, anyValue, stakeLeoxAmount);
+      const receipt = await (await tx).wait();
+
+      expect(leoxTransfers(receipt)).to.have.lengthOf(1);
+      expect(receipt.logs.filter((log) => log.fragment && log.fragment.name === 'StakeTokens')).to.have.lengthOf(3);
+      expect(await galileoStaking.getNonce(staker1.address)).to.equal(3);
+      expect(await erc20Token.balanceOf(galileoStakingAddress)).to.equal(parseEther('1300'));
+
+      const [totalPoints] = await galileoStaking.getPoolConfiguration(nebulaAddress);
+      expect(totalPoints).to.equal(parseEther('7.75') * 3n);
+    });
+
+    it('Should revert the whole batch if a voucher is invalid', async function () {
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount * 2n);
+      const [first, second] = await signVouchers([1, 2]);
+
+      await expect(galileoStaking.connect(staker1).stakeBatch([])).to.be.revertedWithCustomError(galileoStaking, 'InvalidInput');
+      await expect(galileoStaking.connect(staker1).stakeBatch([second, first]))
+        .to.be.revertedWithCustomError(galileoStaking, 'InvalidNonce')
+        .withArgs(0);
+      await expect(galileoStaking.connect(staker1).stakeBatch([first, first]))
+        .to.be.revertedWithCustomError(galileoStaking, 'InvalidNonce')
+        .withArgs(1);
+      expect(await erc721Token.ownerOf(1)).to.equal(staker1.address);
+    });
+
+    it('Should unstake several tokens and transfer their rewards and LEOX at once', async function () {
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount * 3n);
+      await galileoStaking.connect(staker1).stakeBatch(await signVouchers([1, 2, 3]));
+      await ethers.provider.send('evm_increaseTime', [stakeTime]);
+
+      const balance = await erc20Token.balanceOf(staker1.address);
+      const receipt = await (await galileoStaking.connect(staker1).unstakeBatch(nebulaAddress, [3, 1])).wait();
+
+      const events = (name) => receipt.logs.filter((log) => log.fragment && log.fragment.name === name);
+      const rewards = events('WithdrawRewards').reduce((total, log) => total + log.args.rewardAmount, 0n);
+      expect(events('UnstakeToken').map((log) => log.args.tokenId)).to.deep.equal([3n, 1n]);
+      expect(leoxTransfers(receipt)).to.have.lengthOf(1);
+      expect((await erc20Token.balanceOf(staker1.address)) - balance).to.equal(rewards + stakeLeoxAmount * 2n);
+
+      expect(await erc721Token.ownerOf(1)).to.equal(staker1.address);
+      expect(await erc721Token.ownerOf(3)).to.equal(staker1.address);
+      expect((await galileoStaking.getStakersPosition(staker1.address, nebulaAddress, 2)).tokenId).to.equal(2);
+      await expect(galileoStaking.connect(staker1).unstakeBatch(nebulaAddress, [2, 3])).to.be.revertedWithCustomError(
+        galileoStaking,
+        'TokenNotStaked'
+      );
+      await expect(galileoStaking.connect(staker1).unstakeBatch(nebulaAddress, [])).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidInput'
+      );
+    });
+
+    it('Should withdraw the taxed rewards of a single token without unstaking it', async function () {
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount * 2n);
+      await galileoStaking.connect(staker1).stakeBatch(await signVouchers([1, 2]));
+      await ethers.provider.send('evm_increaseTime', [100]);
+
+      const balance = await erc20Token.balanceOf(staker1.address);
+      const rewardPool = await galileoStaking.getRewardPoolBalance(nebulaAddress);
+      const receipt = await (await galileoStaking.connect(staker1).withdrawRewards(nebulaAddress, 2)).wait();
+
+      // The pool pays the gross rewards, the staker receives them minus the 3% tax
+      const [event] = receipt.logs.filter((log) => log.fragment && log.fragment.name === 'WithdrawRewards');
+      const rewardAmount = rewardPool - (await galileoStaking.getRewardPoolBalance(nebulaAddress));
+      expect(event.args.tokenId).to.equal(2);
+      expect(event.args.rewardAmount).to.equal(rewardAmount - (rewardAmount * parseEther('3')) / parseEther('100'));
+      expect((await erc20Token.balanceOf(staker1.address)) - balance).to.equal(event.args.rewardAmount);
+
+      expect(await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 2)).to.equal(0);
+      expect(await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 1)).to.be.greaterThan(0);
+      expect((await galileoStaking.getStakersPosition(staker1.address, nebulaAddress, 2)).tokenId).to.equal(2);
+
+      await expect(galileoStaking.connect(staker1).withdrawRewards(nebulaAddress, 3)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'TokenNotStaked'
+      );
+      await expect(galileoStaking.connect(staker1).withdrawRewards(nebulaAddress, 0)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidTokenId'
+      );
+      await expect(galileoStaking.connect(staker1).withdrawRewards(ethers.ZeroAddress, 1)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidAddress'
+      );
+    });
+
+    it('Should withdraw the rewards of several tokens without unstaking them', async function () {
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount * 3n);
+      await galileoStaking.connect(staker1).stakeBatch(await signVouchers([1, 2, 3]));
+      await ethers.provider.send('evm_increaseTime', [100]);
+
+      const balance = await erc20Token.balanceOf(staker1.address);
+      const receipt = await (await galileoStaking.connect(staker1).withdrawRewardsBatch(nebulaAddress, [1, 2])).wait();
+
+      const events = receipt.logs.filter((log) => log.fragment && log.fragment.name === 'WithdrawRewards');
+      expect(events.map((log) => log.args.tokenId)).to.deep.equal([1n, 2n]);
+      expect(leoxTransfers(receipt)).to.have.lengthOf(1);
+      const rewards = events.reduce((total, log) => total + log.args.rewardAmount, 0n);
+      expect((await erc20Token.balanceOf(staker1.address)) - balance).to.equal(rewards);
+
+      // Both tokens accrued the same rewards, token 3 kept its own
+      expect(events[0].args.rewardAmount).to.equal(events[1].args.rewardAmount);
+      expect(await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 1)).to.equal(0);
+      expect(await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 3)).to.be.greaterThan(0);
+      expect((await galileoStaking.getStakersPosition(staker1.address, nebulaAddress, 1)).tokenId).to.equal(1);
+
+      await expect(galileoStaking.connect(staker2).withdrawRewardsBatch(nebulaAddress, [1])).to.be.revertedWithCustomError(
+        galileoStaking,
+        'TokenNotStaked'
+      );
+      await expect(galileoStaking.connect(staker1).withdrawRewardsBatch(nebulaAddress, [])).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidInput'
+      );
+    });
+  });
+
+  describe('Stake With Permit', function () {
+    const stakeLeoxAmount = parseEther('100');
+
+    // Signs a voucher of staker1 for token 1 on a GalileoStaking contract
+    async function signVoucher(staking) {
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: 1,
+        citizen: 1,
+        timelockEndTime: stakeTime,
+        stakedLeox: stakeLeoxAmount,
+        staker: staker1.address,
+        nonce: await staking.getNonce(staker1.address),
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, await staking.getAddress(), voucher);
+      return voucher;
+    }
+
+    it('Should stake and add LEOX with ERC-2612 permits of LEOX', async function () {
+      // Deploy GalileoStaking on a LEOX with permit
+      const leoxPermit = await (await ethers.getContractFactory('LeoxPermit')).deploy(parseEther('1000000'));
+      const staking = await GalileoStaking.deploy(await leoxPermit.getAddress(), INCREMENT);
+      const stakingAddress = await staking.getAddress();
+      await soulBounToken.grantRole(ADMIN_ROLE, stakingAddress);
+      await staking.grantRole(VALIDATOR_ROLE, admin.address);
+      await staking.configureNewCollection(nebulaAddress, sbtAddress, totalNebulaSupply, [[parseEther('5000'), yieldTraitPointC1]]);
+      await staking.configurePool([[nebulaAddress, parseEther('3'), [[rewardRate, 0, 0]]]]);
+      await staking.setMultipliers(nebulaAddress, [[stakeTime, stakingMultiplier]]);
+      await leoxPermit.transfer(staker1.address, parseEther('1000'));
+      await erc721Token.connect(staker1).approve(stakingAddress, 1);
+
+      const permit = await signPermit(staker1, await leoxPermit.getAddress(), {
+        spender: stakingAddress,
+        value: stakeLeoxAmount,
+        deadline,
+      });
+      await expect(staking.connect(staker1).stakeWithPermit(await signVoucher(staking), permit))
+        .to.emit(staking, 'StakeTokens')
+        .withArgs(nebulaAddress, staker1.address, 1, 1, anyValue, anyValue, stakeLeoxAmount);
+      expect(await leoxPermit.balanceOf(stakingAddress)).to.equal(stakeLeoxAmount);
+      expect(await leoxPermit.allowance(staker1.address, stakingAddress)).to.equal(0);
+
+      // A permit already submitted by someone else does not prevent the transfer
+      const morePermit = await signPermit(staker1, await leoxPermit.getAddress(), {
+        spender: stakingAddress,
+        value: parseEther('50'),
+        deadline,
+      });
+      const { v, r, s } = ethers.Signature.from(morePermit.signature);
+      await leoxPermit.connect(staker2).permit(staker1.address, stakingAddress, parseEther('50'), deadline, v, r, s);
+      await expect(staking.connect(staker1).stakeLeoxTokensWithPermit(nebulaAddress, 1, parseEther('50'), morePermit))
+        .to.emit(staking, 'StakeLeoxTokens')
+        .withArgs(nebulaAddress, staker1.address, 1, 1, anyValue, parseEther('150'));
+
+      // Without allowance left, the used permit does not transfer more
+      await expect(staking.connect(staker1).stakeLeoxTokensWithPermit(nebulaAddress, 1, parseEther('50'), morePermit))
+        .to.be.revertedWithCustomError(leoxPermit, 'ERC20InsufficientAllowance')
+        .withArgs(stakingAddress, 0, parseEther('50'));
+      await expect(
+        staking.connect(staker1).stakeLeoxTokensWithPermit(nebulaAddress, 1, parseEther('50'), { ...morePermit, signature: '0x' })
+      ).to.be.revertedWithCustomError(staking, 'InvalidSignature');
+    });
+
+    it('Should stake and add LEOX with Permit2 for LEOX without permit', async function () {
+      const permit2 = await (await ethers.getContractFactory('Permit2')).deploy();
+      const permit2Address = await permit2.getAddress();
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+      await erc20Token.connect(staker1).approve(permit2Address, ethers.MaxUint256);
+
+      const sign2 = (value, nonce) =>
+        signPermit2(staker1, permit2Address, { token: leoxAddress, spender: galileoStakingAddress, value, deadline, nonce });
+      const voucher = await signVoucher(galileoStaking);
+      await expect(galileoStaking.connect(staker1).stakeWithPermit(voucher, await sign2(stakeLeoxAmount))).to.be.revertedWithCustomError(
+        galileoStaking,
+        'Permit2Unavailable'
+      );
+
+      await expect(galileoStaking.connect(staker1).setPermit2(permit2Address))
+        .to.be.revertedWithCustomError(galileoStaking, 'AccessControlUnauthorizedAccount')
+        .withArgs(staker1.address, ADMIN_ROLE);
+      await expect(galileoStaking.connect(admin).setPermit2(permit2Address)).to.emit(galileoStaking, 'SetPermit2').withArgs(permit2Address);
+      expect(await galileoStaking.getPermit2()).to.equal(permit2Address);
+
+      await galileoStaking.connect(staker1).stakeWithPermit(voucher, await sign2(stakeLeoxAmount));
+      expect(await erc20Token.balanceOf(staker1.address)).to.equal(parseEther('900'));
+
+      // A Permit2 nonce is used once, and the permit caps the amount
+      const permit = await sign2(parseEther('50'), 7);
+      await galileoStaking.connect(staker1).stakeLeoxTokensWithPermit(nebulaAddress, 1, parseEther('50'), permit);
+      expect((await galileoStaking.getStakersPosition(staker1.address, nebulaAddress, 1)).stakedLEOX).to.equal(parseEther('150'));
+      await expect(
+        galileoStaking.connect(staker1).stakeLeoxTokensWithPermit(nebulaAddress, 1, parseEther('50'), permit)
+      ).to.be.revertedWithCustomError(permit2, 'InvalidNonce');
+      await expect(
+        galileoStaking.connect(staker1).stakeLeoxTokensWithPermit(nebulaAddress, 1, parseEther('60'), await sign2(parseEther('50')))
+      )
+        .to.be.revertedWithCustomError(permit2, 'InvalidAmount')
+        .withArgs(parseEther('50'));
+
+      // The permit is signed for the staker only
+      await expect(
+        galileoStaking.connect(staker2).stakeLeoxTokensWithPermit(nebulaAddress, 1, parseEther('50'), await sign2(parseEther('50')))
+      ).to.be.revertedWithCustomError(galileoStaking, 'TokenNotStaked');
+    });
+  });
+
+  describe('Compound Rewards', function () {
+    beforeEach(async function () {
+      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
+      await galileoStaking.connect(admin).depositRewards(nebulaAddress, parseEther('1000'));
+      await erc20Token.transfer(staker1.address, parseEther('5000'));
+    });
+
+    // Stakes token 1 of staker1 in the first citizen tier
+    async function stakeToken(stakedLeox) {
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, stakedLeox);
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: 1,
+        citizen: 1,
+        timelockEndTime: stakeTime,
+        stakedLeox,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+      await galileoStaking.connect(staker1).stake(voucher);
+    }
+
+    it('Should compound the rewards into the staked LEOX without tax by default', async function () {
+      await stakeToken(parseEther('100'));
+      await ethers.provider.send('evm_increaseTime', [100]);
+
+      const balance = await erc20Token.balanceOf(galileoStakingAddress);
+      const rewardPool = await galileoStaking.getRewardPoolBalance(nebulaAddress);
+      const receipt = await (await galileoStaking.connect(staker1).compound(nebulaAddress, 1)).wait();
+
+      const [event] = receipt.logs.filter((log) => log.fragment && log.fragment.name === 'CompoundRewards');
+      const { rewardAmount, compoundedLeox, rewardsPaid, newPoints, totalLeox } = event.args;
+      expect(rewardAmount).to.equal(rewardPool - (await galileoStaking.getRewardPoolBalance(nebulaAddress)));
+      expect(compoundedLeox).to.equal(rewardAmount);
+      expect(rewardsPaid).to.equal(0);
+      expect(await erc20Token.balanceOf(galileoStakingAddress)).to.equal(balance);
+
+      const position = await galileoStaking.getStakersPosition(staker1.address, nebulaAddress, 1);
+      expect(position.stakedLEOX).to.equal(parseEther('100') + rewardAmount);
+      expect(totalLeox).to.equal(position.stakedLEOX);
+      expect(position.points).to.equal(newPoints);
+      expect(newPoints).to.equal(await galileoStaking.calculatePoints(nebulaAddress, 1, totalLeox, stakeTime));
+      const [totalPoints] = await galileoStaking.getPoolConfiguration(nebulaAddress);
+      expect(totalPoints).to.equal(newPoints);
+      expect(await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 1)).to.equal(0);
+    });
+
+    it('Should tax the compounded rewards and pay those above the maximum LEOX', async function () {
+      await expect(galileoStaking.connect(admin).updateCompoundTax(nebulaAddress, parseEther('2')))
+        .to.emit(galileoStaking, 'UpdateCompoundTax')
+        .withArgs(nebulaAddress, parseEther('2'));
+      expect(await galileoStaking.getCompoundTax(nebulaAddress)).to.equal(parseEther('2'));
+
+      await stakeToken(parseEther('4990'));
+      await ethers.provider.send('evm_increaseTime', [100]);
+
+      const balance = await erc20Token.balanceOf(staker1.address);
+      const receipt = await (await galileoStaking.connect(staker1).compound(nebulaAddress, 1)).wait();
+      const [event] = receipt.logs.filter((log) => log.fragment && log.fragment.name === 'CompoundRewards');
+      const { rewardAmount, compoundedLeox, rewardsPaid } = event.args;
+
+      // 10 LEOX fit below the 5000 LEOX of the tier once taxed at 2%, the rest is taxed at the 3% pool tax
+      const compoundedRewards = (parseEther('10') * 100n) / 98n;
+      const paidRewards = rewardAmount - compoundedRewards;
+      expect(compoundedLeox).to.equal(parseEther('10'));
+      expect(rewardsPaid).to.equal(paidRewards - (paidRewards * 3n) / 100n);
+      expect((await erc20Token.balanceOf(staker1.address)) - balance).to.equal(rewardsPaid);
+      expect((await galileoStaking.getStakersPosition(staker1.address, nebulaAddress, 1)).stakedLEOX).to.equal(parseEther('5000'));
+
+      await expect(galileoStaking.connect(admin).withdrawTax(nebulaAddress))
+        .to.emit(galileoStaking, 'WithdrawTax')
+        .withArgs(nebulaAddress, admin.address, (compoundedRewards * 2n) / 100n + (paidRewards * 3n) / 100n);
+    });
+
+    it('Should revert to compound a token not staked or on emergency', async function () {
+      await stakeToken(parseEther('100'));
+
+      await expect(galileoStaking.connect(staker2).compound(nebulaAddress, 1)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'TokenNotStaked'
+      );
+      await expect(galileoStaking.connect(staker1).compound(nebulaAddress, 0)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidTokenId'
+      );
+      await expect(galileoStaking.connect(staker1).compound(ethers.ZeroAddress, 1)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidAddress'
+      );
+
+      await galileoStaking.connect(admin).declareEmergency(nebulaAddress);
+      await expect(galileoStaking.connect(staker1).compound(nebulaAddress, 1)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'EmergencyDeclared'
+      );
+    });
+
+    it('Should only let the admin set a compound tax within the limit', async function () {
+      await expect(galileoStaking.connect(staker1).updateCompoundTax(nebulaAddress, parseEther('2')))
+        .to.be.revertedWithCustomError(galileoStaking, 'AccessControlUnauthorizedAccount')
+        .withArgs(staker1.address, ADMIN_ROLE);
+      await expect(galileoStaking.connect(admin).updateCompoundTax(nebulaAddress, parseEther('11'))).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidTaxRate'
+      );
+      await expect(galileoStaking.connect(admin).updateCompoundTax(staker2.address, parseEther('2')))
+        .to.be.revertedWithCustomError(galileoStaking, 'PoolUninitialized')
+        .withArgs(staker2.address);
+      await expect(galileoStaking.connect(admin).updateCompoundTax(nebulaAddress, 0)).to.emit(galileoStaking, 'UpdateCompoundTax');
+    });
+  });
+
+  describe('Extend Lock', function () {
+    const longStakeTime = 600;
+    const longStakingMultiplier = parseEther('2.25');
+
+    beforeEach(async function () {
+      await galileoStaking.connect(admin).setMultipliers(nebulaAddress, [
+        [stakeTime, stakingMultiplier],
+        [longStakeTime, longStakingMultiplier],
+      ]);
+      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
+      await galileoStaking.connect(admin).depositRewards(nebulaAddress, parseEther('1000'));
+
+      // Stake token 1 of staker1 for the shortest lock
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, parseEther('100'));
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: 1,
+        citizen: 1,
+        timelockEndTime: stakeTime,
+        stakedLeox: parseEther('100'),
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+      await galileoStaking.connect(staker1).stake(voucher);
+    });
+
+    it('Should extend the lock to a longer duration and recompute the points', async function () {
+      const newPoints = await galileoStaking.calculatePoints(nebulaAddress, 1, parseEther('100'), longStakeTime);
+      const tx = await galileoStaking.connect(staker1).extendLock(nebulaAddress, 1, longStakeTime);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+
+      await expect(tx)
+        .to.emit(galileoStaking, 'ExtendLock')
+        .withArgs(nebulaAddress, staker1.address, 1, longStakeTime, timestamp + longStakeTime, newPoints);
+      const position = await galileoStaking.getStakersPosition(staker1.address, nebulaAddress, 1);
+      expect(position.points).to.equal(newPoints);
+      expect(position.timelockStartTime).to.equal(timestamp);
+      expect(position.timelockEndTime).to.equal(longStakeTime);
+      const [totalPoints] = await galileoStaking.getPoolConfiguration(nebulaAddress);
+      expect(totalPoints).to.equal(newPoints);
+      expect(await galileoStaking.getLock(staker1.address, nebulaAddress, 1)).to.deep.equal([BigInt(timestamp + longStakeTime), false]);
+
+      // The token stays locked until the new lock period ends
+      await ethers.provider.send('evm_increaseTime', [stakeTime]);
+      await expect(galileoStaking.connect(staker1).unstake(nebulaAddress, 1))
+        .to.be.revertedWithCustomError(galileoStaking, 'UnstakeBeforeLockPeriod')
+        .withArgs(timestamp + longStakeTime);
+    });
+
+    it('Should renew an ended lock', async function () {
+      await ethers.provider.send('evm_increaseTime', [stakeTime * 2]);
+      await expect(galileoStaking.connect(staker1).extendLock(nebulaAddress, 1, stakeTime)).to.emit(galileoStaking, 'ExtendLock');
+      await expect(galileoStaking.connect(staker1).unstake(nebulaAddress, 1)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'UnstakeBeforeLockPeriod'
+      );
+    });
+
+    it('Should revert to shorten the lock or extend it to a duration without multiplier', async function () {
+      await galileoStaking.connect(staker1).extendLock(nebulaAddress, 1, longStakeTime);
+      const [lockPeriodEnd] = await galileoStaking.getLock(staker1.address, nebulaAddress, 1);
+
+      await expect(galileoStaking.connect(staker1).extendLock(nebulaAddress, 1, stakeTime))
+        .to.be.revertedWithCustomError(galileoStaking, 'LockNotExtended')
+        .withArgs(lockPeriodEnd);
+      await expect(galileoStaking.connect(staker1).extendLock(nebulaAddress, 1, longStakeTime * 2)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidTime'
+      );
+      await expect(galileoStaking.connect(staker2).extendLock(nebulaAddress, 1, longStakeTime)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'TokenNotStaked'
+      );
+
+      await galileoStaking.connect(admin).declareEmergency(nebulaAddress);
+      await expect(galileoStaking.connect(staker1).extendLock(nebulaAddress, 1, longStakeTime)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'EmergencyDeclared'
+      );
+    });
+
+    it('Should roll the lock over while it is auto-renewed', async function () {
+      const [lockPeriodEnd] = await galileoStaking.getLock(staker1.address, nebulaAddress, 1);
+      await expect(galileoStaking.connect(staker1).setAutoRenew(nebulaAddress, 1, true))
+        .to.emit(galileoStaking, 'SetAutoRenew')
+        .withArgs(nebulaAddress, staker1.address, 1, true, lockPeriodEnd);
+
+      // After one and a half periods the lock runs until the end of the second one
+      await ethers.provider.send('evm_setNextBlockTimestamp', [Number(lockPeriodEnd) + stakeTime / 2]);
+      await expect(galileoStaking.connect(staker1).unstake(nebulaAddress, 1))
+        .to.be.revertedWithCustomError(galileoStaking, 'UnstakeBeforeLockPeriod')
+        .withArgs(lockPeriodEnd + BigInt(stakeTime));
+
+      // Turning it off lets the running period end
+      await expect(galileoStaking.connect(staker1).setAutoRenew(nebulaAddress, 1, false))
+        .to.emit(galileoStaking, 'SetAutoRenew')
+        .withArgs(nebulaAddress, staker1.address, 1, false, lockPeriodEnd + BigInt(stakeTime));
+      await ethers.provider.send('evm_increaseTime', [stakeTime]);
+      await expect(galileoStaking.connect(staker1).unstake(nebulaAddress, 1)).to.emit(galileoStaking, 'UnstakeToken');
+      await expect(galileoStaking.connect(staker2).setAutoRenew(nebulaAddress, 1, true)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'TokenNotStaked'
+      );
+    });
+  });
+
+  describe('Unstake Leox Tokens', function () {
+    beforeEach(async function () {
+      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
+      await galileoStaking.connect(admin).depositRewards(nebulaAddress, parseEther('1000'));
+
+      // Stake token 1 of staker1 with 500 LEOX
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, parseEther('500'));
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: 1,
+        citizen: 1,
+        timelockEndTime: stakeTime,
+        stakedLeox: parseEther('500'),
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+      await galileoStaking.connect(staker1).stake(voucher);
+    });
+
+    it('Should unstake LEOX after the lock ends and recompute the points', async function () {
+      await ethers.provider.send('evm_increaseTime', [stakeTime]);
+      const balance = await erc20Token.balanceOf(staker1.address);
+      const newPoints = await galileoStaking.calculatePoints(nebulaAddress, 1, parseEther('300'), stakeTime);
+
+      await expect(galileoStaking.connect(staker1).unstakeLeoxTokens(nebulaAddress, 1, parseEther('200')))
+        .to.emit(galileoStaking, 'UnstakeLeoxTokens')
+        .withArgs(nebulaAddress, staker1.address, 1, parseEther('200'), 0, newPoints, parseEther('300'));
+      expect((await erc20Token.balanceOf(staker1.address)) - balance).to.equal(parseEther('200'));
+
+      const position = await galileoStaking.getStakersPosition(staker1.address, nebulaAddress, 1);
+      expect(position.stakedLEOX).to.equal(parseEther('300'));
+      expect(position.points).to.equal(newPoints);
+      const [totalPoints] = await galileoStaking.getPoolConfiguration(nebulaAddress);
+      expect(totalPoints).to.equal(newPoints);
+      const [stakedNFT] = await galileoStaking.getStakedInfoPagination(staker1.address, nebulaAddress, 1, 10);
+      expect(stakedNFT[0].stakedLEOX).to.equal(parseEther('300'));
+
+      // Every LEOX can be unstaked, the token staying staked
+      await galileoStaking.connect(staker1).unstakeLeoxTokens(nebulaAddress, 1, parseEther('300'));
+      expect((await galileoStaking.getStakersPosition(staker1.address, nebulaAddress, 1)).stakedLEOX).to.equal(0);
+      expect(await erc721Token.ownerOf(1)).to.equal(galileoStakingAddress);
+    });
+
+    it('Should charge the penalty to the tax when unstaking LEOX before the lock ends', async function () {
+      await expect(galileoStaking.connect(admin).updateUnstakeLeoxPenalty(nebulaAddress, parseEther('5')))
+        .to.emit(galileoStaking, 'UpdateUnstakeLeoxPenalty')
+        .withArgs(nebulaAddress, parseEther('5'));
+      expect(await galileoStaking.getUnstakeLeoxPenalty(nebulaAddress)).to.equal(parseEther('5'));
+
+      const balance = await erc20Token.balanceOf(staker1.address);
+      await expect(galileoStaking.connect(staker1).unstakeLeoxTokens(nebulaAddress, 1, parseEther('200')))
+        .to.emit(galileoStaking, 'UnstakeLeoxTokens')
+        .withArgs(nebulaAddress, staker1.address, 1, parseEther('200'), parseEther('10'), anyValue, parseEther('300'));
+      expect((await erc20Token.balanceOf(staker1.address)) - balance).to.equal(parseEther('190'));
+
+      // The rewards accrued before are kept
+      expect(await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 1)).to.be.greaterThan(0);
+      await expect(galileoStaking.connect(admin).withdrawTax(nebulaAddress))
+        .to.emit(galileoStaking, 'WithdrawTax')
+        .withArgs(nebulaAddress, admin.address, parseEther('10'));
+    });
+
+    it('Should revert to unstake more LEOX than staked or from a token not staked', async function () {
+      await expect(galileoStaking.connect(staker1).unstakeLeoxTokens(nebulaAddress, 1, 0))
+        .to.be.revertedWithCustomError(galileoStaking, 'InvalidAmount')
+        .withArgs(0);
+      await expect(galileoStaking.connect(staker1).unstakeLeoxTokens(nebulaAddress, 1, parseEther('501')))
+        .to.be.revertedWithCustomError(galileoStaking, 'InvalidAmount')
+        .withArgs(parseEther('501'));
+      await expect(galileoStaking.connect(staker2).unstakeLeoxTokens(nebulaAddress, 1, 1)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'TokenNotStaked'
+      );
+
+      await galileoStaking.connect(admin).declareEmergency(nebulaAddress);
+      await expect(galileoStaking.connect(staker1).unstakeLeoxTokens(nebulaAddress, 1, 1)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'EmergencyDeclared'
+      );
+    });
+
+    it('Should only let the admin set an unstake penalty within the limit', async function () {
+      await expect(galileoStaking.connect(staker1).updateUnstakeLeoxPenalty(nebulaAddress, parseEther('2')))
+        .to.be.revertedWithCustomError(galileoStaking, 'AccessControlUnauthorizedAccount')
+        .withArgs(staker1.address, ADMIN_ROLE);
+      await expect(galileoStaking.connect(admin).updateUnstakeLeoxPenalty(nebulaAddress, parseEther('11'))).to.be.revertedWithCustomError(
+        galileoStaking,
+        'InvalidTaxRate'
+      );
+      await expect(galileoStaking.connect(admin).updateUnstakeLeoxPenalty(staker2.address, parseEther('2')))
+        .to.be.revertedWithCustomError(galileoStaking, 'PoolUninitialized')
+        .withArgs(staker2.address);
+    });
+  });
+
+  describe('Early Unstake', function () {
+    const earlyUnstake = { enabled: true, toRewardPool: false, rewardsPenalty: parseEther('50'), leoxPenalty: parseEther('10') };
+    let stakedAt;
+
+    beforeEach(async function () {
+      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
+      await galileoStaking.connect(admin).depositRewards(nebulaAddress, parseEther('1000'));
+
+      // Stake token 1 of staker1 with 500 LEOX
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, parseEther('500'));
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: 1,
+        citizen: 1,
+        timelockEndTime: stakeTime,
+        stakedLeox: parseEther('500'),
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+      const receipt = await (await galileoStaking.connect(staker1).stake(voucher)).wait();
+      stakedAt = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+    });
+
+    // Unstakes token 1 early halfway through its lock and returns the penalties of the event
+    async function earlyUnstakeHalfway() {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [stakedAt + stakeTime / 2]);
+      const receipt = await (await galileoStaking.connect(staker1).earlyUnstake(nebulaAddress, 1)).wait();
+      const [earlyUnstakeEvent] = await galileoStaking.queryFilter(galileoStaking.filters.EarlyUnstakeToken, receipt.blockNumber);
+      const [withdrawRewardsEvent] = await galileoStaking.queryFilter(galileoStaking.filters.WithdrawRewards, receipt.blockNumber);
+      return { ...earlyUnstakeEvent.args.toObject(), rewardsAfterTax: withdrawRewardsEvent.args.rewardAmount };
+    }
+
+    // Withdraws the tax of the collection and returns its amount
+    async function withdrawTax() {
+      const receipt = await (await galileoStaking.connect(admin).withdrawTax(nebulaAddress)).wait();
+      const [withdrawTaxEvent] = await galileoStaking.queryFilter(galileoStaking.filters.WithdrawTax, receipt.blockNumber);
+      return withdrawTaxEvent.args.taxAmount;
+    }
+
+    it('Should forfeit the penalties pro-rated by the lock time remaining to the tax', async function () {
+      await expect(galileoStaking.connect(admin).setEarlyUnstakeParams(nebulaAddress, earlyUnstake))
+        .to.emit(galileoStaking, 'SetEarlyUnstakeParams')
+        .withArgs(nebulaAddress, Object.values(earlyUnstake));
+      expect((await galileoStaking.getEarlyUnstakeParams(nebulaAddress)).toObject()).to.deep.equal(earlyUnstake);
+
+      // The quote follows the rewards accrued and the lock time remaining
+      await ethers.provider.send('evm_setNextBlockTimestamp', [stakedAt + 15]);
+      await ethers.provider.send('evm_mine', []);
+      const rewards = await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 1);
+      const [rewardsPenalty, leoxPenalty] = await galileoStaking.quoteEarlyUnstake(staker1.address, nebulaAddress, 1);
+      expect(rewardsPenalty).to.equal((rewards * 3n) / 8n);
+      expect(leoxPenalty).to.equal(parseEther('37.5'));
+
+      const balance = await erc20Token.balanceOf(staker1.address);
+      const result = await earlyUnstakeHalfway();
+      expect(result).to.include({ totalLeox: parseEther('475'), leoxPenalty: parseEther('25'), toRewardPool: false });
+      expect(result.rewardsPenalty).to.be.greaterThan(0);
+      expect((await erc20Token.balanceOf(staker1.address)) - balance).to.equal(parseEther('475') + result.rewardsAfterTax);
+      expect(await erc721Token.ownerOf(1)).to.equal(staker1.address);
+      await expect(galileoStaking.getStakersPosition(staker1.address, nebulaAddress, 1)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'TokenNotStaked'
+      );
+
+      // The tax holds both penalties and the tax on the rewards paid, which all left the reward pool
+      const taxAmount = await withdrawTax();
+      expect(taxAmount).to.be.greaterThan(result.rewardsPenalty + parseEther('25'));
+      expect((await galileoStaking.getRewardPoolBalance(nebulaAddress)) + taxAmount).to.equal(parseEther('1025') - result.rewardsAfterTax);
+    });
+
+    it('Should forfeit the penalties to the reward pool', async function () {
+      await galileoStaking.connect(admin).setEarlyUnstakeParams(nebulaAddress, { ...earlyUnstake, toRewardPool: true });
+      const result = await earlyUnstakeHalfway();
+
+      // The LEOX forfeited is added to the reward pool, which keeps the rewards forfeited
+      expect(result).to.include({ leoxPenalty: parseEther('25'), toRewardPool: true });
+      const taxAmount = await withdrawTax();
+      expect(taxAmount).to.be.lessThan(result.rewardsPenalty);
+      expect((await galileoStaking.getRewardPoolBalance(nebulaAddress)) + taxAmount).to.equal(parseEther('1025') - result.rewardsAfterTax);
+    });
+
+    it('Should unstake without penalty once the lock has ended', async function () {
+      await galileoStaking.connect(admin).setEarlyUnstakeParams(nebulaAddress, earlyUnstake);
+      await ethers.provider.send('evm_increaseTime', [stakeTime]);
+      await ethers.provider.send('evm_mine', []);
+      expect(await galileoStaking.quoteEarlyUnstake(staker1.address, nebulaAddress, 1)).to.deep.equal([0n, 0n]);
+
+      const balance = await erc20Token.balanceOf(staker1.address);
+      await expect(galileoStaking.connect(staker1).earlyUnstake(nebulaAddress, 1))
+        .to.emit(galileoStaking, 'EarlyUnstakeToken')
+        .withArgs(nebulaAddress, staker1.address, 1, anyValue, parseEther('500'), 0, 0, false);
+      expect((await erc20Token.balanceOf(staker1.address)) - balance).to.be.greaterThan(parseEther('500'));
+    });
+
+    it('Should revert to unstake early unless enabled, or to set invalid penalties', async function () {
+      await expect(galileoStaking.connect(staker1).earlyUnstake(nebulaAddress, 1)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'EarlyUnstakeDisabled'
+      );
+      await galileoStaking.connect(admin).setEarlyUnstakeParams(nebulaAddress, earlyUnstake);
+      await expect(galileoStaking.connect(staker2).earlyUnstake(nebulaAddress, 1)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'TokenNotStaked'
+      );
+      await expect(galileoStaking.quoteEarlyUnstake(staker2.address, nebulaAddress, 1)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'TokenNotStaked'
+      );
+
+      await expect(galileoStaking.connect(staker1).setEarlyUnstakeParams(nebulaAddress, earlyUnstake))
+        .to.be.revertedWithCustomError(galileoStaking, 'AccessControlUnauthorizedAccount')
+        .withArgs(staker1.address, ADMIN_ROLE);
+      await expect(
+        galileoStaking.connect(admin).setEarlyUnstakeParams(nebulaAddress, { ...earlyUnstake, leoxPenalty: parseEther('101') })
+      ).to.be.revertedWithCustomError(galileoStaking, 'InvalidTaxRate');
+      await expect(galileoStaking.connect(admin).setEarlyUnstakeParams(staker2.address, earlyUnstake))
+        .to.be.revertedWithCustomError(galileoStaking, 'PoolUninitialized')
+        .withArgs(staker2.address);
+
+      await galileoStaking.connect(admin).declareEmergency(nebulaAddress);
+      await expect(galileoStaking.connect(staker1).earlyUnstake(nebulaAddress, 1)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'EmergencyDeclared'
+      );
+    });
+  });
+
   describe('Emergency Unstake Tokens and does not get rewards', function () {
     it('Should allow user to emergency unstake tokens without get rewards when emerygency is declared if staker has 2 Nebulas', async function () {
       const stakeLeoxAmount = parseEther('100');
@@ -1812,16 +3191,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      let signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       let voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -1835,16 +3215,17 @@ describe('GalileoStaking', async function () {
 
       await erc721Token.connect(staker1).approve(galileoStakingAddress, tokenId);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -1859,7 +3240,8 @@ describe('GalileoStaking', async function () {
       const stakerLeoxBalanceAfter = await erc20Token.balanceOf(staker1.address);
 
       const stakerBalance = stakerLeoxBalanceBefore - stakeLeoxAmount; // unstake  nft, it minus the one nft
-      expect(unstake.logs[4].args[4]).to.be.equal(stakeLeoxAmount);
+      const emergencyUnstakeEvent = unstake.logs.find((log) => log.fragment && log.fragment.name === 'EmergencyUnstakeToken');
+      expect(emergencyUnstakeEvent.args[4]).to.be.equal(stakeLeoxAmount);
       expect(stakerLeoxBalanceAfter).to.be.equal(stakerBalance);
     });
 
@@ -1877,16 +3259,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      let signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       let voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -1938,6 +3321,108 @@ describe('GalileoStaking', async function () {
     });
   });
 
+  describe('Frozen Rewards', function () {
+    let stakedAt;
+
+    beforeEach(async function () {
+      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
+      await galileoStaking.connect(admin).depositRewards(nebulaAddress, parseEther('1000'));
+
+      // Stake token 1 of staker1 with 100 LEOX
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, parseEther('100'));
+      const voucher = {
+        collectionAddress: nebulaAddress,
+        tokenId: 1,
+        citizen: 1,
+        timelockEndTime: stakeTime,
+        stakedLeox: parseEther('100'),
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+      const receipt = await (await galileoStaking.connect(staker1).stake(voucher)).wait();
+      stakedAt = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+    });
+
+    // Declares an emergency 100 seconds after the stake and unstakes token 1, returning the rewards frozen
+    async function emergencyUnstake() {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [stakedAt + 100]);
+      await galileoStaking.connect(admin).declareEmergency(nebulaAddress);
+      const rewards = await galileoStaking.calculateRewards(staker1.address, nebulaAddress, 1);
+
+      const balance = await erc20Token.balanceOf(staker1.address);
+      await expect(galileoStaking.connect(staker1).emergencyUnstake(nebulaAddress, 1))
+        .to.emit(galileoStaking, 'FreezeRewards')
+        .withArgs(nebulaAddress, staker1.address, 1, rewards);
+      expect((await erc20Token.balanceOf(staker1.address)) - balance).to.equal(parseEther('100'));
+      expect(await erc721Token.ownerOf(1)).to.equal(staker1.address);
+      return rewards;
+    }
+
+    it('Should freeze the rewards of an emergency unstake until the emergency is lifted', async function () {
+      const rewards = await emergencyUnstake();
+      expect(rewards).to.be.closeTo(parseEther('100'), 10n);
+      expect(await galileoStaking.getFrozenRewards(staker1.address, nebulaAddress)).to.deep.equal([rewards, false]);
+      expect(await galileoStaking.getTotalFrozenRewards(nebulaAddress)).to.equal(rewards);
+      await expect(galileoStaking.connect(staker1).claimFrozenRewards(nebulaAddress)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'FrozenRewardsLocked'
+      );
+
+      await galileoStaking.connect(admin).liftEmergency(nebulaAddress, rewardRate);
+      expect(await galileoStaking.getFrozenRewards(staker1.address, nebulaAddress)).to.deep.equal([rewards, true]);
+
+      // The frozen rewards are taxed at the pool tax of 3%
+      const taxAmount = (rewards * 3n) / 100n;
+      const balance = await erc20Token.balanceOf(staker1.address);
+      await expect(galileoStaking.connect(staker1).claimFrozenRewards(nebulaAddress))
+        .to.emit(galileoStaking, 'ClaimFrozenRewards')
+        .withArgs(nebulaAddress, staker1.address, rewards - taxAmount, taxAmount);
+      expect((await erc20Token.balanceOf(staker1.address)) - balance).to.equal(rewards - taxAmount);
+      expect(await galileoStaking.getTotalFrozenRewards(nebulaAddress)).to.equal(0);
+      expect(await galileoStaking.getRewardPoolBalance(nebulaAddress)).to.equal(parseEther('1000') - rewards);
+
+      await expect(galileoStaking.connect(staker1).claimFrozenRewards(nebulaAddress))
+        .to.be.revertedWithCustomError(galileoStaking, 'InvalidAmount')
+        .withArgs(0);
+    });
+
+    it('Should let stakers claim the frozen rewards released by an admin for the running emergency', async function () {
+      const rewards = await emergencyUnstake();
+
+      await expect(galileoStaking.connect(staker1).releaseFrozenRewards(nebulaAddress)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'AccessControlUnauthorizedAccount'
+      );
+      await expect(galileoStaking.connect(admin).releaseFrozenRewards(nebulaAddress))
+        .to.emit(galileoStaking, 'ReleaseFrozenRewards')
+        .withArgs(nebulaAddress);
+      await expect(galileoStaking.connect(admin).releaseFrozenRewards(nebulaAddress)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'StateAlreadyDeclared'
+      );
+      expect(await galileoStaking.getFrozenRewards(staker1.address, nebulaAddress)).to.deep.equal([rewards, true]);
+
+      // A later emergency locks them again until released
+      await galileoStaking.connect(admin).liftEmergency(nebulaAddress, rewardRate);
+      await expect(galileoStaking.connect(admin).releaseFrozenRewards(nebulaAddress)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'EmergencyNotDeclared'
+      );
+      await galileoStaking.connect(admin).declareEmergency(nebulaAddress);
+      expect(await galileoStaking.getFrozenRewards(staker1.address, nebulaAddress)).to.deep.equal([rewards, false]);
+      await galileoStaking.connect(admin).releaseFrozenRewards(nebulaAddress);
+
+      await expect(galileoStaking.connect(staker1).claimFrozenRewards(nebulaAddress)).to.changeTokenBalance(
+        erc20Token,
+        staker1,
+        rewards - (rewards * 3n) / 100n
+      );
+    });
+  });
+
   describe('Declare Emergency', function () {
     it('Should declare emergency and update the emission rate to zero by Admin', async function () {
       await (await galileoStaking.connect(admin).declareEmergency(nebulaAddress)).wait();
@@ -2039,16 +3524,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      let signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       let voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -2059,16 +3545,17 @@ describe('GalileoStaking', async function () {
 
       await erc721Token.connect(staker1).approve(galileoStakingAddress, tokenId);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -2085,16 +3572,17 @@ describe('GalileoStaking', async function () {
       // Approve tokens for transfer
       await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
       await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
-      const signature = await sign(admin, galileoStakingAddress, nebulaAddress, tokenId, citizen);
-
       const voucher = {
         collectionAddress: nebulaAddress,
         tokenId: tokenId,
         citizen: citizen,
         timelockEndTime: stakeTime,
         stakedLeox: stakeLeoxAmount,
-        signature: signature,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
       };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
 
       // Stake NFT and LEOX
       await galileoStaking.connect(staker1).stake(voucher);
@@ -2105,6 +3593,66 @@ describe('GalileoStaking', async function () {
     });
   });
 
+  describe('Trusted Forwarder', async function () {
+    let forwarder, forwarderAddress;
+
+    beforeEach(async function () {
+      forwarder = await (await ethers.getContractFactory('GalileoForwarder')).deploy('Galileo-Forwarder');
+      forwarderAddress = await forwarder.getAddress();
+    });
+
+    async function signRequest(signer, method, args = []) {
+      return signForwardRequest(signer, forwarderAddress, {
+        to: galileoStakingAddress,
+        data: galileoStaking.interface.encodeFunctionData(method, args),
+        gas: 500000n,
+        deadline: deadline,
+      });
+    }
+
+    it('Should let only an admin set the trusted forwarder', async function () {
+      await expect(galileoStaking.connect(staker1).setTrustedForwarder(forwarderAddress)).to.be.revertedWithCustomError(
+        galileoStaking,
+        'AccessControlUnauthorizedAccount'
+      );
+
+      await expect(galileoStaking.connect(admin).setTrustedForwarder(forwarderAddress))
+        .to.emit(galileoStaking, 'SetTrustedForwarder')
+        .withArgs(forwarderAddress);
+      expect(await galileoStaking.getTrustedForwarder()).to.equal(forwarderAddress);
+      expect(await galileoStaking.isTrustedForwarder(forwarderAddress)).to.equal(true);
+      expect(await galileoStaking.isTrustedForwarder(ethers.ZeroAddress)).to.equal(false);
+    });
+
+    it('Should run the forwarded requests as their signer', async function () {
+      const request = await signRequest(staker1, 'setClaimOperator', [staker2.address, true]);
+      await expect(forwarder.connect(staker2).execute(request))
+        .to.be.revertedWithCustomError(forwarder, 'ERC2771UntrustfulTarget')
+        .withArgs(galileoStakingAddress, forwarderAddress);
+
+      await galileoStaking.connect(admin).setTrustedForwarder(forwarderAddress);
+      await forwarder.connect(staker2).execute(request);
+      expect(await galileoStaking.isClaimOperator(staker1.address, staker2.address)).to.equal(true);
+
+      // Admin functions run by the admin module resolve the same signer
+      await expect(forwarder.connect(staker2).execute(await signRequest(staker1, 'pause'))).to.be.revertedWithCustomError(
+        forwarder,
+        'FailedInnerCall'
+      );
+      await forwarder.connect(staker2).execute(await signRequest(admin, 'pause'));
+      expect(await galileoStaking.paused()).to.equal(true);
+    });
+
+    it('Should ignore the sender appended by other callers', async function () {
+      await galileoStaking.connect(admin).setTrustedForwarder(forwarderAddress);
+      const data = ethers.concat([galileoStaking.interface.encodeFunctionData('pause'), admin.address]);
+
+      await expect(staker1.sendTransaction({ to: galileoStakingAddress, data }))
+        .to.be.revertedWithCustomError(galileoStaking, 'AccessControlUnauthorizedAccount')
+        .withArgs(staker1.address, ADMIN_ROLE);
+    });
+  });
+
   describe('Pause Contract', async function () {
     it('Should pause staking contract by authorize address', async function () {
       await expect(galileoStaking.connect(admin).pause()).to.not.reverted;
@@ -2143,10 +3691,88 @@ describe('GalileoStaking', async function () {
   });
 
   describe('onERC721Received', async function () {
-    it('should return the correct selector', async function () {
-      // Call onERC721Received directly and check the return value
-      const selector = await galileoStaking.onERC721Received.staticCall(admin.address, staker1.address, 1, '0x');
-      expect(selector).to.equal('0x150b7a02');
+    const stakeLeoxAmount = parseEther('100');
+    let collection, collectionAddress;
+
+    beforeEach(async function () {
+      // Deploy a collection with safeTransferFrom
+      collection = await (await ethers.getContractFactory('ERC721Mock')).deploy('Nebula', 'NBL');
+      collectionAddress = await collection.getAddress();
+      await galileoStaking
+        .connect(admin)
+        .configureNewCollection(collectionAddress, sbtAddress, totalNebulaSupply, [[parseEther('5000'), yieldTraitPointC1]]);
+      await galileoStaking.connect(admin).configurePool([[collectionAddress, parseEther('3'), [[rewardRate, 0, 0]]]]);
+      await galileoStaking.connect(admin).setMultipliers(collectionAddress, [[stakeTime, stakingMultiplier]]);
+      await collection.mint(staker1.address, 1);
+      await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
+    });
+
+    // Signs a voucher of staker1 and encodes it as the data of a safe transfer
+    async function encodeVoucher(overrides = {}) {
+      const voucher = {
+        collectionAddress,
+        tokenId: 1,
+        citizen: 1,
+        timelockEndTime: stakeTime,
+        stakedLeox: stakeLeoxAmount,
+        staker: staker1.address,
+        nonce: await galileoStaking.getNonce(staker1.address),
+        deadline: deadline,
+        ...overrides,
+      };
+      voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+      return encodeStakeVoucher(voucher);
+    }
+
+    function safeTransfer(data, from = staker1) {
+      return collection.connect(from)['safeTransferFrom(address,address,uint256,bytes)'](from.address, galileoStakingAddress, 1, data);
+    }
+
+    it('Should stake a token sent with a voucher in one transaction', async function () {
+      await expect(safeTransfer(await encodeVoucher()))
+        .to.emit(galileoStaking, 'StakeTokens')
+        .withArgs(collectionAddress, staker1.address, 1, 1, anyValue, anyValue, stakeLeoxAmount);
+
+      expect(await collection.ownerOf(1)).to.equal(galileoStakingAddress);
+      expect(await erc20Token.balanceOf(staker1.address)).to.equal(parseEther('900'));
+      expect(await soulBounToken.balanceOf(staker1.address)).to.equal(1);
+      expect(await galileoStaking.getNonce(staker1.address)).to.equal(1);
+
+      // The token is unstaked like any other
+      await ethers.provider.send('evm_increaseTime', [stakeTime]);
+      await erc20Token.connect(admin).approve(galileoStakingAddress, parseEther('1000'));
+      await galileoStaking.connect(admin).depositRewards(collectionAddress, parseEther('1000'));
+      await galileoStaking.connect(staker1).unstake(collectionAddress, 1);
+      expect(await collection.ownerOf(1)).to.equal(staker1.address);
+    });
+
+    it('Should revert transfers without a valid voucher', async function () {
+      await expect(safeTransfer('0x')).to.be.revertedWithCustomError(galileoStaking, 'InvalidInput');
+      await expect(safeTransfer('0x1234')).to.be.reverted;
+      await expect(safeTransfer(await encodeVoucher({ tokenId: 2 }))).to.be.revertedWithCustomError(galileoStaking, 'InvalidInput');
+      await expect(safeTransfer(await encodeVoucher({ nonce: 1 })))
+        .to.be.revertedWithCustomError(galileoStaking, 'InvalidNonce')
+        .withArgs(0);
+
+      // The voucher must be issued to the owner of the token, and be sent by its collection
+      await collection.connect(staker1).transferFrom(staker1.address, staker2.address, 1);
+      await expect(safeTransfer(await encodeVoucher(), staker2)).to.be.revertedWithCustomError(galileoStaking, 'InvalidStaker');
+      await expect(
+        galileoStaking.connect(staker1).onERC721Received(staker1.address, staker1.address, 1, await encodeVoucher())
+      ).to.be.revertedWithCustomError(galileoStaking, 'InvalidInput');
+    });
+
+    it('Should revert transfers sent by an approved operator', async function () {
+      const data = await encodeVoucher();
+      await collection.connect(staker1).approve(staker2.address, 1);
+
+      await expect(
+        collection.connect(staker2)['safeTransferFrom(address,address,uint256,bytes)'](staker1.address, galileoStakingAddress, 1, data)
+      ).to.be.revertedWithCustomError(galileoStaking, 'InvalidStaker');
+
+      expect(await collection.ownerOf(1)).to.equal(staker1.address);
+      expect(await erc20Token.balanceOf(staker1.address)).to.equal(parseEther('1000'));
+      expect(await galileoStaking.getNonce(staker1.address)).to.equal(0);
     });
   });
 });
@@ -0,0 +1,83 @@
+const { expect } = require('chai');
+const { parseEther } = require('ethers');
+const { ethers, artifacts } = require('hardhat');
+
+const ADMIN_ROLE = ethers.id('ADMIN_ROLE');
+
+// The storage variables of a contract, with the labels of their types since type ids differ between contracts
+async function getStorageLayout(sourceName, contractName) {
+  const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  const { storage, types } = buildInfo.output.contracts[sourceName][contractName].storageLayout;
+  return storage.map(({ label, slot, offset, type }) => ({ label, slot, offset, type: types[type].label }));
+}
+
+describe('GalileoStakingAdmin', function () {
+  let admin, staker1;
+  let erc20Token, erc721Token, soulBounToken;
+  let galileoStaking, adminModule;
+  let nebulaAddress, sbtAddress;
+
+  beforeEach(async function () {
+    [admin, staker1] = await ethers.getSigners();
+
+    const ERC20Token = await ethers.getContractFactory('QRC20');
+    erc20Token = await ERC20Token.deploy(
+      'Leox',
+      'LEOX',
+      18,
+      parseEther('10000000000'),
+      admin.address,
+      admin.address,
+      parseEther('10000000000'),
+      true
+    );
+
+    const ERC721Token = await ethers.getContractFactory('QRC721');
+    erc721Token = await ERC721Token.deploy('Nebula', 'NBL', 'https://tokenURIs/', admin.address);
+    nebulaAddress = await erc721Token.getAddress();
+
+    const SoulBounToken = await ethers.getContractFactory('GalileoSoulBoundToken');
+    soulBounToken = await SoulBounToken.deploy('NEBULA SBT', 'NSBT', 'https://tokenuri/');
+    sbtAddress = await soulBounToken.getAddress();
+
+    const GalileoStaking = await ethers.getContractFactory('GalileoStaking');
+    galileoStaking = await GalileoStaking.deploy(await erc20Token.getAddress(), parseEther('400'));
+    adminModule = await ethers.getContractAt('GalileoStakingAdmin', await galileoStaking.ADMIN_MODULE());
+  });
+
+  it('Should have the storage layout of GalileoStaking', async function () {
+    const stakingLayout = await getStorageLayout('contracts/GalileoStaking.sol', 'GalileoStaking');
+    const adminLayout = await getStorageLayout('contracts/GalileoStakingAdmin.sol', 'GalileoStakingAdmin');
+
+    expect(stakingLayout.map(({ label }) => label)).to.include('state');
+    expect(adminLayout).to.deep.equal(stakingLayout);
+  });
+
+  it('Should run the admin functions on the storage of GalileoStaking', async function () {
+    await galileoStaking.connect(admin).configureNewCollection(nebulaAddress, sbtAddress, 3333, [[parseEther('5000'), 5]]);
+    await galileoStaking.connect(admin).pause();
+
+    expect(await galileoStaking.paused()).to.equal(true);
+    expect((await galileoStaking.getYieldTraitPoints(nebulaAddress, 1)).maxLeox).to.equal(parseEther('5000'));
+    expect(await adminModule.paused()).to.equal(false);
+  });
+
+  it('Should check the admin role of the caller of GalileoStaking', async function () {
+    await expect(galileoStaking.connect(staker1).pause())
+      .to.be.revertedWithCustomError(galileoStaking, 'AccessControlUnauthorizedAccount')
+      .withArgs(staker1.address, ADMIN_ROLE);
+
+    await galileoStaking.connect(admin).grantRole(ADMIN_ROLE, staker1.address);
+    await galileoStaking.connect(staker1).pause();
+    expect(await galileoStaking.paused()).to.equal(true);
+  });
+
+  it('Should only grant the admin role of the module to GalileoStaking', async function () {
+    expect(await adminModule.hasRole(ADMIN_ROLE, await galileoStaking.getAddress())).to.equal(true);
+    expect(await adminModule.hasRole(ADMIN_ROLE, admin.address)).to.equal(false);
+
+    await expect(adminModule.connect(admin).pause())
+      .to.be.revertedWithCustomError(adminModule, 'AccessControlUnauthorizedAccount')
+      .withArgs(admin.address, ADMIN_ROLE);
+  });
+});
@@ -0,0 +1,166 @@
+const { expect } = require('chai');
+const { parseEther } = require('ethers');
+const hre = require('hardhat');
+const { ethers } = hre;
+const { parseDuration, parseMultipliers, parseTimestamp, resolveCollection, types } = require('../utils/task_types.js');
+const { ADMIN_ROLE, VALIDATOR_ROLE, deployStakingFixture } = require('./fixtures.js');
+
+describe('Admin tasks', async function () {
+  let galileoStaking, galileoStakingAddress, nebulaAddress, erc20Token, admin, staker1;
+
+  beforeEach(async function () {
+    [admin, staker1] = await ethers.getSigners();
+
+    ({ galileoStaking, galileoStakingAddress, erc20Token, nebulaAddress } = await deployStakingFixture({ multipliers: [], rewards: 0n }));
+  });
+
+  function run(name, args) {
+    return hre.run(`galileo:${name}`, { staking: galileoStakingAddress, collection: nebulaAddress, ...args });
+  }
+
+  it('Should parse durations, multipliers and ether amounts', async function () {
+    expect(parseDuration('3600')).to.equal(3600n);
+    expect(parseDuration('1w2d')).to.equal(777600n);
+    expect(parseDuration('45m')).to.equal(2700n);
+    expect(() => parseDuration('2 months')).to.throw('Invalid duration');
+
+    expect(parseMultipliers('30d:1.5, 90d:2')).to.deep.equal([
+      [2592000n, parseEther('1.5')],
+      [7776000n, parseEther('2')],
+    ]);
+    expect(parseTimestamp('2026-11-01T00:00:00Z')).to.equal(1793491200n);
+    expect(types.etherAmount.parse('amount', '2.5')).to.equal(parseEther('2.5'));
+    expect(() => types.duration.parse('duration', 'soon')).to.throw('Invalid value soon for argument duration');
+  });
+
+  it('Should resolve collection aliases from the manifest', async function () {
+    const manifest = { collections: { nebula: { collectionAddress: nebulaAddress.toLowerCase() } } };
+
+    expect(resolveCollection(manifest, 'nebula')).to.equal(nebulaAddress);
+    expect(resolveCollection(undefined, nebulaAddress.toLowerCase())).to.equal(nebulaAddress);
+    expect(() => resolveCollection(manifest, 'orion')).to.throw('Unknown collection "orion"');
+  });
+
+  it('Should update the emission rate with a window duration', async function () {
+    await run('update-emission-rate', { rate: parseEther('2'), duration: parseDuration('30d') });
+
+    const [, , , rewardWindows] = await galileoStaking.getPoolConfiguration(nebulaAddress);
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    expect(rewardWindows[1].rewardRate).to.equal(parseEther('2'));
+    expect(rewardWindows[1].endTime).to.equal(BigInt(timestamp - 1) + 2592000n);
+  });
+
+  it('Should schedule and cancel reward windows and plan their funding', async function () {
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    await run('schedule-reward-window', { rate: parseEther('2'), start: BigInt(timestamp + 100), duration: parseDuration('1h') });
+    await run('schedule-reward-window', { rate: parseEther('3'), start: BigInt(timestamp + 7200) });
+    await run('cancel-reward-window', { index: 2 });
+
+    const [, rewardCount] = await galileoStaking.getPoolConfiguration(nebulaAddress);
+    expect(rewardCount).to.equal(2);
+
+    // The first window runs until the second starts, about 100 seconds from now
+    const plan = await run('reward-schedule', {});
+    expect(plan.windows[1].leox).to.equal(parseEther('7200'));
+    expect(plan.total - plan.windows[1].leox).to.be.within(parseEther('90'), parseEther('100'));
+    expect(plan.shortfall).to.equal(plan.total);
+  });
+
+  it('Should print the decoded error on a failing dry run without sending', async function () {
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    await expect(run('update-tax', { tax: parseEther('0'), dryRun: true })).to.be.rejectedWith(
+      'updateTax would revert with InvalidAmount(0)'
+    );
+    await expect(run('deposit-rewards', { amount: parseEther('1'), dryRun: true })).to.be.fulfilled;
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+  });
+
+  it('Should simulate a valid call on a dry run without changing state', async function () {
+    await run('update-tax', { tax: parseEther('5'), dryRun: true });
+
+    const [, , tax] = await galileoStaking.getPoolConfiguration(nebulaAddress);
+    expect(tax).to.equal(parseEther('3'));
+  });
+
+  it('Should update the compound tax', async function () {
+    await run('update-compound-tax', { tax: parseEther('1.5') });
+    expect(await galileoStaking.getCompoundTax(nebulaAddress)).to.equal(parseEther('1.5'));
+
+    await expect(run('update-compound-tax', { tax: parseEther('11'), dryRun: true })).to.be.rejectedWith(
+      'updateCompoundTax would revert with InvalidTaxRate()'
+    );
+  });
+
+  it('Should update the unstake LEOX penalty', async function () {
+    await run('update-unstake-leox-penalty', { penalty: parseEther('2.5') });
+    expect(await galileoStaking.getUnstakeLeoxPenalty(nebulaAddress)).to.equal(parseEther('2.5'));
+  });
+
+  it('Should set the early unstake penalties', async function () {
+    await run('set-early-unstake-params', { rewardsPenalty: parseEther('50'), leoxPenalty: parseEther('10'), toRewardPool: true });
+    expect(await galileoStaking.getEarlyUnstakeParams(nebulaAddress)).to.deep.equal([true, true, parseEther('50'), parseEther('10')]);
+
+    await run('set-early-unstake-params', { disable: true });
+    expect(await galileoStaking.getEarlyUnstakeParams(nebulaAddress)).to.deep.equal([false, false, 0n, 0n]);
+  });
+
+  it('Should approve and deposit rewards', async function () {
+    await run('deposit-rewards', { amount: parseEther('1000') });
+
+    expect(await galileoStaking.getRewardPoolBalance(nebulaAddress)).to.equal(parseEther('1000'));
+    expect(await erc20Token.allowance(admin.address, galileoStakingAddress)).to.equal(0);
+  });
+
+  it('Should release the frozen rewards during an emergency', async function () {
+    await expect(run('release-frozen-rewards', { dryRun: true })).to.be.rejectedWith(
+      'releaseFrozenRewards would revert with EmergencyNotDeclared()'
+    );
+    await run('declare-emergency', {});
+    await run('release-frozen-rewards', {});
+    expect(await galileoStaking.getFrozenRewards(admin.address, nebulaAddress)).to.deep.equal([0n, true]);
+  });
+
+  it('Should declare and lift an emergency', async function () {
+    await run('declare-emergency', {});
+    await expect(run('declare-emergency', { dryRun: true })).to.be.rejectedWith(
+      'declareEmergency would revert with StateAlreadyDeclared()'
+    );
+
+    await run('lift-emergency', { rate: parseEther('1') });
+  });
+
+  it('Should set multipliers', async function () {
+    await run('set-multipliers', { multipliers: parseMultipliers('30d:1.5,90d:2') });
+
+    const multipliers = await galileoStaking.getMultipliers(nebulaAddress);
+    expect(multipliers[1].stakingTime).to.equal(7776000n);
+    expect(multipliers[1].stakingBoost).to.equal(parseEther('2'));
+  });
+
+  it('Should pause, unpause and manage roles', async function () {
+    await hre.run('galileo:pause', { staking: galileoStakingAddress });
+    expect(await galileoStaking.paused()).to.equal(true);
+    await hre.run('galileo:unpause', { staking: galileoStakingAddress });
+
+    await hre.run('galileo:grant-role', { staking: galileoStakingAddress, role: 'VALIDATOR_ROLE', account: staker1.address });
+    expect(await galileoStaking.hasRole(VALIDATOR_ROLE, staker1.address)).to.equal(true);
+    await hre.run('galileo:revoke-role', { staking: galileoStakingAddress, role: VALIDATOR_ROLE, account: staker1.address });
+    expect(await galileoStaking.hasRole(VALIDATOR_ROLE, staker1.address)).to.equal(false);
+
+    await expect(
+      hre.run('galileo:grant-role', { staking: galileoStakingAddress, role: 'OWNER', account: staker1.address })
+    ).to.be.rejectedWith('Unknown role OWNER');
+  });
+
+  it('Should set the trusted forwarder', async function () {
+    await hre.run('galileo:set-trusted-forwarder', { staking: galileoStakingAddress, forwarder: staker1.address });
+    expect(await galileoStaking.getTrustedForwarder()).to.equal(staker1.address);
+    expect(await galileoStaking.isTrustedForwarder(staker1.address)).to.equal(true);
+  });
+
+  it('Should set Permit2', async function () {
+    await hre.run('galileo:set-permit2', { staking: galileoStakingAddress, permit2: staker1.address });
+    expect(await galileoStaking.getPermit2()).to.equal(staker1.address);
+  });
+});
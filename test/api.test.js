@@ -0,0 +1,195 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEther } = require('ethers');
+const { ethers } = require('hardhat');
+const { sign } = require('../utils/eip712_staking.js');
+const { createApiServer } = require('../services/api.js');
+const { StakingIndexer } = require('../services/indexer.js');
+const { StakingStore } = require('../services/staking_store.js');
+const { deployStakingFixture } = require('./fixtures.js');
+
+const TEN_DAYS = 864000;
+
+describe('API server', async function () {
+  let galileoStaking, galileoStakingAddress, erc20Token, erc721Token, nebulaAddress, admin, staker1, staker2;
+  let startBlock, tmpDir, store, server, url;
+
+  beforeEach(async function () {
+    [admin, staker1, staker2] = await ethers.getSigners();
+
+    ({ galileoStaking, galileoStakingAddress, erc20Token, erc721Token, nebulaAddress, startBlock } = await deployStakingFixture({
+      tiers: [
+        [parseEther('5000'), 5],
+        [parseEther('4000'), 4],
+      ],
+      multipliers: [
+        [60, parseEther('1.5')],
+        [TEN_DAYS, parseEther('2')],
+      ],
+    }));
+    const multicall = await (await ethers.getContractFactory('Multicall3')).deploy();
+
+    for (const staker of [staker1, staker2]) {
+      await erc20Token.transfer(staker.address, parseEther('10000'));
+      await erc20Token.connect(staker).approve(galileoStakingAddress, parseEther('10000'));
+    }
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'galileo-api-'));
+    store = new StakingStore(path.join(tmpDir, 'galileo.sqlite'));
+    server = createApiServer({
+      store,
+      provider: ethers.provider,
+      stakingAddress: galileoStakingAddress,
+      multicallAddress: await multicall.getAddress(),
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function stake(staker, tokenId, { citizen = 1, timelockEndTime = 60, stakedLeox = parseEther('100') } = {}) {
+    await erc721Token.mint(staker.address, tokenId, '0x');
+    await erc721Token.connect(staker).approve(galileoStakingAddress, tokenId);
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const voucher = {
+      collectionAddress: nebulaAddress,
+      tokenId,
+      citizen,
+      timelockEndTime,
+      stakedLeox,
+      staker: staker.address,
+      nonce: await galileoStaking.getNonce(staker.address),
+      deadline: timestamp + 3600,
+    };
+    voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+    await galileoStaking.connect(staker).stake(voucher);
+  }
+
+  async function index() {
+    await new StakingIndexer({
+      provider: ethers.provider,
+      stakingAddress: galileoStakingAddress,
+      store,
+      startBlock,
+      confirmations: 0,
+    }).sync();
+  }
+
+  async function get(pathname) {
+    const response = await fetch(`${url}${pathname}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('Should list the positions of a collection page by page with their pending rewards', async function () {
+    await stake(staker1, 1);
+    await stake(staker1, 2, { citizen: 2 });
+    await stake(staker2, 3);
+    await index();
+
+    const first = await get(`/collections/${nebulaAddress}/positions?limit=2`);
+    expect(first.status).to.equal(200);
+    expect(first.body.items.map((position) => position.tokenId)).to.deep.equal(['1', '2']);
+    expect(first.body.next).to.equal(2);
+
+    const second = await get(`/collections/${nebulaAddress}/positions?limit=2&offset=${first.body.next}`);
+    expect(second.body.items.map((position) => position.tokenId)).to.deep.equal(['3']);
+    expect(second.body.next).to.equal(null);
+
+    for (const position of [...first.body.items, ...second.body.items]) {
+      expect(position.pendingRewards).to.equal(
+        (await galileoStaking.calculateRewards(position.staker, nebulaAddress, position.tokenId)).toString()
+      );
+    }
+    expect(BigInt(first.body.items[0].pendingRewards)).to.be.greaterThan(0n);
+
+    const filtered = await get(`/collections/${nebulaAddress}/positions?staker=${staker1.address.toLowerCase()}&citizen=2`);
+    expect(filtered.body.items.map((position) => position.tokenId)).to.deep.equal(['2']);
+  });
+
+  it('Should rank the stakers of a collection by points', async function () {
+    await stake(staker1, 1);
+    await stake(staker2, 2, { stakedLeox: parseEther('2000') });
+    await stake(staker2, 3);
+    await index();
+
+    const { body } = await get(`/collections/${nebulaAddress}/top-stakers`);
+    expect(body.items.map((row) => [row.staker, row.positions])).to.deep.equal([
+      [staker2.address, 2],
+      [staker1.address, 1],
+    ]);
+
+    const [totalPoints] = await galileoStaking.getPoolConfiguration(nebulaAddress);
+    expect(body.items.reduce((total, row) => total + BigInt(row.points), 0n)).to.equal(totalPoints);
+  });
+
+  it('Should list the positions unlocking in the next days', async function () {
+    await stake(staker1, 1);
+    await stake(staker1, 2, { timelockEndTime: TEN_DAYS });
+    await stake(staker2, 3);
+    await stake(staker2, 4, { timelockEndTime: TEN_DAYS });
+    await galileoStaking.connect(staker2).setAutoRenew(nebulaAddress, 4, true);
+    await ethers.provider.send('evm_increaseTime', [120]);
+    await galileoStaking.connect(staker2).unstake(nebulaAddress, 3);
+    await index();
+
+    // Token 1 is already unlocked, token 3 unstaked and the lock of token 4 rolls over
+    const week = await get('/positions/unlocking');
+    expect(week.body.items).to.have.length(0);
+
+    const fortnight = await get(`/positions/unlocking?days=14&collection=${nebulaAddress}`);
+    expect(fortnight.body.items.map((position) => position.tokenId)).to.deep.equal(['2']);
+    expect(fortnight.body.items[0].pendingRewards).to.not.equal(null);
+  });
+
+  it('Should return the reward history of a wallet and the tax of a collection over time', async function () {
+    await stake(staker1, 1);
+    await stake(staker1, 2);
+    // 2.5 LEOX of penalty are collected on the LEOX unstaked before the lock ends
+    await galileoStaking.updateUnstakeLeoxPenalty(nebulaAddress, parseEther('5'));
+    await galileoStaking.connect(staker1).unstakeLeoxTokens(nebulaAddress, 2, parseEther('50'));
+    await ethers.provider.send('evm_increaseTime', [120]);
+    await galileoStaking.connect(staker1).unstake(nebulaAddress, 1);
+    await ethers.provider.send('evm_increaseTime', [86400]);
+    await galileoStaking.connect(staker1).withdrawAllRewards(nebulaAddress);
+    const receipt = await (await galileoStaking.withdrawTax(nebulaAddress)).wait();
+    const [, , taxWithdrawn] = galileoStaking.interface.parseLog(receipt.logs.find((log) => log.address === galileoStakingAddress)).args;
+    await index();
+
+    const rewards = await get(`/wallets/${staker1.address}/rewards`);
+    expect(rewards.body.items.map((reward) => reward.tokenId)).to.deep.equal(['1', null]);
+    const received = rewards.body.items.reduce((total, reward) => total + BigInt(reward.amount), 0n);
+    expect(await erc20Token.balanceOf(staker1.address)).to.equal(parseEther('9947.5') + received);
+
+    const filtered = await get(`/wallets/${staker1.address}/rewards?from=${rewards.body.items[1].timestamp}`);
+    expect(filtered.body.items).to.have.length(1);
+
+    const tax = await get(`/collections/${nebulaAddress}/tax?interval=hour`);
+    const collected = tax.body.reduce((total, bucket) => total + BigInt(bucket.collected), 0n);
+    const withdrawn = tax.body.reduce((total, bucket) => total + BigInt(bucket.withdrawn), 0n);
+    expect(withdrawn).to.equal(taxWithdrawn);
+    // The tax of a withdrawal is recovered from its payout, to a wei
+    expect(taxWithdrawn - collected).to.be.within(0n, 2n);
+    expect(tax.body.every((bucket) => bucket.start % 3600 === 0)).to.equal(true);
+
+    const { body: pool } = await get(`/collections/${nebulaAddress}`);
+    expect(pool.totalTaxWithdrawn).to.equal(taxWithdrawn.toString());
+    expect(pool.totalTaxCollected).to.equal(collected.toString());
+  });
+
+  it('Should reject invalid queries', async function () {
+    await index();
+
+    expect((await get('/collections/0x1234/positions')).status).to.equal(400);
+    expect((await get(`/collections/${nebulaAddress}/positions?status=locked`)).body.error).to.match(/^Invalid status/);
+    expect((await get(`/collections/${nebulaAddress}/positions?limit=1000`)).body.error).to.equal('Invalid limit');
+    expect((await get(`/collections/${admin.address}`)).status).to.equal(404);
+    expect((await get('/stakers')).status).to.equal(404);
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEther } = require('ethers');
+const hre = require('hardhat');
+const { ethers } = hre;
+const { buildCitizenTiers, getTierCount, parseCsv, readTokenMetadata, validateCitizenTiers } = require('../utils/citizen_tiers.js');
+
+let INCREMENT = parseEther('400');
+
+describe('Citizen tiers', async function () {
+  let galileoStaking, galileoStakingAddress, nebulaAddress, admin, tmpDir;
+
+  beforeEach(async function () {
+    [admin] = await ethers.getSigners();
+
+    const erc20Token = await (
+      await ethers.getContractFactory('QRC20')
+    ).deploy('Leox', 'LEOX', 18, parseEther('10000000000'), admin.address, admin.address, parseEther('10000000000'), true);
+    const erc721Token = await (await ethers.getContractFactory('QRC721')).deploy('Nebula', 'NBL', 'https://tokenURIs/', admin.address);
+    nebulaAddress = await erc721Token.getAddress();
+
+    galileoStaking = await (await ethers.getContractFactory('GalileoStaking')).deploy(await erc20Token.getAddress(), INCREMENT);
+    galileoStakingAddress = await galileoStaking.getAddress();
+
+    await galileoStaking.configureNewCollection(nebulaAddress, admin.address, 3333, [
+      [parseEther('5000'), 5],
+      [parseEther('4000'), 4],
+      [parseEther('3000'), 3],
+    ]);
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'galileo-tiers-'));
+  });
+
+  afterEach(async function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('Should parse quoted CSV fields', async function () {
+    expect(parseCsv('tokenId,name\r\n1,"Nova, ""the first"""\n\n2,Orion\n')).to.deep.equal([
+      ['tokenId', 'name'],
+      ['1', 'Nova, "the first"'],
+      ['2', 'Orion'],
+    ]);
+  });
+
+  it('Should map tokens from CSV metadata', async function () {
+    const metadataFile = path.join(tmpDir, 'metadata.csv');
+    fs.writeFileSync(metadataFile, 'tokenId,Citizen\n1,3\n2,1\n');
+
+    expect(buildCitizenTiers(readTokenMetadata(metadataFile))).to.deep.equal({ 1: 3, 2: 1 });
+  });
+
+  it('Should map tier names from ERC721 JSON metadata attributes', async function () {
+    const metadataFile = path.join(tmpDir, 'metadata.json');
+    const records = [
+      { edition: 7, attributes: [{ trait_type: 'Citizen', value: 'Pioneer' }] },
+      { edition: 8, attributes: [{ trait_type: 'Citizen', value: 'settler' }] },
+    ];
+    fs.writeFileSync(metadataFile, JSON.stringify(records));
+
+    const tiers = buildCitizenTiers(readTokenMetadata(metadataFile), { tierNames: ['Founder', 'Pioneer', 'Settler'] });
+
+    expect(tiers).to.deep.equal({ 7: 2, 8: 3 });
+  });
+
+  it('Should revert if a token appears twice or has an unknown tier', async function () {
+    expect(() =>
+      buildCitizenTiers([
+        { tokenId: 1, citizen: 1 },
+        { tokenId: 1, citizen: 2 },
+      ])
+    ).to.throw('Token 1 appears more than once');
+
+    expect(() => buildCitizenTiers([{ tokenId: 1, citizen: 'Alien' }], { tierNames: ['Founder'] })).to.throw(
+      'Token 1 has unknown citizen "Alien"'
+    );
+  });
+
+  it('Should count the tiers configured on-chain', async function () {
+    expect(await getTierCount(galileoStaking, nebulaAddress)).to.equal(3);
+  });
+
+  it('Should revert if a tier is greater than the configured tiers', async function () {
+    expect(() => validateCitizenTiers({ 1: 3, 2: 4 }, 3)).to.throw('1 token(s) have a tier outside 1..3: 2 -> 4');
+    expect(() => validateCitizenTiers({ 1: 0 }, 3)).to.throw('outside 1..3');
+  });
+
+  it('Should write the lookup file from the Hardhat task', async function () {
+    const metadataFile = path.join(tmpDir, 'metadata.json');
+    const out = path.join(tmpDir, 'tiers.json');
+    fs.writeFileSync(metadataFile, JSON.stringify({ 1: 1, 2: 3 }));
+    fs.writeFileSync(out, JSON.stringify({ [admin.address]: { 5: 1 } }));
+
+    await hre.run('galileo:citizen-tiers', { collection: nebulaAddress, metadata: metadataFile, staking: galileoStakingAddress, out });
+
+    expect(JSON.parse(fs.readFileSync(out, 'utf8'))).to.deep.equal({ [admin.address]: { 5: 1 }, [nebulaAddress]: { 1: 1, 2: 3 } });
+  });
+
+  it('Should not write the lookup file if the mapping is invalid', async function () {
+    const metadataFile = path.join(tmpDir, 'metadata.json');
+    const out = path.join(tmpDir, 'tiers.json');
+    fs.writeFileSync(metadataFile, JSON.stringify({ 1: 1, 2: 4 }));
+
+    await expect(
+      hre.run('galileo:citizen-tiers', { collection: nebulaAddress, metadata: metadataFile, staking: galileoStakingAddress, out })
+    ).to.be.rejectedWith('outside 1..3');
+    expect(fs.existsSync(out)).to.equal(false);
+  });
+});
@@ -0,0 +1,113 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEther } = require('ethers');
+const hre = require('hardhat');
+const { ethers } = hre;
+const { loadDeployConfig, readManifest, runDeployment } = require('../utils/deployment.js');
+
+const ADMIN_ROLE = ethers.id('ADMIN_ROLE');
+const VALIDATOR_ROLE = ethers.id('VALIDATOR_ROLE');
+
+describe('Deployment pipeline', async function () {
+  let admin, validator, deploymentsDir, config;
+
+  beforeEach(async function () {
+    [admin, validator] = await ethers.getSigners();
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'galileo-deployments-'));
+    config = await loadDeployConfig('hardhat')({ deployer: admin.address, network: 'hardhat' });
+  });
+
+  afterEach(async function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  function deploy(deployConfig) {
+    return runDeployment(hre, deployConfig, { deploymentsDir, log: () => {} });
+  }
+
+  it('Should deploy and configure every contract', async function () {
+    const manifest = await deploy(config);
+
+    expect(manifest.chainId).to.equal(31337);
+    expect(readManifest('hardhat', deploymentsDir)).to.deep.equal(manifest);
+
+    const staking = await ethers.getContractAt('GalileoStaking', manifest.contracts.GalileoStaking.address);
+    const { collectionAddress, soulboundToken } = manifest.collections.nebula;
+    const sbt = await ethers.getContractAt('GalileoSoulBoundToken', soulboundToken);
+
+    expect(await staking.LEOX()).to.equal(manifest.contracts.LEOX.address);
+    expect(manifest.contracts.GalileoStaking.args).to.deep.equal([manifest.contracts.LEOX.address, parseEther('400').toString()]);
+    expect(manifest.contracts.GalileoStaking.blockNumber).to.be.greaterThan(0);
+    expect(await staking.hasRole(VALIDATOR_ROLE, admin.address)).to.equal(true);
+    expect(await sbt.hasRole(ADMIN_ROLE, manifest.contracts.GalileoStaking.address)).to.equal(true);
+    expect((await staking.getYieldTraitPoints(collectionAddress, 2)).maxLeox).to.equal(parseEther('4000'));
+    expect((await staking.getPoolConfiguration(collectionAddress)).rewardCount).to.equal(1);
+    expect(await staking.getMultipliers(collectionAddress)).to.deep.equal([[60n, parseEther('1.5')]]);
+  });
+
+  it('Should not send any transaction when rerun', async function () {
+    const first = await deploy(config);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const second = await deploy(config);
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(second).to.deep.equal(first);
+  });
+
+  it('Should resume a partially deployed network', async function () {
+    const first = await deploy({ ...config, collections: [] });
+    expect(first.collections).to.deep.equal({});
+
+    const second = await deploy({ ...config, validators: [admin.address, validator.address] });
+
+    expect(second.contracts.GalileoStaking).to.deep.equal(first.contracts.GalileoStaking);
+    expect(second.steps).to.have.property('nebula:configureNewCollection');
+
+    const staking = await ethers.getContractAt('GalileoStaking', second.contracts.GalileoStaking.address);
+    expect(await staking.hasRole(VALIDATOR_ROLE, validator.address)).to.equal(true);
+    await expect(staking.getYieldTraitPoints(second.collections.nebula.collectionAddress, 3)).to.be.revertedWithCustomError(
+      staking,
+      'InvalidCitizenIndex'
+    );
+  });
+
+  it('Should update multipliers that differ from the config', async function () {
+    const first = await deploy(config);
+    const staking = await ethers.getContractAt('GalileoStaking', first.contracts.GalileoStaking.address);
+    await staking.setMultipliers(first.collections.nebula.collectionAddress, [[120, parseEther('2')]]);
+
+    await deploy(config);
+
+    expect(await staking.getMultipliers(first.collections.nebula.collectionAddress)).to.deep.equal([[60n, parseEther('1.5')]]);
+  });
+
+  it('Should revert if the manifest belongs to another chain', async function () {
+    fs.writeFileSync(path.join(deploymentsDir, 'hardhat.json'), JSON.stringify({ network: 'hardhat', chainId: 137, contracts: {} }));
+
+    await expect(deploy(config)).to.be.rejectedWith('Manifest of hardhat is for chain 137, connected to chain 31337');
+  });
+
+  it('Should refuse to build the matic config without a reward rate and multipliers', async function () {
+    const env = { ...process.env };
+    Object.assign(process.env, { LEOX_ADDRESS: admin.address, NEBULA_ADDRESS: admin.address, VALIDATOR_ADDRESS: validator.address });
+    try {
+      delete process.env.REWARD_RATE;
+      delete process.env.MULTIPLIERS;
+      const buildConfig = loadDeployConfig('matic');
+      expect(() => buildConfig()).to.throw('REWARD_RATE (LEOX per second) and MULTIPLIERS (duration:boost list) must be set');
+
+      Object.assign(process.env, { REWARD_RATE: '0.05', MULTIPLIERS: '30d:1.5,90d:2' });
+      const [collection] = buildConfig().collections;
+      expect(collection.pool.rewardWindows).to.deep.equal([{ rewardRate: parseEther('0.05') }]);
+      expect(collection.multipliers).to.deep.equal([
+        { stakingTime: 2592000n, stakingBoost: parseEther('1.5') },
+        { stakingTime: 7776000n, stakingBoost: parseEther('2') },
+      ]);
+    } finally {
+      process.env = env;
+    }
+  });
+});
@@ -0,0 +1,139 @@
+const { expect } = require('chai');
+const { parseEther } = require('ethers');
+const { ethers } = require('hardhat');
+const {
+  getSigningDomain,
+  getSigningDomainFromManifest,
+  hashStakeVoucher,
+  signStakeVoucher,
+  signStakeVouchers,
+  verifyStakeVoucher,
+} = require('../utils/eip712_staking.js');
+const { deployStakingFixture } = require('./fixtures.js');
+
+let stakeTime = 60;
+
+let stakingMultiplier = parseEther('1.5');
+
+describe('EIP-712 staking vouchers', async function () {
+  let galileoStaking, admin, staker1, staker2;
+  let erc20Token, erc721Token;
+  let nebulaAddress, galileoStakingAddress, deadline;
+
+  beforeEach(async function () {
+    [admin, staker1, staker2] = await ethers.getSigners();
+
+    ({ galileoStaking, galileoStakingAddress, erc20Token, erc721Token, nebulaAddress } = await deployStakingFixture({
+      multipliers: [[stakeTime, stakingMultiplier]],
+      rewards: 0n,
+    }));
+
+    deadline = (await ethers.provider.getBlock('latest')).timestamp + 3600;
+  });
+
+  function buildVoucher(tokenId, staker, nonce) {
+    return {
+      collectionAddress: nebulaAddress,
+      tokenId: tokenId,
+      citizen: 1,
+      timelockEndTime: stakeTime,
+      stakedLeox: parseEther('100'),
+      staker: staker.address,
+      nonce: nonce,
+      deadline: deadline,
+    };
+  }
+
+  it('Should read the domain from the deployed contract', async function () {
+    const domain = await getSigningDomain(ethers.provider, galileoStakingAddress);
+    const { chainId } = await ethers.provider.getNetwork();
+
+    expect(domain.name).to.equal('Galileo-Staking');
+    expect(domain.version).to.equal('1');
+    expect(domain.chainId).to.equal(chainId);
+    expect(domain.verifyingContract).to.equal(galileoStakingAddress);
+  });
+
+  it('Should build the domain only for a contract without ERC-5267', async function () {
+    const { chainId } = await ethers.provider.getNetwork();
+    const leoxAddress = await erc20Token.getAddress();
+
+    expect(await getSigningDomain(ethers.provider, leoxAddress)).to.deep.equal({
+      name: 'Galileo-Staking',
+      version: '1',
+      chainId,
+      verifyingContract: leoxAddress,
+    });
+    await expect(getSigningDomain(ethers.provider, staker1.address)).to.be.rejectedWith(`No contract is deployed at ${staker1.address}`);
+
+    // RPC errors are not mistaken for a contract without ERC-5267
+    const provider = {
+      call: async () => {
+        throw Object.assign(new Error('connection refused'), { code: 'NETWORK_ERROR' });
+      },
+    };
+    await expect(getSigningDomain(provider, galileoStakingAddress)).to.be.rejectedWith('connection refused');
+  });
+
+  it('Should build the same domain from a deployment manifest', async function () {
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = {
+      network: 'hardhat',
+      chainId: Number(chainId),
+      contracts: { GalileoStaking: { address: galileoStakingAddress.toLowerCase() } },
+    };
+
+    expect(getSigningDomainFromManifest(manifest)).to.deep.equal(await getSigningDomain(admin, galileoStakingAddress));
+  });
+
+  it('Should revert if the manifest has no staking contract', async function () {
+    expect(() => getSigningDomainFromManifest({ network: 'matic', chainId: 137, contracts: {} })).to.throw(
+      'GalileoStaking is not deployed on matic'
+    );
+  });
+
+  it('Should sign, hash and verify a voucher', async function () {
+    const domain = await getSigningDomain(admin, galileoStakingAddress);
+    const voucher = await signStakeVoucher(admin, domain, buildVoucher(1, staker1, 0));
+
+    expect(ethers.recoverAddress(hashStakeVoucher(domain, voucher), voucher.signature)).to.equal(admin.address);
+    expect(verifyStakeVoucher(domain, voucher, admin.address)).to.equal(admin.address);
+    expect(() => verifyStakeVoucher(domain, { ...voucher, stakedLeox: 1 }, admin.address)).to.throw('expected');
+  });
+
+  it('Should revert if a voucher field is missing', async function () {
+    const domain = await getSigningDomain(admin, galileoStakingAddress);
+    const { deadline: _, ...voucher } = buildVoucher(1, staker1, 0);
+
+    await expect(signStakeVoucher(admin, domain, voucher)).to.be.rejectedWith('Stake voucher is missing deadline');
+  });
+
+  it('Should batch sign vouchers that can be staked in nonce order', async function () {
+    const domain = await getSigningDomain(admin, galileoStakingAddress);
+
+    for (const tokenId of [1, 2]) {
+      await erc721Token.mint(staker1.address, tokenId, '0x');
+      await erc721Token.connect(staker1).approve(galileoStakingAddress, tokenId);
+    }
+    await erc20Token.transfer(staker1.address, parseEther('200'));
+    await erc20Token.connect(staker1).approve(galileoStakingAddress, parseEther('200'));
+
+    const vouchers = await signStakeVouchers(admin, domain, [buildVoucher(1, staker1, 0), buildVoucher(2, staker1, 1)]);
+
+    for (const voucher of vouchers) await galileoStaking.connect(staker1).stake(voucher);
+
+    expect(await galileoStaking.getNonce(staker1.address)).to.equal(2);
+    expect(await erc721Token.ownerOf(2)).to.equal(galileoStakingAddress);
+  });
+
+  it('Should produce vouchers that are rejected on another chain', async function () {
+    const domain = { ...(await getSigningDomain(admin, galileoStakingAddress)), chainId: 137 };
+
+    await erc721Token.mint(staker2.address, 1, '0x');
+    await erc721Token.connect(staker2).approve(galileoStakingAddress, 1);
+
+    const voucher = await signStakeVoucher(admin, domain, buildVoucher(1, staker2, 0));
+
+    await expect(galileoStaking.connect(staker2).stake(voucher)).to.be.revertedWithCustomError(galileoStaking, 'InvalidSignature');
+  });
+});
@@ -0,0 +1,67 @@
+const { parseEther } = require('ethers');
+const { ethers } = require('hardhat');
+
+const INCREMENT = parseEther('400');
+
+const ADMIN_ROLE = ethers.id('ADMIN_ROLE');
+const VALIDATOR_ROLE = ethers.id('VALIDATOR_ROLE');
+
+/**
+ * Deploys LEOX, the Nebula collection, GalileoStaking and the soulbound token of the collection, the first signer
+ * being the admin and validator of the staking contract.
+ *
+ * Unless `configure` is false, the collection is configured with `tiers`, its pool with a reward rate of 1 LEOX per
+ * second starting with the next block, its `multipliers` are set and `rewards` LEOX are deposited. Empty
+ * `multipliers` and zero `rewards` are skipped.
+ *
+ * @returns The contracts, their addresses, the admin and the block number at which GalileoStaking was deployed.
+ */
+async function deployStakingFixture({
+  tiers = [[parseEther('5000'), 5]],
+  multipliers = [[60, parseEther('1.5')]],
+  rewards = parseEther('100000'),
+  configure = true,
+} = {}) {
+  const [admin] = await ethers.getSigners();
+
+  const erc20Token = await (
+    await ethers.getContractFactory('QRC20')
+  ).deploy('Leox', 'LEOX', 18, parseEther('10000000000'), admin.address, admin.address, parseEther('10000000000'), true);
+  const leoxAddress = await erc20Token.getAddress();
+  const erc721Token = await (await ethers.getContractFactory('QRC721')).deploy('Nebula', 'NBL', 'https://tokenURIs/', admin.address);
+  const nebulaAddress = await erc721Token.getAddress();
+  const galileoStaking = await (await ethers.getContractFactory('GalileoStaking')).deploy(leoxAddress, INCREMENT);
+  const galileoStakingAddress = await galileoStaking.getAddress();
+  const startBlock = await ethers.provider.getBlockNumber();
+
+  const soulBounToken = await (await ethers.getContractFactory('GalileoSoulBoundToken')).deploy('NEBULA SBT', 'NSBT', 'https://tokenuri/');
+  const sbtAddress = await soulBounToken.getAddress();
+  await soulBounToken.grantRole(ADMIN_ROLE, galileoStakingAddress);
+  await galileoStaking.grantRole(VALIDATOR_ROLE, admin.address);
+
+  if (configure) {
+    await galileoStaking.configureNewCollection(nebulaAddress, sbtAddress, 3333, tiers);
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    await galileoStaking.configurePool([[nebulaAddress, parseEther('3'), [[parseEther('1'), timestamp + 1, 0]]]]);
+    if (multipliers.length !== 0) await galileoStaking.setMultipliers(nebulaAddress, multipliers);
+    if (rewards !== 0n) {
+      await erc20Token.approve(galileoStakingAddress, rewards);
+      await galileoStaking.depositRewards(nebulaAddress, rewards);
+    }
+  }
+
+  return {
+    admin,
+    erc20Token,
+    leoxAddress,
+    erc721Token,
+    nebulaAddress,
+    galileoStaking,
+    galileoStakingAddress,
+    soulBounToken,
+    sbtAddress,
+    startBlock,
+  };
+}
+
+module.exports = { ADMIN_ROLE, INCREMENT, VALIDATOR_ROLE, deployStakingFixture };
@@ -0,0 +1,286 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEther } = require('ethers');
+const { ethers } = require('hardhat');
+const { sign } = require('../utils/eip712_staking.js');
+const { StakingIndexer } = require('../services/indexer.js');
+const { StakingStore } = require('../services/staking_store.js');
+const { deployStakingFixture } = require('./fixtures.js');
+
+describe('Indexer', async function () {
+  let galileoStaking, galileoStakingAddress, erc20Token, erc721Token, nebulaAddress, admin, staker, startBlock, tmpDir, store;
+
+  beforeEach(async function () {
+    [admin, staker] = await ethers.getSigners();
+
+    ({ galileoStaking, galileoStakingAddress, erc20Token, erc721Token, nebulaAddress, startBlock } = await deployStakingFixture());
+
+    await erc20Token.transfer(staker.address, parseEther('10000'));
+    await erc20Token.connect(staker).approve(galileoStakingAddress, parseEther('10000'));
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'galileo-indexer-'));
+    store = new StakingStore(path.join(tmpDir, 'galileo.sqlite'));
+  });
+
+  afterEach(async function () {
+    store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function createIndexer(options = {}) {
+    return new StakingIndexer({
+      provider: ethers.provider,
+      stakingAddress: galileoStakingAddress,
+      store,
+      startBlock,
+      confirmations: 0,
+      ...options,
+    });
+  }
+
+  async function stake(tokenId, stakedLeox = parseEther('100')) {
+    await erc721Token.mint(staker.address, tokenId, '0x');
+    await erc721Token.connect(staker).approve(galileoStakingAddress, tokenId);
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const voucher = {
+      collectionAddress: nebulaAddress,
+      tokenId,
+      citizen: 1,
+      timelockEndTime: 60,
+      stakedLeox,
+      staker: staker.address,
+      nonce: await galileoStaking.getNonce(staker.address),
+      deadline: timestamp + 3600,
+    };
+    voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+    return (await galileoStaking.connect(staker).stake(voucher)).wait();
+  }
+
+  it('Should index positions, pools and reward history', async function () {
+    const receipt = await stake(1);
+    await stake(2);
+    await galileoStaking.connect(staker).stakeLeoxTokens(nebulaAddress, 1, parseEther('300'));
+    await ethers.provider.send('evm_increaseTime', [120]);
+    await galileoStaking.connect(staker).unstake(nebulaAddress, 2);
+    await galileoStaking.connect(staker).withdrawAllRewards(nebulaAddress);
+    await galileoStaking.updateTax(nebulaAddress, parseEther('5'));
+
+    await createIndexer().sync();
+
+    const positions = store.getPositions({ collection: nebulaAddress });
+    expect(positions.map((position) => [position.token_id, position.status, position.staked_leox])).to.deep.equal([
+      ['1', 'staked', parseEther('400').toString()],
+      ['2', 'unstaked', parseEther('100').toString()],
+    ]);
+    const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+    expect(positions[0].staked_at).to.equal(timestamp);
+    expect(positions[0].unlock_time).to.equal(timestamp + 60);
+
+    const [totalPoints] = await galileoStaking.getPoolConfiguration(nebulaAddress);
+    const pool = store.getPool(nebulaAddress);
+    expect(pool.total_points).to.equal(totalPoints.toString());
+    expect(pool.staked_count).to.equal(1);
+    expect(pool.tax).to.equal(parseEther('5').toString());
+    expect(pool.reward_rate).to.equal(parseEther('1').toString());
+    expect(pool.total_deposited).to.equal(parseEther('100000').toString());
+
+    const history = store.getRewardHistory(staker.address);
+    expect(history.map((entry) => entry.token_id)).to.deep.equal(['2', null]);
+    const paid = history.reduce((total, entry) => total + BigInt(entry.amount), 0n);
+    expect(pool.total_rewards_paid).to.equal(paid.toString());
+    expect(await erc20Token.balanceOf(staker.address)).to.equal(parseEther('9600') + paid);
+  });
+
+  it('Should index compounded rewards with their exact tax', async function () {
+    await galileoStaking.updateCompoundTax(nebulaAddress, parseEther('2'));
+    await stake(1, parseEther('4990'));
+    await ethers.provider.send('evm_increaseTime', [100]);
+    const receipt = await (await galileoStaking.connect(staker).compound(nebulaAddress, 1)).wait();
+    const { rewardAmount, compoundedLeox, rewardsPaid } = receipt.logs.find(
+      (log) => log.fragment && log.fragment.name === 'CompoundRewards'
+    ).args;
+
+    await createIndexer().sync();
+
+    const [position] = store.getPositions({ collection: nebulaAddress });
+    const { points, stakedLEOX } = await galileoStaking.getStakersPosition(staker.address, nebulaAddress, 1);
+    expect(position).to.include({ points: points.toString(), staked_leox: stakedLEOX.toString() });
+    expect(store.getPool(nebulaAddress).total_points).to.equal(points.toString());
+
+    const [entry] = store.getRewardHistory(staker.address);
+    expect(entry).to.include({ token_id: '1', amount: (compoundedLeox + rewardsPaid).toString() });
+    expect(entry.tax_amount).to.equal((rewardAmount - compoundedLeox - rewardsPaid).toString());
+    expect(rewardsPaid).to.be.greaterThan(0n);
+  });
+
+  it('Should index the LEOX unstaked from a position with its penalty', async function () {
+    await galileoStaking.updateUnstakeLeoxPenalty(nebulaAddress, parseEther('5'));
+    await stake(1, parseEther('400'));
+    await galileoStaking.connect(staker).unstakeLeoxTokens(nebulaAddress, 1, parseEther('100'));
+
+    await createIndexer().sync();
+
+    const [position] = store.getPositions({ collection: nebulaAddress });
+    const { points } = await galileoStaking.getStakersPosition(staker.address, nebulaAddress, 1);
+    expect(position).to.include({ points: points.toString(), staked_leox: parseEther('300').toString() });
+    const pool = store.getPool(nebulaAddress);
+    expect(pool.total_points).to.equal(points.toString());
+    expect(pool.total_tax_collected).to.equal(parseEther('5').toString());
+  });
+
+  it('Should index early unstaked positions with the penalties going to the tax', async function () {
+    await galileoStaking.setEarlyUnstakeParams(nebulaAddress, [true, false, parseEther('50'), parseEther('10')]);
+    await stake(1, parseEther('400'));
+    await stake(2, parseEther('400'));
+    await ethers.provider.send('evm_increaseTime', [30]);
+    const receipt = await (await galileoStaking.connect(staker).earlyUnstake(nebulaAddress, 1)).wait();
+    const { rewardsPenalty, leoxPenalty } = receipt.logs.find((log) => log.fragment && log.fragment.name === 'EarlyUnstakeToken').args;
+    await galileoStaking.setEarlyUnstakeParams(nebulaAddress, [true, true, parseEther('50'), parseEther('10')]);
+    await galileoStaking.connect(staker).earlyUnstake(nebulaAddress, 2);
+
+    await createIndexer().sync();
+
+    const positions = store.getPositions({ collection: nebulaAddress, status: 'early_unstaked' });
+    expect(positions.map((position) => position.token_id)).to.deep.equal(['1', '2']);
+    const pool = store.getPool(nebulaAddress);
+    expect(pool).to.include({ staked_count: 0, total_points: '0' });
+
+    // The tax of the withdrawals, and the penalties of the first unstake only
+    const taxAmount = store.getRewardHistory(staker.address).reduce((total, entry) => total + BigInt(entry.tax_amount), 0n);
+    expect(pool.total_tax_collected).to.equal((taxAmount + rewardsPenalty + leoxPenalty).toString());
+    const [bucket] = store.getTaxHistory(nebulaAddress, { interval: 86400 * 365 * 100 });
+    expect(bucket.collected).to.equal(pool.total_tax_collected);
+  });
+
+  it('Should index the rewards frozen by emergency unstakes and their claims', async function () {
+    await stake(1);
+    await stake(2);
+    await ethers.provider.send('evm_increaseTime', [30]);
+    await galileoStaking.declareEmergency(nebulaAddress);
+    await galileoStaking.connect(staker).emergencyUnstake(nebulaAddress, 1);
+    await galileoStaking.connect(staker).emergencyUnstake(nebulaAddress, 2);
+    const frozen = await galileoStaking.getTotalFrozenRewards(nebulaAddress);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+    expect(store.getPool(nebulaAddress)).to.include({ total_frozen_rewards: frozen.toString(), staked_count: 0 });
+
+    await galileoStaking.releaseFrozenRewards(nebulaAddress);
+    const receipt = await (await galileoStaking.connect(staker).claimFrozenRewards(nebulaAddress)).wait();
+    const { rewardAmount, taxAmount } = receipt.logs.find((log) => log.fragment && log.fragment.name === 'ClaimFrozenRewards').args;
+    await indexer.sync();
+
+    const pool = store.getPool(nebulaAddress);
+    expect(pool).to.include({ total_frozen_rewards: '0', total_rewards_paid: rewardAmount.toString() });
+    expect(pool.total_tax_collected).to.equal(taxAmount.toString());
+    const [entry] = store.getRewardHistory(staker.address);
+    expect(entry).to.include({ token_id: null, amount: rewardAmount.toString(), tax_amount: taxAmount.toString() });
+  });
+
+  it('Should index the address rewards are paid to when it is not the staker', async function () {
+    await stake(1);
+    await ethers.provider.send('evm_increaseTime', [30]);
+    await galileoStaking.connect(staker).withdrawAllRewards(nebulaAddress);
+    await galileoStaking.connect(staker).setClaimOperator(admin.address, true);
+    await galileoStaking.connect(staker).setRewardsBeneficiary(admin.address);
+    await galileoStaking.withdrawAllRewardsFor(staker.address, nebulaAddress);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    const history = store.getRewardHistory(staker.address);
+    expect(history.map((entry) => entry.paid_to)).to.deep.equal([null, admin.address]);
+  });
+
+  it('Should index extended and auto-renewed locks', async function () {
+    await galileoStaking.setMultipliers(nebulaAddress, [
+      [60, parseEther('1.5')],
+      [600, parseEther('2.25')],
+    ]);
+    await stake(1);
+    await stake(2);
+    await galileoStaking.connect(staker).extendLock(nebulaAddress, 1, 600);
+    await galileoStaking.connect(staker).setAutoRenew(nebulaAddress, 2, true);
+
+    await createIndexer().sync();
+
+    const positions = store.getPositions({ collection: nebulaAddress });
+    for (const position of positions) {
+      const { points } = await galileoStaking.getStakersPosition(staker.address, nebulaAddress, position.token_id);
+      const [lockPeriodEnd, autoRenew] = await galileoStaking.getLock(staker.address, nebulaAddress, position.token_id);
+      expect(position).to.include({ points: points.toString(), unlock_time: Number(lockPeriodEnd), auto_renew: autoRenew ? 1 : 0 });
+    }
+    const [totalPoints] = await galileoStaking.getPoolConfiguration(nebulaAddress);
+    expect(store.getPool(nebulaAddress).total_points).to.equal(totalPoints.toString());
+    expect(store.getPositions({ autoRenew: 1 }).map((position) => position.token_id)).to.deep.equal(['2']);
+  });
+
+  it('Should follow the schedule of reward windows', async function () {
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('2'), timestamp + 100, timestamp + 200);
+    await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('3'), timestamp + 300, 0);
+    await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('4'), timestamp + 400, 0);
+    await galileoStaking.cancelRewardWindow(nebulaAddress, 1);
+    await galileoStaking.updateEmissionRate(nebulaAddress, parseEther('5'), 0);
+    await galileoStaking.scheduleRewardWindow(nebulaAddress, parseEther('6'), timestamp + 500, 0);
+
+    await createIndexer().sync();
+
+    const [, , , rewardWindows] = await galileoStaking.getPoolConfiguration(nebulaAddress);
+    expect(
+      store.getRewardWindows(nebulaAddress).map((window) => [window.reward_rate, window.start_time, window.end_time || 0])
+    ).to.deep.equal(rewardWindows.map((window) => [window.rewardRate.toString(), Number(window.startTime), Number(window.endTime)]));
+    expect(store.getPool(nebulaAddress).reward_rate).to.equal(parseEther('6').toString());
+  });
+
+  it('Should only index blocks with enough confirmations', async function () {
+    const receipt = await stake(1);
+    const indexer = createIndexer({ confirmations: 3 });
+
+    expect(await indexer.sync()).to.equal(receipt.blockNumber - 3);
+    expect(store.getPositions()).to.have.length(0);
+
+    for (let i = 0; i < 3; i++) await ethers.provider.send('evm_mine', []);
+    expect(await indexer.sync()).to.equal(receipt.blockNumber);
+    expect(store.getPositions()).to.have.length(1);
+  });
+
+  it('Should resume from its checkpoint without duplicating events', async function () {
+    await stake(1);
+    await createIndexer({ batchSize: 3 }).sync();
+    store.close();
+
+    await stake(2);
+    store = new StakingStore(path.join(tmpDir, 'galileo.sqlite'));
+    const logs = [];
+    await createIndexer({ log: (message) => logs.push(message) }).sync();
+
+    expect(logs).to.have.length(1);
+    expect(store.getPositions().map((position) => position.token_id)).to.deep.equal(['1', '2']);
+    expect(store.getPool(nebulaAddress).staked_count).to.equal(2);
+    expect(store.db.prepare("SELECT COUNT(*) AS count FROM events WHERE name = 'DepositRewards'").get().count).to.equal(1);
+  });
+
+  it('Should roll back events of reorged blocks', async function () {
+    await stake(1);
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    const snapshot = await ethers.provider.send('evm_snapshot', []);
+    await stake(2);
+    await indexer.sync();
+    expect(store.getPool(nebulaAddress).staked_count).to.equal(2);
+
+    // Replace the blocks of the second stake by a longer fork holding another stake
+    await ethers.provider.send('evm_revert', [snapshot]);
+    await erc20Token.transfer(admin.address, 1);
+    await stake(3, parseEther('200'));
+    await indexer.sync();
+
+    expect(store.getPositions().map((position) => position.token_id)).to.deep.equal(['1', '3']);
+    const [totalPoints] = await galileoStaking.getPoolConfiguration(nebulaAddress);
+    expect(store.getPool(nebulaAddress).total_points).to.equal(totalPoints.toString());
+  });
+});
@@ -0,0 +1,140 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEther } = require('ethers');
+const hre = require('hardhat');
+const { ethers } = hre;
+const { sign } = require('../utils/eip712_staking.js');
+const { loadDeployConfig, runDeployment } = require('../utils/deployment.js');
+const { signForwardRequest } = require('../utils/forward_requests.js');
+const { signPermit2 } = require('../utils/leox_permits.js');
+const { createRelayerServer } = require('../services/relayer.js');
+
+describe('Relayer service', async function () {
+  let admin, relayer, staker, deploymentsDir, manifest, galileoStaking, forwarderAddress, erc20Token, erc721Token, nebulaAddress;
+  let server, url;
+
+  beforeEach(async function () {
+    [admin, relayer] = await ethers.getSigners();
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'galileo-deployments-'));
+    const config = await loadDeployConfig('hardhat')({ deployer: admin.address, network: 'hardhat' });
+    manifest = await runDeployment(hre, config, { deploymentsDir, log: () => {} });
+
+    galileoStaking = await ethers.getContractAt('GalileoStaking', manifest.contracts.GalileoStaking.address);
+    forwarderAddress = manifest.contracts.GalileoForwarder.address;
+    erc20Token = await ethers.getContractAt('QRC20', manifest.contracts.LEOX.address);
+    nebulaAddress = manifest.collections.nebula.collectionAddress;
+    erc721Token = await ethers.getContractAt('QRC721', nebulaAddress);
+
+    await erc20Token.approve(galileoStaking, parseEther('1000'));
+    await galileoStaking.depositRewards(nebulaAddress, parseEther('1000'));
+
+    // The staker only pays for its approvals
+    staker = ethers.Wallet.createRandom(ethers.provider);
+    await admin.sendTransaction({ to: staker.address, value: parseEther('0.01') });
+    await erc721Token.mint(staker.address, 1, '0x');
+    await erc20Token.transfer(staker.address, parseEther('1000'));
+    await erc721Token.connect(staker).approve(galileoStaking, 1);
+    await erc20Token.connect(staker).approve(galileoStaking, parseEther('1000'));
+
+    server = createRelayerServer({ signer: relayer, stakingAddress: await galileoStaking.getAddress(), forwarderAddress });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/relay`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  async function signRequest(method, args, overrides = {}) {
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    return signForwardRequest(staker, forwarderAddress, {
+      to: await galileoStaking.getAddress(),
+      data: galileoStaking.interface.encodeFunctionData(method, args),
+      gas: 1000000n,
+      deadline: timestamp + 3600,
+      ...overrides,
+    });
+  }
+
+  async function relay(request) {
+    const body = JSON.stringify(request, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+    const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('Should stake, add LEOX, withdraw rewards and unstake for a staker without gas', async function () {
+    await erc20Token.connect(staker).approve(manifest.contracts.Permit2.address, ethers.MaxUint256);
+    const balance = await ethers.provider.getBalance(staker.address);
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const voucher = {
+      collectionAddress: nebulaAddress,
+      tokenId: 1,
+      citizen: 1,
+      timelockEndTime: 60,
+      stakedLeox: parseEther('100'),
+      staker: staker.address,
+      nonce: 0,
+      deadline: timestamp + 3600,
+    };
+    voucher.signature = await sign(admin, await galileoStaking.getAddress(), voucher);
+
+    const staked = await relay(await signRequest('stake', [voucher]));
+    expect(staked.status).to.equal(200);
+    expect((await ethers.provider.getTransactionReceipt(staked.body.transactionHash)).from).to.equal(relayer.address);
+    expect(await erc721Token.ownerOf(1)).to.equal(await galileoStaking.getAddress());
+    expect((await galileoStaking.getStakersPosition(staker.address, nebulaAddress, 1)).stakedLEOX).to.equal(parseEther('100'));
+
+    expect((await relay(await signRequest('stakeLeoxTokens', [nebulaAddress, 1, parseEther('50')]))).status).to.equal(200);
+    expect(await erc20Token.balanceOf(staker.address)).to.equal(parseEther('850'));
+
+    // A Permit2 permit pulls the LEOX without using the allowance of GalileoStaking
+    const permit = await signPermit2(staker, manifest.contracts.Permit2.address, {
+      token: await erc20Token.getAddress(),
+      spender: await galileoStaking.getAddress(),
+      value: parseEther('50'),
+      deadline: timestamp + 3600,
+    });
+    const stakedWithPermit = await relay(await signRequest('stakeLeoxTokensWithPermit', [nebulaAddress, 1, parseEther('50'), permit]));
+    expect(stakedWithPermit.status).to.equal(200);
+    expect(await erc20Token.balanceOf(staker.address)).to.equal(parseEther('800'));
+    expect(await erc20Token.allowance(staker.address, galileoStaking)).to.equal(parseEther('850'));
+
+    await ethers.provider.send('evm_increaseTime', [60]);
+    await ethers.provider.send('evm_mine', []);
+    expect((await relay(await signRequest('withdrawAllRewards', [nebulaAddress]))).status).to.equal(200);
+    expect(await erc20Token.balanceOf(staker.address)).to.be.greaterThan(parseEther('850'));
+
+    // Unstaking pays the rewards accrued since
+    await ethers.provider.send('evm_increaseTime', [60]);
+    await ethers.provider.send('evm_mine', []);
+    expect((await relay(await signRequest('unstake', [nebulaAddress, 1]))).status).to.equal(200);
+    expect(await erc721Token.ownerOf(1)).to.equal(staker.address);
+    expect(await ethers.provider.getBalance(staker.address)).to.equal(balance);
+  });
+
+  it('Should refuse the requests it does not relay', async function () {
+    expect(await relay(await signRequest('compound', [nebulaAddress, 1]))).to.deep.equal({
+      status: 400,
+      body: { error: 'compound is not relayed' },
+    });
+    expect((await relay(await signRequest('withdrawAllRewards', [nebulaAddress], { to: forwarderAddress }))).body).to.deep.equal({
+      error: 'Only calls to GalileoStaking are relayed',
+    });
+
+    // The signature does not match another sender
+    const request = await signRequest('withdrawAllRewards', [nebulaAddress]);
+    expect((await relay({ ...request, from: admin.address })).body).to.deep.equal({ error: 'Invalid signature, nonce or deadline' });
+
+    // The relayer does not pay for calls that revert
+    const blockNumber = await ethers.provider.getBlockNumber();
+    expect((await relay(request)).body).to.deep.equal({ error: 'Call reverts with TokenNotStaked()' });
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+
+    // Nor for requests of a forwarder that is no longer trusted
+    await galileoStaking.setTrustedForwarder(ethers.ZeroAddress);
+    expect((await relay(request)).body).to.deep.equal({ error: 'Invalid signature, nonce or deadline' });
+  });
+});
@@ -0,0 +1,677 @@
+const { expect } = require('chai');
+const { parseEther } = require('ethers');
+const { ethers } = require('hardhat');
+const { sign } = require('../utils/eip712_staking.js');
+const { decodeStakingError } = require('../utils/staking_errors.js');
+const { RewardModel, RewardModelError } = require('../utils/reward_model.js');
+
+let INCREMENT = parseEther('400');
+
+const ADMIN_ROLE = ethers.id('ADMIN_ROLE');
+const VALIDATOR_ROLE = ethers.id('VALIDATOR_ROLE');
+
+// Seeds of the randomized scenarios, REWARD_MODEL_SEEDS=1,2,3 replays other ones
+const SEEDS = (process.env.REWARD_MODEL_SEEDS || '1,2,3').split(',').map(Number);
+const STEPS = 60;
+
+const TIERS = [
+  { maxLeox: parseEther('5000'), yieldTraitPoints: 5n },
+  { maxLeox: parseEther('4000'), yieldTraitPoints: 4n },
+  { maxLeox: parseEther('3000'), yieldTraitPoints: 3n },
+];
+const MULTIPLIERS = [
+  { stakingTime: 60n, stakingBoost: parseEther('1.5') },
+  { stakingTime: 600n, stakingBoost: parseEther('2.25') },
+];
+
+// Deterministic PRNG (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  return { next, int, pick: (items) => items[int(0, items.length - 1)] };
+}
+
+describe('RewardModel', async function () {
+  const collectionAddress = '0x00000000000000000000000000000000000000c1';
+  const staker = '0x00000000000000000000000000000000000000a1';
+
+  function configuredModel(rewardRate = parseEther('1'), deposit = parseEther('1000000')) {
+    return RewardModel.replay(
+      [
+        { type: 'configureNewCollection', collectionAddress, tiers: TIERS },
+        { type: 'configurePool', collectionAddress, tax: parseEther('3'), rewardWindow: { rewardRate, startTime: 1000, endTime: 0 } },
+        { type: 'setMultipliers', collectionAddress, multipliers: MULTIPLIERS },
+        { type: 'depositRewards', collectionAddress, amount: deposit },
+      ],
+      { increment: INCREMENT }
+    );
+  }
+
+  it('Should accrue rewards with the rounding of the contract', async function () {
+    const model = configuredModel();
+    model.apply({
+      type: 'stake',
+      timestamp: 1000,
+      staker,
+      collectionAddress,
+      tokenId: 1,
+      citizen: 1,
+      timelockEndTime: 60,
+      stakedLeox: parseEther('100'),
+    });
+
+    // 5 * 1.5 + 100 / 400 = 7.75 points, 100 seconds at 1 LEOX per second
+    expect(model.rewardPerToken(collectionAddress, 1100)).to.equal(12903225806451612903n);
+    expect(model.calculateRewards(staker, collectionAddress, 1, 1100)).to.equal(99999999999999999998n);
+  });
+
+  it('Should accrue each emission rate from the time it is set', async function () {
+    const model = configuredModel();
+    model.apply({ type: 'stake', timestamp: 1000, staker, collectionAddress, tokenId: 1, citizen: 1, timelockEndTime: 60, stakedLeox: 0 });
+    model.apply({ type: 'updateEmissionRate', timestamp: 1100, collectionAddress, rewardRate: parseEther('2'), endTime: 1200 });
+
+    const [rewards] = model.rewardsAt(1300);
+    expect(rewards.tokenId).to.equal(1n);
+    // 100 seconds at 1 LEOX and 100 seconds at 2 LEOX on 7.5 points, the window closes at 1200 and both accruals round down
+    expect(rewards.rewards).to.equal(299999999999999999992n);
+  });
+
+  it('Should integrate the rewards across every scheduled window crossed', async function () {
+    const model = configuredModel();
+    model.apply({ type: 'stake', timestamp: 1000, staker, collectionAddress, tokenId: 1, citizen: 1, timelockEndTime: 60, stakedLeox: 0 });
+    model.apply({
+      type: 'scheduleRewardWindow',
+      timestamp: 1010,
+      collectionAddress,
+      rewardRate: parseEther('2'),
+      startTime: 1100,
+      endTime: 1200,
+    });
+    model.apply({ type: 'scheduleRewardWindow', timestamp: 1020, collectionAddress, rewardRate: parseEther('3'), startTime: 1300 });
+    model.apply({ type: 'scheduleRewardWindow', timestamp: 1030, collectionAddress, rewardRate: parseEther('5'), startTime: 1400 });
+    model.apply({ type: 'cancelRewardWindow', timestamp: 1040, collectionAddress, index: 3 });
+
+    // 100 seconds at 1 LEOX, 100 at 2 LEOX, none until 1300 and 100 at 3 LEOX on 7.5 points, each window rounds down
+    expect(model.calculateRewards(staker, collectionAddress, 1, 1400)).to.equal(599999999999999999992n);
+    expect(() => model.apply({ type: 'cancelRewardWindow', timestamp: 1100, collectionAddress, index: 1 })).to.throw(
+      RewardModelError,
+      'RewardWindowStarted(1)'
+    );
+  });
+
+  it('Should stop the emissions once the reward pool is committed', async function () {
+    const model = configuredModel(parseEther('1'), parseEther('150'));
+    model.apply({ type: 'stake', timestamp: 1000, staker, collectionAddress, tokenId: 1, citizen: 1, timelockEndTime: 60, stakedLeox: 0 });
+
+    expect(model.getCommittedRewards(collectionAddress, 1100)).to.equal(parseEther('100'));
+    expect(model.getRewardRunway(collectionAddress, 1100)).to.equal(50n);
+
+    // The pool holds exactly the 150 LEOX accrued on 7.5 points, and pays them
+    expect(model.calculateRewards(staker, collectionAddress, 1, 1300)).to.equal(parseEther('150'));
+    expect(model.getRewardRunway(collectionAddress, 1300)).to.equal(0n);
+    model.apply({ type: 'withdrawAllRewards', timestamp: 1300, staker, collectionAddress });
+    expect(model.getPool(collectionAddress).rewardPool).to.equal(0n);
+    expect(model.getCommittedRewards(collectionAddress, 1300)).to.equal(0n);
+
+    // A deposit funds the emissions from the time it is made
+    model.apply({ type: 'depositRewards', timestamp: 1400, collectionAddress, amount: parseEther('75') });
+    expect(model.getRewardRunway(collectionAddress, 1400)).to.equal(75n);
+    expect(model.calculateRewards(staker, collectionAddress, 1, 1500)).to.equal(parseEther('75'));
+  });
+
+  it('Should compound the rewards up to the maximum LEOX and pay the rest', async function () {
+    const model = configuredModel();
+    model.apply({ type: 'updateCompoundTax', collectionAddress, compoundTax: parseEther('2') });
+    model.apply({
+      type: 'stake',
+      timestamp: 1000,
+      staker,
+      collectionAddress,
+      tokenId: 1,
+      citizen: 1,
+      timelockEndTime: 60,
+      stakedLeox: parseEther('4900'),
+    });
+
+    // The rewards fit once taxed at 2%
+    const rewards = model.calculateRewards(staker, collectionAddress, 1, 1040);
+    const compounded = model.apply({ type: 'compound', timestamp: 1040, staker, collectionAddress, tokenId: 1 });
+    expect(compounded).to.include({ compoundedLeox: rewards - (rewards * 2n) / 100n, rewardsPaid: 0n });
+    expect(model.calculateRewards(staker, collectionAddress, 1, 1040)).to.equal(0n);
+
+    // Only the rewards taxed into the 60.8 LEOX left are compounded, the rest is paid with the 3% pool tax
+    const { compoundedLeox, rewardsPaid, newPoints } = model.apply({
+      type: 'compound',
+      timestamp: 1140,
+      staker,
+      collectionAddress,
+      tokenId: 1,
+    });
+    const [position] = model.getPool(collectionAddress).positions.values();
+    expect(position.stakedLeox).to.equal(parseEther('5000'));
+    expect(compoundedLeox).to.equal(parseEther('5000') - parseEther('4900') - compounded.compoundedLeox);
+    expect(rewardsPaid).to.equal(36820408163265306103n);
+    expect(newPoints).to.equal(parseEther('20'));
+  });
+
+  it('Should charge the penalty on the LEOX unstaked before the lock ends', async function () {
+    const model = configuredModel();
+    model.apply({ type: 'updateUnstakeLeoxPenalty', collectionAddress, penalty: parseEther('5') });
+    model.apply({
+      type: 'stake',
+      timestamp: 1000,
+      staker,
+      collectionAddress,
+      tokenId: 1,
+      citizen: 1,
+      timelockEndTime: 60,
+      stakedLeox: parseEther('400'),
+    });
+
+    // 5 * 1.5 + 200 / 400 points are left, the 10 LEOX penalty goes to the tax
+    const early = model.apply({
+      type: 'unstakeLeoxTokens',
+      timestamp: 1030,
+      staker,
+      collectionAddress,
+      tokenId: 1,
+      amount: parseEther('200'),
+    });
+    expect(early).to.deep.equal({ penalty: parseEther('10'), newPoints: parseEther('8') });
+    expect(model.getPool(collectionAddress).taxCollected).to.equal(parseEther('10'));
+
+    const late = model.apply({
+      type: 'unstakeLeoxTokens',
+      timestamp: 1060,
+      staker,
+      collectionAddress,
+      tokenId: 1,
+      amount: parseEther('200'),
+    });
+    expect(late).to.deep.equal({ penalty: 0n, newPoints: parseEther('7.5') });
+    expect(() => model.apply({ type: 'unstakeLeoxTokens', timestamp: 1070, staker, collectionAddress, tokenId: 1, amount: 1 })).to.throw(
+      RewardModelError,
+      'InvalidAmount(1)'
+    );
+  });
+
+  it('Should forfeit the early unstake penalties pro-rated by the lock time remaining', async function () {
+    const model = configuredModel();
+    const stake = (tokenId, timestamp) => ({
+      type: 'stake',
+      timestamp,
+      staker,
+      collectionAddress,
+      tokenId,
+      citizen: 1,
+      timelockEndTime: 600,
+      stakedLeox: parseEther('400'),
+    });
+    model.apply(stake(1, 1000));
+    expect(() => model.apply({ type: 'earlyUnstake', timestamp: 1300, staker, collectionAddress, tokenId: 1 })).to.throw(
+      RewardModelError,
+      'EarlyUnstakeDisabled()'
+    );
+
+    // Half of the lock remains, so half of the 50% and 10% penalties are forfeited to the tax
+    const params = { enabled: true, toRewardPool: false, rewardsPenalty: parseEther('50'), leoxPenalty: parseEther('10') };
+    model.apply({ type: 'setEarlyUnstakeParams', timestamp: 1300, collectionAddress, params });
+    const rewards = model.calculateRewards(staker, collectionAddress, 1, 1300);
+    const rewardsPenalty = rewards / 4n;
+    expect(model.quoteEarlyUnstake(staker, collectionAddress, 1)).to.deep.equal({ rewardsPenalty, leoxPenalty: parseEther('20') });
+
+    const early = model.apply({ type: 'earlyUnstake', timestamp: 1300, staker, collectionAddress, tokenId: 1 });
+    const tax = ((rewards - rewardsPenalty) * 3n) / 100n;
+    expect(early).to.deep.equal({ rewardsAfterTax: rewards - rewardsPenalty - tax, rewardsPenalty, leoxPenalty: parseEther('20') });
+    const pool = model.getPool(collectionAddress);
+    expect(pool).to.include({ taxCollected: rewardsPenalty + parseEther('20') + tax, rewardPool: parseEther('1000000') - rewards });
+
+    // Sent to the reward pool, the LEOX forfeited funds future emissions, the rewards forfeited stay in it
+    model.apply(stake(2, 1300));
+    model.apply({ type: 'setEarlyUnstakeParams', timestamp: 1400, collectionAddress, params: { ...params, toRewardPool: true } });
+    const rewardPool = pool.rewardPool;
+    const lateRewards = model.calculateRewards(staker, collectionAddress, 2, 1450);
+    const late = model.apply({ type: 'earlyUnstake', timestamp: 1450, staker, collectionAddress, tokenId: 2 });
+    expect(late.leoxPenalty).to.equal(parseEther('30'));
+    expect(pool.rewardPool).to.equal(rewardPool - (lateRewards - late.rewardsPenalty) + parseEther('30'));
+  });
+
+  it('Should freeze the rewards of an emergency unstake until the emergency ends or they are released', async function () {
+    const model = configuredModel();
+    model.apply({ type: 'stake', timestamp: 1000, staker, collectionAddress, tokenId: 1, citizen: 1, timelockEndTime: 60, stakedLeox: 0 });
+    model.apply({ type: 'declareEmergency', timestamp: 1100, collectionAddress });
+    const rewards = model.calculateRewards(staker, collectionAddress, 1, 1100);
+    model.apply({ type: 'emergencyUnstake', timestamp: 1200, staker, collectionAddress, tokenId: 1 });
+
+    // The frozen rewards stay committed in the reward pool
+    expect(model.getFrozenRewards(staker, collectionAddress)).to.deep.equal({ rewardAmount: rewards, claimable: false });
+    expect(model.getCommittedRewards(collectionAddress, 1200)).to.be.closeTo(rewards, 10n);
+    expect(() => model.apply({ type: 'claimFrozenRewards', timestamp: 1200, staker, collectionAddress })).to.throw(
+      RewardModelError,
+      'FrozenRewardsLocked()'
+    );
+
+    model.apply({ type: 'releaseFrozenRewards', timestamp: 1200, collectionAddress });
+    const claimed = model.apply({ type: 'claimFrozenRewards', timestamp: 1200, staker, collectionAddress });
+    expect(claimed).to.equal(rewards - (rewards * 3n) / 100n);
+    expect(model.getPool(collectionAddress)).to.include({ totalFrozenRewards: 0n, rewardPool: parseEther('1000000') - rewards });
+    expect(() => model.apply({ type: 'claimFrozenRewards', timestamp: 1200, staker, collectionAddress })).to.throw(
+      RewardModelError,
+      'InvalidAmount(0)'
+    );
+  });
+
+  it('Should extend the lock and roll it over while auto-renewed', async function () {
+    const model = configuredModel();
+    model.apply({ type: 'stake', timestamp: 1000, staker, collectionAddress, tokenId: 1, citizen: 1, timelockEndTime: 60, stakedLeox: 0 });
+    const [position] = model.getPool(collectionAddress).positions.values();
+    const points = position.points;
+
+    // The points follow the multiplier of the new duration
+    const newPoints = model.apply({ type: 'extendLock', timestamp: 1030, staker, collectionAddress, tokenId: 1, newDuration: 600 });
+    expect(newPoints).to.equal((points * parseEther('2.25')) / parseEther('1.5'));
+    expect(model.getPool(collectionAddress).totalPoints).to.equal(newPoints);
+    expect(() => model.apply({ type: 'extendLock', timestamp: 1040, staker, collectionAddress, tokenId: 1, newDuration: 60 })).to.throw(
+      RewardModelError,
+      'LockNotExtended(1630)'
+    );
+
+    // Once expired, an auto-renewed lock rolls over by its whole duration
+    expect(model.apply({ type: 'setAutoRenew', timestamp: 1100, staker, collectionAddress, tokenId: 1, autoRenew: true })).to.equal(1630n);
+    expect(model.getLock(staker, collectionAddress, 1, 1700)).to.deep.equal({ lockPeriodEnd: 2230n, autoRenew: true });
+    expect(() => model.apply({ type: 'unstake', timestamp: 1700, staker, collectionAddress, tokenId: 1 })).to.throw(
+      RewardModelError,
+      'UnstakeBeforeLockPeriod(2230)'
+    );
+
+    expect(model.apply({ type: 'setAutoRenew', timestamp: 1700, staker, collectionAddress, tokenId: 1, autoRenew: false })).to.equal(2230n);
+    expect(model.getLock(staker, collectionAddress, 1, 3000)).to.deep.equal({ lockPeriodEnd: 2230n, autoRenew: false });
+    model.apply({ type: 'unstake', timestamp: 2230, staker, collectionAddress, tokenId: 1 });
+  });
+
+  it('Should throw the contract error and leave the model unchanged', async function () {
+    const model = configuredModel();
+    model.apply({ type: 'stake', timestamp: 1000, staker, collectionAddress, tokenId: 1, citizen: 1, timelockEndTime: 60, stakedLeox: 0 });
+
+    expect(() => model.apply({ type: 'unstake', timestamp: 1030, staker, collectionAddress, tokenId: 1 }))
+      .to.throw(RewardModelError, 'UnstakeBeforeLockPeriod(1060)')
+      .with.property('errorName', 'UnstakeBeforeLockPeriod');
+    expect(model.timestamp).to.equal(1000n);
+    expect(model.calculateRewards(staker, collectionAddress, 1, 1100)).to.equal(99999999999999999997n);
+  });
+
+  for (const seed of SEEDS) {
+    it(`Should match the contract to the wei on randomized scenario ${seed}`, async function () {
+      const random = createRandom(seed);
+      const [admin, ...stakers] = (await ethers.getSigners()).slice(0, 4);
+
+      const erc20Token = await (
+        await ethers.getContractFactory('QRC20')
+      ).deploy('Leox', 'LEOX', 18, parseEther('10000000000'), admin.address, admin.address, parseEther('10000000000'), true);
+      const erc721Token = await (await ethers.getContractFactory('QRC721')).deploy('Nebula', 'NBL', 'https://tokenURIs/', admin.address);
+      const nebulaAddress = await erc721Token.getAddress();
+      const galileoStaking = await (await ethers.getContractFactory('GalileoStaking')).deploy(await erc20Token.getAddress(), INCREMENT);
+      const galileoStakingAddress = await galileoStaking.getAddress();
+      const soulBounToken = await (
+        await ethers.getContractFactory('GalileoSoulBoundToken')
+      ).deploy('NEBULA SBT', 'NSBT', 'https://tokenuri/');
+      await soulBounToken.grantRole(ADMIN_ROLE, galileoStakingAddress);
+      await galileoStaking.grantRole(VALIDATOR_ROLE, admin.address);
+
+      let timestamp = BigInt((await ethers.provider.getBlock('latest')).timestamp);
+      const model = new RewardModel({ increment: INCREMENT });
+      const succeeded = {};
+
+      // Sends a transaction mined at the next timestamp and checks the model throws exactly when the contract reverts
+      async function step(event, send) {
+        timestamp += BigInt(random.int(1, 400));
+        await ethers.provider.send('evm_setNextBlockTimestamp', [Number(timestamp)]);
+
+        let expected;
+        try {
+          expected = { result: model.apply({ ...event, timestamp }) };
+        } catch (error) {
+          if (!(error instanceof RewardModelError)) throw error;
+          expected = { error };
+        }
+
+        try {
+          await (await send()).wait();
+        } catch (error) {
+          const decoded = decodeStakingError(galileoStaking.interface, error);
+          if (!decoded) throw error;
+          expect(expected.error, `${event.type} reverted with ${decoded.name} on-chain`).to.not.equal(undefined);
+          expect(decoded.name).to.equal(expected.error.errorName);
+          expect(Array.from(decoded.args)).to.deep.equal(expected.error.args);
+          return expected;
+        }
+
+        expect(expected.error, `${event.type} succeeded on-chain`).to.equal(undefined);
+        succeeded[event.type] = (succeeded[event.type] || 0) + 1;
+        expect(BigInt((await ethers.provider.getBlock('latest')).timestamp)).to.equal(timestamp);
+        return expected;
+      }
+
+      // Compares every view the model mirrors at the latest block
+      async function compare() {
+        const latest = (await ethers.provider.getBlock('latest')).timestamp;
+        expect(await galileoStaking.rewardPerToken(nebulaAddress)).to.equal(model.rewardPerToken(nebulaAddress, latest));
+        expect(await galileoStaking.getRewardPoolBalance(nebulaAddress)).to.equal(model.getPool(nebulaAddress).rewardPool);
+        expect(await galileoStaking.getCommittedRewards(nebulaAddress)).to.equal(model.getCommittedRewards(nebulaAddress, latest));
+        expect(await galileoStaking.getRewardRunway(nebulaAddress)).to.equal(model.getRewardRunway(nebulaAddress, latest));
+        const [totalPoints] = await galileoStaking.getPoolConfiguration(nebulaAddress);
+        expect(totalPoints).to.equal(model.getPool(nebulaAddress).totalPoints);
+
+        for (const { staker: address, tokenId, rewards } of model.rewardsAt(latest)) {
+          expect(await galileoStaking.calculateRewards(address, nebulaAddress, tokenId)).to.equal(rewards);
+          const [lockPeriodEnd, autoRenew] = await galileoStaking.getLock(address, nebulaAddress, tokenId);
+          expect({ lockPeriodEnd, autoRenew }).to.deep.equal(model.getLock(address, nebulaAddress, tokenId, latest));
+          const [rewardsPenalty, leoxPenalty] = await galileoStaking.quoteEarlyUnstake(address, nebulaAddress, tokenId);
+          expect({ rewardsPenalty, leoxPenalty }).to.deep.equal(model.quoteEarlyUnstake(address, nebulaAddress, tokenId, latest));
+        }
+        for (const account of stakers) {
+          const total = await galileoStaking.calculateRewardsAllRewards(account.address, nebulaAddress);
+          expect(total).to.equal(model.calculateRewardsAllRewards(account.address, nebulaAddress, latest));
+          const [rewardAmount, claimable] = await galileoStaking.getFrozenRewards(account.address, nebulaAddress);
+          expect({ rewardAmount, claimable }).to.deep.equal(model.getFrozenRewards(account.address, nebulaAddress));
+        }
+        expect(await galileoStaking.getTotalFrozenRewards(nebulaAddress)).to.equal(model.getPool(nebulaAddress).totalFrozenRewards);
+      }
+
+      const tiers = TIERS.slice(0, random.int(1, TIERS.length));
+      await step({ type: 'configureNewCollection', collectionAddress: nebulaAddress, tiers }, () =>
+        galileoStaking.configureNewCollection(
+          nebulaAddress,
+          soulBounToken.getAddress(),
+          3333,
+          tiers.map((tier) => [tier.maxLeox, tier.yieldTraitPoints])
+        )
+      );
+      const rewardWindow = { rewardRate: parseEther(String(random.int(1, 20))) / 10n, startTime: timestamp + 1n, endTime: 0n };
+      const tax = parseEther(String(random.int(1, 10)));
+      await step({ type: 'configurePool', collectionAddress: nebulaAddress, tax, rewardWindow }, () =>
+        galileoStaking.configurePool([[nebulaAddress, tax, [[rewardWindow.rewardRate, rewardWindow.startTime, 0]]]])
+      );
+      const compoundTax = parseEther(String(random.int(0, 10)));
+      await step({ type: 'updateCompoundTax', collectionAddress: nebulaAddress, compoundTax }, () =>
+        galileoStaking.updateCompoundTax(nebulaAddress, compoundTax)
+      );
+      const penalty = parseEther(String(random.int(0, 10)));
+      await step({ type: 'updateUnstakeLeoxPenalty', collectionAddress: nebulaAddress, penalty }, () =>
+        galileoStaking.updateUnstakeLeoxPenalty(nebulaAddress, penalty)
+      );
+      const earlyUnstake = {
+        enabled: random.next() < 0.8,
+        toRewardPool: random.next() < 0.5,
+        rewardsPenalty: parseEther(String(random.int(0, 100))),
+        leoxPenalty: parseEther(String(random.int(0, 100))),
+      };
+      await step({ type: 'setEarlyUnstakeParams', collectionAddress: nebulaAddress, params: earlyUnstake }, () =>
+        galileoStaking.setEarlyUnstakeParams(nebulaAddress, earlyUnstake)
+      );
+      await step({ type: 'setMultipliers', collectionAddress: nebulaAddress, multipliers: MULTIPLIERS }, () =>
+        galileoStaking.setMultipliers(
+          nebulaAddress,
+          MULTIPLIERS.map((multiplier) => [multiplier.stakingTime, multiplier.stakingBoost])
+        )
+      );
+      // Small deposits run out during the scenario, which stops the emissions
+      const deposit = parseEther(String(random.int(100, 20000)));
+      await erc20Token.approve(galileoStakingAddress, deposit);
+      await step({ type: 'depositRewards', collectionAddress: nebulaAddress, amount: deposit }, () =>
+        galileoStaking.depositRewards(nebulaAddress, deposit)
+      );
+
+      // Each staker owns three tokens with a fixed citizen tier
+      const tokens = [];
+      for (const [i, account] of stakers.entries()) {
+        for (let j = 1; j <= 3; j++) {
+          const tokenId = BigInt(i * 3 + j);
+          await erc721Token.mint(account.address, tokenId, '0x');
+          // A few tokens have a tier the collection does not configure
+          const citizen = random.next() < 0.1 ? tiers.length + 1 : random.int(1, tiers.length);
+          tokens.push({ account, tokenId, citizen: BigInt(citizen) });
+        }
+        await erc20Token.transfer(account.address, parseEther('100000'));
+        await erc20Token.connect(account).approve(galileoStakingAddress, parseEther('100000'));
+      }
+      timestamp = BigInt((await ethers.provider.getBlock('latest')).timestamp);
+
+      const isStaked = (token) => model.getPool(nebulaAddress).positions.has(`${token.account.address}:${token.tokenId}`);
+      const leoxAmount = () => parseEther(String(random.int(0, 40) * 100));
+
+      for (let i = 0; i < STEPS; i++) {
+        const token = random.pick(tokens);
+        const { account, tokenId } = token;
+        const base = { staker: account.address, collectionAddress: nebulaAddress, tokenId };
+        // Emergencies are lifted quickly, nothing can be staked while one is declared but tokens are left
+        const isEmergencyDeclared = model.getPool(nebulaAddress).isEmergencyDeclared;
+        const action = isEmergencyDeclared && random.next() < 0.6 ? random.pick([0.86, 0.89, 0.89, 0.92]) : random.next();
+
+        if (action < 0.35 && !isStaked(token)) {
+          // Some stakes batch every unstaked token of the account
+          const batch = random.next() < 0.3 ? tokens.filter((item) => item.account === account && !isStaked(item)) : [token];
+          const vouchers = [];
+          for (const item of batch) {
+            // The approvals are mined before the stake, outside of the model
+            await erc721Token.connect(account).approve(galileoStakingAddress, item.tokenId);
+            timestamp = BigInt((await ethers.provider.getBlock('latest')).timestamp);
+            const voucher = {
+              collectionAddress: nebulaAddress,
+              tokenId: item.tokenId,
+              citizen: item.citizen,
+              timelockEndTime: random.pick([...MULTIPLIERS.map((multiplier) => multiplier.stakingTime), 120n]),
+              stakedLeox: leoxAmount(),
+              staker: account.address,
+              nonce: (await galileoStaking.getNonce(account.address)) + BigInt(vouchers.length),
+              deadline: timestamp + 86400n,
+            };
+            voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+            vouchers.push(voucher);
+          }
+          if (batch.length === 1) {
+            await step({ type: 'stake', ...base, ...vouchers[0] }, () => galileoStaking.connect(account).stake(vouchers[0]));
+          } else {
+            await step({ type: 'stakeBatch', staker: account.address, vouchers }, () =>
+              galileoStaking.connect(account).stakeBatch(vouchers)
+            );
+          }
+        } else if (action < 0.2) {
+          // Locks are extended to a staking time, or one without multiplier, or set to roll over
+          if (random.next() < 0.6) {
+            const newDuration = random.pick([...MULTIPLIERS.map((multiplier) => multiplier.stakingTime), 120n]);
+            await step({ type: 'extendLock', ...base, newDuration }, () =>
+              galileoStaking.connect(account).extendLock(nebulaAddress, tokenId, newDuration)
+            );
+          } else {
+            const autoRenew = random.next() < 0.5;
+            await step({ type: 'setAutoRenew', ...base, autoRenew }, () =>
+              galileoStaking.connect(account).setAutoRenew(nebulaAddress, tokenId, autoRenew)
+            );
+          }
+        } else if (action < 0.36) {
+          // Unstake LEOX from a staked token, before or after its lock ends
+          const staked = tokens.filter(isStaked);
+          const target = staked.length > 0 ? random.pick(staked) : token;
+          const amount = leoxAmount();
+          const balance = await erc20Token.balanceOf(target.account.address);
+          const event = {
+            type: 'unstakeLeoxTokens',
+            staker: target.account.address,
+            collectionAddress: nebulaAddress,
+            tokenId: target.tokenId,
+            amount,
+          };
+          const { result } = await step(event, () =>
+            galileoStaking.connect(target.account).unstakeLeoxTokens(nebulaAddress, target.tokenId, amount)
+          );
+          if (result !== undefined)
+            expect((await erc20Token.balanceOf(target.account.address)) - balance).to.equal(amount - result.penalty);
+        } else if (action < 0.43) {
+          const amount = leoxAmount();
+          await step({ type: 'stakeLeoxTokens', ...base, amount }, () =>
+            galileoStaking.connect(account).stakeLeoxTokens(nebulaAddress, tokenId, amount)
+          );
+        } else if (action < 0.47) {
+          // Most tokens picked at random are not staked, compound a staked one instead
+          const staked = tokens.filter(isStaked);
+          const target = staked.length > 0 ? random.pick(staked) : token;
+          const balance = await erc20Token.balanceOf(target.account.address);
+          const event = { type: 'compound', staker: target.account.address, collectionAddress: nebulaAddress, tokenId: target.tokenId };
+          const { result } = await step(event, () => galileoStaking.connect(target.account).compound(nebulaAddress, target.tokenId));
+          if (result !== undefined) expect((await erc20Token.balanceOf(target.account.address)) - balance).to.equal(result.rewardsPaid);
+        } else if (action < 0.51) {
+          // Leave a staked token early, paying the penalties pro-rated by the lock time remaining
+          const staked = tokens.filter(isStaked);
+          const target = staked.length > 0 ? random.pick(staked) : token;
+          const position = model.getPool(nebulaAddress).positions.get(`${target.account.address}:${target.tokenId}`);
+          const balance = await erc20Token.balanceOf(target.account.address);
+          const event = { type: 'earlyUnstake', staker: target.account.address, collectionAddress: nebulaAddress, tokenId: target.tokenId };
+          const { result } = await step(event, () => galileoStaking.connect(target.account).earlyUnstake(nebulaAddress, target.tokenId));
+          if (result !== undefined) {
+            const received = result.rewardsAfterTax + position.stakedLeox - result.leoxPenalty;
+            expect((await erc20Token.balanceOf(target.account.address)) - balance).to.equal(received);
+          }
+        } else if (action < 0.57) {
+          const balance = await erc20Token.balanceOf(account.address);
+          const position = model.getPool(nebulaAddress).positions.get(`${account.address}:${tokenId}`);
+          const { result } = await step({ type: 'unstake', ...base }, () =>
+            galileoStaking.connect(account).unstake(nebulaAddress, tokenId)
+          );
+          if (result !== undefined) expect((await erc20Token.balanceOf(account.address)) - balance).to.equal(result + position.stakedLeox);
+        } else if (action < 0.62) {
+          // A few tokens of the batch may not be staked
+          const tokenIds = tokens.filter((item) => item.account === account && random.next() < 0.7).map((item) => item.tokenId);
+          const pool = model.getPool(nebulaAddress);
+          const stakedLeox = tokenIds.reduce((total, id) => total + (pool.positions.get(`${account.address}:${id}`)?.stakedLeox || 0n), 0n);
+          const balance = await erc20Token.balanceOf(account.address);
+          const { result } = await step({ type: 'unstakeBatch', staker: account.address, collectionAddress: nebulaAddress, tokenIds }, () =>
+            galileoStaking.connect(account).unstakeBatch(nebulaAddress, tokenIds)
+          );
+          if (result !== undefined) expect((await erc20Token.balanceOf(account.address)) - balance).to.equal(result + stakedLeox);
+        } else if (action < 0.7 && i % 2 === 0) {
+          const balance = await erc20Token.balanceOf(account.address);
+          const { result } = await step({ type: 'withdrawAllRewards', ...base }, () =>
+            galileoStaking.connect(account).withdrawAllRewards(nebulaAddress)
+          );
+          if (result !== undefined) expect((await erc20Token.balanceOf(account.address)) - balance).to.equal(result);
+        } else if (action < 0.7) {
+          // The rewards are paid to the account of another token
+          const to = tokens[i % tokens.length].account.address;
+          const balance = await erc20Token.balanceOf(to);
+          const { result } = await step({ type: 'withdrawAllRewardsTo', ...base, to }, () =>
+            galileoStaking.connect(account).withdrawAllRewardsTo(nebulaAddress, to)
+          );
+          if (result !== undefined) expect((await erc20Token.balanceOf(to)) - balance).to.equal(result);
+        } else if (action < 0.72) {
+          const balance = await erc20Token.balanceOf(account.address);
+          const { result } = await step({ type: 'withdrawRewards', ...base }, () =>
+            galileoStaking.connect(account).withdrawRewards(nebulaAddress, tokenId)
+          );
+          if (result !== undefined) expect((await erc20Token.balanceOf(account.address)) - balance).to.equal(result);
+        } else if (action < 0.75) {
+          const tokenIds = tokens.filter((item) => item.account === account && isStaked(item)).map((item) => item.tokenId);
+          const balance = await erc20Token.balanceOf(account.address);
+          const event = { type: 'withdrawRewardsBatch', staker: account.address, collectionAddress: nebulaAddress, tokenIds };
+          const { result } = await step(event, () => galileoStaking.connect(account).withdrawRewardsBatch(nebulaAddress, tokenIds));
+          if (result !== undefined) expect((await erc20Token.balanceOf(account.address)) - balance).to.equal(result);
+        } else if (action < 0.85) {
+          const rewardRate = parseEther(String(random.int(0, 30))) / 10n;
+          const endTime = random.next() < 0.5 ? 0n : timestamp + BigInt(random.int(-50, 2000));
+          await step({ type: 'updateEmissionRate', collectionAddress: nebulaAddress, rewardRate, endTime }, () =>
+            galileoStaking.updateEmissionRate(nebulaAddress, rewardRate, endTime)
+          );
+        } else if (action < 0.88) {
+          const rewardRate = parseEther(String(random.int(1, 20))) / 10n;
+          if (model.getPool(nebulaAddress).isEmergencyDeclared) {
+            await step({ type: 'liftEmergency', collectionAddress: nebulaAddress, rewardRate }, () =>
+              galileoStaking.liftEmergency(nebulaAddress, rewardRate)
+            );
+          } else {
+            await step({ type: 'declareEmergency', collectionAddress: nebulaAddress }, () =>
+              galileoStaking.declareEmergency(nebulaAddress)
+            );
+          }
+        } else if (action < 0.91) {
+          // Leave a staked token in emergency, its rewards being frozen
+          const staked = tokens.filter(isStaked);
+          const target = staked.length > 0 ? random.pick(staked) : token;
+          const event = {
+            type: 'emergencyUnstake',
+            staker: target.account.address,
+            collectionAddress: nebulaAddress,
+            tokenId: target.tokenId,
+          };
+          await step(event, () => galileoStaking.connect(target.account).emergencyUnstake(nebulaAddress, target.tokenId));
+        } else if (action < 0.93) {
+          // The rewards frozen in an emergency are released during it, or claimed
+          if (model.getPool(nebulaAddress).isEmergencyDeclared && random.next() < 0.5) {
+            await step({ type: 'releaseFrozenRewards', collectionAddress: nebulaAddress }, () =>
+              galileoStaking.releaseFrozenRewards(nebulaAddress)
+            );
+          } else {
+            const frozen = stakers.filter((item) => model.getFrozenRewards(item.address, nebulaAddress).rewardAmount > 0n);
+            const claimer = frozen.length > 0 ? random.pick(frozen) : account;
+            const balance = await erc20Token.balanceOf(claimer.address);
+            const { result } = await step({ type: 'claimFrozenRewards', staker: claimer.address, collectionAddress: nebulaAddress }, () =>
+              galileoStaking.connect(claimer).claimFrozenRewards(nebulaAddress)
+            );
+            if (result !== undefined) expect((await erc20Token.balanceOf(claimer.address)) - balance).to.equal(result);
+          }
+        } else if (action < 0.94) {
+          const amount = parseEther(String(random.int(1, 5000)));
+          await erc20Token.approve(galileoStakingAddress, amount);
+          timestamp = BigInt((await ethers.provider.getBlock('latest')).timestamp);
+          await step({ type: 'depositRewards', collectionAddress: nebulaAddress, amount }, () =>
+            galileoStaking.depositRewards(nebulaAddress, amount)
+          );
+        } else if (action < 0.95) {
+          const newTax = parseEther(String(random.int(0, 12)));
+          await step({ type: 'updateTax', collectionAddress: nebulaAddress, tax: newTax }, () =>
+            galileoStaking.updateTax(nebulaAddress, newTax)
+          );
+        } else if (action < 0.98) {
+          const rewardRate = parseEther(String(random.int(1, 20))) / 10n;
+          const startTime = timestamp + BigInt(random.int(-20, 800));
+          const endTime = random.next() < 0.5 ? 0n : startTime + BigInt(random.int(1, 600));
+          await step({ type: 'scheduleRewardWindow', collectionAddress: nebulaAddress, rewardRate, startTime, endTime }, () =>
+            galileoStaking.scheduleRewardWindow(nebulaAddress, rewardRate, startTime, endTime)
+          );
+        } else {
+          const index = random.int(0, model.getPool(nebulaAddress).rewardWindows.length);
+          await step({ type: 'cancelRewardWindow', collectionAddress: nebulaAddress, index }, () =>
+            galileoStaking.cancelRewardWindow(nebulaAddress, index)
+          );
+        }
+
+        await compare();
+      }
+
+      const balance = await erc20Token.balanceOf(admin.address);
+      const { result } = await step({ type: 'withdrawTax', collectionAddress: nebulaAddress }, () =>
+        galileoStaking.withdrawTax(nebulaAddress)
+      );
+      if (result !== undefined) expect((await erc20Token.balanceOf(admin.address)) - balance).to.equal(result);
+
+      // The scenario must have paid out rewards to be meaningful
+      expect(succeeded.stake).to.be.greaterThan(0);
+      const payouts = [
+        'unstake',
+        'unstakeBatch',
+        'earlyUnstake',
+        'withdrawAllRewards',
+        'withdrawAllRewardsTo',
+        'withdrawRewardsBatch',
+        'claimFrozenRewards',
+      ];
+      expect(payouts.reduce((total, type) => total + (succeeded[type] || 0), 0)).to.be.greaterThan(0);
+    });
+  }
+});
@@ -0,0 +1,88 @@
+const { expect } = require('chai');
+const { parseEther } = require('ethers');
+const hre = require('hardhat');
+const { ethers } = hre;
+const { sign } = require('../utils/eip712_staking.js');
+const { getRewardRunway, getStakedPositions, projectRunway } = require('../utils/reward_runway.js');
+const { deployStakingFixture } = require('./fixtures.js');
+
+describe('Reward runway', async function () {
+  let galileoStaking, galileoStakingAddress, erc20Token, erc721Token, nebulaAddress, admin, staker, startBlock;
+
+  beforeEach(async function () {
+    [admin, staker] = await ethers.getSigners();
+
+    ({ galileoStaking, galileoStakingAddress, erc20Token, erc721Token, nebulaAddress, startBlock } = await deployStakingFixture({
+      rewards: parseEther('1000'),
+    }));
+  });
+
+  async function stake(tokenId) {
+    await erc721Token.mint(staker.address, tokenId, '0x');
+    await erc721Token.connect(staker).approve(galileoStakingAddress, tokenId);
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const voucher = {
+      collectionAddress: nebulaAddress,
+      tokenId,
+      citizen: 1,
+      timelockEndTime: 60,
+      stakedLeox: 0,
+      staker: staker.address,
+      nonce: await galileoStaking.getNonce(staker.address),
+      deadline: timestamp + 3600,
+    };
+    voucher.signature = await sign(admin, galileoStakingAddress, voucher);
+    await galileoStaking.connect(staker).stake(voucher);
+  }
+
+  it('Should project the runway across the reward windows', async function () {
+    const windows = [
+      { rewardRate: parseEther('1'), startTime: 1000, endTime: 1100 },
+      { rewardRate: parseEther('2'), startTime: 1200, endTime: 0 },
+    ];
+
+    // 50 LEOX until 1100, nothing until 1200, then 2 LEOX per second
+    expect(projectRunway(windows, { from: 1050, available: parseEther('150') })).to.deep.equal({ runway: 200n, insolventAt: 1250n });
+    expect(projectRunway(windows.slice(0, 1), { from: 1050, available: parseEther('150') })).to.deep.equal({
+      runway: null,
+      insolventAt: null,
+    });
+    expect(projectRunway(windows, { from: 1050, available: -1n })).to.deep.equal({ runway: 0n, insolventAt: 1050n });
+  });
+
+  it('Should subtract the unclaimed rewards of the staked positions from the pool', async function () {
+    await stake(1);
+    await stake(2);
+    await stake(3);
+    await ethers.provider.send('evm_increaseTime', [120]);
+    await galileoStaking.connect(staker).unstake(nebulaAddress, 2);
+    await ethers.provider.send('evm_increaseTime', [100]);
+    await ethers.provider.send('evm_mine', []);
+
+    const positions = await getStakedPositions(galileoStaking, nebulaAddress, { fromBlock: startBlock, batchSize: 4 });
+    expect(positions.map((position) => position.tokenId)).to.deep.equal([1n, 3n]);
+
+    const report = await getRewardRunway(galileoStaking, nebulaAddress, { fromBlock: startBlock });
+    let outstanding = 0n;
+    for (const tokenId of [1, 3]) outstanding += await galileoStaking.calculateRewards(staker.address, nebulaAddress, tokenId);
+    expect(report.outstanding).to.equal(outstanding);
+    expect(report.available).to.equal((await galileoStaking.getRewardPoolBalance(nebulaAddress)) - outstanding);
+    expect(report.rewardRate).to.equal(parseEther('1'));
+    expect(report.runway).to.equal(report.available / parseEther('1'));
+    expect(report.insolventAt).to.equal(report.timestamp + report.runway);
+
+    // Funding 30 days at 1 LEOX per second
+    expect(report.recommendedDeposit).to.equal(parseEther('2592000') - report.available);
+    expect(report.recommendedRate).to.equal(report.available / 2592000n);
+  });
+
+  it('Should fail the task when a runway is below the threshold', async function () {
+    await stake(1);
+    const args = { staking: galileoStakingAddress, collection: nebulaAddress, fromBlock: startBlock };
+
+    const reports = await hre.run('galileo:runway', { ...args, threshold: 600n });
+    expect(reports[nebulaAddress].runway).to.be.greaterThan(600n);
+
+    await expect(hre.run('galileo:runway', { ...args, threshold: 3600n })).to.be.rejectedWith(`Runway below 1h 0m for ${nebulaAddress}`);
+  });
+});
@@ -0,0 +1,63 @@
+const { expect } = require('chai');
+const { parseEther } = require('ethers');
+const { ethers } = require('hardhat');
+const { appendRewardWindow, planRewardFunding, planRewardSchedule } = require('../utils/reward_schedule.js');
+
+let INCREMENT = parseEther('400');
+
+describe('Reward schedule', async function () {
+  it('Should append reward windows as the contract does', async function () {
+    const schedule = appendRewardWindow([[parseEther('1'), 1000, 0]], { rewardRate: parseEther('2'), startTime: 2000, endTime: 3000 });
+
+    expect(schedule).to.deep.equal([
+      { rewardRate: parseEther('1'), startTime: 1000n, endTime: 2000n },
+      { rewardRate: parseEther('2'), startTime: 2000n, endTime: 3000n },
+    ]);
+    expect(() => appendRewardWindow(schedule, { rewardRate: 1, startTime: 2500, endTime: 0 })).to.throw('overlaps reward window 1');
+    expect(() => appendRewardWindow(schedule, { rewardRate: 1, startTime: 4000, endTime: 4000 })).to.throw('must end after it starts');
+  });
+
+  it('Should count the emissions of each window between two timestamps', async function () {
+    const windows = [
+      { rewardRate: parseEther('1'), startTime: 1000, endTime: 2000 },
+      { rewardRate: parseEther('2'), startTime: 3000, endTime: 4000 },
+      { rewardRate: parseEther('3'), startTime: 4000, endTime: 0 },
+    ];
+
+    const plan = planRewardSchedule(windows, { from: 1500, until: 5000 });
+    expect(plan.windows.map((window) => window.leox)).to.deep.equal([parseEther('500'), parseEther('2000'), parseEther('3000')]);
+    expect(plan.total).to.equal(parseEther('5500'));
+    expect(plan.windows[0]).to.include({ from: 1500n, until: 2000n });
+
+    // Windows ended before the plan emit nothing
+    expect(planRewardSchedule(windows, { from: 4500, until: 5000 }).total).to.equal(parseEther('1500'));
+    expect(() => planRewardSchedule(windows, { from: 1500 })).to.throw('Reward window 2 is open-ended');
+  });
+
+  it('Should compute the deposit needed to fund the schedule of a pool', async function () {
+    const [admin] = await ethers.getSigners();
+    const erc20Token = await (
+      await ethers.getContractFactory('QRC20')
+    ).deploy('Leox', 'LEOX', 18, parseEther('10000000000'), admin.address, admin.address, parseEther('10000000000'), true);
+    const erc721Token = await (await ethers.getContractFactory('QRC721')).deploy('Nebula', 'NBL', 'https://tokenURIs/', admin.address);
+    const nebulaAddress = await erc721Token.getAddress();
+    const galileoStaking = await (await ethers.getContractFactory('GalileoStaking')).deploy(await erc20Token.getAddress(), INCREMENT);
+
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    await galileoStaking.configurePool([[nebulaAddress, parseEther('3'), [[parseEther('1'), timestamp + 100, timestamp + 1100]]]]);
+    await erc20Token.approve(await galileoStaking.getAddress(), parseEther('1500'));
+    await galileoStaking.depositRewards(nebulaAddress, parseEther('1500'));
+
+    const from = timestamp + 10;
+    const funding = await planRewardFunding(galileoStaking, nebulaAddress, {
+      from,
+      windows: [{ rewardRate: parseEther('2'), startTime: timestamp + 2000, endTime: timestamp + 2500 }],
+    });
+    expect(funding.total).to.equal(parseEther('2000'));
+    expect(funding.balance).to.equal(parseEther('1500'));
+    expect(funding.shortfall).to.equal(parseEther('500'));
+
+    const funded = await planRewardFunding(galileoStaking, nebulaAddress, { from });
+    expect(funded.shortfall).to.equal(0n);
+  });
+});
@@ -0,0 +1,185 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getAddress, parseEther } = require('ethers');
+const hre = require('hardhat');
+const { ethers } = hre;
+const { buildSafeBatch, simulateSafeBatch } = require('../utils/safe_batch.js');
+const { ADMIN_ROLE, deployStakingFixture } = require('./fixtures.js');
+
+describe('Safe batches', async function () {
+  let galileoStaking, galileoStakingAddress, erc20Token, leoxAddress, nebulaAddress, soulBoundTokenAddress, admin, safe, tmpDir;
+  let manifest, actions;
+
+  beforeEach(async function () {
+    [admin] = await ethers.getSigners();
+    safe = ethers.Wallet.createRandom().address;
+
+    ({
+      galileoStaking,
+      galileoStakingAddress,
+      erc20Token,
+      leoxAddress,
+      nebulaAddress,
+      sbtAddress: soulBoundTokenAddress,
+    } = await deployStakingFixture({ configure: false }));
+
+    await galileoStaking.grantRole(ADMIN_ROLE, safe);
+    await erc20Token.transfer(safe, parseEther('50000'));
+
+    manifest = { collections: { nebula: { collectionAddress: nebulaAddress, soulboundToken: soulBoundTokenAddress } } };
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    actions = [
+      { action: 'configureNewCollection', collection: 'nebula', tokenIdsCount: 3333, tiers: [{ maxLeox: '5000', yieldTraitPoints: 5 }] },
+      {
+        action: 'configurePool',
+        collection: 'nebula',
+        tax: '3',
+        rewardWindows: [{ rewardRate: '1', startTime: timestamp, duration: '30d' }],
+      },
+      { action: 'setMultipliers', collection: 'nebula', multipliers: '30d:1.5,90d:2' },
+      { action: 'depositRewards', collection: 'nebula', amount: '50000' },
+    ];
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'galileo-safe-'));
+  });
+
+  afterEach(async function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function build(batchActions) {
+    return buildSafeBatch(batchActions, {
+      chainId: 137,
+      safeAddress: safe,
+      stakingInterface: galileoStaking.interface,
+      stakingAddress: galileoStakingAddress,
+      leoxAddress,
+      manifest,
+    });
+  }
+
+  it('Should encode actions into a Transaction Builder batch', async function () {
+    const batch = build(actions);
+
+    expect(batch.chainId).to.equal('137');
+    expect(batch.meta.createdFromSafeAddress).to.equal(safe);
+    expect(batch.transactions).to.have.length(5);
+    expect(batch.transactions[3].to).to.equal(leoxAddress);
+
+    const configurePool = galileoStaking.interface.parseTransaction(batch.transactions[1]);
+    const [[collectionAddress, tax, [[rewardRate, startTime, endTime]]]] = configurePool.args[0];
+    expect(collectionAddress).to.equal(nebulaAddress);
+    expect(tax).to.equal(parseEther('3'));
+    expect(rewardRate).to.equal(parseEther('1'));
+    expect(endTime - startTime).to.equal(2592000n);
+
+    const deposit = galileoStaking.interface.parseTransaction(batch.transactions[4]);
+    expect(deposit.name).to.equal('depositRewards');
+    expect(deposit.args).to.deep.equal([nebulaAddress, parseEther('50000')]);
+
+    expect(batch.meta.description.split('\n')).to.deep.equal([
+      `1. Configure collection nebula (${nebulaAddress}) with SBT ${soulBoundTokenAddress}, 3333 tokens, tiers 1: 5000.0 LEOX / 5 pts`,
+      `2. Configure pool of nebula (${nebulaAddress}) with 3% tax, reward windows 1.0 LEOX/s from ${new Date(
+        Number(startTime) * 1000
+      ).toISOString()} to ${new Date(Number(endTime) * 1000).toISOString()}`,
+      `3. Set multipliers of nebula (${nebulaAddress}) to 2592000s x1.5, 7776000s x2.0`,
+      `4. Approve and deposit 50000.0 LEOX into the reward pool of nebula (${nebulaAddress})`,
+    ]);
+  });
+
+  it('Should encode the scheduling and cancelling of reward windows', async function () {
+    const batch = build([
+      { action: 'scheduleRewardWindow', collection: 'nebula', rewardRate: '2', startTime: '2026-11-01T00:00:00Z', duration: '1d' },
+      { action: 'cancelRewardWindow', collection: 'nebula', index: 1 },
+    ]);
+
+    const schedule = galileoStaking.interface.parseTransaction(batch.transactions[0]);
+    expect(schedule.args).to.deep.equal([nebulaAddress, parseEther('2'), 1793491200n, 1793577600n]);
+    expect(galileoStaking.interface.parseTransaction(batch.transactions[1]).args).to.deep.equal([nebulaAddress, 1n]);
+    expect(batch.meta.description.split('\n')).to.deep.equal([
+      `1. Schedule a reward window of nebula (${nebulaAddress}) at 2.0 LEOX/s from 2026-11-01T00:00:00.000Z to 2026-11-02T00:00:00.000Z`,
+      `2. Cancel reward window 1 of nebula (${nebulaAddress})`,
+    ]);
+  });
+
+  it('Should encode the early unstake penalties', async function () {
+    const batch = build([
+      { action: 'setEarlyUnstakeParams', collection: 'nebula', rewardsPenalty: '50', leoxPenalty: '2.5', toRewardPool: true },
+      { action: 'setEarlyUnstakeParams', collection: 'nebula', enabled: false },
+    ]);
+
+    const [enable, disable] = batch.transactions.map((transaction) => galileoStaking.interface.parseTransaction(transaction));
+    expect(enable.args).to.deep.equal([nebulaAddress, [true, true, parseEther('50'), parseEther('2.5')]]);
+    expect(disable.args).to.deep.equal([nebulaAddress, [false, false, 0n, 0n]]);
+    expect(batch.meta.description.split('\n')).to.deep.equal([
+      `1. Set early unstake penalties of nebula (${nebulaAddress}) to 50% of the rewards and 2.5% of the LEOX, to the reward pool`,
+      `2. Disable early unstaking of nebula (${nebulaAddress})`,
+    ]);
+  });
+
+  it('Should encode the trusted forwarder and Permit2', async function () {
+    const forwarder = '0x000000000000000000000000000000000000f0f0';
+    const permit2 = '0x000000000022d473030f116ddee9f6b43ac78ba3';
+    const batch = build([
+      { action: 'setTrustedForwarder', forwarder },
+      { action: 'setPermit2', permit2 },
+    ]);
+
+    expect(galileoStaking.interface.parseTransaction(batch.transactions[0]).args).to.deep.equal([getAddress(forwarder)]);
+    expect(galileoStaking.interface.parseTransaction(batch.transactions[1]).args).to.deep.equal([getAddress(permit2)]);
+    expect(batch.meta.description.split('\n')).to.deep.equal([
+      `1. Trust the forwarder ${getAddress(forwarder)}`,
+      `2. Set Permit2 to ${getAddress(permit2)}`,
+    ]);
+  });
+
+  it('Should revert on an unknown or invalid action', async function () {
+    expect(() => build([{ action: 'mint' }])).to.throw('Action 0 has unknown type "mint"');
+    expect(() => build([{ action: 'updateTax', collection: 'orion', tax: '1' }])).to.throw(
+      'Action 0 (updateTax) is invalid: Unknown collection "orion"'
+    );
+  });
+
+  it('Should simulate the batch as the Safe and revert the changes', async function () {
+    const results = await simulateSafeBatch(ethers.provider, build(actions), [galileoStaking.interface]);
+
+    expect(results.map((result) => result.success)).to.deep.equal([true, true, true, true, true]);
+    expect((await galileoStaking.getPoolConfiguration(nebulaAddress)).rewardCount).to.equal(0);
+    expect(await erc20Token.balanceOf(safe)).to.equal(parseEther('50000'));
+  });
+
+  it('Should report the decoded error of the first failing transaction', async function () {
+    await galileoStaking.revokeRole(ADMIN_ROLE, safe);
+
+    const results = await simulateSafeBatch(ethers.provider, build(actions), [galileoStaking.interface]);
+
+    expect(results).to.have.length(1);
+    expect(results[0].error).to.equal(`AccessControlUnauthorizedAccount(${safe}, ${ADMIN_ROLE})`);
+  });
+
+  it('Should write the batch from the task after a successful simulation', async function () {
+    const actionsFile = path.join(tmpDir, 'actions.json');
+    const out = path.join(tmpDir, 'batch.json');
+    fs.writeFileSync(actionsFile, JSON.stringify([{ ...actions[0], collection: nebulaAddress, soulboundToken: soulBoundTokenAddress }]));
+
+    await hre.run('galileo:safe-batch', { actions: actionsFile, safe, staking: galileoStakingAddress, leox: leoxAddress, out });
+
+    const batch = JSON.parse(fs.readFileSync(out, 'utf8'));
+    expect(batch.transactions).to.have.length(1);
+    expect(batch.meta.createdFromSafeAddress).to.equal(safe);
+  });
+
+  it('Should not write the batch if the simulation fails', async function () {
+    const actionsFile = path.join(tmpDir, 'actions.json');
+    const out = path.join(tmpDir, 'batch.json');
+    fs.writeFileSync(actionsFile, JSON.stringify([{ action: 'pause' }]));
+    await galileoStaking.revokeRole(ADMIN_ROLE, safe);
+
+    await expect(
+      hre.run('galileo:safe-batch', { actions: actionsFile, safe, staking: galileoStakingAddress, leox: leoxAddress, out })
+    ).to.be.rejectedWith('Simulation failed at transaction 1: AccessControlUnauthorizedAccount');
+    expect(fs.existsSync(out)).to.equal(false);
+  });
+});
@@ -0,0 +1,297 @@
+const { expect } = require('chai');
+const { parseEther } = require('ethers');
+const { ethers } = require('hardhat');
+const { sign } = require('../utils/eip712_staking.js');
+const { GalileoStakingClient, GalileoStakingError, isStakingError } = require('../sdk');
+const { ADMIN_ROLE, INCREMENT, VALIDATOR_ROLE, deployStakingFixture } = require('./fixtures.js');
+
+describe('GalileoStakingClient', async function () {
+  let galileoStaking, galileoStakingAddress, erc20Token, erc721Token, nebulaAddress, admin, staker, client;
+
+  beforeEach(async function () {
+    [admin, staker] = await ethers.getSigners();
+
+    ({ galileoStaking, galileoStakingAddress, erc20Token, erc721Token, nebulaAddress } = await deployStakingFixture());
+
+    await erc20Token.transfer(staker.address, parseEther('10000'));
+    await erc721Token.mint(staker.address, 1, '0x');
+    await erc721Token.mint(staker.address, 2, '0x');
+
+    client = new GalileoStakingClient({ runner: staker, stakingAddress: galileoStakingAddress });
+  });
+
+  async function signVoucher(tokenId, stakedLeox = parseEther('100'), nonceOffset = 0n) {
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const voucher = {
+      collectionAddress: nebulaAddress,
+      tokenId,
+      citizen: 1,
+      timelockEndTime: 60,
+      stakedLeox,
+      staker: staker.address,
+      nonce: (await client.getNonce()) + nonceOffset,
+      deadline: timestamp + 3600,
+    };
+    return { ...voucher, signature: await sign(admin, galileoStakingAddress, voucher) };
+  }
+
+  it('Should approve the token and the LEOX before staking', async function () {
+    const receipt = await client.stake(await signVoucher(1));
+
+    expect(await erc721Token.ownerOf(1)).to.equal(galileoStakingAddress);
+    expect(await erc20Token.balanceOf(staker.address)).to.equal(parseEther('9900'));
+
+    const position = await client.getPosition(nebulaAddress, 1);
+    const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+    expect(position.stakedLeox).to.equal(parseEther('100'));
+    expect(position.lockDuration).to.equal(60n);
+    expect(position.unlockTime).to.equal(BigInt(timestamp + 60));
+    expect(position.unlockDate).to.deep.equal(new Date((timestamp + 60) * 1000));
+  });
+
+  it('Should not approve again what is already approved', async function () {
+    await erc20Token.connect(staker).approve(galileoStakingAddress, parseEther('1000'));
+    await erc721Token.connect(staker).approve(galileoStakingAddress, 1);
+
+    expect(await client.approveLeox(parseEther('1000'))).to.equal(null);
+    expect(await client.approveToken(nebulaAddress, 1)).to.equal(null);
+    expect(await client.approveToken(nebulaAddress, 2)).to.not.equal(null);
+  });
+
+  it('Should add LEOX and list every position of the staker', async function () {
+    await client.stake(await signVoucher(1));
+    await client.stake(await signVoucher(2));
+    await client.stakeLeoxTokens(nebulaAddress, 2, parseEther('300'));
+    await client.unstakeLeoxTokens(nebulaAddress, 2, parseEther('100'));
+
+    await client.compound(nebulaAddress, 1);
+
+    const positions = await client.getPositions(nebulaAddress, staker.address, { pageSize: 1 });
+    expect(positions.map((position) => position.tokenId)).to.deep.equal([1n, 2n]);
+    expect(positions[0].stakedLeox).to.be.greaterThan(parseEther('100'));
+    expect(await client.getCompoundTax(nebulaAddress)).to.equal(0n);
+    expect(await client.getUnstakeLeoxPenalty(nebulaAddress)).to.equal(0n);
+    expect(await client.getPosition(nebulaAddress, 2)).to.include({ stakedLeox: parseEther('300') });
+    expect(await erc20Token.balanceOf(staker.address)).to.equal(parseEther('9600'));
+    expect(await client.getPosition(nebulaAddress, 3)).to.equal(null);
+  });
+
+  it('Should split batches into transactions below the gas limit', async function () {
+    const vouchers = [await signVoucher(1), await signVoucher(2, parseEther('100'), 1n)];
+    await client.approveLeox(parseEther('200'));
+    await client.approveToken(nebulaAddress, 1);
+    const maxGas = await galileoStaking.connect(staker).stakeBatch.estimateGas(vouchers.slice(0, 1));
+
+    expect(await client.stakeBatch(vouchers, { maxGas })).to.have.lengthOf(2);
+    expect(await erc721Token.ownerOf(2)).to.equal(galileoStakingAddress);
+    expect(await erc20Token.balanceOf(staker.address)).to.equal(parseEther('9800'));
+
+    await ethers.provider.send('evm_increaseTime', [120]);
+    await ethers.provider.send('evm_mine', []);
+    expect(await client.withdrawRewardsBatch(nebulaAddress, [1, 2])).to.have.lengthOf(1);
+    expect(await client.calculateRewardsAllRewards(nebulaAddress)).to.equal(0n);
+    expect(await client.unstakeBatch(nebulaAddress, [1, 2])).to.have.lengthOf(1);
+    expect(await erc721Token.ownerOf(1)).to.equal(staker.address);
+    expect(await client.unstakeBatch(nebulaAddress, [])).to.deep.equal([]);
+  });
+
+  it('Should split batches above the block gas limit', async function () {
+    const vouchers = [await signVoucher(1), await signVoucher(2, parseEther('100'), 1n)];
+    await client.approveLeox(parseEther('200'));
+    await client.approveToken(nebulaAddress, 1);
+    await client.approveToken(nebulaAddress, 2);
+    const gas = await galileoStaking.connect(staker).stakeBatch.estimateGas(vouchers.slice(0, 1));
+    const { gasLimit } = await ethers.provider.getBlock('latest');
+
+    // Estimating both vouchers fails as they do not fit in a block
+    await ethers.provider.send('evm_setBlockGasLimit', [ethers.toQuantity((gas * 3n) / 2n)]);
+    try {
+      await expect(galileoStaking.connect(staker).stakeBatch.estimateGas(vouchers)).to.be.rejected;
+      expect(await client.stakeBatch(vouchers, { approve: false, maxGas: gasLimit })).to.have.lengthOf(2);
+    } finally {
+      await ethers.provider.send('evm_setBlockGasLimit', [ethers.toQuantity(gasLimit)]);
+    }
+    expect(await erc721Token.ownerOf(2)).to.equal(galileoStakingAddress);
+
+    // A single item failing to estimate is not retried
+    await expect(client.unstakeBatch(nebulaAddress, [1])).to.be.rejectedWith(GalileoStakingError, 'UnstakeBeforeLockPeriod');
+  });
+
+  it('Should renew the lock of a position and roll it over', async function () {
+    await client.stake(await signVoucher(1));
+    await ethers.provider.send('evm_increaseTime', [120]);
+    const receipt = await client.extendLock(nebulaAddress, 1, 60);
+    const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+
+    expect((await client.getPosition(nebulaAddress, 1)).unlockTime).to.equal(BigInt(timestamp + 60));
+    await client.setAutoRenew(nebulaAddress, 1, true);
+    await ethers.provider.send('evm_increaseTime', [90]);
+    await ethers.provider.send('evm_mine', []);
+
+    // The running period started when the previous one ended
+    const lock = await client.getLock(nebulaAddress, 1);
+    expect(lock).to.deep.equal({ unlockTime: BigInt(timestamp + 120), unlockDate: new Date((timestamp + 120) * 1000), autoRenew: true });
+    expect(await client.getLock(nebulaAddress, 2)).to.equal(null);
+  });
+
+  it('Should quote and unstake a locked position early', async function () {
+    await galileoStaking.setEarlyUnstakeParams(nebulaAddress, [true, false, parseEther('50'), parseEther('10')]);
+    await client.stake(await signVoucher(1));
+    await ethers.provider.send('evm_increaseTime', [30]);
+    await ethers.provider.send('evm_mine', []);
+
+    expect(await client.getEarlyUnstakeParams(nebulaAddress)).to.deep.equal({
+      enabled: true,
+      toRewardPool: false,
+      rewardsPenalty: parseEther('50'),
+      leoxPenalty: parseEther('10'),
+    });
+    const { rewardsPenalty, leoxPenalty } = await client.quoteEarlyUnstake(nebulaAddress, 1);
+    expect(rewardsPenalty).to.be.greaterThan(0n);
+    expect(leoxPenalty).to.be.within(parseEther('4.5'), parseEther('5'));
+
+    await client.earlyUnstake(nebulaAddress, 1);
+    expect(await erc721Token.ownerOf(1)).to.equal(staker.address);
+    expect(await client.quoteEarlyUnstake(nebulaAddress, 1).catch((error) => error.errorName)).to.equal('TokenNotStaked');
+  });
+
+  it('Should throw typed errors for custom errors of the contract', async function () {
+    await client.stake(await signVoucher(1));
+    const { unlockTime } = await client.getPosition(nebulaAddress, 1);
+
+    const error = await client.unstake(nebulaAddress, 1).catch((error) => error);
+    expect(error).to.be.instanceOf(GalileoStakingError);
+    expect(isStakingError(error, 'UnstakeBeforeLockPeriod')).to.equal(true);
+    expect(error.args).to.deep.equal({ lockPeriodEnd: unlockTime });
+    expect(error.message).to.equal(`UnstakeBeforeLockPeriod(${unlockTime})`);
+
+    await expect(client.emergencyUnstake(nebulaAddress, 1)).to.be.rejectedWith(GalileoStakingError, 'EmergencyNotDeclared()');
+  });
+
+  it('Should claim the rewards frozen by an emergency unstake once the emergency is lifted', async function () {
+    await client.stake(await signVoucher(1));
+    await galileoStaking.declareEmergency(nebulaAddress);
+    await client.emergencyUnstake(nebulaAddress, 1);
+
+    const { rewardAmount, claimable } = await client.getFrozenRewards(nebulaAddress);
+    expect(rewardAmount).to.be.greaterThan(0n);
+    expect(claimable).to.equal(false);
+    expect(await client.getTotalFrozenRewards(nebulaAddress)).to.equal(rewardAmount);
+    await expect(client.claimFrozenRewards(nebulaAddress)).to.be.rejectedWith(GalileoStakingError, 'FrozenRewardsLocked()');
+
+    await galileoStaking.liftEmergency(nebulaAddress, parseEther('1'));
+    await client.claimFrozenRewards(nebulaAddress);
+    expect(await client.getFrozenRewards(nebulaAddress)).to.deep.equal({ rewardAmount: 0n, claimable: true });
+    expect(await erc20Token.balanceOf(staker.address)).to.equal(parseEther('10000') + rewardAmount - (rewardAmount * 3n) / 100n);
+  });
+
+  it('Should claim the rewards of the staker for another address', async function () {
+    await client.stake(await signVoucher(1));
+    await ethers.provider.send('evm_increaseTime', [60]);
+    await client.withdrawAllRewardsTo(nebulaAddress, admin.address);
+    expect(await client.calculateRewardsAllRewards(nebulaAddress)).to.equal(0n);
+
+    // The admin claims as operator of the staker, then relays a claim signed by the staker
+    const operator = new GalileoStakingClient({ runner: admin, stakingAddress: galileoStakingAddress });
+    await client.setClaimOperator(admin.address, true);
+    await client.setRewardsBeneficiary(admin.address);
+    expect(await operator.isClaimOperator(admin.address, staker.address)).to.equal(true);
+    expect(await client.getRewardsBeneficiary()).to.equal(admin.address);
+    await operator.withdrawAllRewardsFor(staker.address, nebulaAddress);
+
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const claim = await client.signClaimRewards(nebulaAddress, { deadline: timestamp + 3600 });
+    const receipt = await operator.withdrawAllRewardsWithSig(claim);
+    const { args } = receipt.logs.find((log) => log.fragment && log.fragment.name === 'WithdrawAllRewardsTo');
+    expect(args.recipient).to.equal(admin.address);
+    expect(await client.getClaimNonce()).to.equal(1n);
+    expect(await erc20Token.balanceOf(staker.address)).to.equal(parseEther('9900'));
+    await expect(operator.withdrawAllRewardsWithSig(claim)).to.be.rejectedWith(GalileoStakingError, 'InvalidNonce(1)');
+  });
+
+  it('Should stake a token by sending it with its voucher', async function () {
+    const collection = await (await ethers.getContractFactory('ERC721Mock')).deploy('Nebula', 'NBL');
+    const soulBounToken = await (
+      await ethers.getContractFactory('GalileoSoulBoundToken')
+    ).deploy('NEBULA SBT', 'NSBT', 'https://tokenuri/');
+    await soulBounToken.grantRole(ADMIN_ROLE, galileoStakingAddress);
+    await galileoStaking.configureNewCollection(collection.getAddress(), soulBounToken.getAddress(), 3333, [[parseEther('5000'), 5]]);
+    await galileoStaking.configurePool([[collection.getAddress(), parseEther('3'), [[parseEther('1'), 0, 0]]]]);
+    await galileoStaking.setMultipliers(collection.getAddress(), [[60, parseEther('1.5')]]);
+    await collection.mint(staker.address, 1);
+
+    nebulaAddress = await collection.getAddress();
+    await client.stakeViaSafeTransfer(await signVoucher(1));
+    expect(await collection.ownerOf(1)).to.equal(galileoStakingAddress);
+    expect((await client.getPosition(nebulaAddress, 1)).stakedLeox).to.equal(parseEther('100'));
+
+    await collection.mint(staker.address, 2);
+    await expect(client.stakeViaSafeTransfer(await signVoucher(2, parseEther('100'), 1n))).to.be.rejectedWith(
+      GalileoStakingError,
+      'InvalidNonce(1)'
+    );
+  });
+
+  it('Should stake with an ERC-2612 permit when LEOX supports it', async function () {
+    const leoxPermit = await (await ethers.getContractFactory('LeoxPermit')).deploy(parseEther('1000000'));
+    const staking = await (await ethers.getContractFactory('GalileoStaking')).deploy(await leoxPermit.getAddress(), INCREMENT);
+    const soulBounToken = await (
+      await ethers.getContractFactory('GalileoSoulBoundToken')
+    ).deploy('NEBULA SBT', 'NSBT', 'https://tokenuri/');
+    await soulBounToken.grantRole(ADMIN_ROLE, staking.getAddress());
+    await staking.grantRole(VALIDATOR_ROLE, admin.address);
+    await staking.configureNewCollection(nebulaAddress, soulBounToken.getAddress(), 3333, [[parseEther('5000'), 5]]);
+    await staking.configurePool([[nebulaAddress, parseEther('3'), [[parseEther('1'), 0, 0]]]]);
+    await staking.setMultipliers(nebulaAddress, [[60, parseEther('1.5')]]);
+    await leoxPermit.transfer(staker.address, parseEther('1000'));
+
+    galileoStakingAddress = await staking.getAddress();
+    client = new GalileoStakingClient({ runner: staker, stakingAddress: galileoStakingAddress });
+    await client.stakeWithPermit(await signVoucher(1));
+    await client.stakeLeoxTokensWithPermit(nebulaAddress, 1, parseEther('50'));
+
+    expect((await client.getPosition(nebulaAddress, 1)).stakedLeox).to.equal(parseEther('150'));
+    expect(await leoxPermit.nonces(staker.address)).to.equal(2n);
+    expect(await leoxPermit.allowance(staker.address, galileoStakingAddress)).to.equal(0n);
+  });
+
+  it('Should stake with a Permit2 permit when LEOX has no permit', async function () {
+    await expect(client.stakeWithPermit(await signVoucher(1))).to.be.rejectedWith(
+      'LEOX has no ERC-2612 permit and GalileoStaking has no Permit2'
+    );
+
+    const permit2 = await (await ethers.getContractFactory('Permit2')).deploy();
+    await galileoStaking.setPermit2(permit2.getAddress());
+    expect(await client.getPermit2()).to.equal(await permit2.getAddress());
+
+    // Permit2 is approved once for every permit
+    await client.stakeWithPermit(await signVoucher(1));
+    expect(await erc20Token.allowance(staker.address, permit2.getAddress())).to.equal(ethers.MaxUint256);
+    await client.stakeLeoxTokensWithPermit(nebulaAddress, 1, parseEther('50'));
+
+    expect((await client.getPosition(nebulaAddress, 1)).stakedLeox).to.equal(parseEther('150'));
+    expect(await erc20Token.balanceOf(staker.address)).to.equal(parseEther('9850'));
+    expect(await erc20Token.allowance(staker.address, galileoStakingAddress)).to.equal(0n);
+  });
+
+  it('Should unstake, withdraw rewards and read the views', async function () {
+    await client.stake(await signVoucher(1));
+    await client.stake(await signVoucher(2));
+    await ethers.provider.send('evm_increaseTime', [120]);
+    await ethers.provider.send('evm_mine', []);
+
+    expect(await client.calculateRewardsAllRewards(nebulaAddress)).to.be.greaterThan(0n);
+    await client.withdrawRewards(nebulaAddress, 2);
+    expect(await galileoStaking.calculateRewards(staker.address, nebulaAddress, 2)).to.equal(0n);
+    await client.withdrawAllRewards(nebulaAddress);
+    await client.unstake(nebulaAddress, 1);
+    expect(await erc721Token.ownerOf(1)).to.equal(staker.address);
+
+    const pool = await client.getPoolConfiguration(nebulaAddress);
+    expect(pool.tax).to.equal(parseEther('3'));
+    expect(pool.rewardWindows[0].rewardRate).to.equal(parseEther('1'));
+    expect(pool.totalPoints).to.equal((await client.getPosition(nebulaAddress, 2)).points);
+    expect(await client.getMultipliers(nebulaAddress)).to.deep.equal([{ stakingTime: 60n, stakingBoost: parseEther('1.5') }]);
+    expect(await client.getYieldTraitPoints(nebulaAddress, 1)).to.include({ maxLeox: parseEther('5000'), yieldTraitPoints: 5n });
+  });
+});
@@ -0,0 +1,161 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEther } = require('ethers');
+const { ethers } = require('hardhat');
+const { createVoucherServer, loadTierFile } = require('../services/voucher_signer.js');
+const { MAX_BODY_BYTES } = require('../services/http_utils.js');
+const { VALIDATOR_ROLE, deployStakingFixture } = require('./fixtures.js');
+
+let stakeTime = 60;
+
+describe('Voucher signer service', async function () {
+  let galileoStaking, admin, staker1, staker2;
+  let erc20Token, erc721Token;
+  let nebulaAddress, galileoStakingAddress, server, url;
+
+  beforeEach(async function () {
+    [admin, staker1, staker2] = await ethers.getSigners();
+
+    ({ galileoStaking, galileoStakingAddress, erc20Token, erc721Token, nebulaAddress } = await deployStakingFixture({
+      tiers: [
+        [parseEther('5000'), 5],
+        [parseEther('4000'), 4],
+      ],
+      multipliers: [[stakeTime, parseEther('1.5')]],
+      rewards: 0n,
+    }));
+
+    await erc721Token.mint(staker1.address, 1, '0x');
+    await erc721Token.mint(staker1.address, 2, '0x');
+
+    const tierFile = path.join(os.tmpdir(), `galileo-tiers-${process.pid}.json`);
+    fs.writeFileSync(tierFile, JSON.stringify({ [nebulaAddress.toLowerCase()]: { 1: 2, 2: 1, 3: 1 } }));
+
+    server = createVoucherServer({ signer: admin, stakingAddress: galileoStakingAddress, tiers: loadTierFile(tierFile) });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/vouchers`;
+    fs.unlinkSync(tierFile);
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  function requestVoucher(body) {
+    return fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  }
+
+  it('Should return a voucher that can be staked', async function () {
+    const stakeLeoxAmount = parseEther('100');
+    const response = await requestVoucher({
+      collectionAddress: nebulaAddress,
+      tokenId: 1,
+      staker: staker1.address,
+      timelockEndTime: stakeTime,
+      stakedLeox: stakeLeoxAmount.toString(),
+    });
+    expect(response.status).to.equal(200);
+
+    const voucher = await response.json();
+    expect(voucher.citizen).to.equal('2');
+    expect(voucher.nonce).to.equal('0');
+
+    await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+    await erc20Token.transfer(staker1.address, stakeLeoxAmount);
+    await erc20Token.connect(staker1).approve(galileoStakingAddress, stakeLeoxAmount);
+    await galileoStaking.connect(staker1).stake(voucher);
+
+    const stakeInfo = await galileoStaking.getStakersPosition(staker1.address, nebulaAddress, 1);
+    expect(stakeInfo.citizen).to.equal(2);
+  });
+
+  it('Should return vouchers with consecutive nonces that can be staked in a batch', async function () {
+    const vouchers = [];
+    for (const [nonceOffset, tokenId] of [1, 2].entries()) {
+      const response = await requestVoucher({
+        collectionAddress: nebulaAddress,
+        tokenId,
+        staker: staker1.address,
+        timelockEndTime: stakeTime,
+        stakedLeox: 0,
+        nonceOffset,
+      });
+      expect(response.status).to.equal(200);
+      vouchers.push(await response.json());
+    }
+    expect(vouchers.map(({ nonce }) => nonce)).to.deep.equal(['0', '1']);
+
+    await erc721Token.connect(staker1).approve(galileoStakingAddress, 1);
+    await erc721Token.connect(staker1).approve(galileoStakingAddress, 2);
+    await galileoStaking.connect(staker1).stakeBatch(vouchers);
+
+    expect(await galileoStaking.getNonce(staker1.address)).to.equal(2);
+  });
+
+  it('Should return 404 if the token does not exist', async function () {
+    const response = await requestVoucher({
+      collectionAddress: nebulaAddress,
+      tokenId: 3,
+      staker: staker1.address,
+      timelockEndTime: stakeTime,
+      stakedLeox: 0,
+    });
+
+    expect(response.status).to.equal(404);
+    expect((await response.json()).error).to.equal(`Token 3 of ${nebulaAddress} does not exist`);
+  });
+
+  it('Should return 404 if the token has no citizen tier', async function () {
+    const response = await requestVoucher({
+      collectionAddress: nebulaAddress,
+      tokenId: 4,
+      staker: staker1.address,
+      timelockEndTime: stakeTime,
+      stakedLeox: 0,
+    });
+
+    expect(response.status).to.equal(404);
+  });
+
+  it('Should return 400 if the staker does not own the token', async function () {
+    const response = await requestVoucher({
+      collectionAddress: nebulaAddress,
+      tokenId: 1,
+      staker: staker2.address,
+      timelockEndTime: stakeTime,
+      stakedLeox: 0,
+    });
+
+    expect(response.status).to.equal(400);
+  });
+
+  it('Should return 400 if the request is invalid', async function () {
+    const response = await requestVoucher({ collectionAddress: 'nebula', tokenId: 1, staker: staker1.address });
+
+    expect(response.status).to.equal(400);
+    expect((await response.json()).error).to.equal('Invalid collectionAddress');
+  });
+
+  it('Should return 413 if the request body is too large', async function () {
+    const response = await requestVoucher({ collectionAddress: nebulaAddress, padding: 'x'.repeat(MAX_BODY_BYTES) });
+
+    expect(response.status).to.equal(413);
+    expect((await response.json()).error).to.equal('Request body is too large');
+  });
+
+  it('Should return 503 if the validator key is no longer authorized', async function () {
+    await galileoStaking.revokeRole(VALIDATOR_ROLE, admin.address);
+
+    const response = await requestVoucher({
+      collectionAddress: nebulaAddress,
+      tokenId: 1,
+      staker: staker1.address,
+      timelockEndTime: stakeTime,
+      stakedLeox: 0,
+    });
+
+    expect(response.status).to.equal(503);
+  });
+});
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { getAddress } = require('ethers');
+const { decodeStakingError } = require('./staking_errors.js');
+
+/**
+ * Splits CSV content into rows of fields. Supports quoted fields with escaped quotes.
+ *
+ * @param content The CSV content.
+ * @returns The rows, header included.
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some((value) => value.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some((value) => value.trim() !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Reads token metadata records from a CSV or JSON file.
+ *
+ * CSV files need a header row. JSON files hold an array of records, or an object keyed by token ID.
+ *
+ * @param metadataFile Path of the metadata file.
+ * @returns The records.
+ */
+function readTokenMetadata(metadataFile) {
+  const content = fs.readFileSync(metadataFile, 'utf8');
+
+  if (path.extname(metadataFile).toLowerCase() === '.csv') {
+    const [header, ...rows] = parseCsv(content);
+    if (!header) throw new Error(`${metadataFile} is empty`);
+    const columns = header.map((column) => column.trim());
+    return rows.map((row) => Object.fromEntries(columns.map((column, i) => [column, (row[i] || '').trim()])));
+  }
+
+  const json = JSON.parse(content);
+  if (Array.isArray(json)) return json;
+  return Object.entries(json).map(([tokenId, record]) => ({ tokenId, ...(typeof record === 'object' ? record : { citizen: record }) }));
+}
+
+// Returns the value of a record field or ERC721 metadata attribute, matched case-insensitively
+function getRecordValue(record, name) {
+  const key = Object.keys(record).find((field) => field.toLowerCase() === name.toLowerCase());
+  if (key !== undefined && typeof record[key] !== 'object') return record[key];
+
+  const attribute = (record.attributes || []).find((attr) => String(attr.trait_type).toLowerCase() === name.toLowerCase());
+  return attribute ? attribute.value : undefined;
+}
+
+/**
+ * Maps each token ID to its citizen tier.
+ *
+ * The tier is read from the `trait` field or attribute of each record. It is either the tier index itself or, when
+ * `tierNames` is given, a name whose position in `tierNames` (starting from 1) is the tier index.
+ *
+ * @param records The metadata records.
+ * @param options.trait The field or attribute holding the tier.
+ * @param options.tierNames Optional ordered tier names.
+ * @returns An object mapping token IDs to citizen tiers.
+ */
+function buildCitizenTiers(records, { trait = 'citizen', tierNames } = {}) {
+  const tiers = {};
+  const names = tierNames && tierNames.map((name) => name.toLowerCase());
+
+  records.forEach((record, i) => {
+    const tokenIdValue = getRecordValue(record, 'tokenId') ?? getRecordValue(record, 'edition') ?? getRecordValue(record, 'id');
+    if (tokenIdValue === undefined || !/^\d+$/.test(String(tokenIdValue))) throw new Error(`Record ${i} has no valid tokenId`);
+
+    const tokenId = BigInt(tokenIdValue).toString();
+    if (tokenId === '0') throw new Error(`Record ${i} has token ID 0`);
+    if (tiers[tokenId] !== undefined) throw new Error(`Token ${tokenId} appears more than once`);
+
+    const value = getRecordValue(record, trait);
+    if (value === undefined || value === '') throw new Error(`Token ${tokenId} has no ${trait}`);
+
+    let citizen;
+    if (names) {
+      citizen = names.indexOf(String(value).toLowerCase()) + 1;
+      if (citizen === 0) throw new Error(`Token ${tokenId} has unknown ${trait} "${value}"`);
+    } else {
+      if (!/^\d+$/.test(String(value))) throw new Error(`Token ${tokenId} has non-numeric ${trait} "${value}"`);
+      citizen = Number(value);
+    }
+
+    tiers[tokenId] = citizen;
+  });
+
+  return tiers;
+}
+
+/**
+ * Counts the citizen tiers configured on-chain for a collection.
+ *
+ * @param staking The GalileoStaking contract.
+ * @param collectionAddress The address of the collection.
+ * @returns The number of tiers in `stakeTokensInfo`.
+ */
+async function getTierCount(staking, collectionAddress) {
+  let count = 0;
+  for (;;) {
+    try {
+      await staking.getYieldTraitPoints(collectionAddress, count + 1);
+      count++;
+    } catch (error) {
+      const decoded = decodeStakingError(staking.interface, error);
+      if (decoded && decoded.name === 'InvalidCitizenIndex') return count;
+      if (decoded && decoded.name === 'CollectionUninitialized') throw new Error(`Collection ${collectionAddress} is not configured`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Ensures every tier is a valid citizen index for the collection.
+ *
+ * @param tiers An object mapping token IDs to citizen tiers.
+ * @param tierCount The number of tiers configured on-chain.
+ */
+function validateCitizenTiers(tiers, tierCount) {
+  const invalid = Object.entries(tiers).filter(([, citizen]) => !Number.isInteger(citizen) || citizen < 1 || citizen > tierCount);
+  if (invalid.length === 0) return;
+
+  const sample = invalid
+    .slice(0, 5)
+    .map(([tokenId, citizen]) => `${tokenId} -> ${citizen}`)
+    .join(', ');
+  throw new Error(`${invalid.length} token(s) have a tier outside 1..${tierCount}: ${sample}${invalid.length > 5 ? ', ...' : ''}`);
+}
+
+/**
+ * Writes the tiers of a collection into a lookup file, keeping the other collections already in it.
+ *
+ * @param lookupFile Path of the lookup file consumed by the voucher signer.
+ * @param collectionAddress The address of the collection.
+ * @param tiers An object mapping token IDs to citizen tiers.
+ */
+function writeCitizenTiers(lookupFile, collectionAddress, tiers) {
+  const lookup = fs.existsSync(lookupFile) ? JSON.parse(fs.readFileSync(lookupFile, 'utf8')) : {};
+  const collection = getAddress(collectionAddress);
+
+  for (const key of Object.keys(lookup)) if (key.toLowerCase() === collection.toLowerCase()) delete lookup[key];
+  lookup[collection] = tiers;
+
+  fs.mkdirSync(path.dirname(lookupFile), { recursive: true });
+  fs.writeFileSync(lookupFile, `${JSON.stringify(lookup, null, 2)}\n`);
+}
+
+module.exports = {
+  parseCsv,
+  readTokenMetadata,
+  buildCitizenTiers,
+  getTierCount,
+  validateCitizenTiers,
+  writeCitizenTiers,
+};
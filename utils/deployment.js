@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const { getAddress } = require('ethers');
+const { decodeStakingError } = require('./staking_errors.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_DEPLOYMENTS_DIR = path.join(ROOT_DIR, 'deployments');
+const DEFAULT_CONFIG_DIR = path.join(ROOT_DIR, 'config');
+
+// Converts BigInt values so they can be stored in JSON
+function toJson(value) {
+  return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item)));
+}
+
+/**
+ * Loads the deployment config of a network from `config/<network>.js` or `config/<network>.json`.
+ *
+ * A JS config may export a function, which is called with `{ deployer, network }` and may be async.
+ *
+ * @param network The network name.
+ * @param configDir The directory holding the configs.
+ * @returns The config, or the function that builds it.
+ */
+function loadDeployConfig(network, configDir = DEFAULT_CONFIG_DIR) {
+  for (const extension of ['.js', '.json']) {
+    const configPath = path.join(configDir, `${network}${extension}`);
+    if (fs.existsSync(configPath)) return require(configPath);
+  }
+  throw new Error(`No deployment config found for ${network} in ${configDir}`);
+}
+
+/**
+ * Reads the deployment manifest of a network, or starts a new one.
+ *
+ * @param network The network name.
+ * @param deploymentsDir The directory holding the manifests.
+ * @returns The manifest.
+ */
+function readManifest(network, deploymentsDir = DEFAULT_DEPLOYMENTS_DIR) {
+  const manifestPath = path.join(deploymentsDir, `${network}.json`);
+  if (fs.existsSync(manifestPath)) return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  return { network, chainId: undefined, contracts: {}, collections: {}, steps: {} };
+}
+
+/**
+ * Writes the deployment manifest of a network to `<deploymentsDir>/<network>.json`.
+ *
+ * @param manifest The manifest.
+ * @param deploymentsDir The directory holding the manifests.
+ */
+function writeManifest(manifest, deploymentsDir = DEFAULT_DEPLOYMENTS_DIR) {
+  fs.mkdirSync(deploymentsDir, { recursive: true });
+  fs.writeFileSync(path.join(deploymentsDir, `${manifest.network}.json`), `${JSON.stringify(toJson(manifest), null, 2)}\n`);
+}
+
+/**
+ * Deploys and configures GalileoStaking as described by a network config, skipping every step already done on-chain.
+ *
+ * The manifest is written after each step, so a run that stops halfway resumes where it left off.
+ *
+ * @param hre The Hardhat runtime environment.
+ * @param config The deployment config, or a function building it.
+ * @param options.deploymentsDir The directory holding the manifests.
+ * @param options.log Logger for progress messages.
+ * @returns The manifest.
+ */
+async function runDeployment(hre, config, { deploymentsDir = DEFAULT_DEPLOYMENTS_DIR, log = console.log } = {}) {
+  const { ethers } = hre;
+  const network = hre.network.name;
+  const [deployer] = await ethers.getSigners();
+  if (typeof config === 'function') config = await config({ deployer: deployer.address, network });
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = readManifest(network, deploymentsDir);
+  if (manifest.chainId !== undefined && BigInt(manifest.chainId) !== chainId) {
+    throw new Error(`Manifest of ${network} is for chain ${manifest.chainId}, connected to chain ${chainId}`);
+  }
+  manifest.chainId = Number(chainId);
+  manifest.contracts = manifest.contracts || {};
+  manifest.collections = manifest.collections || {};
+  manifest.steps = manifest.steps || {};
+
+  const save = () => writeManifest(manifest, deploymentsDir);
+
+  // Deploys a contract unless the manifest points at one that still has code
+  async function deployOnce(key, contractName, args) {
+    const recorded = manifest.contracts[key];
+    if (recorded && (await ethers.provider.getCode(recorded.address)) !== '0x') {
+      log(`${key} already deployed at ${recorded.address}`);
+      return ethers.getContractAt(contractName, recorded.address);
+    }
+
+    const contract = await ethers.deployContract(contractName, args);
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    manifest.contracts[key] = {
+      contractName,
+      address: await contract.getAddress(),
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      args: toJson(args),
+    };
+    save();
+    log(`${key} deployed to ${manifest.contracts[key].address}`);
+    return contract;
+  }
+
+  // Sends a transaction unless `isDone` reports the step is already reflected on-chain
+  async function runStep(key, isDone, send) {
+    if (await isDone()) {
+      log(`Skipping ${key}, already done`);
+      return;
+    }
+
+    const receipt = await (await send()).wait();
+    manifest.steps[key] = { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+    save();
+    log(`${key} done in ${receipt.hash}`);
+  }
+
+  // Tells whether a view call reverted with one of the given staking errors
+  async function revertsWith(call, errorNames) {
+    try {
+      await call();
+      return false;
+    } catch (error) {
+      const decoded = decodeStakingError(staking.interface, error);
+      if (decoded && errorNames.includes(decoded.name)) return true;
+      throw error;
+    }
+  }
+
+  const leoxAddress = config.leox.address || (await (await deployOnce('LEOX', 'QRC20', config.leox.mock)).getAddress());
+
+  const staking = await deployOnce('GalileoStaking', 'GalileoStaking', [leoxAddress, config.increment]);
+  const stakingAddress = await staking.getAddress();
+
+  // Meta-transactions are relayed through a forwarder, deployed unless the config gives its address
+  if (config.forwarder) {
+    const forwarderAddress =
+      config.forwarder.address || (await (await deployOnce('GalileoForwarder', 'GalileoForwarder', [config.forwarder.name])).getAddress());
+    await runStep(
+      'setTrustedForwarder',
+      async () => (await staking.getTrustedForwarder()) === getAddress(forwarderAddress),
+      async () => staking.setTrustedForwarder(forwarderAddress)
+    );
+  }
+
+  // LEOX without ERC-2612 permit is pulled with signatures through Permit2, deployed unless the config gives its address
+  if (config.permit2) {
+    const permit2Address = config.permit2.address || (await (await deployOnce('Permit2', 'Permit2', config.permit2.mock)).getAddress());
+    await runStep(
+      'setPermit2',
+      async () => (await staking.getPermit2()) === getAddress(permit2Address),
+      async () => staking.setPermit2(permit2Address)
+    );
+  }
+
+  const validators = config.validators || [deployer.address];
+  for (const validator of validators) {
+    await runStep(
+      `grantRole:VALIDATOR_ROLE:${validator}`,
+      async () => staking.hasRole(await staking.VALIDATOR_ROLE(), validator),
+      async () => staking.grantRole(await staking.VALIDATOR_ROLE(), validator)
+    );
+  }
+
+  for (const collection of config.collections || []) {
+    const { alias } = collection;
+
+    const collectionAddress = collection.address || (await (await deployOnce(alias, 'QRC721', collection.mock)).getAddress());
+
+    const soulboundToken = collection.soulboundToken.address
+      ? await ethers.getContractAt('GalileoSoulBoundToken', collection.soulboundToken.address)
+      : await deployOnce(`${alias}SoulBoundToken`, 'GalileoSoulBoundToken', [
+          collection.soulboundToken.name,
+          collection.soulboundToken.symbol,
+          collection.soulboundToken.baseTokenURI,
+        ]);
+    const soulboundTokenAddress = await soulboundToken.getAddress();
+
+    manifest.collections[alias] = { collectionAddress, soulboundToken: soulboundTokenAddress };
+    save();
+
+    await runStep(
+      `${alias}:grantRole:ADMIN_ROLE`,
+      async () => soulboundToken.hasRole(await soulboundToken.ADMIN_ROLE(), stakingAddress),
+      async () => soulboundToken.grantRole(await soulboundToken.ADMIN_ROLE(), stakingAddress)
+    );
+
+    // configureNewCollection appends tiers, so it must never run twice for the same collection
+    await runStep(
+      `${alias}:configureNewCollection`,
+      async () => !(await revertsWith(() => staking.getYieldTraitPoints(collectionAddress, 1), ['CollectionUninitialized'])),
+      async () =>
+        staking.configureNewCollection(
+          collectionAddress,
+          soulboundTokenAddress,
+          collection.tokenIdsCount,
+          collection.tiers.map((tier) => [tier.maxLeox, tier.yieldTraitPoints])
+        )
+    );
+
+    await runStep(
+      `${alias}:configurePool`,
+      async () => (await staking.getPoolConfiguration(collectionAddress)).rewardCount > 0n,
+      async () => {
+        const { timestamp } = await ethers.provider.getBlock('latest');
+        const rewardWindows = collection.pool.rewardWindows.map((window) => [
+          window.rewardRate,
+          window.startTime === undefined ? timestamp : window.startTime,
+          window.endTime || 0,
+        ]);
+        return staking.configurePool([[collectionAddress, collection.pool.tax, rewardWindows]]);
+      }
+    );
+
+    const multipliers = collection.multipliers.map((multiplier) => [BigInt(multiplier.stakingTime), BigInt(multiplier.stakingBoost)]);
+    await runStep(
+      `${alias}:setMultipliers`,
+      async () => {
+        if (await revertsWith(() => staking.getMultipliers(collectionAddress), ['CollectionUninitialized'])) return false;
+        const current = (await staking.getMultipliers(collectionAddress)).map((multiplier) => [multiplier[0], multiplier[1]]);
+        return JSON.stringify(toJson(current)) === JSON.stringify(toJson(multipliers));
+      },
+      async () => staking.setMultipliers(collectionAddress, multipliers)
+    );
+  }
+
+  save();
+  return manifest;
+}
+
+module.exports = { loadDeployConfig, readManifest, writeManifest, runDeployment };
@@ -1,41 +1,259 @@
-async function sign(wallet, verifyingContract, collectionAddress, tokenId, citizen) {
-  try {
-    const chainId = 31337;
-    const signingDomain = async () => {
-      const domain = {
-        name: 'Galileo-Staking',
-        version: '1',
-        verifyingContract: verifyingContract,
-        chainId: chainId,
-      };
-      return domain;
-    };
+const fs = require('fs');
+const path = require('path');
+const { AbiCoder, Contract, TypedDataEncoder, getAddress, verifyTypedData } = require('ethers');
+const { getRevertData } = require('./staking_errors.js');
+
+// The EIP-712 domain name and version of GalileoStaking
+const SIGNING_DOMAIN = 'Galileo-Staking';
+const SIGNATURE_VERSION = '1';
+
+// The EIP-712 types of the stake voucher, matching STAKE_TOKENS_TYPEHASH in GalileoStaking
+const STAKE_TOKENS_TYPES = {
+  GalileoStakeTokens: [
+    { name: 'collectionAddress', type: 'address' },
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'citizen', type: 'uint256' },
+    { name: 'timelockEndTime', type: 'uint256' },
+    { name: 'stakedLeox', type: 'uint256' },
+    { name: 'staker', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// The EIP-712 types of the claim authorization, matching CLAIM_REWARDS_TYPEHASH in GalileoStaking
+const CLAIM_REWARDS_TYPES = {
+  GalileoClaimRewards: [
+    { name: 'owner', type: 'address' },
+    { name: 'collectionAddress', type: 'address' },
+    { name: 'recipient', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
 
-    const domain = await signingDomain();
+const ERC5267_ABI = [
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+];
 
-    const types = {
-      GalileoStakeTokens: [
-        { name: 'collectionAddress', type: 'address' },
-        { name: 'tokenId', type: 'uint256' },
-        { name: 'citizen', type: 'uint256' },
-        { name: 'chainId', type: 'uint256' },
-      ],
+/**
+ * Reads the EIP-712 domain of a deployed GalileoStaking contract.
+ *
+ * The domain is taken from the contract's ERC-5267 `eip712Domain()`, so name, version and chainId always match what
+ * the contract verifies against. If the contract reverts, as one deployed without ERC-5267 does, the domain is built
+ * with the chainId of the provider instead. Any other failure, such as an RPC error or no contract being deployed at
+ * `verifyingContract`, is thrown so that vouchers are never signed for a domain nothing verifies.
+ *
+ * @param runner A provider, or a signer connected to one.
+ * @param verifyingContract The address of the GalileoStaking contract.
+ * @returns The EIP-712 domain.
+ */
+async function getSigningDomain(runner, verifyingContract) {
+  const provider = runner.provider || runner;
+
+  try {
+    const domain = await new Contract(verifyingContract, ERC5267_ABI, provider).eip712Domain();
+    return {
+      name: domain.name,
+      version: domain.version,
+      chainId: domain.chainId,
+      verifyingContract: domain.verifyingContract,
     };
+  } catch (error) {
+    // A call to an address without code returns no data rather than reverting
+    if (error.code === 'BAD_DATA' && (await provider.getCode(verifyingContract)) === '0x') {
+      throw new Error(`No contract is deployed at ${getAddress(verifyingContract)}`);
+    }
+    if (error.code !== 'CALL_EXCEPTION' && getRevertData(error) === undefined) throw error;
 
-    const voucher = {
-      collectionAddress,
-      tokenId,
-      citizen,
+    const { chainId } = await provider.getNetwork();
+    return {
+      name: SIGNING_DOMAIN,
+      version: SIGNATURE_VERSION,
       chainId,
+      verifyingContract: getAddress(verifyingContract),
     };
+  }
+}
 
-    const signature = await wallet.signTypedData(domain, types, voucher);
-    const signerAddress = ethers.verifyTypedData(domain, types, voucher, signature);
-    // console.log("🚀 ~ signerAddress:", signerAddress)
-    return signature;
-  } catch (error) {
-    throw error;
+/**
+ * Loads the deployment manifest of a network from `deployments/<network>.json`.
+ *
+ * @param network The network name, e.g. `hardhat`, `polygonTestnet` or `matic`.
+ * @param deploymentsDir The directory holding the manifests.
+ * @returns The parsed manifest.
+ */
+function loadDeploymentManifest(network, deploymentsDir = path.join(__dirname, '..', 'deployments')) {
+  const manifestPath = path.join(deploymentsDir, `${network}.json`);
+  if (!fs.existsSync(manifestPath)) throw new Error(`No deployment manifest found at ${manifestPath}`);
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Builds the EIP-712 domain from a deployment manifest without touching the network.
+ *
+ * @param manifest A manifest as returned by `loadDeploymentManifest`.
+ * @returns The EIP-712 domain.
+ */
+function getSigningDomainFromManifest(manifest) {
+  const staking = manifest.contracts && manifest.contracts.GalileoStaking;
+  if (!staking || !staking.address) throw new Error(`GalileoStaking is not deployed on ${manifest.network}`);
+  if (manifest.chainId === undefined) throw new Error(`Deployment manifest of ${manifest.network} has no chainId`);
+
+  return {
+    name: SIGNING_DOMAIN,
+    version: SIGNATURE_VERSION,
+    chainId: BigInt(manifest.chainId),
+    verifyingContract: getAddress(staking.address),
+  };
+}
+
+/**
+ * Picks the signed fields of a stake voucher.
+ *
+ * @param voucher The voucher, with or without a signature.
+ * @returns The EIP-712 message of the voucher.
+ */
+function toStakeTokensMessage(voucher) {
+  for (const { name } of STAKE_TOKENS_TYPES.GalileoStakeTokens) {
+    if (voucher[name] === undefined || voucher[name] === null) throw new Error(`Stake voucher is missing ${name}`);
   }
+
+  return {
+    collectionAddress: voucher.collectionAddress,
+    tokenId: voucher.tokenId,
+    citizen: voucher.citizen,
+    timelockEndTime: voucher.timelockEndTime,
+    stakedLeox: voucher.stakedLeox,
+    staker: voucher.staker,
+    nonce: voucher.nonce,
+    deadline: voucher.deadline,
+  };
+}
+
+/**
+ * Computes the EIP-712 digest of a stake voucher, as hashed by GalileoStaking.
+ *
+ * @param domain The EIP-712 domain.
+ * @param voucher The voucher.
+ * @returns The digest as a hex string.
+ */
+function hashStakeVoucher(domain, voucher) {
+  return TypedDataEncoder.hash(domain, STAKE_TOKENS_TYPES, toStakeTokensMessage(voucher));
+}
+
+/**
+ * Signs a stake voucher with a VALIDATOR_ROLE key.
+ *
+ * @param wallet The validator signer.
+ * @param domain The EIP-712 domain.
+ * @param voucher The voucher to sign.
+ * @returns The voucher with its signature, ready to be passed to `stake()`.
+ */
+async function signStakeVoucher(wallet, domain, voucher) {
+  const message = toStakeTokensMessage(voucher);
+  const signature = await wallet.signTypedData(domain, STAKE_TOKENS_TYPES, message);
+  return { ...message, signature };
+}
+
+/**
+ * Signs several stake vouchers with the same key.
+ *
+ * Vouchers of the same staker are redeemed in nonce order, so they must carry consecutive nonces.
+ *
+ * @param wallet The validator signer.
+ * @param domain The EIP-712 domain.
+ * @param vouchers The vouchers to sign.
+ * @returns The signed vouchers, in input order.
+ */
+async function signStakeVouchers(wallet, domain, vouchers) {
+  const signed = [];
+  for (const voucher of vouchers) signed.push(await signStakeVoucher(wallet, domain, voucher));
+  return signed;
+}
+
+/**
+ * Recovers the signer of a stake voucher.
+ *
+ * @param domain The EIP-712 domain.
+ * @param voucher The signed voucher.
+ * @param expectedSigner Optional address the voucher must be signed by.
+ * @returns The address of the signer.
+ */
+function verifyStakeVoucher(domain, voucher, expectedSigner) {
+  if (!voucher.signature) throw new Error('Stake voucher is not signed');
+
+  const signer = verifyTypedData(domain, STAKE_TOKENS_TYPES, toStakeTokensMessage(voucher), voucher.signature);
+  if (expectedSigner && signer !== getAddress(expectedSigner)) {
+    throw new Error(`Stake voucher is signed by ${signer}, expected ${getAddress(expectedSigner)}`);
+  }
+
+  return signer;
+}
+
+/**
+ * ABI encodes a signed stake voucher as the `StakeTokens` struct, the data `onERC721Received` of GalileoStaking
+ * stakes a token sent with `safeTransferFrom` with.
+ *
+ * @param voucher The signed voucher.
+ * @returns The encoded voucher as a hex string.
+ */
+function encodeStakeVoucher(voucher) {
+  if (!voucher.signature) throw new Error('Stake voucher is not signed');
+
+  const fields = STAKE_TOKENS_TYPES.GalileoStakeTokens.map(({ name, type }) => `${type} ${name}`);
+  return AbiCoder.defaultAbiCoder().encode(
+    [`tuple(${fields.join(',')},bytes signature)`],
+    [{ ...toStakeTokensMessage(voucher), signature: voucher.signature }]
+  );
+}
+
+/**
+ * Signs a claim authorization with the key of the staker, to be submitted by anyone to `withdrawAllRewardsWithSig()`.
+ *
+ * @param wallet The staker signer.
+ * @param domain The EIP-712 domain.
+ * @param claim The authorization, its recipient being the zero address to pay the rewards beneficiary of the staker.
+ * @returns The authorization with its signature.
+ */
+async function signClaimRewards(wallet, domain, claim) {
+  const message = {};
+  for (const { name } of CLAIM_REWARDS_TYPES.GalileoClaimRewards) {
+    if (claim[name] === undefined || claim[name] === null) throw new Error(`Claim authorization is missing ${name}`);
+    message[name] = claim[name];
+  }
+
+  const signature = await wallet.signTypedData(domain, CLAIM_REWARDS_TYPES, message);
+  return { ...message, signature };
+}
+
+/**
+ * Signs a stake voucher against the network the wallet is connected to.
+ *
+ * @param wallet The validator signer, connected to a provider.
+ * @param verifyingContract The address of the GalileoStaking contract.
+ * @param voucher The voucher to sign.
+ * @returns The signature.
+ */
+async function sign(wallet, verifyingContract, voucher) {
+  const domain = await getSigningDomain(wallet, verifyingContract);
+  const { signature } = await signStakeVoucher(wallet, domain, voucher);
+  return signature;
 }
 
-module.exports = { sign };
+module.exports = {
+  SIGNING_DOMAIN,
+  SIGNATURE_VERSION,
+  STAKE_TOKENS_TYPES,
+  CLAIM_REWARDS_TYPES,
+  getSigningDomain,
+  getSigningDomainFromManifest,
+  loadDeploymentManifest,
+  hashStakeVoucher,
+  signStakeVoucher,
+  signStakeVouchers,
+  verifyStakeVoucher,
+  encodeStakeVoucher,
+  signClaimRewards,
+  sign,
+};
@@ -0,0 +1,82 @@
+const { Contract, concat, getAddress } = require('ethers');
+
+// The EIP-712 types of an ERC-2771 forward request, matching _FORWARD_REQUEST_TYPEHASH in ERC2771Forwarder
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' },
+  ],
+};
+
+const FORWARDER_ABI = [
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+  'function nonces(address owner) view returns (uint256)',
+  'function verify(tuple(address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) view returns (bool)',
+  'function execute(tuple(address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) payable',
+];
+
+/**
+ * Returns a contract instance of an ERC-2771 forwarder.
+ *
+ * @param forwarderAddress The address of the forwarder.
+ * @param runner A provider, or a signer to submit requests.
+ * @returns The forwarder contract.
+ */
+function getForwarder(forwarderAddress, runner) {
+  return new Contract(forwarderAddress, FORWARDER_ABI, runner);
+}
+
+/**
+ * Signs a call of the signer to GalileoStaking as a forward request, to be submitted by a relayer.
+ *
+ * The nonce is read from the forwarder, so requests of the same signer must be executed in signing order.
+ *
+ * @param wallet The signer, connected to a provider.
+ * @param forwarderAddress The address of the trusted forwarder.
+ * @param request.to The address of the called contract.
+ * @param request.data The calldata, e.g. `staking.interface.encodeFunctionData('unstake', [collection, tokenId])`.
+ * @param request.gas The gas forwarded to the call.
+ * @param request.deadline The timestamp after which the request expires.
+ * @param request.value The value sent with the call, 0 by default.
+ * @returns The request with its signature, as taken by `execute()`.
+ */
+async function signForwardRequest(wallet, forwarderAddress, { to, data, gas, deadline, value = 0n }) {
+  const forwarder = getForwarder(forwarderAddress, wallet.provider);
+  const domain = await forwarder.eip712Domain();
+  const from = await wallet.getAddress();
+
+  const message = {
+    from,
+    to: getAddress(to),
+    value: BigInt(value),
+    gas: BigInt(gas),
+    nonce: await forwarder.nonces(from),
+    deadline: BigInt(deadline),
+    data,
+  };
+  const signature = await wallet.signTypedData(
+    { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract },
+    FORWARD_REQUEST_TYPES,
+    message
+  );
+
+  const { nonce, ...request } = message;
+  return { ...request, signature };
+}
+
+/**
+ * Returns the calldata the forwarder sends for a request, the signer being appended as ERC-2771 specifies.
+ *
+ * @param request The forward request.
+ * @returns The calldata received by the called contract.
+ */
+function getForwardedData(request) {
+  return concat([request.data, request.from]);
+}
+
+module.exports = { FORWARD_REQUEST_TYPES, getForwarder, signForwardRequest, getForwardedData };
@@ -0,0 +1,151 @@
+const { Contract, getAddress, randomBytes, toBigInt } = require('ethers');
+
+// Canonical Permit2 deployment, present on most chains
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+// The EIP-712 types of an ERC-2612 permit
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// The EIP-712 types of a Permit2 signature transfer, the spender being the contract calling permitTransferFrom
+const PERMIT_TRANSFER_FROM_TYPES = {
+  PermitTransferFrom: [
+    { name: 'permitted', type: 'TokenPermissions' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+  TokenPermissions: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+  ],
+};
+
+const ERC2612_ABI = [
+  'function name() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+];
+
+const PERMIT2_ABI = ['function nonceBitmap(address owner, uint256 wordPos) view returns (uint256)'];
+
+/**
+ * Tells whether a token supports ERC-2612 permits.
+ *
+ * @param runner A provider, or a signer connected to one.
+ * @param tokenAddress The address of the token.
+ * @returns True if the token has `nonces` and `DOMAIN_SEPARATOR`.
+ */
+async function supportsPermit(runner, tokenAddress) {
+  const token = new Contract(tokenAddress, ERC2612_ABI, runner);
+  try {
+    await token.DOMAIN_SEPARATOR();
+    await token.nonces(getAddress(tokenAddress));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Signs an ERC-2612 permit of a token, as taken by `stakeWithPermit` and `stakeLeoxTokensWithPermit`.
+ *
+ * The domain is read from the token's ERC-5267 `eip712Domain()`, or built from its name and version 1.
+ *
+ * @param wallet The owner of the tokens, connected to a provider.
+ * @param tokenAddress The address of the token.
+ * @param permit.spender The address allowed to pull the tokens.
+ * @param permit.value The amount allowed.
+ * @param permit.deadline The timestamp after which the permit expires.
+ * @returns The permit with its signature.
+ */
+async function signPermit(wallet, tokenAddress, { spender, value, deadline }) {
+  const token = new Contract(tokenAddress, ERC2612_ABI, wallet.provider);
+  const owner = await wallet.getAddress();
+
+  let domain;
+  try {
+    const { name, version, chainId, verifyingContract } = await token.eip712Domain();
+    domain = { name, version, chainId, verifyingContract };
+  } catch (error) {
+    const { chainId } = await wallet.provider.getNetwork();
+    domain = { name: await token.name(), version: '1', chainId, verifyingContract: getAddress(tokenAddress) };
+  }
+
+  const message = {
+    owner,
+    spender: getAddress(spender),
+    value: BigInt(value),
+    nonce: await token.nonces(owner),
+    deadline: BigInt(deadline),
+  };
+  const signature = await wallet.signTypedData(domain, PERMIT_TYPES, message);
+  return { value: message.value, deadline: message.deadline, nonce: 0n, permit2: false, signature };
+}
+
+/**
+ * Picks a random unused Permit2 nonce of an owner. Permit2 nonces are unordered, so a permit does not wait for the
+ * ones signed before it.
+ *
+ * @param runner A provider, or a signer connected to one.
+ * @param permit2Address The address of Permit2.
+ * @param owner The owner of the tokens.
+ * @returns The nonce.
+ */
+async function getUnusedPermit2Nonce(runner, permit2Address, owner) {
+  const permit2 = new Contract(permit2Address, PERMIT2_ABI, runner);
+  for (;;) {
+    const nonce = toBigInt(randomBytes(31));
+    if (((await permit2.nonceBitmap(owner, nonce >> 8n)) >> (nonce & 255n)) % 2n === 0n) return nonce;
+  }
+}
+
+/**
+ * Signs a Permit2 signature transfer of a token, as taken by `stakeWithPermit` and `stakeLeoxTokensWithPermit` for
+ * tokens without ERC-2612 permit. The owner must have approved Permit2 to transfer the token.
+ *
+ * @param wallet The owner of the tokens, connected to a provider.
+ * @param permit2Address The address of Permit2.
+ * @param permit.token The address of the token.
+ * @param permit.spender The address allowed to pull the tokens.
+ * @param permit.value The amount allowed.
+ * @param permit.deadline The timestamp after which the permit expires.
+ * @param permit.nonce The unordered Permit2 nonce, a random unused one by default.
+ * @returns The permit with its signature.
+ */
+async function signPermit2(wallet, permit2Address, { token, spender, value, deadline, nonce }) {
+  const owner = await wallet.getAddress();
+  const { chainId } = await wallet.provider.getNetwork();
+  if (nonce === undefined) nonce = await getUnusedPermit2Nonce(wallet.provider, permit2Address, owner);
+
+  const message = {
+    permitted: { token: getAddress(token), amount: BigInt(value) },
+    spender: getAddress(spender),
+    nonce: BigInt(nonce),
+    deadline: BigInt(deadline),
+  };
+  const signature = await wallet.signTypedData(
+    { name: 'Permit2', chainId, verifyingContract: getAddress(permit2Address) },
+    PERMIT_TRANSFER_FROM_TYPES,
+    message
+  );
+  return { value: message.permitted.amount, deadline: message.deadline, nonce: message.nonce, permit2: true, signature };
+}
+
+module.exports = {
+  PERMIT2_ADDRESS,
+  PERMIT_TYPES,
+  PERMIT_TRANSFER_FROM_TYPES,
+  supportsPermit,
+  signPermit,
+  getUnusedPermit2Nonce,
+  signPermit2,
+};
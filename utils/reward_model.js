@@ -0,0 +1,1120 @@
+const { getAddress, MaxUint256, ZeroAddress } = require('ethers');
+
+const PRECISION = 10n ** 18n;
+const MAX_TAX_LIMIT = 10n * PRECISION;
+
+/**
+ * Error thrown where GalileoStaking reverts, named after the custom error of GalileoStakingErrors.
+ */
+class RewardModelError extends Error {
+  constructor(errorName, ...args) {
+    super(`${errorName}(${args.join(', ')})`);
+    this.errorName = errorName;
+    this.args = args;
+  }
+}
+
+// Positions are keyed by staker and token ID within a collection
+function positionKey(staker, tokenId) {
+  return `${getAddress(staker)}:${BigInt(tokenId)}`;
+}
+
+/**
+ * Off-chain replica of the reward accounting of GalileoStaking.
+ *
+ * Every computation mirrors the contract with BigInt and the same rounding: `rewardPerToken`, `_updateReward`,
+ * `calculateRewards`, `_calculateTax`, the schedule of reward windows and the rewards committed from the reward pool.
+ * Mutations take the block timestamp they are mined at and throw a RewardModelError, leaving the model unchanged, where
+ * the contract reverts.
+ * Checks that depend on token ownership, allowances or roles are left to the contract.
+ */
+class RewardModel {
+  /**
+   * @param options.increment The LEOX increment of GalileoStaking, as passed to its constructor.
+   */
+  constructor({ increment }) {
+    this.increment = BigInt(increment);
+    this.collections = new Map();
+    this.timestamp = 0n;
+  }
+
+  /**
+   * Replays a sequence of events, each being `{ type, timestamp, ...params }` where `type` names a mutation.
+   *
+   * @param events The events, in mining order.
+   * @param options.increment The LEOX increment of GalileoStaking.
+   * @returns The model after the last event.
+   */
+  static replay(events, options) {
+    const model = new RewardModel(options);
+    for (const event of events) model.apply(event);
+    return model;
+  }
+
+  /**
+   * Applies an event, rolling the model back if it throws as the contract would revert.
+   *
+   * @param event The event, e.g. `{ type: 'stake', timestamp, staker, collectionAddress, tokenId, ... }`.
+   * @returns The return value of the mutation.
+   */
+  apply(event) {
+    const mutation = RewardModel.MUTATIONS.includes(event.type) && this[event.type];
+    if (!mutation) throw new Error(`Unknown event type "${event.type}"`);
+
+    const timestamp = event.timestamp === undefined ? undefined : BigInt(event.timestamp);
+    if (timestamp !== undefined && timestamp < this.timestamp) {
+      throw new Error(`Event at ${timestamp} is older than the previous event at ${this.timestamp}`);
+    }
+
+    const snapshot = structuredClone({ collections: this.collections, timestamp: this.timestamp });
+    try {
+      if (timestamp !== undefined) this.timestamp = timestamp;
+      return mutation.call(this, event);
+    } catch (error) {
+      this.collections = snapshot.collections;
+      this.timestamp = snapshot.timestamp;
+      throw error;
+    }
+  }
+
+  // Returns the state of a collection, as held across the mappings of GalileoStakingStorage.State
+  _collection(collectionAddress) {
+    const address = getAddress(collectionAddress);
+    if (!this.collections.has(address)) {
+      this.collections.set(address, {
+        tiers: [],
+        multipliers: [],
+        tax: 0n,
+        compoundTax: 0n,
+        unstakeLeoxPenalty: 0n,
+        earlyUnstake: { enabled: false, toRewardPool: false, rewardsPenalty: 0n, leoxPenalty: 0n },
+        rewardWindows: [],
+        totalPoints: 0n,
+        rewardPerTokenStored: 0n,
+        lastUpdateTime: 0n,
+        firstOpenRewardWindow: 0,
+        rewardPool: 0n,
+        committedRewards: 0n,
+        taxCollected: 0n,
+        isEmergencyDeclared: false,
+        isFrozenRewardsReleased: false,
+        totalFrozenRewards: 0n,
+        frozenRewards: new Map(),
+        positions: new Map(),
+        rewards: new Map(),
+        userRewardPerTokenPaid: new Map(),
+        autoRenew: new Map(),
+        stakedNFTs: new Map(),
+      });
+    }
+    return this.collections.get(address);
+  }
+
+  /**
+   * Returns the modeled state of a collection: pool, reward accumulators, positions and balances.
+   *
+   * @param collectionAddress The address of the collection.
+   * @returns The state of the collection.
+   */
+  getPool(collectionAddress) {
+    return this._collection(collectionAddress);
+  }
+
+  // Mirrors `getYieldTraitPoints`
+  _getTier(pool, citizen) {
+    if (pool.tiers.length === 0) throw new RewardModelError('CollectionUninitialized');
+    if (citizen === 0n || citizen > BigInt(pool.tiers.length)) throw new RewardModelError('InvalidCitizenIndex');
+    return pool.tiers[Number(citizen) - 1];
+  }
+
+  /**
+   * Mirrors `configureNewCollection`, tiers are appended as on-chain.
+   *
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tiers The tiers as `{ maxLeox, yieldTraitPoints }`.
+   */
+  configureNewCollection({ collectionAddress, tiers }) {
+    const pool = this._collection(collectionAddress);
+    tiers.forEach((tier, i) => {
+      const maxLeox = BigInt(tier.maxLeox);
+      const yieldTraitPoints = BigInt(tier.yieldTraitPoints);
+      if (maxLeox === 0n || yieldTraitPoints === 0n) throw new RewardModelError('InvalidInput');
+      if (i > 0 && maxLeox > BigInt(tiers[i - 1].maxLeox)) throw new RewardModelError('InvalidLeoxHierarchy');
+      if (i > 0 && yieldTraitPoints > BigInt(tiers[i - 1].yieldTraitPoints)) throw new RewardModelError('InvalidTraitPointsHierarchy');
+      pool.tiers.push({ maxLeox, yieldTraitPoints });
+    });
+  }
+
+  /**
+   * Mirrors `configurePool` for one collection.
+   *
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tax The tax percentage, scaled by 1e18.
+   * @param event.rewardWindows The schedule of reward windows as `{ rewardRate, startTime, endTime }`.
+   * @param event.rewardWindow A single reward window, instead of `rewardWindows`.
+   */
+  configurePool({ collectionAddress, tax, rewardWindows, rewardWindow }) {
+    const pool = this._collection(collectionAddress);
+    const windows = (rewardWindows || [rewardWindow]).map((window) => ({
+      rewardRate: BigInt(window.rewardRate),
+      startTime: BigInt(window.startTime),
+      endTime: BigInt(window.endTime || 0),
+    }));
+    if (pool.rewardWindows.length > 0) throw new RewardModelError('PoolAlreadyInitialized');
+    if (windows.length === 0) throw new RewardModelError('InvalidInput');
+    if (BigInt(tax) > MAX_TAX_LIMIT) throw new RewardModelError('InvalidTaxRate');
+
+    windows.forEach((window, i) => {
+      if (i > 0) this._validateRewardWindowStart(windows[i - 1], window.startTime, i);
+      if (window.endTime !== 0n && window.endTime <= window.startTime) throw new RewardModelError('InvalidEndTime');
+    });
+    pool.tax = BigInt(tax);
+    pool.rewardWindows.push(...windows);
+  }
+
+  // Mirrors `_validateRewardWindowStart`
+  _validateRewardWindowStart(previousWindow, startTime, index) {
+    if (previousWindow.endTime === 0n || startTime < previousWindow.endTime) {
+      throw new RewardModelError('RewardWindowsOverlap', BigInt(index));
+    }
+  }
+
+  /**
+   * Mirrors `setMultipliers`.
+   *
+   * @param event.collectionAddress The address of the collection.
+   * @param event.multipliers The multipliers as `{ stakingTime, stakingBoost }`.
+   */
+  setMultipliers({ collectionAddress, multipliers }) {
+    this._collection(collectionAddress).multipliers = multipliers.map((multiplier) => ({
+      stakingTime: BigInt(multiplier.stakingTime),
+      stakingBoost: BigInt(multiplier.stakingBoost),
+    }));
+  }
+
+  /**
+   * Mirrors `updateTax`.
+   *
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tax The new tax percentage, scaled by 1e18.
+   */
+  updateTax({ collectionAddress, tax }) {
+    const pool = this._collection(collectionAddress);
+    if (BigInt(tax) === 0n) throw new RewardModelError('InvalidAmount', 0n);
+    if (BigInt(tax) > MAX_TAX_LIMIT) throw new RewardModelError('InvalidTaxRate');
+    if (pool.rewardWindows.length === 0) throw new RewardModelError('PoolUninitialized', getAddress(collectionAddress));
+    pool.tax = BigInt(tax);
+  }
+
+  /**
+   * Mirrors `updateCompoundTax`.
+   *
+   * @param event.collectionAddress The address of the collection.
+   * @param event.compoundTax The new tax percentage on compounded rewards, scaled by 1e18.
+   */
+  updateCompoundTax({ collectionAddress, compoundTax }) {
+    const pool = this._collection(collectionAddress);
+    if (BigInt(compoundTax) > MAX_TAX_LIMIT) throw new RewardModelError('InvalidTaxRate');
+    if (pool.rewardWindows.length === 0) throw new RewardModelError('PoolUninitialized', getAddress(collectionAddress));
+    pool.compoundTax = BigInt(compoundTax);
+  }
+
+  /**
+   * Mirrors `updateUnstakeLeoxPenalty`.
+   *
+   * @param event.collectionAddress The address of the collection.
+   * @param event.penalty The new penalty percentage on the LEOX unstaked before the lock ends, scaled by 1e18.
+   */
+  updateUnstakeLeoxPenalty({ collectionAddress, penalty }) {
+    const pool = this._collection(collectionAddress);
+    if (BigInt(penalty) > MAX_TAX_LIMIT) throw new RewardModelError('InvalidTaxRate');
+    if (pool.rewardWindows.length === 0) throw new RewardModelError('PoolUninitialized', getAddress(collectionAddress));
+    pool.unstakeLeoxPenalty = BigInt(penalty);
+  }
+
+  /**
+   * Mirrors `setEarlyUnstakeParams`.
+   *
+   * @param event.collectionAddress The address of the collection.
+   * @param event.params The parameters as `{ enabled, toRewardPool, rewardsPenalty, leoxPenalty }`, penalties scaled by 1e18.
+   */
+  setEarlyUnstakeParams({ collectionAddress, params }) {
+    const pool = this._collection(collectionAddress);
+    if (pool.rewardWindows.length === 0) throw new RewardModelError('PoolUninitialized', getAddress(collectionAddress));
+    const rewardsPenalty = BigInt(params.rewardsPenalty);
+    const leoxPenalty = BigInt(params.leoxPenalty);
+    if (rewardsPenalty > 100n * PRECISION || leoxPenalty > 100n * PRECISION) throw new RewardModelError('InvalidTaxRate');
+    pool.earlyUnstake = { enabled: Boolean(params.enabled), toRewardPool: Boolean(params.toRewardPool), rewardsPenalty, leoxPenalty };
+  }
+
+  /**
+   * Mirrors `depositRewards`.
+   *
+   * @param event.collectionAddress The address of the collection.
+   * @param event.amount The amount of LEOX deposited.
+   */
+  depositRewards({ collectionAddress, amount }) {
+    if (BigInt(amount) === 0n) throw new RewardModelError('InvalidAmount', 0n);
+    const pool = this._collection(collectionAddress);
+    this._updateRewardPerToken(pool, collectionAddress);
+    pool.rewardPool += BigInt(amount);
+  }
+
+  /**
+   * Mirrors `withdrawTax`.
+   *
+   * @param event.collectionAddress The address of the collection.
+   * @returns The tax withdrawn.
+   */
+  withdrawTax({ collectionAddress }) {
+    const pool = this._collection(collectionAddress);
+    const taxAmount = pool.taxCollected;
+    if (taxAmount === 0n) throw new RewardModelError('InvalidAmount', 0n);
+    pool.taxCollected = 0n;
+    return taxAmount;
+  }
+
+  /**
+   * Mirrors `calculatePoints`.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param citizen The citizen tier.
+   * @param stakedLeox The LEOX staked with the token.
+   * @param timelockEndTime The lock duration.
+   * @returns The points of the position.
+   */
+  calculatePoints(collectionAddress, citizen, stakedLeox, timelockEndTime) {
+    const pool = this._collection(collectionAddress);
+    if (pool.multipliers.length === 0) throw new RewardModelError('CollectionUninitialized');
+    const tier = this._getTier(pool, BigInt(citizen));
+
+    const multiplier = pool.multipliers.find((item) => item.stakingTime === BigInt(timelockEndTime));
+    const stakingBoost = multiplier ? multiplier.stakingBoost : 0n;
+    if (stakingBoost === 0n) throw new RewardModelError('InvalidTime');
+
+    const leoxPoints = (((BigInt(stakedLeox) * PRECISION) / this.increment) * PRECISION) / PRECISION;
+    return tier.yieldTraitPoints * stakingBoost + leoxPoints;
+  }
+
+  /**
+   * Mirrors `rewardPerToken`, each reward window accrues over its overlap with the period since the last update until
+   * the reward pool is fully committed.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param timestamp The block timestamp, defaults to the timestamp of the last event.
+   * @returns The reward per point, scaled by 1e18.
+   */
+  rewardPerToken(collectionAddress, timestamp = this.timestamp) {
+    return this._accrueRewards(this._collection(collectionAddress), timestamp).rewardPerTokenAcc;
+  }
+
+  // Mirrors `_accrueRewards`
+  _accrueRewards(pool, timestamp) {
+    const now = BigInt(timestamp);
+    let rewardPerTokenAcc = pool.rewardPerTokenStored;
+    let accruedRewards = 0n;
+    if (pool.totalPoints === 0n || pool.isEmergencyDeclared) return { rewardPerTokenAcc, accruedRewards };
+
+    let fundedRewards = pool.rewardPool - pool.committedRewards;
+    for (const rewardWindow of pool.rewardWindows.slice(pool.firstOpenRewardWindow)) {
+      if (now <= rewardWindow.startTime) break;
+      const effectiveStartTime = rewardWindow.startTime > pool.lastUpdateTime ? rewardWindow.startTime : pool.lastUpdateTime;
+      const effectiveEndTime = rewardWindow.endTime > 0n && now > rewardWindow.endTime ? rewardWindow.endTime : now;
+      if (effectiveEndTime > effectiveStartTime) {
+        let emittedRewards = rewardWindow.rewardRate * (effectiveEndTime - effectiveStartTime);
+        if (emittedRewards > fundedRewards) emittedRewards = fundedRewards;
+        fundedRewards -= emittedRewards;
+        accruedRewards += emittedRewards;
+        rewardPerTokenAcc += (emittedRewards * PRECISION) / pool.totalPoints;
+      }
+    }
+    return { rewardPerTokenAcc, accruedRewards };
+  }
+
+  /**
+   * Mirrors `getCommittedRewards`.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param timestamp The block timestamp, defaults to the timestamp of the last event.
+   * @returns The rewards accrued and not withdrawn yet.
+   */
+  getCommittedRewards(collectionAddress, timestamp = this.timestamp) {
+    const pool = this._collection(collectionAddress);
+    return pool.committedRewards + this._accrueRewards(pool, timestamp).accruedRewards;
+  }
+
+  /**
+   * Mirrors `getRewardRunway`.
+   *
+   * @param collectionAddress The address of the collection.
+   * @param timestamp The block timestamp, defaults to the timestamp of the last event.
+   * @returns The funded runway in seconds, `MaxUint256` when every reward window is funded until it ends.
+   */
+  getRewardRunway(collectionAddress, timestamp = this.timestamp) {
+    const pool = this._collection(collectionAddress);
+    const now = BigInt(timestamp);
+    let fundedRewards = pool.rewardPool - this.getCommittedRewards(collectionAddress, now);
+
+    for (const rewardWindow of pool.rewardWindows.slice(pool.firstOpenRewardWindow)) {
+      const startTime = rewardWindow.startTime > now ? rewardWindow.startTime : now;
+      if (rewardWindow.rewardRate === 0n || (rewardWindow.endTime !== 0n && rewardWindow.endTime <= startTime)) continue;
+
+      const emittedRewards = rewardWindow.endTime === 0n ? undefined : rewardWindow.rewardRate * (rewardWindow.endTime - startTime);
+      if (emittedRewards === undefined || emittedRewards > fundedRewards) return startTime + fundedRewards / rewardWindow.rewardRate - now;
+      fundedRewards -= emittedRewards;
+    }
+    return MaxUint256;
+  }
+
+  /**
+   * Mirrors `calculateRewards`.
+   *
+   * @param staker The address of the staker.
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @param timestamp The block timestamp, defaults to the timestamp of the last event.
+   * @returns The rewards of the token, before tax.
+   */
+  calculateRewards(staker, collectionAddress, tokenId, timestamp = this.timestamp) {
+    const pool = this._collection(collectionAddress);
+    const key = positionKey(staker, tokenId);
+    const position = pool.positions.get(key);
+    const points = position ? position.points : 0n;
+    const paid = pool.userRewardPerTokenPaid.get(key) || 0n;
+
+    return (points * (this.rewardPerToken(collectionAddress, timestamp) - paid)) / PRECISION + (pool.rewards.get(key) || 0n);
+  }
+
+  /**
+   * Mirrors `calculateRewardsAllRewards`.
+   *
+   * @param staker The address of the staker.
+   * @param collectionAddress The address of the collection.
+   * @param timestamp The block timestamp, defaults to the timestamp of the last event.
+   * @returns The rewards of every token the staker has staked in the collection, before tax.
+   */
+  calculateRewardsAllRewards(staker, collectionAddress, timestamp = this.timestamp) {
+    const tokenIds = this._collection(collectionAddress).stakedNFTs.get(getAddress(staker)) || [];
+    return tokenIds.reduce((total, tokenId) => total + this.calculateRewards(staker, collectionAddress, tokenId, timestamp), 0n);
+  }
+
+  /**
+   * Lists the rewards of every staked token at a timestamp.
+   *
+   * @param timestamp The block timestamp, defaults to the timestamp of the last event.
+   * @returns `{ staker, collectionAddress, tokenId, rewards }` for each staked token.
+   */
+  rewardsAt(timestamp = this.timestamp) {
+    const result = [];
+    for (const [collectionAddress, pool] of this.collections) {
+      for (const [staker, tokenIds] of pool.stakedNFTs) {
+        for (const tokenId of tokenIds) {
+          result.push({
+            staker,
+            collectionAddress,
+            tokenId,
+            rewards: this.calculateRewards(staker, collectionAddress, tokenId, timestamp),
+          });
+        }
+      }
+    }
+    return result;
+  }
+
+  // Mirrors `_updateRewardPerToken`
+  _updateRewardPerToken(pool, collectionAddress) {
+    const { rewardPerTokenAcc, accruedRewards } = this._accrueRewards(pool, this.timestamp);
+    pool.rewardPerTokenStored = rewardPerTokenAcc;
+    pool.committedRewards += accruedRewards;
+    pool.lastUpdateTime = this.timestamp;
+
+    const windows = pool.rewardWindows;
+    let index = pool.firstOpenRewardWindow;
+    while (index < windows.length && windows[index].endTime !== 0n && windows[index].endTime <= this.timestamp) index++;
+    pool.firstOpenRewardWindow = index;
+  }
+
+  // Mirrors `_updateReward`
+  _updateReward(pool, collectionAddress, staker, tokenId) {
+    const key = positionKey(staker, tokenId);
+    this._updateRewardPerToken(pool, collectionAddress);
+    pool.rewards.set(key, this.calculateRewards(staker, collectionAddress, tokenId));
+    pool.userRewardPerTokenPaid.set(key, pool.rewardPerTokenStored);
+  }
+
+  // Mirrors `_calculateTax`
+  _calculateTax(pool, rewardAmount, taxPercent = pool.tax) {
+    const taxAmount = (rewardAmount * taxPercent) / (100n * PRECISION);
+    pool.taxCollected += taxAmount;
+    return rewardAmount - taxAmount;
+  }
+
+  // Mirrors `_withdrawRewards`
+  _withdrawRewards(pool, collectionAddress, staker, tokenId) {
+    const rewardAmount = this.calculateRewards(staker, collectionAddress, tokenId);
+    const rewardsAfterTax = this._calculateTax(pool, rewardAmount);
+    if (rewardsAfterTax === 0n) throw new RewardModelError('InvalidAmount', 0n);
+    if (pool.rewardPool < rewardAmount) throw new RewardModelError('InvalidAmountRewardPoolBalance');
+
+    pool.rewards.set(positionKey(staker, tokenId), 0n);
+    pool.rewardPool -= rewardAmount;
+    this._releaseCommittedRewards(pool, rewardAmount);
+    return rewardsAfterTax;
+  }
+
+  // Mirrors `_releaseCommittedRewards`
+  _releaseCommittedRewards(pool, rewardAmount) {
+    pool.committedRewards = pool.committedRewards > rewardAmount ? pool.committedRewards - rewardAmount : 0n;
+  }
+
+  // Removes a position as `_unstake` and `_emergencyUnstake` do
+  _removePosition(pool, staker, tokenId) {
+    const key = positionKey(staker, tokenId);
+    pool.totalPoints -= pool.positions.get(key).points;
+    pool.positions.delete(key);
+    pool.autoRenew.delete(key);
+
+    const tokenIds = pool.stakedNFTs.get(getAddress(staker));
+    const index = tokenIds.indexOf(BigInt(tokenId));
+    tokenIds[index] = tokenIds[tokenIds.length - 1];
+    tokenIds.pop();
+  }
+
+  // Returns the position of a token, reverting as the contract does when it is not staked
+  _getPosition(pool, staker, tokenId) {
+    const position = pool.positions.get(positionKey(staker, tokenId));
+    if (!position) throw new RewardModelError('TokenNotStaked');
+    return position;
+  }
+
+  /**
+   * Mirrors `stake` once the voucher is verified.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tokenId The ID of the token.
+   * @param event.citizen The citizen tier of the token.
+   * @param event.timelockEndTime The lock duration.
+   * @param event.stakedLeox The LEOX staked with the token.
+   * @returns The points of the position.
+   */
+  stake({ staker, collectionAddress, tokenId, citizen, timelockEndTime, stakedLeox }) {
+    const pool = this._collection(collectionAddress);
+    tokenId = BigInt(tokenId);
+    if (pool.isEmergencyDeclared) throw new RewardModelError('EmergencyDeclared');
+    if (tokenId === 0n) throw new RewardModelError('InvalidTokenId');
+
+    this._updateReward(pool, collectionAddress, staker, tokenId);
+
+    // The contract looks up the position by citizen, not by token ID
+    const existing = pool.positions.get(positionKey(staker, citizen));
+    if (existing && existing.tokenId === tokenId) throw new RewardModelError('TokenAlreadyStaked');
+    if (BigInt(timelockEndTime) === 0n) throw new RewardModelError('InvalidTime');
+    if (pool.rewardWindows.length === 0) throw new RewardModelError('PoolUninitialized', getAddress(collectionAddress));
+
+    const tier = this._getTier(pool, BigInt(citizen));
+    if (BigInt(stakedLeox) > tier.maxLeox) throw new RewardModelError('InvalidTokensCount', tier.maxLeox);
+
+    const points = this.calculatePoints(collectionAddress, citizen, stakedLeox, timelockEndTime);
+    pool.totalPoints += points;
+    pool.positions.set(positionKey(staker, tokenId), {
+      tokenId,
+      citizen: BigInt(citizen),
+      timelockStartTime: this.timestamp,
+      timelockEndTime: BigInt(timelockEndTime),
+      points,
+      stakedLeox: BigInt(stakedLeox),
+    });
+
+    const address = getAddress(staker);
+    if (!pool.stakedNFTs.has(address)) pool.stakedNFTs.set(address, []);
+    pool.stakedNFTs.get(address).push(tokenId);
+    return points;
+  }
+
+  /**
+   * Mirrors `stakeBatch` once the vouchers are verified.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.vouchers The vouchers as `{ collectionAddress, tokenId, citizen, timelockEndTime, stakedLeox }`.
+   * @returns The points of each position.
+   */
+  stakeBatch({ staker, vouchers }) {
+    if (vouchers.length === 0) throw new RewardModelError('InvalidInput');
+    return vouchers.map((voucher) => this.stake({ ...voucher, staker }));
+  }
+
+  /**
+   * Mirrors `stakeLeoxTokens`.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tokenId The ID of the staked token.
+   * @param event.amount The LEOX added to the position.
+   * @returns The new points of the position.
+   */
+  stakeLeoxTokens({ staker, collectionAddress, tokenId, amount }) {
+    const pool = this._collection(collectionAddress);
+    tokenId = BigInt(tokenId);
+    if (pool.isEmergencyDeclared) throw new RewardModelError('EmergencyDeclared');
+    if (tokenId === 0n) throw new RewardModelError('InvalidTokenId');
+
+    this._updateReward(pool, collectionAddress, staker, tokenId);
+
+    if (BigInt(amount) === 0n) throw new RewardModelError('InvalidTokensCount', 0n);
+    const position = this._getPosition(pool, staker, tokenId);
+
+    const tier = this._getTier(pool, position.citizen);
+    const totalLeox = position.stakedLeox + BigInt(amount);
+    if (totalLeox > tier.maxLeox) throw new RewardModelError('InvalidTokensCount', tier.maxLeox);
+
+    const newPoints = this.calculatePoints(collectionAddress, position.citizen, totalLeox, position.timelockEndTime);
+    pool.totalPoints = pool.totalPoints - position.points + newPoints;
+    position.points = newPoints;
+    position.stakedLeox = totalLeox;
+    return newPoints;
+  }
+
+  /**
+   * Mirrors `compound`.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tokenId The ID of the staked token.
+   * @returns `{ compoundedLeox, rewardsPaid, newPoints }`, the LEOX added to the stake and the rewards paid out, after tax.
+   */
+  compound({ staker, collectionAddress, tokenId }) {
+    const pool = this._collection(collectionAddress);
+    tokenId = BigInt(tokenId);
+    if (pool.isEmergencyDeclared) throw new RewardModelError('EmergencyDeclared');
+    if (tokenId === 0n) throw new RewardModelError('InvalidTokenId');
+    const position = this._getPosition(pool, staker, tokenId);
+
+    this._updateReward(pool, collectionAddress, staker, tokenId);
+    const key = positionKey(staker, tokenId);
+    const rewardAmount = pool.rewards.get(key);
+    if (rewardAmount === 0n) throw new RewardModelError('InvalidAmount', 0n);
+    if (pool.rewardPool < rewardAmount) throw new RewardModelError('InvalidAmountRewardPoolBalance');
+
+    const room = this._getTier(pool, position.citizen).maxLeox - position.stakedLeox;
+    let compoundedRewards = rewardAmount;
+    if (rewardAmount - (rewardAmount * pool.compoundTax) / (100n * PRECISION) > room) {
+      compoundedRewards = (room * 100n * PRECISION) / (100n * PRECISION - pool.compoundTax);
+    }
+    const compoundedLeox = this._calculateTax(pool, compoundedRewards, pool.compoundTax);
+    const rewardsPaid = this._calculateTax(pool, rewardAmount - compoundedRewards);
+
+    pool.rewards.set(key, 0n);
+    pool.rewardPool -= rewardAmount;
+    this._releaseCommittedRewards(pool, rewardAmount);
+
+    const totalLeox = position.stakedLeox + compoundedLeox;
+    const newPoints = this.calculatePoints(collectionAddress, position.citizen, totalLeox, position.timelockEndTime);
+    pool.totalPoints = pool.totalPoints - position.points + newPoints;
+    position.points = newPoints;
+    position.stakedLeox = totalLeox;
+    return { compoundedLeox, rewardsPaid, newPoints };
+  }
+
+  /**
+   * Mirrors `unstakeLeoxTokens`.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tokenId The ID of the staked token.
+   * @param event.amount The LEOX removed from the position.
+   * @returns `{ penalty, newPoints }`, the penalty added to the tax when the token is still locked.
+   */
+  unstakeLeoxTokens({ staker, collectionAddress, tokenId, amount }) {
+    const pool = this._collection(collectionAddress);
+    tokenId = BigInt(tokenId);
+    amount = BigInt(amount);
+    if (pool.isEmergencyDeclared) throw new RewardModelError('EmergencyDeclared');
+    if (tokenId === 0n) throw new RewardModelError('InvalidTokenId');
+    const position = this._getPosition(pool, staker, tokenId);
+    if (amount === 0n || amount > position.stakedLeox) throw new RewardModelError('InvalidAmount', amount);
+
+    this._updateReward(pool, collectionAddress, staker, tokenId);
+
+    const totalLeox = position.stakedLeox - amount;
+    const newPoints = this.calculatePoints(collectionAddress, position.citizen, totalLeox, position.timelockEndTime);
+    pool.totalPoints = pool.totalPoints - position.points + newPoints;
+    position.points = newPoints;
+    position.stakedLeox = totalLeox;
+
+    let penalty = 0n;
+    if (this.timestamp < this._getLockEnd(pool, staker, position)) {
+      penalty = amount - this._calculateTax(pool, amount, pool.unstakeLeoxPenalty);
+    }
+    return { penalty, newPoints };
+  }
+
+  // Mirrors `_getLockEnd`
+  _getLockEnd(pool, staker, position, timestamp = this.timestamp) {
+    const duration = position.timelockEndTime;
+    let lockPeriodEnd = position.timelockStartTime + duration;
+    if (pool.autoRenew.get(positionKey(staker, position.tokenId)) && timestamp >= lockPeriodEnd) {
+      lockPeriodEnd += ((timestamp - lockPeriodEnd) / duration + 1n) * duration;
+    }
+    return lockPeriodEnd;
+  }
+
+  /**
+   * Mirrors `extendLock`.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tokenId The ID of the staked token.
+   * @param event.newDuration The new lock duration, starting at the event timestamp.
+   * @returns The new points of the position.
+   */
+  extendLock({ staker, collectionAddress, tokenId, newDuration }) {
+    const pool = this._collection(collectionAddress);
+    tokenId = BigInt(tokenId);
+    newDuration = BigInt(newDuration);
+    if (pool.isEmergencyDeclared) throw new RewardModelError('EmergencyDeclared');
+    if (tokenId === 0n) throw new RewardModelError('InvalidTokenId');
+    const position = this._getPosition(pool, staker, tokenId);
+
+    const lockPeriodEnd = this._getLockEnd(pool, staker, position);
+    if (this.timestamp + newDuration < lockPeriodEnd) throw new RewardModelError('LockNotExtended', lockPeriodEnd);
+
+    this._updateReward(pool, collectionAddress, staker, tokenId);
+    const newPoints = this.calculatePoints(collectionAddress, position.citizen, position.stakedLeox, newDuration);
+    pool.totalPoints = pool.totalPoints - position.points + newPoints;
+    Object.assign(position, { timelockStartTime: this.timestamp, timelockEndTime: newDuration, points: newPoints });
+    return newPoints;
+  }
+
+  /**
+   * Mirrors `setAutoRenew`.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tokenId The ID of the staked token.
+   * @param event.autoRenew Whether the lock rolls over when it ends.
+   * @returns The end of the running lock period.
+   */
+  setAutoRenew({ staker, collectionAddress, tokenId, autoRenew }) {
+    const pool = this._collection(collectionAddress);
+    tokenId = BigInt(tokenId);
+    if (tokenId === 0n) throw new RewardModelError('TokenNotStaked');
+    const position = this._getPosition(pool, staker, tokenId);
+
+    const lockPeriodEnd = this._getLockEnd(pool, staker, position);
+    position.timelockStartTime = lockPeriodEnd - position.timelockEndTime;
+    pool.autoRenew.set(positionKey(staker, tokenId), Boolean(autoRenew));
+    return lockPeriodEnd;
+  }
+
+  /**
+   * Mirrors `getLock`.
+   *
+   * @param staker The address of the staker.
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @param timestamp The block timestamp, defaults to the timestamp of the last event.
+   * @returns `{ lockPeriodEnd, autoRenew }`.
+   */
+  getLock(staker, collectionAddress, tokenId, timestamp = this.timestamp) {
+    const pool = this._collection(collectionAddress);
+    const position = this._getPosition(pool, staker, BigInt(tokenId));
+    return {
+      lockPeriodEnd: this._getLockEnd(pool, staker, position, BigInt(timestamp)),
+      autoRenew: pool.autoRenew.get(positionKey(staker, tokenId)) || false,
+    };
+  }
+
+  /**
+   * Mirrors `unstake`.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tokenId The ID of the staked token.
+   * @returns The rewards paid out, after tax.
+   */
+  unstake({ staker, collectionAddress, tokenId }) {
+    const pool = this._collection(collectionAddress);
+    tokenId = BigInt(tokenId);
+    if (tokenId === 0n) throw new RewardModelError('InvalidTokenId');
+
+    const position = this._getPosition(pool, staker, tokenId);
+    const lockTimePeriod = this._getLockEnd(pool, staker, position);
+    if (this.timestamp < lockTimePeriod) throw new RewardModelError('UnstakeBeforeLockPeriod', lockTimePeriod);
+
+    this._updateReward(pool, collectionAddress, staker, tokenId);
+    const rewards = pool.rewards.get(positionKey(staker, tokenId));
+    const rewardsAfterTax = rewards === 0n ? 0n : this._withdrawRewards(pool, collectionAddress, staker, tokenId);
+    this._removePosition(pool, staker, tokenId);
+    return rewardsAfterTax;
+  }
+
+  /**
+   * Mirrors `quoteEarlyUnstake`.
+   *
+   * @param staker The address of the staker.
+   * @param collectionAddress The address of the collection.
+   * @param tokenId The ID of the staked token.
+   * @param timestamp The block timestamp, defaults to the timestamp of the last event.
+   * @returns `{ rewardsPenalty, leoxPenalty }`.
+   */
+  quoteEarlyUnstake(staker, collectionAddress, tokenId, timestamp = this.timestamp) {
+    const pool = this._collection(collectionAddress);
+    timestamp = BigInt(timestamp);
+    const position = this._getPosition(pool, staker, BigInt(tokenId));
+    const lockPeriodEnd = this._getLockEnd(pool, staker, position, timestamp);
+    if (timestamp >= lockPeriodEnd) return { rewardsPenalty: 0n, leoxPenalty: 0n };
+
+    const { rewardsPenalty, leoxPenalty } = pool.earlyUnstake;
+    const remaining = lockPeriodEnd - timestamp;
+    const scale = 100n * PRECISION * position.timelockEndTime;
+    return {
+      rewardsPenalty: (this.calculateRewards(staker, collectionAddress, tokenId, timestamp) * rewardsPenalty * remaining) / scale,
+      leoxPenalty: (position.stakedLeox * leoxPenalty * remaining) / scale,
+    };
+  }
+
+  /**
+   * Mirrors `earlyUnstake`.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tokenId The ID of the staked token.
+   * @returns `{ rewardsAfterTax, rewardsPenalty, leoxPenalty }`, the rewards paid out and the penalties forfeited.
+   */
+  earlyUnstake({ staker, collectionAddress, tokenId }) {
+    const pool = this._collection(collectionAddress);
+    tokenId = BigInt(tokenId);
+    if (pool.isEmergencyDeclared) throw new RewardModelError('EmergencyDeclared');
+    if (tokenId === 0n) throw new RewardModelError('InvalidTokenId');
+    this._getPosition(pool, staker, tokenId);
+    if (!pool.earlyUnstake.enabled) throw new RewardModelError('EarlyUnstakeDisabled');
+
+    this._updateReward(pool, collectionAddress, staker, tokenId);
+    const { rewardsPenalty, leoxPenalty } = this.quoteEarlyUnstake(staker, collectionAddress, tokenId);
+    const key = positionKey(staker, tokenId);
+    const rewards = pool.rewards.get(key) - rewardsPenalty;
+    pool.rewards.set(key, rewards);
+    this._releaseCommittedRewards(pool, rewardsPenalty);
+    if (pool.earlyUnstake.toRewardPool) {
+      pool.rewardPool += leoxPenalty;
+    } else {
+      pool.rewardPool -= rewardsPenalty;
+      pool.taxCollected += rewardsPenalty + leoxPenalty;
+    }
+
+    const rewardsAfterTax = rewards === 0n ? 0n : this._withdrawRewards(pool, collectionAddress, staker, tokenId);
+    this._removePosition(pool, staker, tokenId);
+    return { rewardsAfterTax, rewardsPenalty, leoxPenalty };
+  }
+
+  /**
+   * Mirrors `unstakeBatch`.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tokenIds The IDs of the staked tokens.
+   * @returns The rewards paid out for every token, after tax.
+   */
+  unstakeBatch({ staker, collectionAddress, tokenIds }) {
+    if (tokenIds.length === 0) throw new RewardModelError('InvalidInput');
+    return tokenIds.reduce((total, tokenId) => total + this.unstake({ staker, collectionAddress, tokenId }), 0n);
+  }
+
+  /**
+   * Mirrors `emergencyUnstake`, the rewards of the token are frozen until claimed with `claimFrozenRewards`.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tokenId The ID of the staked token.
+   */
+  emergencyUnstake({ staker, collectionAddress, tokenId }) {
+    const pool = this._collection(collectionAddress);
+    tokenId = BigInt(tokenId);
+    if (!pool.isEmergencyDeclared) throw new RewardModelError('EmergencyNotDeclared');
+    if (tokenId === 0n) throw new RewardModelError('InvalidTokenId');
+
+    this._getPosition(pool, staker, tokenId);
+    this._updateReward(pool, collectionAddress, staker, tokenId);
+    this._removePosition(pool, staker, tokenId);
+    const rewardAmount = pool.rewards.get(positionKey(staker, tokenId));
+    pool.rewards.set(positionKey(staker, tokenId), 0n);
+    pool.frozenRewards.set(getAddress(staker), this.getFrozenRewards(staker, collectionAddress).rewardAmount + rewardAmount);
+    pool.totalFrozenRewards += rewardAmount;
+  }
+
+  /**
+   * Mirrors `getFrozenRewards`.
+   *
+   * @param staker The address of the staker.
+   * @param collectionAddress The address of the collection.
+   * @returns `{ rewardAmount, claimable }`, the frozen rewards before tax and whether they can be claimed.
+   */
+  getFrozenRewards(staker, collectionAddress) {
+    const pool = this._collection(collectionAddress);
+    return {
+      rewardAmount: pool.frozenRewards.get(getAddress(staker)) || 0n,
+      claimable: !pool.isEmergencyDeclared || pool.isFrozenRewardsReleased,
+    };
+  }
+
+  /**
+   * Mirrors `claimFrozenRewards`.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @returns The frozen rewards paid out, after tax.
+   */
+  claimFrozenRewards({ staker, collectionAddress }) {
+    const pool = this._collection(collectionAddress);
+    const { rewardAmount, claimable } = this.getFrozenRewards(staker, collectionAddress);
+    if (!claimable) throw new RewardModelError('FrozenRewardsLocked');
+    const rewardsAfterTax = this._calculateTax(pool, rewardAmount);
+    if (rewardsAfterTax === 0n) throw new RewardModelError('InvalidAmount', 0n);
+    if (pool.rewardPool < rewardAmount) throw new RewardModelError('InvalidAmountRewardPoolBalance');
+
+    pool.frozenRewards.set(getAddress(staker), 0n);
+    pool.totalFrozenRewards -= rewardAmount;
+    pool.rewardPool -= rewardAmount;
+    this._releaseCommittedRewards(pool, rewardAmount);
+    return rewardsAfterTax;
+  }
+
+  /**
+   * Mirrors `withdrawAllRewards`.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @returns The rewards paid out, after tax.
+   */
+  withdrawAllRewards({ staker, collectionAddress }) {
+    const pool = this._collection(collectionAddress);
+    const tokenIds = pool.stakedNFTs.get(getAddress(staker)) || [];
+    if (tokenIds.length === 0) throw new RewardModelError('TokenNotStaked');
+
+    this._updateRewardPerToken(pool, collectionAddress);
+
+    let totalRewardAmount = 0n;
+    for (const tokenId of tokenIds) {
+      const key = positionKey(staker, tokenId);
+      const rewards = this.calculateRewards(staker, collectionAddress, tokenId);
+      pool.rewards.set(key, 0n);
+      pool.userRewardPerTokenPaid.set(key, pool.rewardPerTokenStored);
+      totalRewardAmount += rewards;
+    }
+
+    if (totalRewardAmount === 0n) throw new RewardModelError('InvalidTokensCount', 0n);
+    const rewardsAfterTax = this._calculateTax(pool, totalRewardAmount);
+    if (pool.rewardPool < totalRewardAmount) throw new RewardModelError('InvalidAmountRewardPoolBalance');
+    pool.rewardPool -= totalRewardAmount;
+    this._releaseCommittedRewards(pool, totalRewardAmount);
+    return rewardsAfterTax;
+  }
+
+  /**
+   * Mirrors `withdrawAllRewardsTo`, which only differs from `withdrawAllRewards` by the address paid.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @param event.to The address the rewards are paid to.
+   * @returns The rewards paid out, after tax.
+   */
+  withdrawAllRewardsTo({ staker, collectionAddress, to }) {
+    if (getAddress(to) === ZeroAddress) throw new RewardModelError('InvalidAddress');
+    return this.withdrawAllRewards({ staker, collectionAddress });
+  }
+
+  /**
+   * Mirrors `withdrawRewards`.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tokenId The ID of the staked token.
+   * @returns The rewards paid out, after tax.
+   */
+  withdrawRewards({ staker, collectionAddress, tokenId }) {
+    return this.withdrawRewardsBatch({ staker, collectionAddress, tokenIds: [tokenId] });
+  }
+
+  /**
+   * Mirrors `withdrawRewardsBatch`.
+   *
+   * @param event.staker The address of the staker.
+   * @param event.collectionAddress The address of the collection.
+   * @param event.tokenIds The IDs of the staked tokens.
+   * @returns The rewards paid out for every token, after tax.
+   */
+  withdrawRewardsBatch({ staker, collectionAddress, tokenIds }) {
+    const pool = this._collection(collectionAddress);
+    if (tokenIds.length === 0) throw new RewardModelError('InvalidInput');
+
+    let rewardsAfterTax = 0n;
+    for (let tokenId of tokenIds) {
+      tokenId = BigInt(tokenId);
+      if (tokenId === 0n) throw new RewardModelError('InvalidTokenId');
+      this._getPosition(pool, staker, tokenId);
+      this._updateReward(pool, collectionAddress, staker, tokenId);
+      if (pool.rewards.get(positionKey(staker, tokenId)) !== 0n) {
+        rewardsAfterTax += this._withdrawRewards(pool, collectionAddress, staker, tokenId);
+      }
+    }
+    if (rewardsAfterTax === 0n) throw new RewardModelError('InvalidAmount', 0n);
+    return rewardsAfterTax;
+  }
+
+  // Mirrors `_updateEmissionRate`
+  _updateEmissionRate(pool, collectionAddress, rewardRate, endTime) {
+    if (pool.rewardWindows.length === 0) throw new RewardModelError('CollectionUninitialized');
+    const startTime = this.timestamp;
+    if (endTime !== 0n && endTime <= startTime) throw new RewardModelError('InvalidEndTime');
+
+    this._updateRewardPerToken(pool, collectionAddress);
+
+    const windows = pool.rewardWindows;
+    let index = windows.length;
+    while (index > 0 && windows[index - 1].startTime > startTime) index--;
+    if (index < windows.length) {
+      if (endTime === 0n) endTime = windows[index].startTime;
+      else if (endTime > windows[index].startTime) throw new RewardModelError('RewardWindowsOverlap', BigInt(index));
+    }
+    if (index > 0) {
+      const lastWindow = windows[index - 1];
+      if (lastWindow.endTime === 0n || lastWindow.endTime > startTime) lastWindow.endTime = startTime;
+    }
+    windows.splice(index, 0, { rewardRate, startTime, endTime });
+  }
+
+  /**
+   * Mirrors `updateEmissionRate`: closes the current window and opens one at the event timestamp, before the windows
+   * scheduled later, which are kept.
+   *
+   * @param event.collectionAddress The address of the collection.
+   * @param event.rewardRate The LEOX emitted per second.
+   * @param event.endTime The end of the new window, 0 for open-ended.
+   */
+  updateEmissionRate({ collectionAddress, rewardRate, endTime = 0 }) {
+    if (BigInt(rewardRate) === 0n) throw new RewardModelError('InvalidRewardRate');
+    this._updateEmissionRate(this._collection(collectionAddress), collectionAddress, BigInt(rewardRate), BigInt(endTime));
+  }
+
+  /**
+   * Mirrors `scheduleRewardWindow`, a last window without end time is closed at the start of the new one.
+   *
+   * @param event.collectionAddress The address of the collection.
+   * @param event.rewardRate The LEOX emitted per second.
+   * @param event.startTime The start of the window, not before the event timestamp.
+   * @param event.endTime The end of the window, 0 for open-ended.
+   * @returns The index of the new window.
+   */
+  scheduleRewardWindow({ collectionAddress, rewardRate, startTime, endTime = 0 }) {
+    const pool = this._collection(collectionAddress);
+    const window = { rewardRate: BigInt(rewardRate), startTime: BigInt(startTime), endTime: BigInt(endTime) };
+    if (window.rewardRate === 0n) throw new RewardModelError('InvalidRewardRate');
+    if (pool.rewardWindows.length === 0) throw new RewardModelError('PoolUninitialized', getAddress(collectionAddress));
+    if (pool.isEmergencyDeclared) throw new RewardModelError('EmergencyDeclared');
+    if (window.startTime < this.timestamp) throw new RewardModelError('InvalidTime');
+    if (window.endTime !== 0n && window.endTime <= window.startTime) throw new RewardModelError('InvalidEndTime');
+
+    const index = pool.rewardWindows.length;
+    const lastWindow = pool.rewardWindows[index - 1];
+    if (lastWindow.endTime === 0n && lastWindow.startTime < window.startTime) lastWindow.endTime = window.startTime;
+    this._validateRewardWindowStart(lastWindow, window.startTime, index);
+
+    pool.rewardWindows.push(window);
+    return index;
+  }
+
+  /**
+   * Mirrors `cancelRewardWindow`.
+   *
+   * @param event.collectionAddress The address of the collection.
+   * @param event.index The index of a window that has not started.
+   */
+  cancelRewardWindow({ collectionAddress, index }) {
+    const windows = this._collection(collectionAddress).rewardWindows;
+    index = Number(index);
+    if (index >= windows.length || windows.length === 1) throw new RewardModelError('InvalidInput');
+    if (windows[index].startTime <= this.timestamp) throw new RewardModelError('RewardWindowStarted', BigInt(index));
+    windows.splice(index, 1);
+  }
+
+  // Mirrors `_emergencyStatus`
+  _emergencyStatus(collectionAddress, emergencyStatus, rewardRate) {
+    const pool = this._collection(collectionAddress);
+    if (pool.rewardWindows.length === 0) throw new RewardModelError('CollectionUninitialized');
+    if (pool.isEmergencyDeclared === emergencyStatus) throw new RewardModelError('StateAlreadyDeclared');
+    this._updateRewardPerToken(pool, collectionAddress);
+    pool.isEmergencyDeclared = emergencyStatus;
+    pool.isFrozenRewardsReleased = false;
+    this._updateEmissionRate(pool, collectionAddress, rewardRate, 0n);
+  }
+
+  /**
+   * Mirrors `declareEmergency`, which opens a window with no emissions.
+   *
+   * @param event.collectionAddress The address of the collection.
+   */
+  declareEmergency({ collectionAddress }) {
+    this._emergencyStatus(collectionAddress, true, 0n);
+  }
+
+  /**
+   * Mirrors `liftEmergency`.
+   *
+   * @param event.collectionAddress The address of the collection.
+   * @param event.rewardRate The LEOX emitted per second once lifted.
+   */
+  liftEmergency({ collectionAddress, rewardRate }) {
+    if (BigInt(rewardRate) === 0n) throw new RewardModelError('InvalidRewardRate');
+    this._emergencyStatus(collectionAddress, false, BigInt(rewardRate));
+  }
+
+  /**
+   * Mirrors `releaseFrozenRewards`.
+   *
+   * @param event.collectionAddress The address of the collection.
+   */
+  releaseFrozenRewards({ collectionAddress }) {
+    const pool = this._collection(collectionAddress);
+    if (!pool.isEmergencyDeclared) throw new RewardModelError('EmergencyNotDeclared');
+    if (pool.isFrozenRewardsReleased) throw new RewardModelError('StateAlreadyDeclared');
+    pool.isFrozenRewardsReleased = true;
+  }
+}
+
+// Methods that can be replayed as events
+RewardModel.MUTATIONS = [
+  'configureNewCollection',
+  'configurePool',
+  'setMultipliers',
+  'updateTax',
+  'updateCompoundTax',
+  'updateUnstakeLeoxPenalty',
+  'setEarlyUnstakeParams',
+  'depositRewards',
+  'withdrawTax',
+  'stake',
+  'stakeBatch',
+  'stakeLeoxTokens',
+  'compound',
+  'unstakeLeoxTokens',
+  'extendLock',
+  'setAutoRenew',
+  'unstake',
+  'unstakeBatch',
+  'earlyUnstake',
+  'emergencyUnstake',
+  'claimFrozenRewards',
+  'withdrawAllRewards',
+  'withdrawAllRewardsTo',
+  'withdrawRewards',
+  'withdrawRewardsBatch',
+  'updateEmissionRate',
+  'scheduleRewardWindow',
+  'cancelRewardWindow',
+  'declareEmergency',
+  'liftEmergency',
+  'releaseFrozenRewards',
+];
+
+module.exports = { RewardModel, RewardModelError, PRECISION };
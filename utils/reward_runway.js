@@ -0,0 +1,125 @@
+const { zeroPadValue } = require('ethers');
+const { planRewardSchedule, toRewardWindow } = require('./reward_schedule.js');
+
+// Events that open and close the positions of a collection
+const POSITION_EVENTS = ['StakeTokens', 'UnstakeToken', 'EmergencyUnstakeToken', 'EarlyUnstakeToken'];
+
+/**
+ * Lists the staked positions of a collection by replaying its stake and unstake events.
+ *
+ * @param staking The GalileoStaking contract.
+ * @param collectionAddress The address of the collection.
+ * @param options.fromBlock The first block to scan, usually the deployment block.
+ * @param options.toBlock The last block to scan.
+ * @param options.batchSize Blocks scanned per `getLogs` call.
+ * @returns The positions as `{ staker, tokenId }`.
+ */
+async function getStakedPositions(staking, collectionAddress, { fromBlock = 0, toBlock, batchSize = 5000 } = {}) {
+  const provider = staking.runner.provider;
+  // Each of these events has the collection as its first indexed parameter
+  const topics = [POSITION_EVENTS.map((name) => staking.interface.getEvent(name).topicHash), zeroPadValue(collectionAddress, 32)];
+  if (toBlock === undefined) toBlock = await provider.getBlockNumber();
+
+  const positions = new Map();
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    const logs = await provider.getLogs({ address: await staking.getAddress(), topics, fromBlock: from, toBlock: to });
+    for (const log of logs) {
+      const { name, args } = staking.interface.parseLog(log);
+      const key = `${args.recipient}:${args.tokenId}`;
+      if (name === 'StakeTokens') positions.set(key, { staker: args.recipient, tokenId: args.tokenId });
+      else positions.delete(key);
+    }
+  }
+  return [...positions.values()];
+}
+
+/**
+ * Projects when a schedule of reward windows emits more than the LEOX available to it.
+ *
+ * Emissions are assumed to accrue every second, which holds as long as tokens are staked.
+ *
+ * @param windows The schedule, as returned by `getPoolConfiguration`.
+ * @param options.from The timestamp to project from.
+ * @param options.available The LEOX available to future emissions, negative when the pool is already short.
+ * @returns `{ runway, insolventAt }` in seconds and unix time, both null when the schedule ends funded.
+ */
+function projectRunway(windows, { from, available }) {
+  from = BigInt(from);
+  let remaining = BigInt(available);
+  if (remaining < 0n) return { runway: 0n, insolventAt: from };
+
+  for (const window of windows.map(toRewardWindow)) {
+    const start = window.startTime > from ? window.startTime : from;
+    if (window.rewardRate === 0n || (window.endTime !== 0n && window.endTime <= start)) continue;
+
+    const emitted = window.endTime === 0n ? undefined : window.rewardRate * (window.endTime - start);
+    if (emitted === undefined || emitted > remaining) {
+      const insolventAt = start + remaining / window.rewardRate;
+      return { runway: insolventAt - from, insolventAt };
+    }
+    remaining -= emitted;
+  }
+  return { runway: null, insolventAt: null };
+}
+
+/**
+ * Reports the runway of the reward pool of a collection: its balance against the rewards accrued and not claimed yet,
+ * and the date the current schedule of reward windows exhausts it.
+ *
+ * When the runway is shorter than `target`, the report recommends a deposit covering the schedule over `target`, or
+ * the rate that the remaining LEOX sustains over `target`. Everything is read at the same block.
+ *
+ * @param staking The GalileoStaking contract.
+ * @param collectionAddress The address of the collection.
+ * @param options.target Seconds the pool should stay funded for, 30 days by default.
+ * @param options.positions The staked positions as `{ staker, tokenId }`, e.g. from the indexer, scanned from the
+ * events otherwise.
+ * @param options.fromBlock The first block to scan for positions.
+ * @param options.batchSize Blocks scanned per `getLogs` call.
+ * @returns The report.
+ */
+async function getRewardRunway(staking, collectionAddress, { target = 2592000n, positions, fromBlock, batchSize } = {}) {
+  const block = await staking.runner.provider.getBlock('latest');
+  const blockTag = block.number;
+  const now = BigInt(block.timestamp);
+  target = BigInt(target);
+
+  if (!positions) positions = await getStakedPositions(staking, collectionAddress, { fromBlock, toBlock: blockTag, batchSize });
+  let outstanding = 0n;
+  for (const { staker, tokenId } of positions) {
+    outstanding += await staking.calculateRewards(staker, collectionAddress, tokenId, { blockTag });
+  }
+  // Rewards frozen by emergency unstakes are owed as well
+  outstanding += await staking.getTotalFrozenRewards(collectionAddress, { blockTag });
+
+  const [, , , rewardWindows] = await staking.getPoolConfiguration(collectionAddress, { blockTag });
+  const windows = rewardWindows.map(toRewardWindow);
+  const balance = await staking.getRewardPoolBalance(collectionAddress, { blockTag });
+  const available = balance - outstanding;
+
+  const current = windows.find((window) => window.startTime <= now && (window.endTime === 0n || window.endTime > now));
+  const { runway, insolventAt } = projectRunway(windows, { from: now, available });
+
+  const report = {
+    blockNumber: blockTag,
+    timestamp: now,
+    balance,
+    outstanding,
+    available,
+    rewardRate: current ? current.rewardRate : 0n,
+    runway,
+    insolventAt,
+    target,
+    recommendedDeposit: 0n,
+    recommendedRate: null,
+  };
+  if (runway !== null && runway < target) {
+    const { total } = planRewardSchedule(windows, { from: now, until: now + target });
+    report.recommendedDeposit = total - available;
+    report.recommendedRate = available > 0n ? available / target : 0n;
+  }
+  return report;
+}
+
+module.exports = { getStakedPositions, projectRunway, getRewardRunway };
@@ -0,0 +1,78 @@
+// Normalizes a reward window given as a `RewardWindow` struct, a tuple or an object of numbers and strings
+function toRewardWindow(window) {
+  const [rewardRate, startTime, endTime] = Array.isArray(window) ? window : [window.rewardRate, window.startTime, window.endTime];
+  return { rewardRate: BigInt(rewardRate), startTime: BigInt(startTime), endTime: BigInt(endTime || 0) };
+}
+
+/**
+ * Appends a reward window to a schedule as `scheduleRewardWindow` does: an open-ended last window is closed at the
+ * start of the new one, which must not start before the end of the last window.
+ *
+ * @param windows The schedule, as returned by `getPoolConfiguration`.
+ * @param window The window to append as `{ rewardRate, startTime, endTime }`, `endTime` 0 for open-ended.
+ * @returns A new schedule, the given one is left unchanged.
+ */
+function appendRewardWindow(windows, window) {
+  const schedule = windows.map(toRewardWindow);
+  const next = toRewardWindow(window);
+  if (next.endTime !== 0n && next.endTime <= next.startTime) throw new Error('The reward window must end after it starts');
+
+  const last = schedule[schedule.length - 1];
+  if (last && last.endTime === 0n && last.startTime < next.startTime) last.endTime = next.startTime;
+  if (last && (last.endTime === 0n || next.startTime < last.endTime)) {
+    throw new Error(`The reward window overlaps reward window ${schedule.length - 1}`);
+  }
+  return [...schedule, next];
+}
+
+/**
+ * Computes the LEOX a schedule of reward windows emits between two timestamps.
+ *
+ * Emissions are counted whether or not tokens are staked, so the result is what the pool must hold to pay every
+ * window in full. Rewards accrued before `from` are not included.
+ *
+ * @param windows The schedule, as returned by `getPoolConfiguration`.
+ * @param options.from The timestamp from which emissions are counted.
+ * @param options.until The timestamp until which emissions are counted, required when a window is open-ended.
+ * @returns `{ windows, total }`, each window with the `from`, `until` and `leox` it is counted for.
+ */
+function planRewardSchedule(windows, { from, until } = {}) {
+  from = BigInt(from);
+  until = until === undefined ? undefined : BigInt(until);
+
+  const planned = windows.map(toRewardWindow).map((window, index) => {
+    if (window.endTime === 0n && until === undefined) throw new Error(`Reward window ${index} is open-ended`);
+
+    const start = window.startTime > from ? window.startTime : from;
+    let end = window.endTime === 0n ? until : window.endTime;
+    if (until !== undefined && end > until) end = until;
+    const duration = end > start ? end - start : 0n;
+    return { index, ...window, from: start, until: start + duration, leox: window.rewardRate * duration };
+  });
+
+  return { windows: planned, total: planned.reduce((total, window) => total + window.leox, 0n) };
+}
+
+/**
+ * Plans the funding of the reward pool of a collection: the LEOX its schedule, with the windows about to be
+ * scheduled, emits from the latest block on, against the balance of its reward pool.
+ *
+ * @param staking The GalileoStaking contract.
+ * @param collectionAddress The address of the collection.
+ * @param options.windows Windows to append as `scheduleRewardWindow` would, as `{ rewardRate, startTime, endTime }`.
+ * @param options.until The end of the plan, required when the schedule ends with an open-ended window.
+ * @param options.from The start of the plan, the timestamp of the latest block by default.
+ * @returns The plan with the `balance` of the reward pool and the `shortfall` to deposit, 0 when funded.
+ */
+async function planRewardFunding(staking, collectionAddress, { windows = [], until, from } = {}) {
+  if (from === undefined) from = (await staking.runner.provider.getBlock('latest')).timestamp;
+
+  const [, , , rewardWindows] = await staking.getPoolConfiguration(collectionAddress);
+  const schedule = windows.reduce(appendRewardWindow, rewardWindows.map(toRewardWindow));
+  const plan = planRewardSchedule(schedule, { from, until });
+
+  const balance = await staking.getRewardPoolBalance(collectionAddress);
+  return { ...plan, from: BigInt(from), balance, shortfall: plan.total > balance ? plan.total - balance : 0n };
+}
+
+module.exports = { toRewardWindow, appendRewardWindow, planRewardSchedule, planRewardFunding };
@@ -0,0 +1,322 @@
+const { Interface, ZeroHash, formatEther, getAddress, id, isHexString, parseEther, toQuantity } = require('ethers');
+const { decodeStakingError, formatStakingError } = require('./staking_errors.js');
+const { parseDuration, parseMultipliers, parseTimestamp, resolveCollection } = require('./task_types.js');
+
+const TX_BUILDER_VERSION = '1.16.5';
+
+const ERC20_INTERFACE = new Interface([
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+]);
+
+const ROLES = ['DEFAULT_ADMIN_ROLE', 'ADMIN_ROLE', 'VALIDATOR_ROLE'];
+
+// Amounts in actions files are in ether, given as strings to keep their precision
+function toWei(value) {
+  return parseEther(String(value));
+}
+
+function formatTimestamp(timestamp) {
+  return timestamp === 0n ? 'open-ended' : new Date(Number(timestamp) * 1000).toISOString();
+}
+
+// Reward windows end at `endTime`, `startTime` plus `duration`, or never
+function toRewardWindow(window) {
+  const startTime = parseTimestamp(window.startTime);
+  let endTime = 0n;
+  if (window.endTime !== undefined) endTime = parseTimestamp(window.endTime);
+  else if (window.duration !== undefined) endTime = startTime + parseDuration(window.duration);
+  return [toWei(window.rewardRate), startTime, endTime];
+}
+
+function formatRewardWindow([rewardRate, startTime, endTime]) {
+  return `${formatEther(rewardRate)} LEOX/s from ${formatTimestamp(startTime)} to ${formatTimestamp(endTime)}`;
+}
+
+function toMultipliers(value) {
+  if (typeof value === 'string') return parseMultipliers(value);
+  return value.map((multiplier) => [parseDuration(multiplier.stakingTime), toWei(multiplier.stakingBoost)]);
+}
+
+// Encodes each kind of action into its calls and a one line description
+const ACTIONS = {
+  configureNewCollection(action, context) {
+    const collection = context.collection(action.collection);
+    const entry = context.manifest.collections && context.manifest.collections[action.collection];
+    const soulboundToken = getAddress(action.soulboundToken || (entry && entry.soulboundToken) || '');
+    const tiers = action.tiers.map((tier) => [toWei(tier.maxLeox), BigInt(tier.yieldTraitPoints)]);
+
+    const label = context.label(action.collection);
+    const tierList = tiers.map(([maxLeox, points], i) => `${i + 1}: ${formatEther(maxLeox)} LEOX / ${points} pts`).join(', ');
+    return {
+      calls: [context.staking('configureNewCollection', [collection, soulboundToken, BigInt(action.tokenIdsCount), tiers])],
+      summary: `Configure collection ${label} with SBT ${soulboundToken}, ${action.tokenIdsCount} tokens, tiers ${tierList}`,
+    };
+  },
+
+  configurePool(action, context) {
+    const collection = context.collection(action.collection);
+    const rewardWindows = action.rewardWindows.map(toRewardWindow);
+    const windowList = rewardWindows.map(formatRewardWindow).join(', ');
+    return {
+      calls: [context.staking('configurePool', [[[collection, toWei(action.tax), rewardWindows]]])],
+      summary: `Configure pool of ${context.label(action.collection)} with ${action.tax}% tax, reward windows ${windowList}`,
+    };
+  },
+
+  scheduleRewardWindow(action, context) {
+    const [rewardRate, startTime, endTime] = toRewardWindow(action);
+    return {
+      calls: [context.staking('scheduleRewardWindow', [context.collection(action.collection), rewardRate, startTime, endTime])],
+      summary: `Schedule a reward window of ${context.label(action.collection)} at ${formatRewardWindow([rewardRate, startTime, endTime])}`,
+    };
+  },
+
+  cancelRewardWindow(action, context) {
+    return {
+      calls: [context.staking('cancelRewardWindow', [context.collection(action.collection), BigInt(action.index)])],
+      summary: `Cancel reward window ${action.index} of ${context.label(action.collection)}`,
+    };
+  },
+
+  setMultipliers(action, context) {
+    const multipliers = toMultipliers(action.multipliers);
+    const multiplierList = multipliers.map(([time, boost]) => `${time}s x${formatEther(boost)}`).join(', ');
+    return {
+      calls: [context.staking('setMultipliers', [context.collection(action.collection), multipliers])],
+      summary: `Set multipliers of ${context.label(action.collection)} to ${multiplierList}`,
+    };
+  },
+
+  // The Safe pays the deposit, so it first approves the exact amount
+  depositRewards(action, context) {
+    const amount = toWei(action.amount);
+    return {
+      calls: [
+        context.leox('approve', [context.stakingAddress, amount]),
+        context.staking('depositRewards', [context.collection(action.collection), amount]),
+      ],
+      summary: `Approve and deposit ${formatEther(amount)} LEOX into the reward pool of ${context.label(action.collection)}`,
+    };
+  },
+
+  updateEmissionRate(action, context) {
+    const endTime = action.endTime === undefined ? 0n : parseTimestamp(action.endTime);
+    return {
+      calls: [context.staking('updateEmissionRate', [context.collection(action.collection), toWei(action.rate), endTime])],
+      summary: `Set emission rate of ${context.label(action.collection)} to ${action.rate} LEOX/s until ${formatTimestamp(endTime)}`,
+    };
+  },
+
+  updateTax(action, context) {
+    return {
+      calls: [context.staking('updateTax', [context.collection(action.collection), toWei(action.tax)])],
+      summary: `Set tax of ${context.label(action.collection)} to ${action.tax}%`,
+    };
+  },
+
+  updateCompoundTax(action, context) {
+    return {
+      calls: [context.staking('updateCompoundTax', [context.collection(action.collection), toWei(action.tax)])],
+      summary: `Set compound tax of ${context.label(action.collection)} to ${action.tax}%`,
+    };
+  },
+
+  updateUnstakeLeoxPenalty(action, context) {
+    return {
+      calls: [context.staking('updateUnstakeLeoxPenalty', [context.collection(action.collection), toWei(action.penalty)])],
+      summary: `Set unstake LEOX penalty of ${context.label(action.collection)} to ${action.penalty}%`,
+    };
+  },
+
+  setEarlyUnstakeParams(action, context) {
+    const enabled = action.enabled !== false;
+    const params = [enabled, Boolean(action.toRewardPool), toWei(action.rewardsPenalty || 0), toWei(action.leoxPenalty || 0)];
+    return {
+      calls: [context.staking('setEarlyUnstakeParams', [context.collection(action.collection), params])],
+      summary: enabled
+        ? `Set early unstake penalties of ${context.label(action.collection)} to ${action.rewardsPenalty || 0}% of the rewards and ` +
+          `${action.leoxPenalty || 0}% of the LEOX, to the ${action.toRewardPool ? 'reward pool' : 'tax'}`
+        : `Disable early unstaking of ${context.label(action.collection)}`,
+    };
+  },
+
+  declareEmergency(action, context) {
+    return {
+      calls: [context.staking('declareEmergency', [context.collection(action.collection)])],
+      summary: `Declare an emergency on ${context.label(action.collection)}`,
+    };
+  },
+
+  liftEmergency(action, context) {
+    return {
+      calls: [context.staking('liftEmergency', [context.collection(action.collection), toWei(action.rate)])],
+      summary: `Lift the emergency on ${context.label(action.collection)} with an emission rate of ${action.rate} LEOX/s`,
+    };
+  },
+
+  releaseFrozenRewards(action, context) {
+    return {
+      calls: [context.staking('releaseFrozenRewards', [context.collection(action.collection)])],
+      summary: `Release the rewards frozen by the emergency on ${context.label(action.collection)}`,
+    };
+  },
+
+  withdrawTax(action, context) {
+    return {
+      calls: [context.staking('withdrawTax', [context.collection(action.collection)])],
+      summary: `Withdraw the tax of ${context.label(action.collection)} to the Safe`,
+    };
+  },
+
+  pause(action, context) {
+    return { calls: [context.staking('pause', [])], summary: 'Pause GalileoStaking' };
+  },
+
+  unpause(action, context) {
+    return { calls: [context.staking('unpause', [])], summary: 'Unpause GalileoStaking' };
+  },
+
+  setTrustedForwarder(action, context) {
+    return {
+      calls: [context.staking('setTrustedForwarder', [getAddress(action.forwarder)])],
+      summary: `Trust the forwarder ${getAddress(action.forwarder)}`,
+    };
+  },
+
+  setPermit2(action, context) {
+    return {
+      calls: [context.staking('setPermit2', [getAddress(action.permit2)])],
+      summary: `Set Permit2 to ${getAddress(action.permit2)}`,
+    };
+  },
+
+  grantRole(action, context) {
+    return {
+      calls: [context.staking('grantRole', [context.role(action.role), getAddress(action.account)])],
+      summary: `Grant ${action.role} to ${getAddress(action.account)}`,
+    };
+  },
+
+  revokeRole(action, context) {
+    return {
+      calls: [context.staking('revokeRole', [context.role(action.role), getAddress(action.account)])],
+      summary: `Revoke ${action.role} from ${getAddress(action.account)}`,
+    };
+  },
+};
+
+/**
+ * Encodes admin actions into a Safe Transaction Builder batch.
+ *
+ * Each action is an object with an `action` key naming a GalileoStaking admin function and its parameters in
+ * human units: amounts in LEOX, taxes in percent, durations such as `30d`, timestamps in unix seconds or ISO 8601.
+ * Collections may be manifest aliases. `depositRewards` expands to an approval of LEOX followed by the deposit.
+ *
+ * @param actions The admin actions.
+ * @param options.chainId The chain the Safe is on.
+ * @param options.safeAddress The address of the Safe holding ADMIN_ROLE.
+ * @param options.stakingInterface The interface of GalileoStaking.
+ * @param options.stakingAddress The address of GalileoStaking.
+ * @param options.leoxAddress The address of LEOX.
+ * @param options.manifest The deployment manifest, used to resolve aliases.
+ * @param options.name The name of the batch.
+ * @returns The batch, with its summary in `meta.description`.
+ */
+function buildSafeBatch(actions, { chainId, safeAddress, stakingInterface, stakingAddress, leoxAddress, manifest = {}, name }) {
+  const context = {
+    manifest,
+    stakingAddress: getAddress(stakingAddress),
+    collection: (collection) => resolveCollection(manifest, collection),
+    label: (collection) => {
+      const address = resolveCollection(manifest, collection);
+      return collection === address || collection.toLowerCase() === address.toLowerCase() ? address : `${collection} (${address})`;
+    },
+    role: (role) => {
+      if (isHexString(role, 32)) return role;
+      if (!ROLES.includes(role)) throw new Error(`Unknown role ${role}, use one of ${ROLES.join(', ')} or a bytes32`);
+      return role === 'DEFAULT_ADMIN_ROLE' ? ZeroHash : id(role);
+    },
+    staking: (method, args) => ({ to: getAddress(stakingAddress), data: stakingInterface.encodeFunctionData(method, args) }),
+    leox: (method, args) => ({ to: getAddress(leoxAddress), data: ERC20_INTERFACE.encodeFunctionData(method, args) }),
+  };
+
+  const transactions = [];
+  const summary = [];
+  actions.forEach((action, i) => {
+    const encode = ACTIONS[action.action];
+    if (!encode) throw new Error(`Action ${i} has unknown type "${action.action}", use one of ${Object.keys(ACTIONS).join(', ')}`);
+
+    let encoded;
+    try {
+      encoded = encode(action, context);
+    } catch (error) {
+      throw new Error(`Action ${i} (${action.action}) is invalid: ${error.message}`);
+    }
+
+    for (const call of encoded.calls) {
+      transactions.push({ to: call.to, value: '0', data: call.data, contractMethod: null, contractInputsValues: null });
+    }
+    summary.push(`${i + 1}. ${encoded.summary}`);
+  });
+
+  return {
+    version: '1.0',
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name: name || `GalileoStaking admin batch (${actions.length} action(s))`,
+      description: summary.join('\n'),
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: getAddress(safeAddress),
+      createdFromOwnerAddress: '',
+    },
+    transactions,
+  };
+}
+
+/**
+ * Simulates a batch as the Safe on a Hardhat network or node, forked or not, then reverts every change.
+ *
+ * The Safe executes a batch atomically, so the simulation stops at the first failing transaction.
+ *
+ * @param provider A provider of a Hardhat network, e.g. `hre.ethers.provider`.
+ * @param batch The batch returned by `buildSafeBatch`.
+ * @param interfaces Interfaces used to decode revert reasons, GalileoStaking's first.
+ * @returns One result per simulated transaction: `{ index, to, success, gasUsed }` or `{ index, to, success, error }`.
+ */
+async function simulateSafeBatch(provider, batch, interfaces = []) {
+  const from = batch.meta.createdFromSafeAddress;
+  const results = [];
+
+  const snapshot = await provider.send('evm_snapshot', []);
+  try {
+    await provider.send('hardhat_impersonateAccount', [from]);
+    // Gas is paid by the executing owner on-chain, the impersonated Safe only needs enough to send
+    await provider.send('hardhat_setBalance', [from, toQuantity(parseEther('1000'))]);
+
+    for (const [index, transaction] of batch.transactions.entries()) {
+      const call = { from, to: transaction.to, data: transaction.data, value: toQuantity(BigInt(transaction.value)) };
+
+      try {
+        await provider.send('eth_call', [call, 'latest']);
+      } catch (error) {
+        const decoded = [...interfaces, ERC20_INTERFACE].map((iface) => decodeStakingError(iface, error)).find(Boolean);
+        results.push({ index, to: transaction.to, success: false, error: decoded ? formatStakingError(decoded) : error.message });
+        break;
+      }
+
+      const hash = await provider.send('eth_sendTransaction', [call]);
+      const receipt = await provider.send('eth_getTransactionReceipt', [hash]);
+      results.push({ index, to: transaction.to, success: true, gasUsed: BigInt(receipt.gasUsed) });
+    }
+  } finally {
+    await provider.send('hardhat_stopImpersonatingAccount', [from]);
+    await provider.send('evm_revert', [snapshot]);
+  }
+
+  return results;
+}
+
+module.exports = { buildSafeBatch, simulateSafeBatch };
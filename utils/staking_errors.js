@@ -0,0 +1,46 @@
+/**
+ * Finds the revert data of a failed call. Providers nest it differently: ethers puts it on the error itself,
+ * the in-process Hardhat network too, and some JSON-RPC providers wrap it in `error.error` or `error.info.error`.
+ *
+ * @param error The error thrown by the call.
+ * @returns The revert data as a hex string, or undefined.
+ */
+function getRevertData(error) {
+  for (let current = error; current; current = current.error || (current.info && current.info.error)) {
+    if (typeof current.data === 'string' && current.data.startsWith('0x')) return current.data;
+    if (current.data && typeof current.data.data === 'string') return current.data.data;
+  }
+  return undefined;
+}
+
+/**
+ * Decodes the custom error a GalileoStaking call reverted with.
+ *
+ * @param contractInterface The interface of the contract, e.g. `staking.interface`.
+ * @param error The error thrown by the call.
+ * @returns The ErrorDescription of the custom error, or null if the revert is not one of the contract's errors.
+ */
+function decodeStakingError(contractInterface, error) {
+  if (error && error.revert && error.revert.name) return contractInterface.getError(error.revert.name) ? error.revert : null;
+
+  const data = getRevertData(error);
+  if (!data || data.length < 10) return null;
+
+  try {
+    return contractInterface.parseError(data);
+  } catch (parseError) {
+    return null;
+  }
+}
+
+/**
+ * Formats a decoded custom error as `Name(arg1, arg2)`.
+ *
+ * @param decoded The ErrorDescription returned by `decodeStakingError`.
+ * @returns The formatted error.
+ */
+function formatStakingError(decoded) {
+  return `${decoded.name}(${Array.from(decoded.args, (arg) => arg.toString()).join(', ')})`;
+}
+
+module.exports = { getRevertData, decodeStakingError, formatStakingError };
@@ -0,0 +1,105 @@
+const { HardhatPluginError } = require('hardhat/plugins');
+const { getAddress, isAddress, parseEther } = require('ethers');
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Parses a human-readable duration such as `90`, `45m`, `12h`, `30d` or `1w2d` into seconds.
+ *
+ * @param value The duration.
+ * @returns The duration in seconds.
+ */
+function parseDuration(value) {
+  const text = String(value).trim().toLowerCase();
+  if (/^\d+$/.test(text)) return BigInt(text);
+  if (!/^(\d+[smhdw])+$/.test(text)) throw new Error(`Invalid duration "${value}", use e.g. 3600, 45m, 12h, 30d or 1w2d`);
+
+  let seconds = 0n;
+  for (const [, amount, unit] of text.matchAll(/(\d+)([smhdw])/g)) seconds += BigInt(amount) * BigInt(DURATION_UNITS[unit]);
+  return seconds;
+}
+
+/**
+ * Parses a timestamp given as unix seconds or as an ISO 8601 date.
+ *
+ * @param value The timestamp.
+ * @returns The timestamp in unix seconds.
+ */
+function parseTimestamp(value) {
+  if (/^\d+$/.test(String(value))) return BigInt(value);
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`Invalid timestamp "${value}", use unix seconds or an ISO 8601 date`);
+  return BigInt(Math.floor(time / 1000));
+}
+
+/**
+ * Parses a `duration:boost` list such as `30d:1.5,90d:2` into Multiplier tuples for `setMultipliers`.
+ *
+ * @param value The list.
+ * @returns The multipliers as `[stakingTime, stakingBoost]` tuples.
+ */
+function parseMultipliers(value) {
+  return String(value)
+    .split(',')
+    .map((entry) => {
+      const [stakingTime, stakingBoost] = entry.split(':');
+      if (stakingBoost === undefined) throw new Error(`Invalid multiplier "${entry}", use duration:boost`);
+      return [parseDuration(stakingTime), parseEther(stakingBoost.trim())];
+    });
+}
+
+/**
+ * Resolves a collection given as an address or as an alias of the deployment manifest.
+ *
+ * @param manifest The deployment manifest, if there is one.
+ * @param collection The address or alias.
+ * @returns The address of the collection.
+ */
+function resolveCollection(manifest, collection) {
+  if (isAddress(collection)) return getAddress(collection);
+
+  const entry = manifest && manifest.collections && manifest.collections[collection];
+  if (!entry) throw new Error(`Unknown collection "${collection}", use an address or an alias of the deployment manifest`);
+  return getAddress(entry.collectionAddress);
+}
+
+// Builds a Hardhat argument type from a parse function
+function argumentType(name, parse, isValid) {
+  return {
+    name,
+    parse: (argName, strValue) => {
+      try {
+        return parse(strValue);
+      } catch (error) {
+        throw new HardhatPluginError('galileo', `Invalid value ${strValue} for argument ${argName}: ${error.message}`);
+      }
+    },
+    validate: (argName, value) => {
+      if (!isValid(value)) throw new HardhatPluginError('galileo', `Invalid value ${value} for argument ${argName} of type ${name}`);
+    },
+  };
+}
+
+// An amount in ether, e.g. `1.5`, passed on as wei
+const etherAmount = argumentType(
+  'etherAmount',
+  (value) => parseEther(value),
+  (value) => typeof value === 'bigint' && value >= 0n
+);
+
+// A human-readable duration, passed on as seconds
+const duration = argumentType('duration', parseDuration, (value) => typeof value === 'bigint' && value >= 0n);
+
+// A timestamp in unix seconds or ISO 8601, passed on as unix seconds
+const timestamp = argumentType('timestamp', parseTimestamp, (value) => typeof value === 'bigint' && value >= 0n);
+
+// A `duration:boost` list, passed on as Multiplier tuples
+const multipliers = argumentType('multipliers', parseMultipliers, (value) => Array.isArray(value));
+
+module.exports = {
+  parseDuration,
+  parseTimestamp,
+  parseMultipliers,
+  resolveCollection,
+  types: { etherAmount, duration, timestamp, multipliers },
+};